@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+// Times each benchmark program on the tree walker and on the bytecode VM,
+// and checks that both print the same thing.
+const fs = require("fs");
+const path = require("path");
+const LumosEngine = require("../index.cjs");
+
+function run(file, interpreter) {
+  const engine = new LumosEngine({ interpreter });
+  const output = [];
+  engine.runtime.builtins.print = (...args) => {
+    output.push(args.join(" "));
+    return null;
+  };
+
+  const code = fs.readFileSync(file, "utf8");
+  const start = process.hrtime.bigint();
+  engine.execute(code);
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  return { ms, output: output.join("\n") };
+}
+
+function main() {
+  const files = fs.readdirSync(__dirname).filter(name => name.endsWith(".lumos")).sort();
+  console.log(`${"benchmark".padEnd(16)}${"tree".padStart(10)}${"vm".padStart(10)}${"speedup".padStart(10)}`);
+
+  for (const name of files) {
+    const file = path.join(__dirname, name);
+    const tree = run(file, "tree");
+    const vm = run(file, "vm");
+    if (tree.output !== vm.output) {
+      console.error(`${name}: the VM printed\n${vm.output}\nbut the tree walker printed\n${tree.output}`);
+      process.exit(1);
+    }
+    const speedup = `${(tree.ms / vm.ms).toFixed(1)}x`;
+    console.log(`${path.basename(name, ".lumos").padEnd(16)}${`${tree.ms.toFixed(0)}ms`.padStart(10)}${`${vm.ms.toFixed(0)}ms`.padStart(10)}${speedup.padStart(10)}`);
+  }
+}
+
+main();
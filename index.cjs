@@ -7,49 +7,113 @@ const readline = require("readline");
 const Lexer = require("./src/core/lexer");
 const Parser = require("./src/core/parser");
 const Evaluator = require("./src/core/evaluator");
+const VirtualMachine = require("./src/core/vm");
 const Compiler = require("./src/core/compiler");
 const Runtime = require("./src/core/runtime");
+const Sandbox = require("./src/core/sandbox");
+const Limits = require("./src/core/limits");
+const { LimitExceeded, describeError } = require("./src/core/errors");
+const { checkProject } = require("./src/core/typechecker");
 const REPL = require("./src/cli/repl");
 const FileRunner = require("./src/cli/fileRunner");
 
 class LumosEngine {
-  constructor() {
-    this.runtime = new Runtime();
+  // `interpreter: "vm"` runs programs on the bytecode VM instead of the
+  // tree walker. `maxCallDepth` caps how deeply calls may nest before a
+  // RecursionError is raised. `sandbox` runs untrusted programs with only
+  // the capabilities it grants: `true` for none at all, or the options
+  // Sandbox takes. `limits` are the resource limits every run starts with
+  // (see Limits); those passed to execute() override them. A sandboxed
+  // engine starts from the sandbox's default limits, and takes the
+  // sandbox's older `maxSteps` and `maxMemory` quotas as limits too.
+  constructor(options = {}) {
+    const { maxSteps, maxMemory, ...grants } = options.sandbox === true ? {} : options.sandbox || {};
+    this.sandbox = options.sandbox ? new Sandbox(grants) : null;
+    this.limits = {
+      ...(this.sandbox ? Sandbox.DEFAULT_LIMITS : {}),
+      ...definedOptions({ maxSteps, maxMemory }),
+      ...options.limits
+    };
+    this.runtime = new Runtime(this.sandbox);
     this.compiler = new Compiler();
-    this.evaluator = new Evaluator(this.runtime);
+    this.evaluator = options.interpreter === "vm" ? new VirtualMachine(this.runtime, options) : new Evaluator(this.runtime, options);
     this.version = "2.0.0";
   }
 
+  parse(code) {
+    const lexer = new Lexer(code);
+    const tokens = lexer.tokenize();
+    const parser = new Parser(tokens);
+    return parser.parse();
+  }
+
   execute(code, options = {}) {
     try {
-      const lexer = new Lexer(code);
-      const tokens = lexer.tokenize();
-      
-      const parser = new Parser(tokens);
-      const ast = parser.parse();
+      const ast = this.parse(code);
       
       if (options.compile) {
         return this.compiler.compile(ast, options.target || "javascript");
       }
       
+      this.startRun(options);
       return this.evaluator.evaluate(ast);
     } catch (error) {
-      throw new Error(`Lumos Execution Error: ${error.message}`);
+      throw this.executionError(error);
     }
   }
 
-  compileToTarget(code, target) {
-    const lexer = new Lexer(code);
-    const tokens = lexer.tokenize();
-    const parser = new Parser(tokens);
-    const ast = parser.parse();
-    
-    return this.compiler.compile(ast, target);
+  async executeAsync(code, options = {}) {
+    let ast;
+    try {
+      ast = this.parse(code);
+    } catch (error) {
+      throw new Error(`Lumos Execution Error: ${describeError(error)}`);
+    }
+
+    if (options.compile) {
+      return this.compiler.compile(ast, options.target || "javascript");
+    }
+
+    try {
+      this.startRun(options);
+      return await this.evaluator.evaluateAsync(ast);
+    } catch (error) {
+      throw this.executionError(error);
+    }
   }
 
-  runFile(filepath) {
+  // `maxSteps`, `timeoutMs`, `maxMemory`, `maxArrayLength` and
+  // `maxStringLength` in options limit this run; each starts from nothing.
+  // One left undefined keeps the engine's, and null lifts it.
+  startRun(options = {}) {
+    const { compile, target, echo, ...limits } = options;
+    this.evaluator.startRun(Limits.create({ ...definedOptions(this.limits), ...definedOptions(limits) }));
+  }
+
+  // A LimitExceeded is passed on as it is, so callers can read which limit
+  // was hit.
+  executionError(error) {
+    return error instanceof LimitExceeded ? error : new Error(`Lumos Execution Error: ${describeError(error)}`);
+  }
+
+  compileToTarget(code, target, options = {}) {
+    const ast = this.parse(code);
+    return this.compiler.compile(ast, target, options);
+  }
+
+  compileProject(filepath, target, options = {}) {
+    return this.compiler.compileProject(filepath, target, options);
+  }
+
+  // Type errors in a file and the modules it imports, each with its file,
+  // line and column.
+  check(filepath) {
+    return checkProject(filepath);
+  }
+
+  runFile(filepath, options = {}) {
     const runner = new FileRunner(this);
-    return runner.run(filepath);
+    return runner.run(filepath, options);
   }
 
   startREPL() {
@@ -58,9 +122,82 @@ class LumosEngine {
   }
 }
 
+function definedOptions(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+// Flags that take a value, as `--name=value` or `--name value`.
+const VALUE_FLAGS = ["--max-depth", "--max-steps", "--timeout", "--max-memory", "--max-array-length", "--max-string-length"];
+
+// The value of a flag, true for a bare `--name`, or undefined.
+function flag(args, name) {
+  const index = args.findIndex(candidate => candidate === name || candidate.startsWith(`${name}=`));
+  if (index === -1) return undefined;
+  if (args[index] !== name) return args[index].slice(name.length + 1);
+  const next = args[index + 1];
+  return VALUE_FLAGS.includes(name) && next !== undefined && !next.startsWith("--") ? next : true;
+}
+
+// The value of a flag that takes a positive number, or undefined.
+function numberFlag(args, name) {
+  const value = flag(args, name);
+  if (value === undefined) return undefined;
+  const number = typeof value === "string" && value.trim() !== "" ? Number(value) : NaN;
+  if (!(number > 0)) {
+    throw new Error(`${name} needs a positive number${value === true ? "" : `, not '${value}'`}`);
+  }
+  return number;
+}
+
+// `--allow-fs`, `--allow-net` and `--allow-env` grant everything on their
+// own, or the comma-separated list after `=`. Any of them, or `--sandbox`,
+// runs the program in a sandbox.
+function sandboxOptions(args) {
+  const grant = name => {
+    const value = flag(args, name);
+    return typeof value === "string" ? value.split(",") : value;
+  };
+  const options = {
+    allowFs: grant("--allow-fs"),
+    allowNet: grant("--allow-net"),
+    allowEnv: grant("--allow-env")
+  };
+  const sandboxed = args.includes("--sandbox") || Object.values(options).some(value => value !== undefined);
+  return sandboxed ? options : null;
+}
+
+// The limits a run is given on the command line. --max-memory is in
+// megabytes.
+function limitOptions(args) {
+  const number = (name, scale = 1) => {
+    const value = numberFlag(args, name);
+    return value === undefined ? undefined : value * scale;
+  };
+  return {
+    maxSteps: number("--max-steps"),
+    timeoutMs: number("--timeout"),
+    maxMemory: number("--max-memory", 1024 * 1024),
+    maxArrayLength: number("--max-array-length"),
+    maxStringLength: number("--max-string-length")
+  };
+}
+
 function main() {
   const args = process.argv.slice(2);
-  const engine = new LumosEngine();
+  let depth;
+  let limits;
+  try {
+    depth = numberFlag(args, "--max-depth");
+    limits = limitOptions(args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  const engine = new LumosEngine({
+    interpreter: args.includes("--vm") ? "vm" : "tree",
+    maxCallDepth: depth,
+    sandbox: sandboxOptions(args)
+  });
 
   if (args.length === 0) {
     console.log(`Lumos Language v${engine.version}`);
@@ -83,7 +220,27 @@ Lumos Language - Multi-Target Compiler & Interpreter
 
 Usage:
   lumos [file.lumos]                 Run a Lumos file
+  lumos [file.lumos] --echo          Run a file, printing each statement's value
+  lumos [file.lumos] --vm            Run a file on the bytecode VM
+  lumos [file.lumos] --max-depth=N   Raise a RecursionError past N nested calls
+  lumos [file.lumos] --sandbox       Run a file without access to files, the
+                                     network, the environment or host modules
+    --allow-fs[=dir,...]             Let it read and write files (in dirs)
+    --allow-net[=host,...]           Let it fetch (from hosts)
+    --allow-env[=name,...]           Let it read environment variables
+  lumos [file.lumos] --max-steps=N   Stop a run after N statements, loop
+                                     iterations and calls
+  lumos [file.lumos] --timeout=MS    Stop a run after MS milliseconds
+  lumos [file.lumos] --max-memory=MB Stop a run once it grows the heap by MB
+  lumos [file.lumos] --max-array-length=N
+  lumos [file.lumos] --max-string-length=N
+                                     Stop a run that builds a longer array
+                                     or string
   lumos compile [file.lumos] [target] Compile to target language
+  lumos compile [file.lumos] [target] --out [dir]
+                                     Compile a program and the modules it
+                                     imports into dir (default: dist/[target])
+  lumos check [file.lumos]           Check a program's type annotations
   lumos --version                    Show version
   lumos --help                       Show this help
 
@@ -99,8 +256,13 @@ Compilation Targets:
 
 Examples:
   lumos script.lumos
+  lumos script.lumos --echo
+  lumos script.lumos --vm
+  lumos script.lumos --allow-fs=./data --timeout=2000
+  lumos check script.lumos
   lumos compile script.lumos python
   lumos compile script.lumos rust --optimize
+  lumos compile main.lumos javascript --out build
     `);
     return;
   }
@@ -120,15 +282,34 @@ Examples:
       process.exit(1);
     }
 
+    const outIndex = args.indexOf("--out");
+    const outDir = outIndex === -1 ? null : args[outIndex + 1];
+    if (outIndex !== -1 && !outDir) {
+      console.error("Error: --out needs a directory");
+      process.exit(1);
+    }
+
     try {
-      const code = fs.readFileSync(filepath, "utf8");
-      const compiled = engine.compileToTarget(code, target);
-      
-      const ext = engine.compiler.getExtension(target);
-      const outputPath = filepath.replace(/\.lumos$/, ext);
-      
-      fs.writeFileSync(outputPath, compiled);
-      console.log(`Successfully compiled to ${target}: ${outputPath}`);
+      const { root, files } = engine.compileProject(filepath, target, { optimize: args.includes("--optimize") });
+      const names = Object.keys(files);
+
+      // A program without imports is written next to its source as before;
+      // one with imports is laid out as a project under --out or dist/.
+      if (names.length === 1 && !outDir) {
+        const ext = engine.compiler.getExtension(target);
+        const outputPath = filepath.replace(/\.lumos$/, ext);
+        fs.writeFileSync(outputPath, files[names[0]]);
+        console.log(`Successfully compiled to ${target}: ${outputPath}`);
+        return;
+      }
+
+      const outputRoot = outDir || path.join(root, "dist", target.toLowerCase());
+      for (const name of names) {
+        const outputPath = path.join(outputRoot, name);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, files[name]);
+      }
+      console.log(`Successfully compiled ${names.length} files to ${target}: ${outputRoot}`);
     } catch (error) {
       console.error(`Compilation Error: ${error.message}`);
       process.exit(1);
@@ -136,18 +317,41 @@ Examples:
     return;
   }
 
-  const filepath = args[0];
-  if (!fs.existsSync(filepath)) {
+  if (command === "check") {
+    const filepath = args[1];
+    if (!filepath || !fs.existsSync(filepath)) {
+      console.error(`Error: File not found: ${filepath}`);
+      process.exit(1);
+    }
+
+    try {
+      const errors = engine.check(filepath);
+      for (const error of errors) {
+        const location = error.line === null ? "" : `:${error.line}:${error.column}`;
+        console.error(`${path.relative(process.cwd(), error.file)}${location}: ${error.message}`);
+      }
+      if (errors.length > 0) {
+        console.error(`Found ${errors.length} type error${errors.length === 1 ? "" : "s"}`);
+        process.exit(1);
+      }
+      console.log("No type errors found");
+    } catch (error) {
+      console.error(`Check Error: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  const filepath = args.find((arg, i) => !arg.startsWith("--") && !VALUE_FLAGS.includes(args[i - 1]));
+  if (!filepath || !fs.existsSync(filepath)) {
     console.error(`Error: File not found: ${filepath}`);
     process.exit(1);
   }
 
-  try {
-    engine.runFile(filepath);
-  } catch (error) {
-    console.error(`Runtime Error: ${error.message}`);
+  engine.runFile(filepath, { echo: args.includes("--echo"), ...limits }).catch(error => {
+    console.error(`Runtime Error: ${describeError(error)}`);
     process.exit(1);
-  }
+  });
 }
 
 if (require.main === module) {
@@ -155,3 +359,4 @@ if (require.main === module) {
 }
 
 module.exports = LumosEngine;
+module.exports.LimitExceeded = LimitExceeded;
@@ -1,39 +1,963 @@
-class Backend {
+const {
+  blockLoop, patternBindings, packArguments, spreadSegments, bindArguments, fillDefaults, builtinType,
+  expandAssignment, matchChain, matchValues, renameClash
+} = require('../lowering');
+const { inferTypes } = require('../../core/typechecker');
+
+// printf conversions for scalar types; arrays and structs are expanded.
+const FORMATS = { int: '%d', double: '%g', char: '%c', 'const char *': '%s', bool: '%s' };
+
+const C_TYPES = { int: 'int', float: 'double', string: 'const char *', bool: 'bool', void: 'void' };
+
+// An annotation as it was written, for error messages.
+function annotationText(type) {
+  const text = type.type === 'FunctionType'
+    ? `(${type.parameters.map(annotationText).join(', ')}) -> ${annotationText(type.returns)}`
+    : type.arguments.length ? `${type.name}<${type.arguments.map(annotationText).join(', ')}>` : type.name;
+  return type.nullable ? `${text}?` : text;
+}
+
+// Helpers emitted on demand, with the headers they need.
+const HELPERS = {
+  format: {
+    includes: ['stdarg.h', 'stdlib.h'],
+    code: [
+      'static char *format(const char *fmt, ...) {',
+      '    va_list args;',
+      '    va_start(args, fmt);',
+      '    int length = vsnprintf(NULL, 0, fmt, args);',
+      '    va_end(args);',
+      '    char *text = malloc(length + 1);',
+      '    va_start(args, fmt);',
+      '    vsnprintf(text, length + 1, fmt, args);',
+      '    va_end(args);',
+      '    return text;',
+      '}'
+    ]
+  },
+  power: {
+    includes: [],
+    code: [
+      'static int power(int base, int exponent) {',
+      '    int result = 1;',
+      '    while (exponent-- > 0) {',
+      '        result *= base;',
+      '    }',
+      '    return result;',
+      '}'
+    ]
+  }
+};
+
+class CBackend {
   generate(ast, options = {}) {
     this.output = [];
     this.indent = 0;
-    this.generateNode(ast);
+    this.indentStr = '    ';
+    this.types = {};
+    this.functions = {};
+    this.structs = {};
+    this.helpers = new Set();
+    this.includes = new Set(['stdio.h']);
+    this.valueCount = 0;
+    this.generateNode(inferTypes(ast));
     return this.output.join('\n');
   }
 
   generateNode(node) {
     if (!node) return '';
+
     switch (node.type) {
-      case 'Program': return this.generateProgram(node);
-      case 'VariableDeclaration': return this.generateVariableDeclaration(node);
-      case 'FunctionDeclaration': return this.generateFunctionDeclaration(node);
-      default: return '';
+      case 'Program':
+        return this.generateProgram(node);
+      case 'VariableDeclaration':
+        return this.generateVariableDeclaration(node);
+      case 'DestructuringDeclaration':
+        return this.generateDestructuringDeclaration(node);
+      case 'FunctionDeclaration':
+        return this.generateFunctionDeclaration(node);
+      case 'IfStatement':
+        return this.generateIfStatement(node);
+      case 'WhileStatement':
+        return this.generateWhileStatement(node);
+      case 'ForStatement':
+        return this.generateForStatement(node);
+      case 'ForInStatement':
+        return this.generateForInStatement(node);
+      case 'ReturnStatement':
+        return this.write(node.value ? `return ${this.generateNode(node.value)};` : 'return;');
+      case 'Break':
+        return this.write('break;');
+      case 'Continue':
+        return this.write('continue;');
+      case 'ExpressionStatement':
+        return this.generateExpressionStatement(node);
+      case 'MatchStatement':
+        return matchChain(node, `subject${this.valueCount++}`, {}).statements.forEach(statement => this.generateNode(statement));
+      case 'MatchExpression':
+        return this.generateMatchExpression(node);
+      case 'Assignment':
+        if (node.operator === '**=') {
+          return this.generateNode(expandAssignment(node));
+        }
+        return `${this.generateNode(node.target)} ${node.operator} ${this.generateNode(node.value)}`;
+      case 'BinaryExpression':
+        return this.generateBinaryExpression(node);
+      case 'ConditionalExpression':
+        return `(${this.generateNode(node.test)} ? ${this.generateNode(node.consequent)} : ${this.generateNode(node.alternate)})`;
+      case 'OptionalChain':
+        throw new Error('Optional chaining is not supported by the C backend');
+      case 'UnaryExpression': {
+        const operator = node.operator === 'not' ? '!' : node.operator;
+        const operand = this.generateNode(node.operand);
+        // Keeps `- -x` from reading as a decrement.
+        return operator === operand[0] && '+-'.includes(operator) ? `${operator} ${operand}` : `${operator}${operand}`;
+      }
+      case 'UpdateExpression':
+        return node.prefix
+          ? `${node.operator}${this.generateNode(node.argument)}`
+          : `${this.generateNode(node.argument)}${node.operator}`;
+      case 'CallExpression':
+        return this.generateCallExpression(node);
+      case 'IndexExpression':
+        return this.generateIndexExpression(node);
+      case 'MemberExpression':
+        return `${this.generateNode(node.object)}.${node.property}`;
+      case 'Identifier':
+        return node.name;
+      case 'Literal':
+        return this.generateLiteral(node.value);
+      case 'InterpolatedString':
+        return this.generateInterpolatedString(node);
+      case 'ArrayLiteral':
+      case 'SliceExpression':
+      case 'RangeExpression':
+        return this.generateArray(node).code;
+      case 'ObjectLiteral':
+      case 'RestProperties':
+        return this.generateStruct(node);
+      case 'ClassDeclaration':
+      case 'NewExpression':
+        throw new Error('Classes are not supported by the C backend');
+      case 'StructDeclaration':
+      case 'EnumDeclaration':
+      case 'InterfaceDeclaration':
+        throw new Error('Structs, enums and interfaces are not supported by the C backend');
+      case 'Lambda':
+        throw new Error('Lambdas are not supported by the C backend');
+      default:
+        throw new Error(`Unknown node type: ${node.type}`);
     }
   }
 
-  generateProgram(node) {
-    for (const stmt of node.statements) {
-      this.generateNode(stmt);
+  generateProgram(program) {
+    const node = renameClash(program, 'main');
+    const functions = node.statements.filter(stmt => stmt.type === 'FunctionDeclaration');
+    const main = node.statements.filter(stmt => !functions.includes(stmt));
+    for (const func of functions) {
+      this.functions[func.name] = func;
+    }
+
+    const body = this.capture(() => {
+      for (const func of functions) {
+        this.generateNode(func);
+      }
+      this.write('int main(void) {');
+      this.indent++;
+      for (const statement of main) {
+        this.generateNode(statement);
+      }
+      this.write('return 0;');
+      this.indent--;
+      this.write('}');
+    });
+
+    for (const helper of this.helpers) {
+      HELPERS[helper].includes.forEach(name => this.includes.add(name));
+    }
+    for (const name of [...this.includes].sort()) {
+      this.write(`#include <${name}>`);
+    }
+    this.write('');
+
+    for (const [name, fields] of Object.entries(this.structs)) {
+      this.write('typedef struct {');
+      for (const [key, type] of fields) {
+        this.write(`${this.indentStr}${this.declarator(type, key)};`);
+      }
+      this.write(`} ${name};`);
+      this.write('');
+    }
+    for (const helper of this.helpers) {
+      this.output.push(...HELPERS[helper].code, '');
     }
+    this.output.push(...body);
   }
 
   generateVariableDeclaration(node) {
-    const value = node.initializer ? this.generateNode(node.initializer) : 'null';
-    this.write(`var ${node.name} = ${value};`);
+    const type = node.typeAnnotation ? this.cType(node.typeAnnotation) : 'int';
+    if (!node.initializer) {
+      this.types[node.name] = type;
+      if (type.endsWith('[]')) {
+        this.write(`${this.declarator(type.slice(0, -2), `*${node.name}`)} = NULL;`);
+        this.write(`size_t ${node.name}_len = 0;`);
+      } else {
+        this.write(`${this.declarator(type, node.name)};`);
+      }
+      return;
+    }
+    this.declare(node.name, node.initializer, node.keyword === 'const', node.typeAnnotation ? type : undefined);
+  }
+
+  // Arrays are declared as a pointer (or array) plus a `name_len` length,
+  // which is what every array-typed expression is lowered against.
+  declare(name, value, constant = false, type = this.typeOf(value)) {
+    const qualifier = constant && !type.endsWith('[]') && type !== 'const char *' ? 'const ' : '';
+    this.types[name] = type;
+    if (!type.endsWith('[]')) {
+      this.write(`${qualifier}${this.declarator(type, name)} = ${this.generateNode(value)};`);
+      return;
+    }
+
+    const array = this.generateArray(value, type);
+    const element = type.slice(0, -2);
+    if (array.literal) {
+      this.write(`${this.declarator(element, `${name}[]`)} = ${array.literal};`);
+    } else {
+      this.write(`${this.declarator(element, `*${name}`)} = ${array.code};`);
+    }
+    this.write(`size_t ${name}_len = ${array.length};`);
+  }
+
+  // C has no destructuring: each name becomes its own declaration, read
+  // straight out of the initializer when it is a literal, otherwise out of
+  // a temporary.
+  generateDestructuringDeclaration(node) {
+    const constant = node.keyword === 'const';
+    if (node.initializer.type === 'ArrayLiteral' && node.pattern.type === 'ArrayPattern' &&
+        !node.initializer.elements.some(element => element.type === 'SpreadElement')) {
+      return this.destructureLiteral(node.pattern, node.initializer, constant);
+    }
+
+    let source = node.initializer;
+    if (source.type !== 'Identifier') {
+      const name = `value${this.valueCount++}`;
+      this.declare(name, source);
+      source = { type: 'Identifier', name };
+    }
+    for (const [name, access] of patternBindings(node.pattern, source)) {
+      this.declare(name, access, constant);
+    }
+  }
+
+  destructureLiteral(pattern, literal, constant) {
+    pattern.elements.forEach((element, index) => {
+      const value = literal.elements[index] || { type: 'Literal', value: 0 };
+      if (element.type === 'IdentifierPattern') {
+        this.declare(element.name, value, constant);
+      } else if (element.type === 'ArrayPattern' && value.type === 'ArrayLiteral') {
+        this.destructureLiteral(element, value, constant);
+      } else if (element.type !== 'WildcardPattern') {
+        const name = `value${this.valueCount++}`;
+        this.declare(name, value);
+        for (const [binding, access] of patternBindings(element, { type: 'Identifier', name })) {
+          this.declare(binding, access, constant);
+        }
+      }
+    });
+    if (pattern.rest) {
+      const elements = literal.elements.slice(pattern.elements.length);
+      this.declare(pattern.rest, { type: 'ArrayLiteral', elements }, constant);
+    }
   }
 
   generateFunctionDeclaration(node) {
-    this.write(`function ${node.name}() {}`);
+    const saved = this.types;
+    this.types = { ...saved };
+    const params = this.generateParameters(node);
+    const type = this.functionType(node);
+    if (type.endsWith('[]')) {
+      throw new Error(`C functions cannot return arrays: ${node.name}`);
+    }
+    this.write(`${this.declarator(type, node.name)}(${params || 'void'}) {`);
+    this.generateBlock(node.body);
+    this.write('}');
+    this.write('');
+    this.types = saved;
+  }
+
+  generateParameters(node) {
+    if (node.blockParameter) {
+      throw new Error('Block parameters are not supported by the C backend');
+    }
+    const defaults = node.defaults || {};
+    const types = node.parameterTypes || {};
+    return node.parameters.map(param => {
+      if (param === node.restParameter) {
+        this.types[param] = types[param] ? this.cType(types[param]) : 'int[]';
+        return `${this.declarator(this.types[param].slice(0, -2), `*${param}`)}, size_t ${param}_len`;
+      }
+      // C has no type that holds any value, so a parameter nothing tells
+      // the type of can't be declared.
+      if (types[param]) {
+        this.types[param] = this.cType(types[param]);
+      } else if (param in defaults) {
+        this.types[param] = this.typeOf(defaults[param]);
+      } else {
+        throw new Error(`The C backend cannot tell the type of parameter ${param} of ${node.name}; annotate it or call ${node.name} with it`);
+      }
+      if (this.types[param].endsWith('[]')) {
+        return `${this.declarator(this.types[param].slice(0, -2), `*${param}`)}, size_t ${param}_len`;
+      }
+      return this.declarator(this.types[param], param);
+    }).join(', ');
+  }
+
+  // A function's declared return type, or the one its returns have.
+  functionType(node) {
+    return node.returnType ? this.cType(node.returnType) : this.returnType(node.body);
+  }
+
+  // The C type of a Lumos annotation. Lists are arrays, as list literals
+  // are; anything C has no plain type for is rejected.
+  cType(type) {
+    const name = type.type === 'TypeName' && C_TYPES[type.name];
+    if (type.type === 'TypeName' && type.name === 'list' && type.arguments.length === 1) {
+      const element = this.cType(type.arguments[0]);
+      if (element.endsWith('[]')) throw new Error('C arrays cannot hold nested arrays');
+      return `${element}[]`;
+    }
+    if (!name || (type.nullable && name !== 'const char *')) {
+      throw new Error(`The C backend cannot use the type ${annotationText(type)}`);
+    }
+    if (name === 'bool') this.includes.add('stdbool.h');
+    return name;
+  }
+
+  generateIfStatement(node) {
+    this.write(`if (${this.generateCondition(node.condition)}) {`);
+    this.generateBlock(node.thenBranch);
+
+    for (const elif of node.elifBranches || []) {
+      this.write(`} else if (${this.generateCondition(elif.condition)}) {`);
+      this.generateBlock(elif.body);
+    }
+
+    if (node.elseBranch) {
+      this.write('} else {');
+      this.generateBlock(node.elseBranch);
+    }
+
+    this.write('}');
+  }
+
+  // A match is an if-chain. A match expression assigns its value to a
+  // temporary declared before the current statement, so one of its cases
+  // has to match every value.
+  generateMatchExpression(node) {
+    const type = this.typeOf(node);
+    if (type.endsWith('[]')) {
+      throw new Error('Match expressions in the C backend cannot give arrays');
+    }
+    const name = `match${this.valueCount++}`;
+    const target = { type: 'Identifier', name };
+    const result = value => ({ type: 'ExpressionStatement', expression: { type: 'Assignment', operator: '=', target, value } });
+    const { statements, exhaustive } = matchChain(node, `subject${this.valueCount++}`, {}, result);
+    if (!exhaustive) {
+      throw new Error('Match expressions in the C backend need a case that matches every value');
+    }
+    this.types[name] = type;
+    this.write(`${this.declarator(type, name)};`);
+    statements.forEach(statement => this.generateNode(statement));
+    return name;
+  }
+
+  generateWhileStatement(node) {
+    this.write(`while (${this.generateCondition(node.condition)}) {`);
+    this.generateBlock(node.body);
+    this.write('}');
+  }
+
+  generateCondition(node) {
+    const condition = this.generateNode(node);
+    return condition.startsWith('(') && condition.endsWith(')') ? condition.slice(1, -1) : condition;
+  }
+
+  generateForStatement(node) {
+    const step = this.generateNode(node.step);
+    const iterator = node.iterator;
+    this.types[iterator] = 'int';
+    const update = step === '1' ? `${iterator}++` : `${iterator} += ${step}`;
+    this.write(`for (int ${iterator} = ${this.generateNode(node.start)}; ${iterator} <= ${this.generateNode(node.end)}; ${update}) {`);
+    this.generateBlock(node.body);
+    this.write('}');
+  }
+
+  generateForInStatement(node) {
+    const [first, second] = node.variables;
+    const type = this.typeOf(node.iterable);
+
+    if (node.iterable.type === 'RangeExpression') {
+      this.types[first] = 'int';
+      this.write(`for (int ${first} = ${this.generateNode(node.iterable.start)}; ${first} <= ${this.generateNode(node.iterable.end)}; ${first}++) {`);
+      this.generateBlock(node.body);
+    } else if (type === 'const char *') {
+      const index = second ? first : `index${this.valueCount++}`;
+      const value = second || first;
+      const string = this.generateNode(node.iterable);
+      this.types[index] = 'int';
+      this.types[value] = 'char';
+      this.write(`for (int ${index} = 0; ${string}[${index}] != '\\0'; ${index}++) {`);
+      this.indent++;
+      this.write(`char ${value} = ${string}[${index}];`);
+      this.indent--;
+      this.generateBlock(node.body);
+    } else if (type.endsWith('[]')) {
+      const index = second ? first : `index${this.valueCount++}`;
+      const value = second || first;
+      const array = this.generateArray(node.iterable);
+      const element = type.slice(0, -2);
+      this.types[index] = 'int';
+      this.types[value] = element;
+      this.write(`for (int ${index} = 0; ${index} < (int) (${array.length}); ${index}++) {`);
+      this.indent++;
+      this.write(`${this.declarator(element, value)} = ${array.code}[${index}];`);
+      this.indent--;
+      this.generateBlock(node.body);
+    } else {
+      throw new Error('The C backend can only iterate over ranges, strings and arrays');
+    }
+    this.write('}');
+  }
+
+  generateExpressionStatement(node) {
+    const loop = blockLoop(node.expression, expr => this.structs[this.typeOf(expr)] ? 'object' : null);
+    if (loop) {
+      return this.generateForInStatement(loop);
+    }
+    this.write(`${this.generateNode(node.expression)};`);
+  }
+
+  generateBinaryExpression(node) {
+    switch (node.operator) {
+      case '??':
+        return this.generateCoalesce(node);
+      case 'in':
+      case 'not in':
+        return this.generateContains(node);
+      case 'is':
+      case 'is not':
+        return this.generateTypeCheck(node);
+      case '===':
+      case '!==':
+        return this.generateBinaryExpression({ ...node, operator: node.operator.slice(0, 2) });
+    }
+
+    const left = this.generateNode(node.left);
+    const right = this.generateNode(node.right);
+    const types = [this.typeOf(node.left), this.typeOf(node.right)];
+
+    if (['==', '!='].includes(node.operator) && types.every(type => type === 'const char *')) {
+      this.includes.add('string.h');
+      return `(strcmp(${left}, ${right}) ${node.operator} 0)`;
+    }
+    if (node.operator === '+' && types.includes('const char *')) {
+      return this.generateFormat(node.left, node.right);
+    }
+    // Integers are raised by a helper, so only fractions need libm's pow.
+    if (node.operator === '**') {
+      if (this.typeOf(node) === 'int') {
+        this.helpers.add('power');
+        return `power(${left}, ${right})`;
+      }
+      this.includes.add('math.h');
+      return `pow(${left}, ${right})`;
+    }
+
+    const operatorMap = {
+      'and': '&&',
+      'or': '||'
+    };
+    const op = operatorMap[node.operator] || node.operator;
+    return `(${left} ${op} ${right})`;
+  }
+
+  // Only strings can be NULL here; every other type has a value.
+  generateCoalesce(node) {
+    if (node.left.type === 'Literal' && node.left.value === null) {
+      return this.generateNode(node.right);
+    }
+    const left = this.generateNode(node.left);
+    if (this.typeOf(node.left) !== 'const char *') return left;
+    return `(${left} != NULL ? ${left} : ${this.generateNode(node.right)})`;
+  }
+
+  // Struct fields are known when compiling, strings use strstr and arrays
+  // are scanned by a loop written ahead of the expression.
+  generateContains(node) {
+    const negate = node.operator === 'not in';
+    const type = this.typeOf(node.right);
+    this.includes.add('stdbool.h');
+    if (this.structs[type]) {
+      if (node.left.type !== 'Literal') {
+        throw new Error('The C backend can only test structs for literal keys');
+      }
+      const found = this.structs[type].some(([key]) => key === node.left.value);
+      return String(found !== negate);
+    }
+    const value = this.generateNode(node.left);
+    if (type === 'const char *') {
+      this.includes.add('string.h');
+      return `(strstr(${this.generateNode(node.right)}, ${value}) ${negate ? '==' : '!='} NULL)`;
+    }
+    if (!type.endsWith('[]')) {
+      throw new Error(`The C backend cannot test membership in ${type}`);
+    }
+    const array = this.generateArray(node.right);
+    const element = type.slice(0, -2);
+    const name = `found${this.valueCount++}`;
+    let test = `${array.code}[index] == ${value}`;
+    if (element === 'const char *') {
+      this.includes.add('string.h');
+      test = `strcmp(${array.code}[index], ${value}) == 0`;
+    }
+    this.write(`bool ${name} = false;`);
+    this.write(`for (int index = 0; index < (int) (${array.length}) && !${name}; index++) {`);
+    this.write(`${this.indentStr}${name} = ${test};`);
+    this.write('}');
+    return negate ? `!${name}` : name;
+  }
+
+  // Values carry no type at run time, so the check is settled by the
+  // static type. Only strings can hold null.
+  generateTypeCheck(node) {
+    const negate = node.operator === 'is not';
+    const name = builtinType(node.right);
+    if (!name) {
+      throw new Error('Type checks against classes are not supported by the C backend');
+    }
+    this.includes.add('stdbool.h');
+    const type = this.typeOf(node.left);
+    if (name === 'Null') {
+      if (type !== 'const char *') return String(negate);
+      return `(${this.generateNode(node.left)} ${negate ? '!=' : '=='} NULL)`;
+    }
+    const kinds = { int: 'Number', double: 'Number', bool: 'Boolean', 'const char *': 'String' };
+    const kind = this.structs[type] ? 'Object' : type.endsWith('[]') ? 'Array' : kinds[type];
+    if (name === 'String' && type === 'const char *') {
+      return `(${this.generateNode(node.left)} ${negate ? '==' : '!='} NULL)`;
+    }
+    return String((kind === name) !== negate);
+  }
+
+  generateCallExpression(node) {
+    if (node.callee.type === 'Identifier') {
+      switch (node.callee.name) {
+        case 'print':
+        case 'println': {
+          const [format, values] = this.formatArguments(node.arguments, ' ');
+          return `printf(${[JSON.stringify(`${format}\n`), ...values].join(', ')})`;
+        }
+        case 'len': {
+          const [arg] = node.arguments;
+          const type = this.typeOf(arg);
+          if (type === 'const char *') {
+            this.includes.add('string.h');
+            return `(int) strlen(${this.generateNode(arg)})`;
+          }
+          if (this.structs[type]) return String(this.structs[type].length);
+          return `(int) (${this.generateArray(arg).length})`;
+        }
+        case 'str':
+          return this.generateFormat(node.arguments[0]);
+      }
+    }
+
+    if (node.block) {
+      throw new Error('Blocks are not supported by the C backend');
+    }
+    const func = node.callee.type === 'Identifier' ? this.functions[node.callee.name] : null;
+    return `${this.generateNode(node.callee)}(${this.generateArguments(node.arguments, func, node.callee.name)})`;
+  }
+
+  // Rest parameters are a pointer and a length, so the arguments of known
+  // functions are packed the way Lumos binds them and the rest is passed as
+  // an array. C has no default or keyword arguments, so they are filled in
+  // here too.
+  generateArguments(args, func, name) {
+    if (!func) {
+      return args.map(arg => this.generateNode(arg)).join(', ');
+    }
+    let packed = packArguments(args, func);
+    if (args.some(arg => arg.type === 'NamedArgument') || Object.keys(func.defaults || {}).length > 0) {
+      const values = bindArguments(args, func);
+      const rest = func.restParameter ? [values.pop()] : [];
+      packed = [...fillDefaults(values, func, name), ...rest];
+    }
+    // Arguments for list parameters are passed with their length.
+    const types = func.parameterTypes || {};
+    const argument = (arg, param) => {
+      if (!types[param] || !this.cType(types[param]).endsWith('[]')) return this.generateNode(arg);
+      const array = this.generateArray(arg, this.cType(types[param]));
+      return `${array.code}, ${array.length}`;
+    };
+    if (!func.restParameter) {
+      return packed.map((arg, index) => argument(arg, func.parameters[index])).join(', ');
+    }
+
+    const rest = packed.pop();
+    const values = packed.map((arg, index) => argument(arg, func.parameters[index]));
+    if (rest.elements.length === 0) {
+      values.push('NULL', '0');
+    } else {
+      const only = rest.elements.length === 1 && rest.elements[0].type === 'SpreadElement';
+      const type = types[func.restParameter] ? this.cType(types[func.restParameter]) : 'int[]';
+      const array = this.generateArray(only ? rest.elements[0].argument : rest, type);
+      values.push(array.code, array.length);
+    }
+    return values.join(', ');
+  }
+
+  generateIndexExpression(node) {
+    const fields = this.structs[this.typeOf(node.object)];
+    if (fields && node.index.type === 'Literal') {
+      return `${this.generateNode(node.object)}.${node.index.value}`;
+    }
+    const type = this.typeOf(node.object);
+    const object = type.endsWith('[]') ? this.generateArray(node.object).code : this.generateNode(node.object);
+    return `${object}[${this.generateNode(node.index)}]`;
+  }
+
+  // Returns the code for an array value along with its length. Literals
+  // without spreads can be used as initializers; anything else that has to
+  // be built is written to a temporary before the current statement.
+  generateArray(node, type = this.typeOf(node)) {
+    const element = type.slice(0, -2);
+    switch (node.type) {
+      case 'Identifier':
+        return { code: node.name, length: `${node.name}_len` };
+      case 'SliceExpression': {
+        const array = this.generateArray(node.object);
+        return { code: `${array.code} + ${node.start}`, length: `${array.length} - ${node.start}` };
+      }
+      case 'ArrayLiteral': {
+        if (node.elements.some(item => ['ArrayLiteral', 'ObjectLiteral'].includes(item.type) && !this.structs[this.typeOf(item)])) {
+          throw new Error('C arrays cannot hold nested arrays');
+        }
+        const segments = spreadSegments(node.elements);
+        if (segments.every(Array.isArray)) {
+          const literal = `{${(segments[0] || []).map(item => this.generateNode(item)).join(', ')}}`;
+          const length = String(node.elements.length);
+          return { code: `(${this.declarator(element, '')}[])${literal}`, length, literal };
+        }
+        return this.buildArray(segments, element);
+      }
+      case 'RangeExpression': {
+        const name = `range${this.valueCount++}`;
+        const start = this.generateNode(node.start);
+        const length = `${this.generateNode(node.end)} - ${start} + 1`;
+        this.write(`int ${name}[${length}];`);
+        this.write(`for (int index = 0; index < ${length}; index++) {`);
+        this.write(`${this.indentStr}${name}[index] = ${start} + index;`);
+        this.write('}');
+        return { code: name, length: `(size_t) (${length})` };
+      }
+      default:
+        throw new Error(`The C backend cannot use ${node.type} as an array`);
+    }
+  }
+
+  buildArray(segments, element) {
+    this.includes.add('string.h');
+    const name = `values${this.valueCount++}`;
+    const parts = segments.map(segment => Array.isArray(segment)
+      ? { items: segment.map(item => this.generateNode(item)) }
+      : this.generateArray(segment.argument));
+    const length = parts.map(part => part.items ? String(part.items.length) : part.length).join(' + ');
+    this.write(`${this.declarator(element, `${name}[${length}]`)};`);
+    this.write(`size_t ${name}_len = 0;`);
+    for (const part of parts) {
+      if (part.items) {
+        part.items.forEach(item => this.write(`${name}[${name}_len++] = ${item};`));
+      } else {
+        this.write(`memcpy(${name} + ${name}_len, ${part.code}, (${part.length}) * sizeof *${name});`);
+        this.write(`${name}_len += ${part.length};`);
+      }
+    }
+    return { code: name, length: `${name}_len` };
+  }
+
+  // Objects become structs with one typedef per distinct shape; spreads and
+  // rest properties copy the fields they keep.
+  generateStruct(node) {
+    const type = this.typeOf(node);
+    const values = {};
+    if (node.type === 'RestProperties') {
+      const object = this.generateNode(node.object);
+      for (const [key] of this.structs[type]) {
+        values[key] = `${object}.${key}`;
+      }
+    } else {
+      for (const prop of node.properties) {
+        if (prop.type === 'SpreadElement') {
+          const object = this.generateNode(prop.argument);
+          for (const [key] of this.structs[this.typeOf(prop.argument)]) {
+            values[key] = `${object}.${key}`;
+          }
+        } else {
+          values[prop.key] = this.generateNode(prop.value);
+        }
+      }
+    }
+    const fields = Object.entries(values).map(([key, value]) => `.${key} = ${value}`);
+    return `(${type}){${fields.join(', ')}}`;
+  }
+
+  structType(fields) {
+    if (fields.some(([, type]) => type.endsWith('[]'))) {
+      throw new Error('C structs cannot hold arrays');
+    }
+    const shape = JSON.stringify(fields);
+    const existing = Object.entries(this.structs).find(([, known]) => JSON.stringify(known) === shape);
+    if (existing) return existing[0];
+    const name = `Object${Object.keys(this.structs).length + 1}`;
+    this.structs[name] = fields;
+    return name;
+  }
+
+  generateInterpolatedString(node) {
+    return this.generateFormat(...node.parts);
+  }
+
+  generateFormat(...parts) {
+    const [format, values] = this.formatArguments(parts, '');
+    if (values.length === 0) return JSON.stringify(format);
+    this.helpers.add('format');
+    return `format(${[JSON.stringify(format), ...values].join(', ')})`;
+  }
+
+  // Builds a printf format and its arguments. String literals go straight
+  // into the format, structs are spelled out field by field and arrays are
+  // joined into a string before the current statement.
+  formatArguments(args, separator) {
+    const formats = [];
+    const values = [];
+    for (const arg of args) {
+      if (arg.type === 'Literal' && typeof arg.value === 'string') {
+        formats.push(arg.value.replace(/%/g, '%%'));
+        continue;
+      }
+      const [format, ...argValues] = this.formatValue(this.typeOf(arg), arg);
+      formats.push(format);
+      values.push(...argValues);
+    }
+    return [formats.join(separator), values];
+  }
+
+  formatValue(type, node, code = null) {
+    const value = code || this.generateNode(node);
+    const fields = this.structs[type];
+    if (fields) {
+      const parts = fields.map(([key, fieldType]) => [key, ...this.formatValue(fieldType, null, `${value}.${key}`)]);
+      return [
+        `{${parts.map(([key, format]) => `${key}: ${format}`).join(', ')}}`,
+        ...parts.flatMap(([, , ...values]) => values)
+      ];
+    }
+    if (type.endsWith('[]')) {
+      const array = this.generateArray(node);
+      const element = type.slice(0, -2);
+      const name = `text${this.valueCount++}`;
+      this.helpers.add('format');
+      this.write(`char *${name} = format("[");`);
+      this.write(`for (int index = 0; index < (int) (${array.length}); index++) {`);
+      this.write(`${this.indentStr}${name} = format(index == 0 ? "%s${FORMATS[element]}" : "%s, ${FORMATS[element]}", ${name}, ${this.formatScalar(element, `${array.code}[index]`)});`);
+      this.write('}');
+      this.write(`${name} = format("%s]", ${name});`);
+      return ['%s', name];
+    }
+    return [FORMATS[type] || '%d', this.formatScalar(type, value)];
+  }
+
+  formatScalar(type, value) {
+    return type === 'bool' ? `${value} ? "true" : "false"` : value;
+  }
+
+  generateLiteral(value) {
+    if (value === null) return 'NULL';
+    if (typeof value === 'string') return JSON.stringify(value);
+    return String(value);
+  }
+
+  // Static type of an expression, as far as it can be told from the source.
+  typeOf(node) {
+    if (!node) return 'int';
+    switch (node.type) {
+      case 'Literal':
+        if (typeof node.value === 'string') return 'const char *';
+        if (typeof node.value === 'boolean') {
+          this.includes.add('stdbool.h');
+          return 'bool';
+        }
+        if (typeof node.value === 'number') return Number.isInteger(node.value) ? 'int' : 'double';
+        // NULL is a pointer, and strings are the only pointers Lumos values become.
+        return node.value === null ? 'const char *' : 'int';
+      case 'InterpolatedString':
+        return 'const char *';
+      case 'ArrayLiteral': {
+        const types = node.elements.map(element => element.type === 'SpreadElement'
+          ? this.typeOf(element.argument).slice(0, -2)
+          : this.typeOf(element));
+        return `${this.commonType(types)}[]`;
+      }
+      case 'ObjectLiteral': {
+        const fields = new Map();
+        for (const prop of node.properties) {
+          if (prop.type === 'SpreadElement') {
+            for (const [key, type] of this.structs[this.typeOf(prop.argument)] || []) {
+              fields.set(key, type);
+            }
+          } else {
+            fields.set(prop.key, this.typeOf(prop.value));
+          }
+        }
+        return this.structType([...fields]);
+      }
+      case 'RestProperties': {
+        const fields = this.structs[this.typeOf(node.object)] || [];
+        return this.structType(fields.filter(([key]) => !node.keys.includes(key)));
+      }
+      case 'RangeExpression':
+        return 'int[]';
+      case 'Identifier':
+        return this.types[node.name] || 'int';
+      case 'BinaryExpression': {
+        if (['==', '!=', '===', '!==', '<', '<=', '>', '>=', 'and', 'or', '&&', '||', 'in', 'not in', 'is', 'is not'].includes(node.operator)) {
+          this.includes.add('stdbool.h');
+          return 'bool';
+        }
+        if (node.operator === '??') return this.nullableType([node.left, node.right]);
+        if (node.operator === '**') {
+          // A negative exponent gives a fraction even for integers.
+          const negative = node.right.type === 'UnaryExpression' && node.right.operator === '-';
+          return !negative && this.typeOf(node.left) === 'int' && this.typeOf(node.right) === 'int' ? 'int' : 'double';
+        }
+        const types = [this.typeOf(node.left), this.typeOf(node.right)];
+        if (node.operator === '+' && types.includes('const char *')) return 'const char *';
+        return this.commonType(types);
+      }
+      case 'ConditionalExpression':
+        return this.nullableType([node.consequent, node.alternate]);
+      case 'MatchExpression':
+        return this.nullableType(matchValues(node, {}));
+      case 'UnaryExpression':
+        return node.operator === 'not' || node.operator === '!' ? 'bool' : this.typeOf(node.operand);
+      case 'UpdateExpression':
+        return this.typeOf(node.argument);
+      case 'IndexExpression': {
+        const type = this.typeOf(node.object);
+        const fields = this.structs[type];
+        if (fields) {
+          const field = fields.find(([key]) => key === node.index.value);
+          return field ? field[1] : 'int';
+        }
+        return type === 'const char *' ? 'char' : type.slice(0, -2);
+      }
+      case 'SliceExpression':
+        return this.typeOf(node.object);
+      case 'MemberExpression': {
+        const fields = this.structs[this.typeOf(node.object)] || [];
+        const field = fields.find(([key]) => key === node.property);
+        return field ? field[1] : 'int';
+      }
+      case 'CallExpression': {
+        if (node.callee.type !== 'Identifier') return 'int';
+        if (node.callee.name === 'len') return 'int';
+        if (node.callee.name === 'str') return 'const char *';
+        const func = this.functions[node.callee.name];
+        return func ? this.functionType(func) : 'int';
+      }
+      default:
+        return 'int';
+    }
+  }
+
+  commonType(types) {
+    const known = [...new Set(types)];
+    if (known.length === 0) return 'int';
+    if (known.length === 2 && known.includes('int') && known.includes('double')) return 'double';
+    if (known.length > 1) {
+      throw new Error(`C arrays need a single element type, got ${known.join(', ')}`);
+    }
+    return known[0];
+  }
+
+  // A null branch takes the type of the other one.
+  nullableType(nodes) {
+    const values = nodes.filter(node => !(node.type === 'Literal' && node.value === null));
+    return this.commonType(values.map(node => this.typeOf(node)));
+  }
+
+  declarator(type, name) {
+    return type.endsWith('*') ? `${type}${name}` : `${type} ${name}`.trimEnd();
+  }
+
+  returnType(body) {
+    const returns = [];
+    this.collectReturns(body, returns);
+    if (returns.length === 0) return 'void';
+    const saved = this.types;
+    this.types = { ...saved };
+    this.declareLocals(body);
+    const type = this.commonType(returns.map(value => this.typeOf(value)));
+    this.types = saved;
+    return type;
+  }
+
+  // Locals are typed before a function's return type is worked out, so a
+  // function returning one of its variables gets that variable's type.
+  declareLocals(body) {
+    for (const statement of body) {
+      if (statement.type === 'VariableDeclaration' && statement.initializer) {
+        this.types[statement.name] = this.typeOf(statement.initializer);
+      }
+    }
+  }
+
+  collectReturns(value, returns) {
+    if (Array.isArray(value)) {
+      value.forEach(item => this.collectReturns(item, returns));
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+    if (value.type === 'Lambda' || value.type === 'FunctionDeclaration') return;
+    if (value.type === 'ReturnStatement' && value.value) {
+      returns.push(value.value);
+      return;
+    }
+    Object.values(value).forEach(child => this.collectReturns(child, returns));
+  }
+
+  generateBlock(statements) {
+    this.indent++;
+    for (const statement of statements) {
+      this.generateNode(statement);
+    }
+    this.indent--;
+  }
+
+  capture(callback) {
+    const saved = this.output;
+    this.output = [];
+    callback();
+    const lines = this.output;
+    this.output = saved;
+    return lines;
   }
 
   write(line) {
-    this.output.push('  '.repeat(this.indent) + line);
+    this.output.push(line ? this.indentStr.repeat(this.indent) + line : line);
   }
 }
 
-module.exports = new Backend();
+module.exports = new CBackend();
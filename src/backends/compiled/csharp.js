@@ -1,3 +1,5 @@
+const CS_TYPES = { int: 'int', float: 'double', string: 'string', bool: 'bool', void: 'void', null: 'object', any: 'object' };
+
 class Backend {
   generate(ast, options = {}) {
     this.output = [];
@@ -12,6 +14,9 @@ class Backend {
       case 'Program': return this.generateProgram(node);
       case 'VariableDeclaration': return this.generateVariableDeclaration(node);
       case 'FunctionDeclaration': return this.generateFunctionDeclaration(node);
+      case 'Identifier': return node.name;
+      case 'Literal': return node.value === null ? 'null' : JSON.stringify(node.value);
+      case 'ArrayLiteral': return `new object[] { ${node.elements.map(element => this.generateNode(element)).join(', ')} }`;
       default: return '';
     }
   }
@@ -23,12 +28,66 @@ class Backend {
   }
 
   generateVariableDeclaration(node) {
+    if (node.typeAnnotation) {
+      const type = this.typeName(node.typeAnnotation);
+      this.write(node.initializer ? `${type} ${node.name} = ${this.generateNode(node.initializer)};` : `${type} ${node.name};`);
+      return;
+    }
     const value = node.initializer ? this.generateNode(node.initializer) : 'null';
     this.write(`var ${node.name} = ${value};`);
   }
 
   generateFunctionDeclaration(node) {
-    this.write(`function ${node.name}() {}`);
+    const types = node.parameterTypes || {};
+    const params = node.parameters.map(param => {
+      const type = types[param] ? this.typeName(types[param]) : 'object';
+      return param === node.restParameter ? `params ${type.endsWith('[]') ? type : 'object[]'} ${param}` : `${type} ${param}`;
+    });
+    const typeParameters = (node.typeParameters || []).length ? `<${node.typeParameters.join(', ')}>` : '';
+    const returns = node.returnType ? this.typeName(node.returnType) : 'object';
+    if (!node.generator) {
+      this.write(`static ${returns} ${node.name}${typeParameters}(${params.join(', ')}) {}`);
+      return;
+    }
+
+    // Generators become C# iterator methods. The backend has no statements
+    // yet, so a generator body can only be a run of yields.
+    const unsupported = node.body.find(stmt => stmt.type !== 'ExpressionStatement' || stmt.expression.type !== 'YieldExpression');
+    if (unsupported) {
+      throw new Error(`${unsupported.type} in generator ${node.name} is not supported by the C# backend`);
+    }
+    this.write(`static IEnumerable<${returns}> ${node.name}${typeParameters}(${params.join(', ')}) {`);
+    this.indent++;
+    for (const stmt of node.body) {
+      this.generateYield(stmt.expression);
+    }
+    this.write('yield break;');
+    this.indent--;
+    this.write('}');
+  }
+
+  generateYield(node) {
+    const value = node.argument ? this.generateNode(node.argument) : 'null';
+    if (value === '') {
+      throw new Error(`${node.argument.type} is not supported by the C# backend`);
+    }
+    this.write(node.delegate ? `foreach (var item in ${value}) yield return item;` : `yield return ${value};`);
+  }
+
+  typeName(type) {
+    let name;
+    if (type.type === 'FunctionType') {
+      const args = [...type.parameters, type.returns].map(arg => this.typeName(arg));
+      name = type.returns.name === 'void' ? (args.length > 1 ? `Action<${args.slice(0, -1).join(', ')}>` : 'Action') : `Func<${args.join(', ')}>`;
+    } else if (type.name === 'list') {
+      name = `${type.arguments.length ? this.typeName(type.arguments[0]) : 'object'}[]`;
+    } else if (type.name === 'map') {
+      const [key, value] = type.arguments.length ? type.arguments.map(arg => this.typeName(arg)) : ['string', 'object'];
+      name = `Dictionary<${key}, ${value}>`;
+    } else {
+      name = CS_TYPES[type.name] || type.name;
+    }
+    return type.nullable && !['string', 'object'].includes(name) ? `${name}?` : name;
   }
 
   write(line) {
@@ -1,39 +1,1133 @@
-class Backend {
+const {
+  blockLoop, patternBindings, packArguments, spreadSegments, bindArguments, fillDefaults,
+  classHierarchy, errorSubtypes, builtinType, unchain, expandAssignment, structClass, matchChain, matchValues,
+  renameClash
+} = require('../lowering');
+const { inferTypes } = require('../../core/typechecker');
+
+const GO_TYPES = { int: 'int', float: 'float64', string: 'string', bool: 'bool', any: 'any', void: '', null: 'any' };
+
+class GoBackend {
   generate(ast, options = {}) {
     this.output = [];
     this.indent = 0;
-    this.generateNode(ast);
+    this.indentStr = '\t';
+    this.types = {};
+    this.functions = {};
+    this.classes = {};
+    this.methods = Object.create(null);
+    this.superclasses = {};
+    this.fields = {};
+    this.structs = {};
+    this.enums = {};
+    this.interfaces = {};
+    this.declarations = {};
+    this.resolving = new Set();
+    this.valueCount = 0;
+    this.matchCount = 0;
+    this.generateNode(inferTypes(ast));
     return this.output.join('\n');
   }
 
   generateNode(node) {
     if (!node) return '';
+
     switch (node.type) {
-      case 'Program': return this.generateProgram(node);
-      case 'VariableDeclaration': return this.generateVariableDeclaration(node);
-      case 'FunctionDeclaration': return this.generateFunctionDeclaration(node);
-      default: return '';
+      case 'Program':
+        return this.generateProgram(node);
+      case 'VariableDeclaration':
+        return this.generateVariableDeclaration(node);
+      case 'DestructuringDeclaration':
+        return this.generateDestructuringDeclaration(node);
+      case 'FunctionDeclaration':
+        return this.generateFunctionDeclaration(node);
+      case 'ClassDeclaration':
+        return this.generateClassDeclaration(node);
+      case 'StructDeclaration':
+        return this.generateClassDeclaration(this.structs[node.name], true);
+      case 'EnumDeclaration':
+        return this.generateEnumDeclaration(node);
+      case 'InterfaceDeclaration':
+        return this.generateInterfaceDeclaration(node);
+      case 'IfStatement':
+        return this.generateIfStatement(node);
+      case 'WhileStatement':
+        return this.generateWhileStatement(node);
+      case 'ForStatement':
+        return this.generateForStatement(node);
+      case 'ForInStatement':
+        return this.generateForInStatement(node);
+      case 'ReturnStatement':
+        return this.write(node.value ? `return ${this.generateValue(node.value, this.declaredReturn)}` : 'return');
+      case 'Break':
+        return this.write('break');
+      case 'Continue':
+        return this.write('continue');
+      case 'ExpressionStatement':
+        return this.generateExpressionStatement(node);
+      case 'MatchStatement':
+        return this.generateMatchStatement(node);
+      case 'MatchExpression':
+        return this.generateMatchExpression(node);
+      case 'Assignment':
+        if (node.operator === '**=') {
+          return this.generateNode(expandAssignment(node));
+        }
+        return `${this.generateNode(node.target)} ${node.operator} ${this.generateNode(node.value)}`;
+      case 'BinaryExpression':
+        return this.generateBinaryExpression(node);
+      case 'ConditionalExpression':
+        return this.generateConditionalExpression(node);
+      case 'OptionalChain':
+        return this.generateNode(unchain(node));
+      case 'UnaryExpression':
+        return `${{ not: '!', '~': '^' }[node.operator] || node.operator}${this.generateNode(node.operand)}`;
+      case 'UpdateExpression':
+        return this.generateUpdateExpression(node);
+      case 'RangeExpression':
+        return this.generateRangeExpression(node);
+      case 'CallExpression':
+        return this.generateCallExpression(node);
+      case 'NewExpression':
+        return `New${this.generateNode(node.callee)}(${this.generateArguments(node.arguments, this.classes[node.callee.name], node.callee.name)})`;
+      case 'IndexExpression':
+        return `${this.generateNode(node.object)}[${this.generateNode(node.index)}]`;
+      case 'MemberExpression':
+        return this.generateMemberExpression(node);
+      case 'Identifier':
+        return node.name;
+      case 'Literal':
+        return this.generateLiteral(node.value);
+      case 'InterpolatedString':
+        return this.generateInterpolatedString(node);
+      case 'ArrayLiteral':
+        return this.generateArrayLiteral(node, this.typeOf(node));
+      case 'ObjectLiteral':
+        return this.generateObjectLiteral(node, this.typeOf(node));
+      case 'Lambda':
+        return this.generateLambda(node);
+      case 'SliceExpression':
+        return `${this.generateNode(node.object)}[${node.start}:]`;
+      case 'RestProperties':
+        return this.generateRestProperties(node);
+      default:
+        throw new Error(`Unknown node type: ${node.type}`);
     }
   }
 
-  generateProgram(node) {
-    for (const stmt of node.statements) {
-      this.generateNode(stmt);
+  generateProgram(program) {
+    // `func main` is the entry point, so the program's own `main` takes another name.
+    const node = renameClash(program, 'main');
+    const declarations = node.statements.filter(stmt => [
+      'FunctionDeclaration', 'ClassDeclaration', 'StructDeclaration', 'EnumDeclaration', 'InterfaceDeclaration'
+    ].includes(stmt.type));
+    const main = node.statements.filter(stmt => !declarations.includes(stmt));
+    this.superclasses = classHierarchy(node);
+    for (let stmt of declarations) {
+      if (stmt.type === 'FunctionDeclaration') {
+        this.functions[stmt.name] = stmt;
+      } else {
+        if (stmt.type === 'StructDeclaration') {
+          stmt = this.structs[stmt.name] = structClass(stmt);
+        } else if (stmt.type === 'EnumDeclaration') {
+          this.enums[stmt.name] = stmt;
+        } else if (stmt.type === 'InterfaceDeclaration') {
+          this.interfaces[stmt.name] = stmt;
+        }
+        this.declarations[stmt.name] = stmt;
+        this.declareFields(stmt);
+        if (stmt.type === 'ClassDeclaration') {
+          this.classes[stmt.name] = stmt.methods.find(method => method.name === 'constructor') || { parameters: [] };
+        }
+        for (const method of stmt.methods.filter(method => method.body)) {
+          (this.methods[method.name] = this.methods[method.name] || []).push(method);
+        }
+      }
+    }
+
+    const body = this.capture(() => {
+      for (const stmt of declarations) {
+        this.generateNode(stmt);
+      }
+      this.write('func main() {');
+      this.generateBlock(main);
+      this.write('}');
+    });
+
+    this.write('package main');
+    this.write('');
+    const imports = ['fmt', 'math', 'reflect', 'slices', 'strings'].filter(name => body.some(line => line.includes(`${name}.`)));
+    if (imports.length === 1) {
+      this.write(`import "${imports[0]}"`);
+      this.write('');
+    } else if (imports.length > 1) {
+      this.write('import (');
+      for (const name of imports) {
+        this.write(`\t"${name}"`);
+      }
+      this.write(')');
+      this.write('');
     }
+    this.output.push(...body);
   }
 
   generateVariableDeclaration(node) {
-    const value = node.initializer ? this.generateNode(node.initializer) : 'null';
-    this.write(`var ${node.name} = ${value};`);
+    if (node.typeAnnotation) {
+      const type = this.types[node.name] = this.goType(node.typeAnnotation);
+      if (node.initializer && node.initializer.type === 'Lambda') {
+        this.functions[node.name] = node.initializer;
+      }
+      this.write(node.initializer ? `var ${node.name} ${type} = ${this.generateValue(node.initializer, type)}` : `var ${node.name} ${type}`);
+      return;
+    }
+    if (!node.initializer || (node.initializer.type === 'Literal' && node.initializer.value === null)) {
+      this.types[node.name] = 'any';
+      this.write(`var ${node.name} any`);
+      return;
+    }
+    this.types[node.name] = this.typeOf(node.initializer);
+    if (node.initializer.type === 'Lambda') {
+      this.functions[node.name] = node.initializer;
+    }
+    this.write(`${node.name} := ${this.generateNode(node.initializer)}`);
+  }
+
+  // Go has no destructuring, so the value goes into a temporary (unless it is
+  // already a variable) and every name gets its own declaration.
+  generateDestructuringDeclaration(node) {
+    let source = node.initializer;
+    if (source.type !== 'Identifier') {
+      const name = `_value${this.valueCount++}`;
+      this.types[name] = this.typeOf(source);
+      this.write(`${name} := ${this.generateNode(source)}`);
+      source = { type: 'Identifier', name };
+    }
+
+    for (const [name, access] of patternBindings(node.pattern, source)) {
+      this.types[name] = this.typeOf(access);
+      this.write(`${name} := ${this.generateAccess(access)}`);
+    }
+  }
+
+  // Values read out of `[]any` or `map[string]any` need a type assertion
+  // before they can be indexed again.
+  generateAccess(node) {
+    if (node.type !== 'IndexExpression' && node.type !== 'SliceExpression' && node.type !== 'RestProperties') {
+      return this.generateNode(node);
+    }
+    let object = this.generateAccess(node.object);
+    if (this.typeOf(node.object) === 'any') {
+      const isKey = node.type === 'RestProperties' || typeof (node.index && node.index.value) === 'string';
+      object = `${object}.(${isKey ? 'map[string]any' : '[]any'})`;
+    }
+    return this.generateNode({ ...node, object: { type: 'Identifier', name: object } });
   }
 
   generateFunctionDeclaration(node) {
-    this.write(`function ${node.name}() {}`);
+    const saved = this.types;
+    this.types = { ...saved };
+    const params = this.generateParameters(node);
+    const returns = this.functionType(node);
+    const typeParameters = (node.typeParameters || []).length ? `[${node.typeParameters.join(', ')} any]` : '';
+    this.write(`func ${node.name}${typeParameters}(${params})${returns ? ` ${returns}` : ''} {`);
+    this.generateFunctionBody(node);
+    this.write('}');
+    this.write('');
+    this.types = saved;
+  }
+
+  // Values returned from a function with a declared type are built as that
+  // type.
+  generateFunctionBody(node) {
+    const saved = this.declaredReturn;
+    this.declaredReturn = node.returnType ? this.goType(node.returnType) : null;
+    this.generateBlock(node.body);
+    this.declaredReturn = saved;
+  }
+
+  // A function's declared return type, or the one its returns have.
+  functionType(node) {
+    if (node.returnType) return this.goType(node.returnType);
+    return this.returnType(node.expression ? [{ type: 'ReturnStatement', value: node.body }] : node.body);
+  }
+
+  // The Go type of a Lumos annotation. Null only fits types that have nil,
+  // so a nullable number, string or bool is `any`.
+  goType(type) {
+    let name;
+    if (type.type === 'FunctionType') {
+      const returns = this.goType(type.returns);
+      name = `func(${type.parameters.map(param => this.goType(param)).join(', ')})${returns ? ` ${returns}` : ''}`;
+    } else if (type.name === 'list') {
+      name = `[]${type.arguments.length ? this.goType(type.arguments[0]) : 'any'}`;
+    } else if (type.name === 'map') {
+      const [key, value] = type.arguments.length ? type.arguments.map(arg => this.goType(arg)) : ['string', 'any'];
+      name = `map[${key}]${value}`;
+    } else if (GO_TYPES[type.name] !== undefined) {
+      name = GO_TYPES[type.name];
+    } else if (this.declarations[type.name] && !this.isValueType(type.name)) {
+      name = `*${type.name}`;
+    } else {
+      name = type.name;
+    }
+    return type.nullable && ['int', 'float64', 'string', 'bool'].includes(name) ? 'any' : name;
+  }
+
+  // List and map literals are built with the type of the slot they fill.
+  generateValue(node, type) {
+    if (type && node.type === 'ArrayLiteral' && type.startsWith('[]')) return this.generateArrayLiteral(node, type);
+    if (type && node.type === 'ObjectLiteral' && type.startsWith('map[')) return this.generateObjectLiteral(node, type);
+    return this.generateNode(node);
+  }
+
+  generateParameters(node) {
+    const defaults = node.defaults || {};
+    const types = node.parameterTypes || {};
+    return node.parameters.map(param => {
+      if (types[param]) {
+        const type = this.goType(types[param]);
+        if (param === node.restParameter) {
+          this.types[param] = type;
+          return `${param} ...${this.elementType(type)}`;
+        }
+        this.types[param] = type;
+        return `${param} ${type}`;
+      }
+      if (param === node.blockParameter) {
+        this.types[param] = 'func(int) int';
+        return `${param} func(int) int`;
+      }
+      if (param === node.restParameter) {
+        this.types[param] = '[]int';
+        return `${param} ...int`;
+      }
+      this.types[param] = param in defaults ? this.typeOf(defaults[param]) : 'any';
+      return `${param} ${this.types[param]}`;
+    }).join(', ');
+  }
+
+  // Structs are returned by value, so assigning one copies it the way Lumos
+  // does; classes are shared through pointers.
+  generateClassDeclaration(node, value = false) {
+    const constructor = node.methods.find(method => method.name === 'constructor');
+    const methods = node.methods.filter(method => method !== constructor);
+    const type = value ? node.name : `*${node.name}`;
+
+    this.write(`type ${node.name} struct {`);
+    this.indent++;
+    if (node.superclass) {
+      this.write(node.superclass);
+    }
+    this.declareFields(node);
+    for (const prop of node.properties) {
+      this.write(`${prop.name} ${this.fields[node.name][prop.name]}`);
+    }
+    this.indent--;
+    this.write('}');
+    this.write('');
+
+    const saved = this.types;
+    this.types = { ...saved, this: type };
+    const params = constructor ? this.generateParameters(constructor) : '';
+    this.write(`func New${node.name}(${params}) ${type} {`);
+    this.indent++;
+    const fields = node.properties
+      .filter(prop => prop.initializer)
+      .map(prop => `${prop.name}: ${this.generateValue(prop.initializer, this.fields[node.name][prop.name])}`);
+    this.write(`this := ${value ? '' : '&'}${node.name}{${fields.join(', ')}}`);
+    this.superclassName = node.superclass;
+    if (constructor) {
+      for (const statement of constructor.body) {
+        this.generateNode(statement);
+      }
+    }
+    this.write('return this');
+    this.indent--;
+    this.write('}');
+    this.write('');
+    this.types = saved;
+
+    for (const method of [...methods, ...this.defaultMethods(node)]) {
+      this.generateMethod(method, `*${node.name}`);
+    }
+  }
+
+  // Fields are known before any code is generated, so methods can be typed
+  // wherever they are called from.
+  declareFields(node) {
+    if (node.type === 'EnumDeclaration') {
+      this.fields[node.name] = { variant: 'string' };
+      for (const variant of node.variants) {
+        for (const field of variant.fields) {
+          this.fields[node.name][field] = variant.fieldTypes[field] ? this.goType(variant.fieldTypes[field]) : 'int';
+        }
+      }
+    } else if (node.type === 'ClassDeclaration') {
+      this.fields[node.name] = { ...this.fields[node.superclass] };
+      for (const prop of node.properties) {
+        let type = prop.initializer ? this.typeOf(prop.initializer) : 'int';
+        if (prop.typeAnnotation) type = this.goType(prop.typeAnnotation);
+        this.fields[node.name][prop.name] = type;
+      }
+    }
+  }
+
+  generateMethod(method, receiver) {
+    const saved = this.types;
+    this.types = { ...saved, this: receiver };
+    const params = this.generateParameters(method);
+    const returns = this.functionType(method);
+    this.write(`func (this ${receiver}) ${method.name}(${params})${returns ? ` ${returns}` : ''} {`);
+    this.generateFunctionBody(method);
+    this.write('}');
+    this.write('');
+    this.types = saved;
+  }
+
+  // Go interfaces only list methods, so every type that implements one gets
+  // its own copy of the default methods it does not define.
+  defaultMethods(node) {
+    const defined = new Set(node.methods.map(method => method.name));
+    const defaults = [];
+    for (const name of node.interfaces || []) {
+      for (const method of this.interfaces[name] ? this.interfaces[name].methods : []) {
+        if (method.body && !defined.has(method.name)) {
+          defined.add(method.name);
+          defaults.push(method);
+        }
+      }
+    }
+    return defaults;
+  }
+
+  generateInterfaceDeclaration(node) {
+    this.write(`type ${node.name} interface {`);
+    this.indent++;
+    for (const method of node.methods) {
+      const saved = this.types;
+      this.types = { ...saved };
+      const params = this.generateParameters(method);
+      const returns = this.methodType(node.name, method.name);
+      this.types = saved;
+      this.write(`${method.name}(${params})${returns ? ` ${returns}` : ''}`);
+    }
+    this.indent--;
+    this.write('}');
+    this.write('');
+  }
+
+  // The return type of a method called on a value of type `name`. A
+  // method an interface only requires is typed by its first implementation,
+  // and one that calls itself is left as `any`.
+  methodType(name, methodName) {
+    const key = `${name}.${methodName}`;
+    const declaration = this.declarations[name];
+    if (!declaration || this.resolving.has(key)) return '';
+
+    let owner = declaration;
+    let method = this.findMethod(declaration, methodName);
+    if (method && method.returnType) return this.goType(method.returnType);
+    if (method && !method.body) {
+      owner = Object.values(this.declarations).find(type => (type.interfaces || []).includes(name) && this.findMethod(type, methodName));
+      method = owner && this.findMethod(owner, methodName);
+    }
+    if (!method || !method.body) return '';
+
+    const saved = this.types;
+    this.types = { this: owner.type === 'InterfaceDeclaration' || owner.type === 'EnumDeclaration' ? owner.name : `*${owner.name}` };
+    this.resolving.add(key);
+    this.generateParameters(method);
+    const type = this.functionType(method);
+    this.resolving.delete(key);
+    this.types = saved;
+    return type;
+  }
+
+  // A type's own method, one it inherits, or a default from an interface.
+  findMethod(declaration, methodName) {
+    for (let type = declaration; type; type = this.declarations[type.superclass]) {
+      const method = type.methods.find(candidate => candidate.name === methodName);
+      if (method) return method;
+      for (const name of type.interfaces || []) {
+        const found = this.declarations[name] && this.findMethod(this.declarations[name], methodName);
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+
+  // An enum is one struct tagged with its variant's name, holding the fields
+  // of every variant, so its values can be compared with `==`.
+  generateEnumDeclaration(node) {
+    this.write(`type ${node.name} struct {`);
+    this.indent++;
+    for (const [field, type] of Object.entries(this.fields[node.name])) {
+      this.write(`${field} ${type}`);
+    }
+    this.indent--;
+    this.write('}');
+    this.write('');
+
+    this.write(`func (this ${node.name}) String() string {`);
+    this.indent++;
+    const variants = node.variants.filter(variant => variant.fields.length > 0);
+    if (variants.length > 0) {
+      this.write('switch this.variant {');
+    }
+    for (const variant of variants) {
+      this.write(`case "${variant.name}":`);
+      this.indent++;
+      const values = variant.fields.map(field => `this.${field}`).join(', ');
+      this.write(`return fmt.Sprintf("${node.name}.${variant.name}(${variant.fields.map(() => '%v').join(', ')})", ${values})`);
+      this.indent--;
+    }
+    if (variants.length > 0) {
+      this.write('}');
+    }
+    this.write(`return "${node.name}." + this.variant`);
+    this.indent--;
+    this.write('}');
+    this.write('');
+
+    for (const method of [...node.methods, ...this.defaultMethods(node)]) {
+      this.generateMethod(method, node.name);
+    }
+  }
+
+  // `Enum.Variant` on its own or called with the variant's fields.
+  generateVariant(node, args = []) {
+    const enumNode = this.enums[node.object.name];
+    const variant = enumNode.variants.find(candidate => candidate.name === node.property);
+    if (!variant) {
+      throw new Error(`Enum ${enumNode.name} has no variant '${node.property}'`);
+    }
+    const func = { parameters: variant.fields };
+    const values = fillDefaults(bindArguments(args, func), func, `${enumNode.name}.${variant.name}`);
+    const fields = variant.fields.map((field, i) => `, ${field}: ${this.generateNode(values[i])}`);
+    return `${enumNode.name}{variant: "${variant.name}"${fields.join('')}}`;
+  }
+
+  // Interfaces are satisfied by values too, so only classes are checked
+  // through pointers.
+  isValueType(name) {
+    return Boolean(this.structs[name] || this.enums[name] || this.interfaces[name]);
+  }
+
+  isVariant(node) {
+    return node.type === 'MemberExpression' && node.object.type === 'Identifier' && Boolean(this.enums[node.object.name]);
+  }
+
+  generateIfStatement(node) {
+    this.write(`if ${this.generateCondition(node.condition)} {`);
+    this.generateBlock(node.thenBranch);
+
+    for (const elif of node.elifBranches || []) {
+      this.write(`} else if ${this.generateCondition(elif.condition)} {`);
+      this.generateBlock(elif.body);
+    }
+
+    if (node.elseBranch) {
+      this.write('} else {');
+      this.generateBlock(node.elseBranch);
+    }
+
+    this.write('}');
+  }
+
+  // Go has no pattern matching, so a match is an if-chain, and a match
+  // expression runs one in an inline function that returns each case's value.
+  generateMatchStatement(node) {
+    const { statements } = matchChain(node, `_match${this.matchCount++}`, this.enums);
+    statements.forEach(statement => this.generateNode(statement));
+  }
+
+  generateMatchExpression(node) {
+    const result = value => ({ type: 'ReturnStatement', value });
+    const { statements, exhaustive } = matchChain(node, `_match${this.matchCount++}`, this.enums, result);
+    return this.generateInline(this.typeOf(node), () => {
+      statements.forEach(statement => this.generateNode(statement));
+      if (!exhaustive) {
+        this.write('panic("No match case for value")');
+      }
+    });
+  }
+
+  generateWhileStatement(node) {
+    this.write(`for ${this.generateCondition(node.condition)} {`);
+    this.generateBlock(node.body);
+    this.write('}');
+  }
+
+  generateCondition(node) {
+    const condition = this.generateNode(node);
+    return condition.startsWith('(') && condition.endsWith(')') ? condition.slice(1, -1) : condition;
+  }
+
+  generateForStatement(node) {
+    const step = this.generateNode(node.step);
+    this.types[node.iterator] = 'int';
+    const update = step === '1' ? `${node.iterator}++` : `${node.iterator} += ${step}`;
+    this.write(`for ${node.iterator} := ${this.generateNode(node.start)}; ${node.iterator} <= ${this.generateNode(node.end)}; ${update} {`);
+    this.generateBlock(node.body);
+    this.write('}');
+  }
+
+  generateForInStatement(node) {
+    const [first, second] = node.variables;
+    const type = this.typeOf(node.iterable);
+
+    if (node.iterable.type === 'RangeExpression') {
+      this.types[first] = 'int';
+      this.write(`for ${first} := ${this.generateNode(node.iterable.start)}; ${first} <= ${this.generateNode(node.iterable.end)}; ${first}++ {`);
+    } else if (type.startsWith('map[')) {
+      this.types[first] = 'string';
+      if (second) {
+        this.types[second] = this.elementType(type);
+      }
+      this.write(`for ${first}${second ? `, ${second}` : ''} := range ${this.generateNode(node.iterable)} {`);
+    } else {
+      const element = type === 'string' ? 'rune' : this.elementType(type);
+      this.types[second || first] = element;
+      if (second) {
+        this.types[first] = 'int';
+      }
+      this.write(`for ${second ? `${first}, ${second}` : `_, ${first}`} := range ${this.generateNode(node.iterable)} {`);
+    }
+    this.generateBlock(node.body);
+    this.write('}');
+  }
+
+  generateExpressionStatement(node) {
+    const loop = blockLoop(node.expression, expr => this.typeOf(expr).startsWith('map[') ? 'object' : null);
+    if (loop) {
+      return this.generateForInStatement(loop);
+    }
+    if (node.expression.type === 'UpdateExpression') {
+      return this.write(`${this.generateNode(node.expression.argument)}${node.expression.operator}`);
+    }
+    this.write(this.generateNode(node.expression));
+  }
+
+  // ++ and -- are statements in Go, so inside an expression the step runs in
+  // an inline function that returns the new or the old value.
+  generateUpdateExpression(node) {
+    const target = this.generateNode(node.argument);
+    return this.generateInline(this.typeOf(node.argument), () => {
+      if (node.prefix) {
+        this.write(`${target}${node.operator}`);
+        this.write(`return ${target}`);
+      } else {
+        this.write(`value := ${target}`);
+        this.write(`${target}${node.operator}`);
+        this.write('return value');
+      }
+    });
+  }
+
+  generateBinaryExpression(node) {
+    if (node.operator === '??') {
+      return this.generateInline(this.typeOf(node), () => {
+        this.write(`if value := ${this.generateNode(node.left)}; value != nil {`);
+        this.indent++;
+        this.write('return value');
+        this.indent--;
+        this.write('}');
+        this.write(`return ${this.generateNode(node.right)}`);
+      });
+    }
+
+    const left = this.generateNode(node.left);
+    switch (node.operator) {
+      case 'in':
+        return this.generateContains(node.right, left);
+      case 'not in':
+        return `!${this.generateContains(node.right, left)}`;
+      case 'is':
+        return this.generateTypeCheck(left, node.right);
+      case 'is not':
+        return `!${this.generateTypeCheck(left, node.right)}`;
+    }
+    const right = this.generateNode(node.right);
+    if (node.operator === '**') {
+      const power = `math.Pow(float64(${left}), float64(${right}))`;
+      return this.typeOf(node) === 'int' ? `int(${power})` : power;
+    }
+    const operatorMap = {
+      'and': '&&',
+      'or': '||',
+      '===': '==',
+      '!==': '!='
+    };
+    const op = operatorMap[node.operator] || node.operator;
+    return `(${left} ${op} ${right})`;
+  }
+
+  // Go has no conditional operator, so one becomes an inline function.
+  generateConditionalExpression(node) {
+    return this.generateInline(this.typeOf(node), () => {
+      this.write(`if ${this.generateNode(node.test)} {`);
+      this.indent++;
+      this.write(`return ${this.generateNode(node.consequent)}`);
+      this.indent--;
+      this.write('}');
+      this.write(`return ${this.generateNode(node.alternate)}`);
+    });
+  }
+
+  generateInline(returns, body) {
+    const lines = this.capture(() => {
+      this.indent++;
+      body();
+      this.indent--;
+    });
+    return `func() ${returns} {\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}}()`;
+  }
+
+  generateContains(collection, value) {
+    const type = this.typeOf(collection);
+    if (type === 'string') {
+      return `strings.Contains(${this.generateNode(collection)}, ${value})`;
+    }
+    if (type.startsWith('map[')) {
+      return this.generateInline('bool', () => {
+        this.write(`_, ok := ${this.generateNode(collection)}[${value}]`);
+        this.write('return ok');
+      });
+    }
+    return `slices.Contains(${this.generateNode(collection)}, ${value})`;
+  }
+
+  // Subclasses embed their superclass, so a type switch on a class lists
+  // its subclasses too.
+  generateTypeCheck(value, type) {
+    if (this.isVariant(type)) {
+      return `(${value}.variant == "${type.property}")`;
+    }
+    const builtin = builtinType(type, this.classes);
+    if (builtin === 'Null') {
+      return `(${value} == nil)`;
+    }
+    const kinds = { Array: 'Slice', Object: 'Map', Function: 'Func' };
+    if (kinds[builtin]) {
+      return `(reflect.ValueOf(${value}).Kind() == reflect.${kinds[builtin]})`;
+    }
+    const types = {
+      Number: ['int', 'float64'],
+      String: ['string'],
+      Boolean: ['bool']
+    }[builtin] || errorSubtypes(type.name, this.superclasses).map(name => this.isValueType(name) ? name : `*${name}`);
+    return this.generateInline('bool', () => {
+      this.write(`switch any(${value}).(type) {`);
+      this.write(`case ${types.join(', ')}:`);
+      this.indent++;
+      this.write('return true');
+      this.indent--;
+      this.write('}');
+      this.write('return false');
+    });
+  }
+
+  generateRangeExpression(node) {
+    const lines = this.capture(() => {
+      this.indent++;
+      this.write('values := []int{}');
+      this.write(`for i := ${this.generateNode(node.start)}; i <= ${this.generateNode(node.end)}; i++ {`);
+      this.indent++;
+      this.write('values = append(values, i)');
+      this.indent--;
+      this.write('}');
+      this.write('return values');
+      this.indent--;
+    });
+    return `func() []int {\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}}()`;
+  }
+
+  generateCallExpression(node) {
+    if (this.isVariant(node.callee)) {
+      return this.generateVariant(node.callee, node.arguments);
+    }
+    if (node.callee.type === 'Identifier' && this.classes[node.callee.name]) {
+      return this.generateNode({ ...node, type: 'NewExpression' });
+    }
+    if (node.callee.type === 'Identifier') {
+      switch (node.callee.name) {
+        case 'print':
+        case 'println':
+          return `fmt.Println(${this.generateArguments(node.arguments)})`;
+        case 'len':
+          return `len(${this.generateArguments(node.arguments)})`;
+        case 'str':
+          return `fmt.Sprint(${this.generateArguments(node.arguments)})`;
+      }
+      if (node.callee.name === 'super' && this.superclassName) {
+        const parent = this.classes[this.superclassName];
+        return `this.${this.superclassName} = *New${this.superclassName}(${this.generateArguments(node.arguments, parent, 'super')})`;
+      }
+    }
+
+    const name = node.callee.type === 'MemberExpression' ? node.callee.property : node.callee.name;
+    const args = [this.generateArguments(node.arguments, this.calledFunction(node.callee), name)];
+    if (node.block) {
+      args.push(this.generateLambda(node.block));
+    }
+    return `${this.generateNode(node.callee)}(${args.filter(Boolean).join(', ')})`;
+  }
+
+  calledFunction(callee) {
+    if (callee.type === 'MemberExpression') {
+      const methods = this.methods[callee.property] || [];
+      return methods.length === 1 ? methods[0] : null;
+    }
+    return callee.type === 'Identifier' ? this.functions[callee.name] : null;
+  }
+
+  // Variadic parameters take a spread only as the whole trailing argument,
+  // so the arguments of known functions are packed the way Lumos binds them.
+  // Go has no default or keyword arguments, so every call passes them all.
+  generateArguments(args, func, name) {
+    if (!func) {
+      return args.map(arg => this.generateNode(arg)).join(', ');
+    }
+    let packed = packArguments(args, func);
+    if (args.some(arg => arg.type === 'NamedArgument') || Object.keys(func.defaults || {}).length > 0) {
+      const values = bindArguments(args, func);
+      const rest = func.restParameter ? [values.pop()] : [];
+      packed = [...fillDefaults(values, func, name), ...rest];
+    }
+    if (!func.restParameter) {
+      return packed.map(arg => this.generateNode(arg)).join(', ');
+    }
+
+    const rest = packed.pop();
+    const values = packed.map(arg => this.generateNode(arg));
+    if (rest.elements.length === 1 && rest.elements[0].type === 'SpreadElement') {
+      values.push(`${this.generateNode(rest.elements[0].argument)}...`);
+    } else if (rest.elements.some(element => element.type === 'SpreadElement')) {
+      values.push(`${this.generateArrayLiteral(rest, '[]int')}...`);
+    } else {
+      values.push(...rest.elements.map(element => this.generateNode(element)));
+    }
+    return values.join(', ');
+  }
+
+  generateMemberExpression(node) {
+    if (this.isVariant(node)) {
+      return this.generateVariant(node);
+    }
+    if (node.object.type === 'Identifier' && node.object.name === 'super') {
+      return `this.${this.superclassName}.${node.property}`;
+    }
+    return `${this.generateNode(node.object)}.${node.property}`;
+  }
+
+  generateLambda(node) {
+    const saved = this.types;
+    this.types = { ...saved };
+    const params = this.generateParameters(node);
+
+    let lines;
+    let returns;
+    if (node.expression) {
+      returns = this.typeOf(node.body);
+      lines = [`${this.indentStr.repeat(this.indent + 1)}return ${this.generateNode(node.body)}`];
+    } else {
+      const body = node.block ? this.blockBody(node.body) : node.body;
+      returns = this.returnType(body);
+      lines = this.capture(() => this.generateFunctionBody({ body }));
+    }
+    this.types = saved;
+
+    return `func(${params})${returns ? ` ${returns}` : ''} {\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}}`;
+  }
+
+  // Like blockBody in lowering, except that assignments and prints, which
+  // have no value in Go, are left as statements.
+  blockBody(body) {
+    const last = body[body.length - 1];
+    if (!last || last.type !== 'ExpressionStatement') return body;
+    const { expression } = last;
+    if (expression.type === 'Assignment' || (expression.type === 'CallExpression' &&
+        expression.callee.type === 'Identifier' && ['print', 'println'].includes(expression.callee.name))) {
+      return body;
+    }
+    return [...body.slice(0, -1), { type: 'ReturnStatement', value: expression }];
+  }
+
+  generateInterpolatedString(node) {
+    const args = [];
+    const format = node.parts.map(part => {
+      if (part.type === 'Literal' && typeof part.value === 'string') {
+        return JSON.stringify(part.value).slice(1, -1).replace(/%/g, '%%');
+      }
+      args.push(this.generateNode(part));
+      return '%v';
+    }).join('');
+    return `fmt.Sprintf("${format}", ${args.join(', ')})`;
+  }
+
+  generateLiteral(value) {
+    if (value === null) return 'nil';
+    if (typeof value === 'string') return JSON.stringify(value);
+    return String(value);
+  }
+
+  // Elements of a `[]any` are built as `[]any` and `map[string]any` too, so
+  // they can be asserted back without knowing their exact types.
+  generateArrayLiteral(node, type) {
+    const element = this.elementType(type);
+    const generateElement = value => element === 'any' && ['ArrayLiteral', 'ObjectLiteral'].includes(value.type)
+      ? this.generateNode({ ...value, forceAny: true })
+      : this.generateNode(value);
+
+    let code = null;
+    for (const segment of spreadSegments(node.elements)) {
+      if (Array.isArray(segment)) {
+        const values = segment.map(generateElement).join(', ');
+        code = code === null ? `${type}{${values}}` : `append(${code}, ${values})`;
+      } else {
+        code = `append(${code === null ? `${type}{}` : code}, ${this.generateNode(segment.argument)}...)`;
+      }
+    }
+    return code || `${type}{}`;
+  }
+
+  generateObjectLiteral(node, type) {
+    const element = this.elementType(type);
+    const entries = prop => {
+      const value = element === 'any' && ['ArrayLiteral', 'ObjectLiteral'].includes(prop.value.type)
+        ? this.generateNode({ ...prop.value, forceAny: true })
+        : this.generateNode(prop.value);
+      return `"${prop.key}": ${value}`;
+    };
+
+    const segments = spreadSegments(node.properties);
+    if (segments.every(Array.isArray)) {
+      return `${type}{${(segments[0] || []).map(entries).join(', ')}}`;
+    }
+
+    // Spreading copies entries one by one, which needs statements.
+    const lines = this.capture(() => {
+      this.indent++;
+      this.write(`merged := ${type}{}`);
+      for (const segment of segments) {
+        if (Array.isArray(segment)) {
+          for (const prop of segment) {
+            this.write(`merged[${entries(prop).replace(': ', '] = ')}`);
+          }
+        } else {
+          this.write(`for key, value := range ${this.generateNode(segment.argument)} {`);
+          this.indent++;
+          this.write('merged[key] = value');
+          this.indent--;
+          this.write('}');
+        }
+      }
+      this.write('return merged');
+      this.indent--;
+    });
+    return `func() ${type} {\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}}()`;
+  }
+
+  generateRestProperties(node) {
+    const type = this.typeOf(node.object);
+    const lines = this.capture(() => {
+      this.indent++;
+      this.write(`rest := ${type.startsWith('map[') ? type : 'map[string]any'}{}`);
+      this.write(`for key, value := range ${this.generateNode(node.object)} {`);
+      this.indent++;
+      if (node.keys.length > 0) {
+        this.write(`if ${node.keys.map(key => `key != "${key}"`).join(' && ')} {`);
+        this.indent++;
+      }
+      this.write('rest[key] = value');
+      if (node.keys.length > 0) {
+        this.indent--;
+        this.write('}');
+      }
+      this.indent--;
+      this.write('}');
+      this.write('return rest');
+      this.indent--;
+    });
+    return `func() ${type.startsWith('map[') ? type : 'map[string]any'} {\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}}()`;
+  }
+
+  // Static type of an expression, as far as it can be told from the source.
+  typeOf(node) {
+    if (!node) return 'any';
+    switch (node.type) {
+      case 'Literal':
+        if (typeof node.value === 'string') return 'string';
+        if (typeof node.value === 'boolean') return 'bool';
+        if (typeof node.value === 'number') return Number.isInteger(node.value) ? 'int' : 'float64';
+        return 'any';
+      case 'InterpolatedString':
+        return 'string';
+      case 'ArrayLiteral': {
+        if (node.forceAny) return '[]any';
+        const types = node.elements.map(element => element.type === 'SpreadElement'
+          ? this.elementType(this.typeOf(element.argument))
+          : this.typeOf(element));
+        return `[]${this.commonType(types)}`;
+      }
+      case 'ObjectLiteral': {
+        if (node.forceAny) return 'map[string]any';
+        const types = node.properties.map(prop => prop.type === 'SpreadElement'
+          ? this.elementType(this.typeOf(prop.argument))
+          : this.typeOf(prop.value));
+        return `map[string]${this.commonType(types)}`;
+      }
+      case 'RangeExpression':
+        return '[]int';
+      case 'Identifier':
+        return this.types[node.name] || 'any';
+      case 'BinaryExpression':
+        if (['==', '!=', '===', '!==', '<', '<=', '>', '>=', 'and', 'or', '&&', '||', 'in', 'not in', 'is', 'is not'].includes(node.operator)) return 'bool';
+        if (node.operator === '??') return this.nullableType([node.left, node.right]);
+        if (node.operator === '**') {
+          // A negative exponent gives a fraction even for integers.
+          const negative = node.right.type === 'UnaryExpression' && node.right.operator === '-';
+          return !negative && this.typeOf(node.left) === 'int' && this.typeOf(node.right) === 'int' ? 'int' : 'float64';
+        }
+        return this.commonType([this.typeOf(node.left), this.typeOf(node.right)]);
+      case 'UnaryExpression':
+        return node.operator === 'not' || node.operator === '!' ? 'bool' : this.typeOf(node.operand);
+      case 'UpdateExpression':
+        return this.typeOf(node.argument);
+      case 'ConditionalExpression':
+        return this.nullableType([node.consequent, node.alternate]);
+      case 'MatchExpression':
+        return this.nullableType(matchValues(node, this.enums));
+      case 'IndexExpression':
+      case 'SliceExpression':
+      case 'RestProperties': {
+        const type = this.typeOf(node.object);
+        if (node.type !== 'IndexExpression') return type;
+        return type === 'string' ? 'byte' : this.elementType(type);
+      }
+      case 'NewExpression':
+        return this.isValueType(node.callee.name) ? node.callee.name : `*${node.callee.name}`;
+      case 'Lambda':
+        return this.lambdaType(node);
+      case 'MemberExpression': {
+        if (this.isVariant(node)) return node.object.name;
+        const fields = this.fields[this.typeOf(node.object).replace(/^\*/, '')];
+        return (fields && fields[node.property]) || 'any';
+      }
+      case 'CallExpression': {
+        if (this.isVariant(node.callee)) return node.callee.object.name;
+        if (node.callee.type === 'Identifier' && this.classes[node.callee.name]) {
+          return this.typeOf({ ...node, type: 'NewExpression' });
+        }
+        if (node.callee.type === 'MemberExpression') {
+          return this.methodType(this.typeOf(node.callee.object).replace(/^\*/, ''), node.callee.property) || 'any';
+        }
+        if (node.callee.type !== 'Identifier') return 'any';
+        const callee = this.types[node.callee.name];
+        if (callee && callee.startsWith('func(')) {
+          return callee.slice(callee.indexOf(')') + 1).trim() || 'any';
+        }
+        if (node.callee.name === 'len') return 'int';
+        if (node.callee.name === 'str') return 'string';
+        const func = this.functions[node.callee.name];
+        if (!func) return 'any';
+        // What a generic function returns depends on the call.
+        const returns = this.functionType(func) || 'any';
+        return (func.typeParameters || []).some(param => new RegExp(`\\b${param}\\b`).test(returns)) ? 'any' : returns;
+      }
+      default:
+        return 'any';
+    }
+  }
+
+  lambdaType(node) {
+    const saved = this.types;
+    this.types = { ...saved };
+    const params = this.generateParameters(node).split(', ').filter(Boolean)
+      .map(param => param.slice(param.indexOf(' ') + 1));
+    const body = node.expression ? [{ type: 'ReturnStatement', value: node.body }] : node.body;
+    const returns = this.returnType(node.block ? this.blockBody(body) : body);
+    this.types = saved;
+    return `func(${params.join(', ')})${returns ? ` ${returns}` : ''}`;
+  }
+
+  // The type of either of `nodes`, where null fits only types that have nil.
+  nullableType(nodes) {
+    const values = nodes.filter(value => !(value.type === 'Literal' && value.value === null));
+    const type = this.commonType(values.map(value => this.typeOf(value)));
+    if (values.length === nodes.length) return type;
+    return /^(\*|\[\]|map\[|func\()/.test(type) ? type : 'any';
+  }
+
+  commonType(types) {
+    const known = [...new Set(types)];
+    if (known.length === 0) return 'any';
+    if (known.length === 2 && known.includes('int') && known.includes('float64')) return 'float64';
+    return known.length === 1 ? known[0] : 'any';
+  }
+
+  elementType(type) {
+    if (type.startsWith('[]')) return type.slice(2);
+    if (type.startsWith('map[string]')) return type.slice('map[string]'.length);
+    return 'any';
+  }
+
+  returnType(body) {
+    const returns = [];
+    this.collectReturns(body, returns);
+    if (returns.length === 0) return '';
+    const saved = this.types;
+    this.types = { ...saved };
+    this.declareLocals(body);
+    const type = this.commonType(returns.map(value => this.typeOf(value)));
+    this.types = saved;
+    return type;
+  }
+
+  // Locals are typed before a function's return type is worked out, so a
+  // function returning one of its variables gets that variable's type.
+  declareLocals(body) {
+    for (const statement of body) {
+      if (statement.type === 'VariableDeclaration' && statement.initializer) {
+        this.types[statement.name] = this.typeOf(statement.initializer);
+      }
+    }
+  }
+
+  collectReturns(value, returns) {
+    if (Array.isArray(value)) {
+      value.forEach(item => this.collectReturns(item, returns));
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+    if (value.type === 'Lambda' || value.type === 'FunctionDeclaration') return;
+    if (value.type === 'ReturnStatement' && value.value) {
+      returns.push(value.value);
+      return;
+    }
+    Object.values(value).forEach(child => this.collectReturns(child, returns));
+  }
+
+  generateBlock(statements) {
+    this.indent++;
+    for (const statement of statements) {
+      this.generateNode(statement);
+    }
+    this.indent--;
+  }
+
+  capture(callback) {
+    const saved = this.output;
+    this.output = [];
+    callback();
+    const lines = this.output;
+    this.output = saved;
+    return lines;
   }
 
   write(line) {
-    this.output.push('  '.repeat(this.indent) + line);
+    this.output.push(line ? this.indentStr.repeat(this.indent) + line : line);
   }
 }
 
-module.exports = new Backend();
+module.exports = new GoBackend();
@@ -1,39 +1,1198 @@
-class Backend {
+const {
+  blockLoop, patternBindings, packArguments, spreadSegments, bindArguments, fillDefaults, builtinType, unchain,
+  expandAssignment, structClass, matchChain, matchValues
+} = require('../lowering');
+const { inferTypes } = require('../../core/typechecker');
+
+const RESERVED = new Set([
+  'abstract', 'boolean', 'byte', 'char', 'double', 'final', 'float', 'int', 'long', 'native', 'package',
+  'private', 'protected', 'public', 'short', 'static', 'switch', 'synchronized', 'throws', 'transient',
+  'volatile', 'goto', 'instanceof', 'interface', 'enum', 'assert', 'default', 'case', 'char', 'void'
+]);
+
+const BOXED = { int: 'Integer', double: 'Double', boolean: 'Boolean', char: 'Character' };
+
+// Functional interfaces for lambdas over int parameters, keyed by parameter
+// count and return type, with the method that calls them.
+const FUNCTION_TYPES = {
+  '0:int': ['IntSupplier', 'getAsInt'],
+  '0:void': ['Runnable', 'run'],
+  '1:int': ['IntUnaryOperator', 'applyAsInt'],
+  '1:void': ['IntConsumer', 'accept'],
+  '2:int': ['IntBinaryOperator', 'applyAsInt']
+};
+
+// The method that calls each generic functional interface.
+const GENERIC_FUNCTIONS = {
+  Supplier: 'get', IntFunction: 'apply', Function: 'apply', BiFunction: 'apply', Consumer: 'accept', BiConsumer: 'accept'
+};
+
+const JAVA_TYPES = { int: 'int', float: 'double', string: 'String', bool: 'boolean', void: 'void', null: 'Object', any: 'Object' };
+
+class JavaBackend {
   generate(ast, options = {}) {
     this.output = [];
     this.indent = 0;
-    this.generateNode(ast);
+    this.indentStr = '    ';
+    this.types = {};
+    this.functions = {};
+    this.classes = {};
+    this.fields = {};
+    this.structs = {};
+    this.enums = {};
+    this.declarations = {};
+    this.resolving = new Set();
+    this.valueCount = 0;
+    this.matchCount = 0;
+    this.generateNode(inferTypes(ast));
     return this.output.join('\n');
   }
 
   generateNode(node) {
     if (!node) return '';
+
     switch (node.type) {
-      case 'Program': return this.generateProgram(node);
-      case 'VariableDeclaration': return this.generateVariableDeclaration(node);
-      case 'FunctionDeclaration': return this.generateFunctionDeclaration(node);
-      default: return '';
+      case 'Program':
+        return this.generateProgram(node);
+      case 'VariableDeclaration':
+        return this.generateVariableDeclaration(node);
+      case 'DestructuringDeclaration':
+        return this.generateDestructuringDeclaration(node);
+      case 'FunctionDeclaration':
+        return this.generateFunctionDeclaration(node);
+      case 'ClassDeclaration':
+        return this.generateClassDeclaration(node);
+      case 'StructDeclaration':
+        return this.generateClassDeclaration(this.structs[node.name], true);
+      case 'EnumDeclaration':
+        return this.generateEnumDeclaration(node);
+      case 'InterfaceDeclaration':
+        return this.generateInterfaceDeclaration(node);
+      case 'IfStatement':
+        return this.generateIfStatement(node);
+      case 'WhileStatement':
+        return this.generateWhileStatement(node);
+      case 'ForStatement':
+        return this.generateForStatement(node);
+      case 'ForInStatement':
+        return this.generateForInStatement(node);
+      case 'ReturnStatement':
+        return this.write(node.value ? `return ${this.generateValue(node.value, this.declaredReturn)};` : 'return;');
+      case 'Break':
+        return this.write('break;');
+      case 'Continue':
+        return this.write('continue;');
+      case 'ExpressionStatement':
+        return this.generateExpressionStatement(node);
+      case 'MatchStatement':
+        return this.generateMatchStatement(node);
+      case 'MatchExpression':
+        return this.generateMatchExpression(node);
+      case 'Assignment':
+        if (node.operator === '**=') {
+          return this.generateNode(expandAssignment(node));
+        }
+        return `${this.generateNode(node.target)} ${node.operator} ${this.generateNode(node.value)}`;
+      case 'BinaryExpression':
+        return this.generateBinaryExpression(node);
+      case 'ConditionalExpression':
+        return `(${this.generateCondition(node.test)} ? ${this.generateNode(node.consequent)} : ${this.generateNode(node.alternate)})`;
+      case 'OptionalChain':
+        return this.generateNode(unchain(node));
+      case 'UnaryExpression': {
+        const operator = node.operator === 'not' ? '!' : node.operator;
+        const operand = this.generateNode(node.operand);
+        // Keeps `- -x` from reading as a decrement.
+        return operator === operand[0] && '+-'.includes(operator) ? `${operator} ${operand}` : `${operator}${operand}`;
+      }
+      case 'UpdateExpression':
+        return node.prefix
+          ? `${node.operator}${this.generateNode(node.argument)}`
+          : `${this.generateNode(node.argument)}${node.operator}`;
+      case 'RangeExpression':
+        return `IntStream.rangeClosed(${this.generateNode(node.start)}, ${this.generateNode(node.end)}).toArray()`;
+      case 'CallExpression':
+        return this.generateCallExpression(node);
+      case 'NewExpression':
+        return `new ${node.callee.name}(${this.generateArguments(node.arguments, this.classes[node.callee.name], node.callee.name)})`;
+      case 'IndexExpression':
+        return this.generateIndexExpression(node);
+      case 'MemberExpression':
+        if (this.isVariant(node)) {
+          return this.generateVariant(node);
+        }
+        return `${this.generateNode(node.object)}.${node.property}`;
+      case 'Identifier':
+        return this.safeName(node.name);
+      case 'Literal':
+        return this.generateLiteral(node.value);
+      case 'InterpolatedString':
+        return this.generateInterpolatedString(node);
+      case 'ArrayLiteral':
+        return this.generateArrayLiteral(node, this.typeOf(node));
+      case 'ObjectLiteral':
+        return this.generateObjectLiteral(node, this.typeOf(node));
+      case 'Lambda':
+        return this.generateLambda(node);
+      case 'SliceExpression': {
+        const object = this.generateNode(node.object);
+        return `Arrays.copyOfRange(${object}, ${node.start}, ${object}.length)`;
+      }
+      case 'RestProperties': {
+        const type = this.typeOf(node.object);
+        const keys = node.keys.map(key => `"${key}"`).join(', ');
+        return `new HashMap<${this.mapTypes(type)}>(${this.generateNode(node.object)}) {{ keySet().removeAll(List.of(${keys})); }}`;
+      }
+      default:
+        throw new Error(`Unknown node type: ${node.type}`);
     }
   }
 
   generateProgram(node) {
-    for (const stmt of node.statements) {
-      this.generateNode(stmt);
+    const functions = node.statements.filter(stmt => stmt.type === 'FunctionDeclaration');
+    const classes = node.statements.filter(stmt => [
+      'ClassDeclaration', 'StructDeclaration', 'EnumDeclaration', 'InterfaceDeclaration'
+    ].includes(stmt.type));
+    const main = node.statements.filter(stmt => !functions.includes(stmt) && !classes.includes(stmt));
+    for (const func of functions) {
+      this.functions[func.name] = func;
     }
+    for (let cls of classes) {
+      if (cls.type === 'StructDeclaration') {
+        cls = this.structs[cls.name] = structClass(cls);
+      } else if (cls.type === 'EnumDeclaration') {
+        this.enums[cls.name] = cls;
+      }
+      this.declarations[cls.name] = cls;
+      this.declareFields(cls);
+      if (cls.type === 'ClassDeclaration') {
+        this.classes[cls.name] = cls.methods.find(method => method.name === 'constructor') || { parameters: [] };
+      }
+    }
+
+    const body = this.capture(() => {
+      for (const cls of classes) {
+        this.generateNode(cls);
+      }
+      this.write('public class Main {');
+      this.indent++;
+      for (const func of functions) {
+        this.generateNode(func);
+      }
+      this.write('public static void main(String[] args) {');
+      this.generateBlock(main);
+      this.write('}');
+      this.indent--;
+      this.write('}');
+    });
+
+    const imports = [
+      ['java.util.*', /\b(Arrays|List|Map|HashMap|Objects)\b/],
+      ['java.util.function.*', /\b(IntSupplier|Runnable|IntUnaryOperator|IntConsumer|IntBinaryOperator|Supplier|IntFunction|BiFunction)\b/],
+      ['java.util.stream.*', /\b(IntStream|DoubleStream|Stream)\b/]
+    ].filter(([, pattern]) => body.some(line => pattern.test(line)));
+    for (const [name] of imports) {
+      this.write(`import ${name};`);
+    }
+    if (imports.length > 0) {
+      this.write('');
+    }
+    this.output.push(...body);
   }
 
   generateVariableDeclaration(node) {
-    const value = node.initializer ? this.generateNode(node.initializer) : 'null';
-    this.write(`var ${node.name} = ${value};`);
+    const name = this.safeName(node.name);
+    if (node.typeAnnotation) {
+      const type = this.types[node.name] = this.javaType(node.typeAnnotation);
+      if (node.initializer && node.initializer.type === 'Lambda') {
+        this.functions[node.name] = node.initializer;
+      }
+      const value = node.initializer ? ` = ${this.generateValue(node.initializer, type)}` : '';
+      this.write(`${node.keyword === 'const' ? 'final ' : ''}${type} ${name}${value};`);
+      return;
+    }
+    if (!node.initializer || (node.initializer.type === 'Literal' && node.initializer.value === null)) {
+      this.types[node.name] = 'Object';
+      this.write(`Object ${name} = null;`);
+      return;
+    }
+
+    const type = this.typeOf(node.initializer);
+    this.types[node.name] = type;
+    if (node.initializer.type === 'Lambda') {
+      this.functions[node.name] = node.initializer;
+      this.write(`${type} ${name} = ${this.generateNode(node.initializer)};`);
+      return;
+    }
+    this.write(`${node.keyword === 'const' ? 'final ' : ''}var ${name} = ${this.generateNode(node.initializer)};`);
+  }
+
+  // Java has no destructuring, so the value goes into a temporary (unless it
+  // is already a variable) and every name gets its own declaration.
+  generateDestructuringDeclaration(node) {
+    const modifier = node.keyword === 'const' ? 'final ' : '';
+    let source = node.initializer;
+    if (source.type !== 'Identifier') {
+      const name = `value${this.valueCount++}`;
+      this.types[name] = this.typeOf(source);
+      this.write(`var ${name} = ${this.generateNode(source)};`);
+      source = { type: 'Identifier', name };
+    }
+
+    for (const [name, access] of patternBindings(node.pattern, source)) {
+      this.types[name] = this.typeOf(access);
+      this.write(`${modifier}var ${this.safeName(name)} = ${this.generateAccess(access)};`);
+    }
+  }
+
+  // Values read out of `Object[]` or `Map<String, Object>` are cast before
+  // they can be indexed again.
+  generateAccess(node) {
+    if (!['IndexExpression', 'SliceExpression', 'RestProperties'].includes(node.type)) {
+      return this.generateNode(node);
+    }
+    let object = this.generateAccess(node.object);
+    if (this.typeOf(node.object) === 'Object') {
+      const isKey = node.type === 'RestProperties' || typeof (node.index && node.index.value) === 'string';
+      object = `((${isKey ? 'Map<String, Object>' : 'Object[]'}) ${object})`;
+      this.types[object] = isKey ? 'Map<String, Object>' : 'Object[]';
+    }
+    return this.generateNode({ ...node, object: { type: 'Identifier', name: object } });
   }
 
   generateFunctionDeclaration(node) {
-    this.write(`function ${node.name}() {}`);
+    const saved = this.types;
+    this.types = { ...saved };
+    const params = this.generateParameters(node);
+    this.write(`static ${this.typeParameterList(node)}${this.functionType(node)} ${this.safeName(node.name)}(${params}) {`);
+    this.generateFunctionBody(node);
+    this.write('}');
+    this.write('');
+    this.types = saved;
+  }
+
+  // Values returned from a function with a declared type are built as that
+  // type.
+  generateFunctionBody(node) {
+    const saved = this.declaredReturn;
+    this.declaredReturn = node.returnType ? this.javaType(node.returnType) : null;
+    this.generateBlock(node.body);
+    this.declaredReturn = saved;
+  }
+
+  // A function's declared return type, or the one its returns have.
+  functionType(node) {
+    return node.returnType ? this.javaType(node.returnType) : this.returnType(node.body);
+  }
+
+  typeParameterList(node) {
+    return (node.typeParameters || []).length ? `<${node.typeParameters.join(', ')}> ` : '';
+  }
+
+  // The Java type of a Lumos annotation. Lists are arrays, as list literals
+  // are, and a nullable primitive is boxed.
+  javaType(type) {
+    let name;
+    if (type.type === 'FunctionType') {
+      name = this.functionInterface(type.parameters.map(param => this.javaType(param)), this.javaType(type.returns));
+    } else if (type.name === 'list') {
+      name = `${type.arguments.length ? this.javaType(type.arguments[0]) : 'Object'}[]`;
+    } else if (type.name === 'map') {
+      const [key, value] = type.arguments.length ? type.arguments.map(arg => this.boxed(this.javaType(arg))) : ['String', 'Object'];
+      name = `Map<${key}, ${value}>`;
+    } else {
+      name = JAVA_TYPES[type.name] || type.name;
+    }
+    return type.nullable ? this.boxed(name) : name;
+  }
+
+  // The functional interface for a lambda taking `params` and returning
+  // `returns`, preferring the ones specialised for int.
+  functionInterface(params, returns) {
+    if (params.every(param => param === 'int')) {
+      const known = FUNCTION_TYPES[`${params.length}:${returns}`];
+      if (known) return known[0];
+      if (params.length === 1) return `IntFunction<${this.boxed(returns)}>`;
+    }
+    const args = params.map(param => this.boxed(param));
+    if (returns === 'void') {
+      return ['Runnable', `Consumer<${args[0]}>`, `BiConsumer<${args.join(', ')}>`][params.length];
+    }
+    return [`Supplier<${this.boxed(returns)}>`, `Function<${args[0]}, ${this.boxed(returns)}>`,
+      `BiFunction<${args.join(', ')}, ${this.boxed(returns)}>`][params.length];
+  }
+
+  // List and map literals are built with the type of the slot they fill,
+  // and a whole number in a Double slot is written as one.
+  generateValue(node, type) {
+    if (type && node.type === 'ArrayLiteral' && type.endsWith('[]')) return this.generateArrayLiteral(node, type);
+    if (type && node.type === 'ObjectLiteral' && type.startsWith('Map<')) return this.generateObjectLiteral(node, type);
+    if (type === 'Double' && node.type === 'Literal' && Number.isInteger(node.value)) return `${node.value}.0`;
+    return this.generateNode(node);
+  }
+
+  generateParameters(node) {
+    const defaults = node.defaults || {};
+    const types = node.parameterTypes || {};
+    return node.parameters.map(param => {
+      const name = this.safeName(param);
+      if (types[param]) {
+        const type = this.types[param] = this.javaType(types[param]);
+        return param === node.restParameter ? `${this.elementType(type)}... ${name}` : `${type} ${name}`;
+      }
+      if (param === node.blockParameter) {
+        this.types[param] = 'IntUnaryOperator';
+        return `IntUnaryOperator ${name}`;
+      }
+      if (param === node.restParameter) {
+        this.types[param] = 'int[]';
+        return `int... ${name}`;
+      }
+      this.types[param] = param in defaults ? this.typeOf(defaults[param]) : 'Object';
+      return `${this.types[param]} ${name}`;
+    }).join(', ');
+  }
+
+  // Structs compare by their fields, but are still shared like any other
+  // object rather than copied.
+  generateClassDeclaration(node, value = false) {
+    const constructor = node.methods.find(method => method.name === 'constructor');
+    const methods = node.methods.filter(method => method !== constructor);
+    const superclass = node.superclass ? ` extends ${node.superclass}` : '';
+
+    this.superclass = node.superclass;
+    this.write(`class ${node.name}${superclass}${this.generateImplements(node)} {`);
+    this.indent++;
+    for (const prop of node.properties) {
+      const type = this.fields[node.name][prop.name];
+      this.write(prop.initializer
+        ? `${type} ${prop.name} = ${this.generateValue(prop.initializer, type)};`
+        : `${type} ${prop.name};`);
+    }
+
+    const saved = this.types;
+    if (constructor) {
+      this.types = { ...saved, this: node.name };
+      this.write('');
+      this.write(`${node.name}(${this.generateParameters(constructor)}) {`);
+      this.generateBlock(constructor.body);
+      this.write('}');
+    }
+
+    this.types = saved;
+    for (const method of methods) {
+      this.generateMethod(node, method);
+    }
+    if (value) {
+      this.generateEquals(node.name, node.properties.map(prop => prop.name));
+    }
+
+    this.indent--;
+    this.write('}');
+    this.write('');
+  }
+
+  // Interface methods are public, so their implementations must be too.
+  generateMethod(node, method) {
+    const saved = this.types;
+    this.types = { ...saved, this: node.name };
+    const params = this.generateParameters(method);
+    const access = this.interfaceMethod(node, method.name) ? 'public ' : '';
+    this.write('');
+    this.write(`${access}${this.typeParameterList(method)}${this.functionType(method)} ${method.name}(${params}) {`);
+    this.generateFunctionBody(method);
+    this.write('}');
+    this.types = saved;
+  }
+
+  interfaceMethod(node, methodName) {
+    for (let type = node; type; type = this.declarations[type.superclass]) {
+      if ((type.interfaces || []).some(name => this.declarations[name] && this.findMethod(this.declarations[name], methodName))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  generateImplements(node) {
+    return node.interfaces && node.interfaces.length > 0 ? ` implements ${node.interfaces.join(', ')}` : '';
+  }
+
+  generateEquals(name, fields) {
+    const checks = fields.map(field => this.isPrimitive(this.fields[name][field])
+      ? `${field} == that.${field}`
+      : `Objects.equals(${field}, that.${field})`);
+    this.write('');
+    this.write('@Override');
+    this.write('public boolean equals(Object other) {');
+    this.indent++;
+    this.write(`if (!(other instanceof ${name})) return false;`);
+    this.write(`${name} that = (${name}) other;`);
+    this.write(`return ${checks.length > 0 ? checks.join(' && ') : 'true'};`);
+    this.indent--;
+    this.write('}');
+    this.write('');
+    this.write('@Override');
+    this.write('public int hashCode() {');
+    this.indent++;
+    this.write(`return Objects.hash(${fields.join(', ')});`);
+    this.indent--;
+    this.write('}');
+  }
+
+  declareFields(node) {
+    if (node.type === 'EnumDeclaration') {
+      this.fields[node.name] = { variant: 'String' };
+      for (const variant of node.variants) {
+        for (const field of variant.fields) {
+          this.fields[node.name][field] = variant.fieldTypes[field] ? this.javaType(variant.fieldTypes[field]) : 'int';
+        }
+      }
+    } else if (node.type === 'ClassDeclaration') {
+      this.fields[node.name] = { ...this.fields[node.superclass] };
+      for (const prop of node.properties) {
+        let type = prop.initializer ? this.typeOf(prop.initializer) : 'int';
+        if (prop.typeAnnotation) type = this.javaType(prop.typeAnnotation);
+        this.fields[node.name][prop.name] = type;
+      }
+    }
+  }
+
+  generateInterfaceDeclaration(node) {
+    this.write(`interface ${node.name} {`);
+    this.indent++;
+    node.methods.forEach((method, i) => {
+      const saved = this.types;
+      this.types = { ...saved, this: node.name };
+      const params = this.generateParameters(method);
+      const returns = this.methodType(node.name, method.name);
+      if (i > 0) {
+        this.write('');
+      }
+      if (method.body) {
+        this.write(`default ${returns} ${method.name}(${params}) {`);
+        this.generateFunctionBody(method);
+        this.write('}');
+      } else {
+        this.write(`${returns} ${method.name}(${params});`);
+      }
+      this.types = saved;
+    });
+    this.indent--;
+    this.write('}');
+    this.write('');
+  }
+
+  // An enum is one class tagged with its variant's name, holding the fields
+  // of every variant. Unit variants are constants and the others are built
+  // by static methods of the same name.
+  generateEnumDeclaration(node) {
+    const fields = Object.keys(this.fields[node.name]).filter(field => field !== 'variant');
+    this.write(`class ${node.name}${this.generateImplements(node)} {`);
+    this.indent++;
+    this.write('final String variant;');
+    for (const field of fields) {
+      this.write(`${this.fields[node.name][field]} ${field};`);
+    }
+    this.write('');
+    this.write(`private ${node.name}(String variant) {`);
+    this.indent++;
+    this.write('this.variant = variant;');
+    this.indent--;
+    this.write('}');
+
+    for (const variant of node.variants) {
+      this.write('');
+      if (variant.fields.length === 0) {
+        this.write(`static final ${node.name} ${variant.name} = new ${node.name}("${variant.name}");`);
+        continue;
+      }
+      this.write(`static ${node.name} ${variant.name}(${variant.fields.map(field => `${this.fields[node.name][field]} ${field}`).join(', ')}) {`);
+      this.indent++;
+      this.write(`${node.name} value = new ${node.name}("${variant.name}");`);
+      for (const field of variant.fields) {
+        this.write(`value.${field} = ${field};`);
+      }
+      this.write('return value;');
+      this.indent--;
+      this.write('}');
+    }
+
+    this.generateEquals(node.name, ['variant', ...fields]);
+    this.write('');
+    this.write('@Override');
+    this.write('public String toString() {');
+    this.indent++;
+    for (const variant of node.variants.filter(variant => variant.fields.length > 0)) {
+      const values = variant.fields.join(' + ", " + ');
+      this.write(`if (variant.equals("${variant.name}")) return "${node.name}.${variant.name}(" + ${values} + ")";`);
+    }
+    this.write(`return "${node.name}." + variant;`);
+    this.indent--;
+    this.write('}');
+
+    for (const method of node.methods) {
+      this.generateMethod(node, method);
+    }
+    this.indent--;
+    this.write('}');
+    this.write('');
+  }
+
+  // `Enum.Variant` on its own or called with the variant's fields.
+  generateVariant(node, args) {
+    const enumNode = this.enums[node.object.name];
+    const variant = enumNode.variants.find(candidate => candidate.name === node.property);
+    if (!variant) {
+      throw new Error(`Enum ${enumNode.name} has no variant '${node.property}'`);
+    }
+    if (!args) {
+      return `${enumNode.name}.${variant.name}`;
+    }
+    const func = { parameters: variant.fields };
+    return `${enumNode.name}.${variant.name}(${this.generateArguments(args, func, `${enumNode.name}.${variant.name}`)})`;
+  }
+
+  isVariant(node) {
+    return node.type === 'MemberExpression' && node.object.type === 'Identifier' && Boolean(this.enums[node.object.name]);
+  }
+
+  // The return type of a method called on a value of type `name`. A
+  // method an interface only requires is typed by its first implementation,
+  // and one that calls itself is left as `Object`.
+  methodType(name, methodName) {
+    const key = `${name}.${methodName}`;
+    const declaration = this.declarations[name];
+    if (!declaration || this.resolving.has(key)) return 'Object';
+
+    let owner = declaration;
+    let method = this.findMethod(declaration, methodName);
+    if (method && method.returnType) return this.javaType(method.returnType);
+    if (method && !method.body) {
+      owner = Object.values(this.declarations).find(type => (type.interfaces || []).includes(name) && this.findMethod(type, methodName));
+      method = owner && this.findMethod(owner, methodName);
+    }
+    if (!method || !method.body) return 'Object';
+
+    const saved = this.types;
+    this.types = { this: owner.name };
+    this.resolving.add(key);
+    this.generateParameters(method);
+    const type = this.functionType(method);
+    this.resolving.delete(key);
+    this.types = saved;
+    return type;
+  }
+
+  // A type's own method, one it inherits, or one from an interface.
+  findMethod(declaration, methodName) {
+    for (let type = declaration; type; type = this.declarations[type.superclass]) {
+      const method = type.methods.find(candidate => candidate.name === methodName);
+      if (method) return method;
+      for (const name of type.interfaces || []) {
+        const found = this.declarations[name] && this.findMethod(this.declarations[name], methodName);
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+
+  generateIfStatement(node) {
+    this.write(`if (${this.generateCondition(node.condition)}) {`);
+    this.generateBlock(node.thenBranch);
+
+    for (const elif of node.elifBranches || []) {
+      this.write(`} else if (${this.generateCondition(elif.condition)}) {`);
+      this.generateBlock(elif.body);
+    }
+
+    if (node.elseBranch) {
+      this.write('} else {');
+      this.generateBlock(node.elseBranch);
+    }
+
+    this.write('}');
+  }
+
+  // Java's switch only matches constants, so a match is an if-chain, and a
+  // match expression runs one in a Supplier that returns each case's value.
+  generateMatchStatement(node) {
+    const { statements } = matchChain(node, `match${this.matchCount++}`, this.enums);
+    statements.forEach(statement => this.generateNode(statement));
+  }
+
+  generateMatchExpression(node) {
+    const result = value => ({ type: 'ReturnStatement', value });
+    const { statements, exhaustive } = matchChain(node, `match${this.matchCount++}`, this.enums, result);
+    const lines = this.capture(() => {
+      this.indent++;
+      statements.forEach(statement => this.generateNode(statement));
+      if (!exhaustive) {
+        this.write('throw new IllegalStateException("No match case for value");');
+      }
+      this.indent--;
+    });
+    const type = this.boxed(this.typeOf(node));
+    return `((Supplier<${type}>) () -> {\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}}).get()`;
+  }
+
+  generateWhileStatement(node) {
+    this.write(`while (${this.generateCondition(node.condition)}) {`);
+    this.generateBlock(node.body);
+    this.write('}');
+  }
+
+  generateCondition(node) {
+    const condition = this.generateNode(node);
+    return condition.startsWith('(') && condition.endsWith(')') ? condition.slice(1, -1) : condition;
+  }
+
+  generateForStatement(node) {
+    const step = this.generateNode(node.step);
+    const iterator = this.safeName(node.iterator);
+    this.types[node.iterator] = 'int';
+    const update = step === '1' ? `${iterator}++` : `${iterator} += ${step}`;
+    this.write(`for (int ${iterator} = ${this.generateNode(node.start)}; ${iterator} <= ${this.generateNode(node.end)}; ${update}) {`);
+    this.generateBlock(node.body);
+    this.write('}');
+  }
+
+  generateForInStatement(node) {
+    const [first, second] = node.variables.map(name => this.safeName(name));
+    const type = this.typeOf(node.iterable);
+    const iterable = this.generateNode(node.iterable);
+
+    if (node.iterable.type === 'RangeExpression') {
+      this.types[node.variables[0]] = 'int';
+      this.write(`for (int ${first} = ${this.generateNode(node.iterable.start)}; ${first} <= ${this.generateNode(node.iterable.end)}; ${first}++) {`);
+      this.generateBlock(node.body);
+    } else if (type.startsWith('Map<')) {
+      this.types[node.variables[0]] = 'String';
+      if (!second) {
+        this.write(`for (var ${first} : ${iterable}.keySet()) {`);
+        this.generateBlock(node.body);
+      } else {
+        this.types[node.variables[1]] = this.elementType(type);
+        this.write(`for (var entry : ${iterable}.entrySet()) {`);
+        this.indent++;
+        this.write(`var ${first} = entry.getKey();`);
+        this.write(`var ${second} = entry.getValue();`);
+        this.indent--;
+        this.generateBlock(node.body);
+      }
+    } else if (second) {
+      this.types[node.variables[0]] = 'int';
+      this.types[node.variables[1]] = type === 'String' ? 'char' : this.elementType(type);
+      const length = type === 'String' ? `${iterable}.length()` : `${iterable}.length`;
+      const element = type === 'String' ? `${iterable}.charAt(${first})` : `${iterable}[${first}]`;
+      this.write(`for (int ${first} = 0; ${first} < ${length}; ${first}++) {`);
+      this.indent++;
+      this.write(`var ${second} = ${element};`);
+      this.indent--;
+      this.generateBlock(node.body);
+    } else {
+      this.types[node.variables[0]] = type === 'String' ? 'char' : this.elementType(type);
+      this.write(`for (var ${first} : ${type === 'String' ? `${iterable}.toCharArray()` : iterable}) {`);
+      this.generateBlock(node.body);
+    }
+    this.write('}');
+  }
+
+  generateExpressionStatement(node) {
+    const loop = blockLoop(node.expression, expr => this.typeOf(expr).startsWith('Map<') ? 'object' : null);
+    if (loop) {
+      return this.generateForInStatement(loop);
+    }
+    this.write(`${this.generateNode(node.expression)};`);
+  }
+
+  generateBinaryExpression(node) {
+    if (['===', '!=='].includes(node.operator)) {
+      return this.generateBinaryExpression({ ...node, operator: node.operator.slice(0, 2) });
+    }
+    const left = this.generateNode(node.left);
+    switch (node.operator) {
+      case '??':
+        return this.isPrimitive(this.typeOf(node.left))
+          ? left
+          : `Objects.requireNonNullElse(${left}, ${this.generateNode(node.right)})`;
+      case 'in':
+        return this.generateContains(node.right, left);
+      case 'not in':
+        return `!${this.generateContains(node.right, left)}`;
+      case 'is':
+        return this.generateTypeCheck(node.left, left, node.right);
+      case 'is not':
+        return `!${this.generateTypeCheck(node.left, left, node.right)}`;
+    }
+    const right = this.generateNode(node.right);
+
+    const isNull = side => side.type === 'Literal' && side.value === null;
+    if (['==', '!='].includes(node.operator) && (isNull(node.left) || isNull(node.right))) {
+      return `(${left} ${node.operator} ${right})`;
+    }
+    if (['==', '!='].includes(node.operator) &&
+        [this.typeOf(node.left), this.typeOf(node.right)].some(type => !this.isPrimitive(type))) {
+      return `${node.operator === '!=' ? '!' : ''}Objects.equals(${left}, ${right})`;
+    }
+    if (node.operator === '**') {
+      return this.typeOf(node) === 'int' ? `(int) Math.pow(${left}, ${right})` : `Math.pow(${left}, ${right})`;
+    }
+
+    const operatorMap = {
+      'and': '&&',
+      'or': '||'
+    };
+    const op = operatorMap[node.operator] || node.operator;
+    return `(${left} ${op} ${right})`;
+  }
+
+  generateContains(collection, value) {
+    const type = this.typeOf(collection);
+    const code = this.generateNode(collection);
+    if (type === 'String') return `${code}.contains(${value})`;
+    if (type.startsWith('Map<')) return `${code}.containsKey(${value})`;
+    if (type === 'int[]') return `IntStream.of(${code}).anyMatch(value -> value == ${value})`;
+    if (type === 'double[]') return `DoubleStream.of(${code}).anyMatch(value -> value == ${value})`;
+    return `Arrays.asList(${code}).contains(${value})`;
+  }
+
+  // Primitives can only be the type they are declared with, so those are
+  // checked at compile time.
+  generateTypeCheck(node, value, type) {
+    if (this.isVariant(type)) {
+      return `${value}.variant.equals("${type.property}")`;
+    }
+    const builtin = builtinType(type, this.classes);
+    const known = this.typeOf(node);
+    if (builtin === 'Null') {
+      return this.isPrimitive(known) ? 'false' : `(${value} == null)`;
+    }
+    const types = {
+      Number: ['Number'],
+      String: ['String'],
+      Boolean: ['Boolean'],
+      Array: ['int[]', 'double[]', 'Object[]'],
+      Object: ['Map'],
+      Function: Object.values(FUNCTION_TYPES).map(([name]) => name)
+    }[builtin] || [this.generateNode(type)];
+    if (this.isPrimitive(known)) {
+      return String(types.includes(this.boxed(known)) || (builtin === 'Number' && known !== 'boolean' && known !== 'char'));
+    }
+    const checks = types.map(name => `${value} instanceof ${name}`);
+    return checks.length === 1 ? `(${checks[0]})` : `(${checks.join(' || ')})`;
+  }
+
+  generateCallExpression(node) {
+    if (this.isVariant(node.callee)) {
+      return this.generateVariant(node.callee, node.arguments);
+    }
+    if (node.callee.type === 'Identifier' && this.classes[node.callee.name]) {
+      return this.generateNode({ ...node, type: 'NewExpression' });
+    }
+    if (node.callee.type === 'Identifier') {
+      switch (node.callee.name) {
+        case 'print':
+        case 'println':
+          return this.generatePrint(node.arguments);
+        case 'len': {
+          const type = this.typeOf(node.arguments[0]);
+          const value = this.generateNode(node.arguments[0]);
+          if (type === 'String') return `${value}.length()`;
+          return type.startsWith('Map<') ? `${value}.size()` : `${value}.length`;
+        }
+        case 'str':
+          return `String.valueOf(${this.generateNode(node.arguments[0])})`;
+        case 'super':
+          return `super(${this.generateArguments(node.arguments, this.classes[this.superclass], 'super')})`;
+      }
+    }
+
+    const func = node.callee.type === 'Identifier' ? this.functions[node.callee.name] : null;
+    const args = [this.generateArguments(node.arguments, func, node.callee.name)];
+    if (node.block) {
+      args.push(this.generateLambda(node.block));
+    }
+    const callee = this.generateNode(node.callee);
+    const type = node.callee.type === 'Identifier' && this.types[node.callee.name];
+    const functionType = Object.values(FUNCTION_TYPES).find(([name]) => name === type);
+    const generic = type && GENERIC_FUNCTIONS[type.split('<')[0]];
+    const method = functionType ? `.${functionType[1]}` : generic ? `.${generic}` : '';
+    return `${callee}${method}(${args.filter(Boolean).join(', ')})`;
+  }
+
+  // Varargs take an array only as the whole trailing argument, so the
+  // arguments of known functions are packed the way Lumos binds them.
+  // Defaults and keyword arguments are resolved here, since Java has neither.
+  generateArguments(args, func, name) {
+    if (!func) {
+      return args.map(arg => this.generateNode(arg)).join(', ');
+    }
+    let packed = packArguments(args, func);
+    if (args.some(arg => arg.type === 'NamedArgument') || Object.keys(func.defaults || {}).length > 0) {
+      const values = bindArguments(args, func);
+      const rest = func.restParameter ? [values.pop()] : [];
+      packed = [...fillDefaults(values, func, name), ...rest];
+    }
+    if (!func.restParameter) {
+      return packed.map(arg => this.generateNode(arg)).join(', ');
+    }
+
+    const rest = packed.pop();
+    const values = packed.map(arg => this.generateNode(arg));
+    if (rest.elements.length === 1 && rest.elements[0].type === 'SpreadElement') {
+      values.push(this.generateNode(rest.elements[0].argument));
+    } else if (rest.elements.some(element => element.type === 'SpreadElement')) {
+      values.push(this.generateArrayLiteral(rest, 'int[]'));
+    } else {
+      values.push(...rest.elements.map(element => this.generateNode(element)));
+    }
+    return values.join(', ');
+  }
+
+  generatePrint(args) {
+    const values = args.map(arg => {
+      const type = this.typeOf(arg);
+      const value = this.generateNode(arg);
+      if (type === 'Object[]') return `Arrays.deepToString(${value})`;
+      return type.endsWith('[]') ? `Arrays.toString(${value})` : value;
+    });
+    if (values.length <= 1) {
+      return `System.out.println(${values.join('')})`;
+    }
+    const first = this.typeOf(args[0]) === 'String' ? values[0] : `String.valueOf(${values[0]})`;
+    return `System.out.println(${[first, ...values.slice(1)].join(' + " " + ')})`;
+  }
+
+  generateIndexExpression(node) {
+    const type = this.typeOf(node.object);
+    const object = this.generateNode(node.object);
+    if (type.startsWith('Map<')) {
+      return `${object}.get(${this.generateNode(node.index)})`;
+    }
+    if (type === 'String') {
+      return `${object}.charAt(${this.generateNode(node.index)})`;
+    }
+    return `${object}[${this.generateNode(node.index)}]`;
+  }
+
+  generateLambda(node) {
+    if (node.restParameter || node.parameters.length > 2) {
+      throw new Error('Java lambdas take at most two parameters and no rest parameter');
+    }
+    const saved = this.types;
+    this.types = { ...saved };
+    const types = node.parameterTypes || {};
+    const params = node.parameters.map(param => {
+      this.types[param] = types[param] ? this.javaType(types[param]) : 'int';
+      return this.safeName(param);
+    });
+    const paramList = params.length === 1 ? params[0] : `(${params.join(', ')})`;
+
+    let code;
+    if (node.expression) {
+      code = `${paramList} -> ${this.generateNode(node.body)}`;
+    } else {
+      const body = node.block ? this.blockBody(node.body) : node.body;
+      if (body.length === 1 && body[0].type === 'ReturnStatement' && body[0].value) {
+        code = `${paramList} -> ${this.generateNode(body[0].value)}`;
+      } else {
+        const lines = this.capture(() => this.generateBlock(body));
+        code = `${paramList} -> {\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}}`;
+      }
+    }
+    this.types = saved;
+    return code;
+  }
+
+  // Like blockBody in lowering, except that assignments and prints, which
+  // have no value in Java, are left as statements.
+  blockBody(body) {
+    const last = body[body.length - 1];
+    if (!last || last.type !== 'ExpressionStatement') return body;
+    const { expression } = last;
+    if (expression.type === 'Assignment' || (expression.type === 'CallExpression' &&
+        expression.callee.type === 'Identifier' && ['print', 'println'].includes(expression.callee.name))) {
+      return body;
+    }
+    return [...body.slice(0, -1), { type: 'ReturnStatement', value: expression }];
+  }
+
+  lambdaType(node) {
+    const saved = this.types;
+    this.types = { ...saved };
+    const types = node.parameterTypes || {};
+    const params = node.parameters.map(param => {
+      this.types[param] = types[param] ? this.javaType(types[param]) : 'int';
+      return this.types[param];
+    });
+    const body = node.expression ? [{ type: 'ReturnStatement', value: node.body }] : node.body;
+    const returns = this.returnType(node.block ? this.blockBody(body) : body);
+    this.types = saved;
+    return this.functionInterface(params, returns);
+  }
+
+  // What calling a value of functional interface `type` returns.
+  functionReturn(type) {
+    const known = Object.entries(FUNCTION_TYPES).find(([, [name]]) => name === type);
+    if (known) return known[0].split(':')[1];
+    const generic = type && type.match(/^(Supplier|IntFunction|Function|BiFunction)<(.+)>$/);
+    if (!generic) return null;
+    let depth = 0;
+    let start = 0;
+    [...generic[2]].forEach((char, i) => {
+      if (char === '<') depth++;
+      if (char === '>') depth--;
+      if (char === ',' && depth === 0) start = i + 1;
+    });
+    return generic[2].slice(start).trim();
+  }
+
+  generateInterpolatedString(node) {
+    const parts = node.parts.map(part => part.type === 'Literal' && typeof part.value === 'string'
+      ? this.generateLiteral(part.value)
+      : this.generateNode(part));
+    if (!node.parts[0] || this.typeOf(node.parts[0]) !== 'String') {
+      parts.unshift('""');
+    }
+    return parts.length === 1 ? parts[0] : `(${parts.join(' + ')})`;
+  }
+
+  generateLiteral(value) {
+    if (value === null) return 'null';
+    if (typeof value === 'string') return JSON.stringify(value);
+    return String(value);
+  }
+
+  // Elements of an `Object[]` are built as `Object[]` and `Map<String,
+  // Object>` too, so they can be cast back without knowing their exact types.
+  generateArrayLiteral(node, type) {
+    const element = this.elementType(type);
+    const generateElement = value => element === 'Object' && ['ArrayLiteral', 'ObjectLiteral'].includes(value.type)
+      ? this.generateNode({ ...value, forceObject: true })
+      : this.generateNode(value);
+
+    const segments = spreadSegments(node.elements);
+    if (segments.every(Array.isArray)) {
+      return `new ${type}{${(segments[0] || []).map(generateElement).join(', ')}}`;
+    }
+
+    const stream = { int: 'IntStream', double: 'DoubleStream' }[element];
+    const parts = segments.map(segment => Array.isArray(segment)
+      ? `${stream || 'Stream'}.of(${segment.map(generateElement).join(', ')})`
+      : `Arrays.stream(${this.generateNode(segment.argument)})`);
+    if (stream) {
+      return `Stream.of(${parts.join(', ')}).flatMapTo${stream.replace('Stream', '')}(part -> part).toArray()`;
+    }
+    return `Stream.of(${parts.join(', ')}).flatMap(part -> part).toArray(${element}[]::new)`;
+  }
+
+  generateObjectLiteral(node, type) {
+    const value = prop => this.elementType(type) === 'Object' && ['ArrayLiteral', 'ObjectLiteral'].includes(prop.value.type)
+      ? this.generateNode({ ...prop.value, forceObject: true })
+      : this.generateNode(prop.value);
+    const segments = spreadSegments(node.properties);
+
+    if (segments.every(Array.isArray)) {
+      const props = segments[0] || [];
+      const entries = props.length > 10
+        ? `Map.ofEntries(${props.map(prop => `Map.entry("${prop.key}", ${value(prop)})`).join(', ')})`
+        : `Map.of(${props.map(prop => `"${prop.key}", ${value(prop)}`).join(', ')})`;
+      return `new HashMap<${this.mapTypes(type)}>(${entries})`;
+    }
+
+    const puts = segments.map(segment => Array.isArray(segment)
+      ? segment.map(prop => `put("${prop.key}", ${value(prop)});`).join(' ')
+      : `putAll(${this.generateNode(segment.argument)});`);
+    return `new HashMap<${this.mapTypes(type)}>() {{ ${puts.join(' ')} }}`;
+  }
+
+  // Static type of an expression, as far as it can be told from the source.
+  typeOf(node) {
+    if (!node) return 'Object';
+    switch (node.type) {
+      case 'Literal':
+        if (typeof node.value === 'string') return 'String';
+        if (typeof node.value === 'boolean') return 'boolean';
+        if (typeof node.value === 'number') return Number.isInteger(node.value) ? 'int' : 'double';
+        return 'Object';
+      case 'InterpolatedString':
+        return 'String';
+      case 'ArrayLiteral': {
+        if (node.forceObject) return 'Object[]';
+        const types = node.elements.map(element => element.type === 'SpreadElement'
+          ? this.elementType(this.typeOf(element.argument))
+          : this.typeOf(element));
+        return `${this.commonType(types)}[]`;
+      }
+      case 'ObjectLiteral': {
+        if (node.forceObject) return 'Map<String, Object>';
+        const types = node.properties.map(prop => prop.type === 'SpreadElement'
+          ? this.elementType(this.typeOf(prop.argument))
+          : this.typeOf(prop.value));
+        return `Map<String, ${this.boxed(this.commonType(types))}>`;
+      }
+      case 'RangeExpression':
+        return 'int[]';
+      case 'Identifier':
+        return this.types[node.name] || 'Object';
+      case 'ConditionalExpression':
+        return this.nullableType([node.consequent, node.alternate]);
+      case 'MatchExpression':
+        return this.nullableType(matchValues(node, this.enums));
+      case 'BinaryExpression': {
+        if (['==', '!=', '===', '!==', '<', '<=', '>', '>=', 'and', 'or', '&&', '||', 'in', 'not in', 'is', 'is not'].includes(node.operator)) {
+          return 'boolean';
+        }
+        if (node.operator === '??') {
+          return this.isPrimitive(this.typeOf(node.left)) ? this.typeOf(node.left) : this.nullableType([node.left, node.right]);
+        }
+        if (node.operator === '**') {
+          // A negative exponent gives a fraction even for integers.
+          const negative = node.right.type === 'UnaryExpression' && node.right.operator === '-';
+          return !negative && this.typeOf(node.left) === 'int' && this.typeOf(node.right) === 'int' ? 'int' : 'double';
+        }
+        const types = [this.typeOf(node.left), this.typeOf(node.right)];
+        if (node.operator === '+' && types.includes('String')) return 'String';
+        return this.commonType(types);
+      }
+      case 'UnaryExpression':
+        return node.operator === 'not' || node.operator === '!' ? 'boolean' : this.typeOf(node.operand);
+      case 'UpdateExpression':
+        return this.typeOf(node.argument);
+      case 'IndexExpression':
+      case 'SliceExpression':
+      case 'RestProperties': {
+        const type = this.typeOf(node.object);
+        if (node.type !== 'IndexExpression') return type;
+        return type === 'String' ? 'char' : this.elementType(type);
+      }
+      case 'NewExpression':
+        return node.callee.name;
+      case 'Lambda':
+        return this.lambdaType(node);
+      case 'MemberExpression': {
+        if (this.isVariant(node)) return node.object.name;
+        const fields = this.fields[this.typeOf(node.object)];
+        return (fields && fields[node.property]) || 'Object';
+      }
+      case 'CallExpression': {
+        if (this.isVariant(node.callee)) return node.callee.object.name;
+        if (node.callee.type === 'Identifier' && this.classes[node.callee.name]) return node.callee.name;
+        if (node.callee.type === 'MemberExpression') {
+          return this.methodType(this.typeOf(node.callee.object), node.callee.property);
+        }
+        if (node.callee.type !== 'Identifier') return 'Object';
+        if (node.callee.name === 'len') return 'int';
+        if (node.callee.name === 'str') return 'String';
+        const known = this.functionReturn(this.types[node.callee.name]);
+        if (known) return known;
+        const func = this.functions[node.callee.name];
+        if (!func) return 'Object';
+        if (func.type === 'Lambda') {
+          return this.functionReturn(this.lambdaType(func)) || 'Object';
+        }
+        // What a generic function returns depends on the call.
+        const returns = this.functionType(func);
+        return (func.typeParameters || []).some(param => new RegExp(`\\b${param}\\b`).test(returns)) ? 'Object' : returns;
+      }
+      default:
+        return 'Object';
+    }
+  }
+
+  // The type of either of `nodes`; a primitive is boxed if one is null.
+  nullableType(nodes) {
+    const values = nodes.filter(value => !(value.type === 'Literal' && value.value === null));
+    const type = this.commonType(values.map(value => this.typeOf(value)));
+    return values.length === nodes.length ? type : this.boxed(type);
+  }
+
+  commonType(types) {
+    const known = [...new Set(types)];
+    if (known.length === 2 && known.includes('int') && known.includes('double')) return 'double';
+    return known.length === 1 && known[0] !== 'void' ? known[0] : 'Object';
+  }
+
+  elementType(type) {
+    if (type.endsWith('[]')) return type.slice(0, -2);
+    const map = type.match(/^Map<String, (.+)>$/);
+    return map ? map[1] : 'Object';
+  }
+
+  mapTypes(type) {
+    const map = type.match(/^Map<(.+)>$/);
+    return map ? map[1] : 'String, Object';
+  }
+
+  boxed(type) {
+    return BOXED[type] || (type === 'void' ? 'Void' : type);
+  }
+
+  isPrimitive(type) {
+    return Boolean(BOXED[type]);
+  }
+
+  returnType(body) {
+    const returns = [];
+    this.collectReturns(body, returns);
+    if (returns.length === 0) return 'void';
+    const saved = this.types;
+    this.types = { ...saved };
+    this.declareLocals(body);
+    const type = this.commonType(returns.map(value => this.typeOf(value)));
+    this.types = saved;
+    return type;
+  }
+
+  // Locals are typed before a function's return type is worked out, so a
+  // function returning one of its variables gets that variable's type.
+  declareLocals(body) {
+    for (const statement of body) {
+      if (statement.type === 'VariableDeclaration' && statement.initializer) {
+        this.types[statement.name] = this.typeOf(statement.initializer);
+      }
+    }
+  }
+
+  collectReturns(value, returns) {
+    if (Array.isArray(value)) {
+      value.forEach(item => this.collectReturns(item, returns));
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+    if (value.type === 'Lambda' || value.type === 'FunctionDeclaration') return;
+    if (value.type === 'ReturnStatement' && value.value) {
+      returns.push(value.value);
+      return;
+    }
+    Object.values(value).forEach(child => this.collectReturns(child, returns));
+  }
+
+  safeName(name) {
+    return RESERVED.has(name) ? `${name}_` : name;
+  }
+
+  generateBlock(statements) {
+    this.indent++;
+    for (const statement of statements) {
+      this.generateNode(statement);
+    }
+    this.indent--;
+  }
+
+  capture(callback) {
+    const saved = this.output;
+    this.output = [];
+    callback();
+    const lines = this.output;
+    this.output = saved;
+    return lines;
   }
 
   write(line) {
-    this.output.push('  '.repeat(this.indent) + line);
+    this.output.push(line ? this.indentStr.repeat(this.indent) + line : line);
   }
 }
 
-module.exports = new Backend();
+module.exports = new JavaBackend();
@@ -1,39 +1,1432 @@
-class Backend {
+const {
+  ERROR_TYPES,
+  blockLoop,
+  containsAwait,
+  patternBindings,
+  packArguments,
+  bindArguments,
+  fillDefaults,
+  fixedParameters,
+  referencesName,
+  spreadSegments,
+  classHierarchy,
+  errorSubtypes,
+  builtinType,
+  optionalLink,
+  expandAssignment,
+  structClass,
+  variantEnum,
+  renameClash
+} = require('../lowering');
+const { inferTypes } = require('../../core/typechecker');
+
+// What a parameter or function is typed when neither its annotation nor the
+// checker says what it holds. Lumos can print any value, so it is at least
+// that.
+const UNKNOWN_TYPE = 'impl std::fmt::Display';
+
+const RUST_TYPES = { int: 'i64', float: 'f64', string: 'String', bool: 'bool', void: '()', null: '()', any: 'i64' };
+
+class RustBackend {
   generate(ast, options = {}) {
     this.output = [];
     this.indent = 0;
-    this.generateNode(ast);
+    this.indentStr = '    ';
+    this.aliases = {};
+    this.patternCount = 0;
+    this.valueKinds = {};
+    this.superclasses = {};
+    this.tryDepth = 0;
+    this.valueCount = 0;
+    this.functions = {};
+    this.classes = {};
+    this.structs = {};
+    this.enums = {};
+    this.traits = {};
+    this.declarations = [];
+    this.methods = Object.create(null);
+    this.options = new Map();
+    this.generateNode(inferTypes(ast));
     return this.output.join('\n');
   }
 
   generateNode(node) {
     if (!node) return '';
+
     switch (node.type) {
-      case 'Program': return this.generateProgram(node);
-      case 'VariableDeclaration': return this.generateVariableDeclaration(node);
-      case 'FunctionDeclaration': return this.generateFunctionDeclaration(node);
-      default: return '';
+      case 'Program':
+        return this.generateProgram(node);
+      case 'VariableDeclaration':
+        return this.generateVariableDeclaration(node);
+      case 'DestructuringDeclaration':
+        return this.generateDestructuringDeclaration(node);
+      case 'FunctionDeclaration':
+        return this.generateFunctionDeclaration(node);
+      case 'ClassDeclaration':
+        return this.generateClassDeclaration(node);
+      case 'StructDeclaration':
+        return this.generateClassDeclaration(this.structs[node.name] || structClass(node), ['PartialEq']);
+      case 'EnumDeclaration':
+        return this.generateEnumDeclaration(node);
+      case 'InterfaceDeclaration':
+        return this.generateTraitDeclaration(node);
+      case 'ImportStatement':
+        return this.generateImportStatement(node);
+      case 'TryStatement':
+        return this.generateTryStatement(node);
+      case 'ThrowStatement':
+        return this.generateThrowStatement(node);
+      case 'IfStatement':
+        return this.generateIfStatement(node);
+      case 'MatchStatement':
+        return this.generateMatchStatement(node);
+      case 'MatchExpression':
+        return this.generateMatchExpression(node);
+      case 'WhileStatement':
+        return this.generateWhileStatement(node);
+      case 'ForStatement':
+        return this.generateForStatement(node);
+      case 'ForInStatement':
+        return this.generateForInStatement(node);
+      case 'ReturnStatement':
+        return this.write(node.value ? `return ${this.generateValue(node.value, this.returnType)};` : 'return;');
+      case 'Break':
+        return this.write('break;');
+      case 'Continue':
+        return this.write('continue;');
+      case 'ExpressionStatement':
+        return this.generateExpressionStatement(node);
+      case 'Assignment':
+        return this.generateAssignment(node);
+      case 'BinaryExpression':
+        return this.generateBinaryExpression(node);
+      case 'ConditionalExpression':
+        return `if ${this.generateNode(node.test)} { ${this.generateNode(node.consequent)} } else { ${this.generateNode(node.alternate)} }`;
+      case 'OptionalChain':
+        return this.generateOptionalChain(node.expression);
+      case 'RangeExpression':
+        return `(${this.generateNode(node.start)}..=${this.generateNode(node.end)}).collect::<Vec<i64>>()`;
+      case 'UnaryExpression':
+        return `${['not', '~'].includes(node.operator) ? '!' : node.operator}${this.generateNode(node.operand)}`;
+      case 'UpdateExpression':
+        return this.generateUpdateExpression(node);
+      case 'CallExpression':
+        return this.generateCallExpression(node);
+      case 'NewExpression':
+        return `${this.generateNode(node.callee)}::new(${this.generateCallArguments(node.arguments, this.classes[node.callee.name], node.callee.name).join(', ')})`;
+      case 'IndexExpression':
+        return this.generateIndexExpression(node);
+      case 'MemberExpression':
+        return this.generateMemberExpression(node);
+      case 'Identifier':
+        return this.generateIdentifier(node);
+      case 'Literal':
+        return this.generateLiteral(node.value);
+      case 'InterpolatedString':
+        return this.generateInterpolatedString(node);
+      case 'ArrayLiteral':
+        return this.generateArrayLiteral(node);
+      case 'ObjectLiteral':
+        return this.generateObjectLiteral(node);
+      case 'ListComprehension':
+      case 'DictComprehension':
+        return this.generateComprehension(node);
+      case 'Lambda':
+        return this.generateLambda(node);
+      case 'SliceExpression':
+        return `${this.generateNode(node.object)}[${node.start}..].to_vec()`;
+      case 'RestProperties':
+        return this.generateRestProperties(this.generateNode(node.object), node.keys);
+      case 'AwaitExpression': {
+        const argument = this.generateNode(node.argument);
+        return ['Identifier', 'CallExpression', 'MemberExpression'].includes(node.argument.type)
+          ? `${argument}.await`
+          : `(${argument}).await`;
+      }
+      default:
+        throw new Error(`Unknown node type: ${node.type}`);
     }
   }
 
-  generateProgram(node) {
-    for (const stmt of node.statements) {
-      this.generateNode(stmt);
+  generateProgram(program) {
+    // A function of the program's own called `main` would clash with the entry point.
+    const node = renameClash(program, 'main');
+    const items = node.statements.filter(stmt => [
+      'FunctionDeclaration', 'ClassDeclaration', 'StructDeclaration', 'EnumDeclaration', 'InterfaceDeclaration', 'ImportStatement'
+    ].includes(stmt.type));
+    const main = node.statements.filter(stmt => !items.includes(stmt));
+    this.declarations = items;
+    this.superclasses = classHierarchy(node);
+    for (let item of items) {
+      if (item.type === 'StructDeclaration') {
+        item = this.structs[item.name] = structClass(item);
+      }
+      if (item.type === 'EnumDeclaration') {
+        this.enums[item.name] = item;
+      } else if (item.type === 'InterfaceDeclaration') {
+        this.traits[item.name] = item;
+      }
+      if (item.type === 'FunctionDeclaration') {
+        this.functions[item.name] = item;
+        this.declareOptions(item, `${this.pascalCase(item.name)}Options`);
+      } else if (item.type === 'ClassDeclaration') {
+        for (const method of item.methods) {
+          if (method.name === 'constructor') {
+            this.classes[item.name] = method;
+            this.declareOptions(method, `${item.name}Options`);
+          } else {
+            (this.methods[method.name] = this.methods[method.name] || []).push(method);
+            this.declareOptions(method, `${item.name}${this.pascalCase(method.name)}Options`);
+          }
+        }
+      }
     }
+
+    const body = this.capture(() => {
+      for (const item of items) {
+        this.generateNode(item);
+      }
+
+      if (containsAwait(main)) {
+        this.write('#[tokio::main]');
+        this.write('async fn main() {');
+      } else {
+        this.write('fn main() {');
+      }
+      this.generateBlock(main);
+      this.write('}');
+    });
+
+    if (body.some(line => line.includes('HashMap'))) {
+      this.write('use std::collections::HashMap;');
+      this.write('');
+    }
+    this.output.push(...body);
   }
 
   generateVariableDeclaration(node) {
-    const value = node.initializer ? this.generateNode(node.initializer) : 'null';
-    this.write(`var ${node.name} = ${value};`);
+    this.valueKinds[node.name] = this.annotationKind(node.typeAnnotation) || this.valueKind(node.initializer);
+    if (node.initializer && node.initializer.type === 'Lambda') {
+      this.functions[node.name] = node.initializer;
+    }
+    let binding = node.keyword === 'const' ? node.name : `mut ${node.name}`;
+    // Closures have no type that can be written down, so a function type
+    // is left to inference.
+    if (node.typeAnnotation && node.typeAnnotation.type !== 'FunctionType') {
+      binding += `: ${this.rustType(node.typeAnnotation)}`;
+    }
+    if (node.initializer) {
+      this.write(`let ${binding} = ${this.generateTypedValue(node.initializer, node.typeAnnotation) || this.generateCopy(node.initializer)};`);
+    } else {
+      this.write(`let ${binding};`);
+    }
+  }
+
+  // Rust has no destructuring of vectors or maps by position and key, so the
+  // value goes into a temporary and each name is bound to a clone of its part.
+  generateDestructuringDeclaration(node) {
+    let source = node.initializer;
+    if (source.type !== 'Identifier') {
+      const name = `_value${this.valueCount++}`;
+      this.write(`let ${name} = ${this.generateNode(source)};`);
+      source = { type: 'Identifier', name };
+    }
+
+    const kind = node.keyword === 'const' ? '' : 'mut ';
+    for (const [name, access] of patternBindings(node.pattern, source)) {
+      this.valueKinds[name] = access.type === 'SliceExpression' ? 'array' : access.type === 'RestProperties' ? 'object' : null;
+      const value = this.generateNode(access);
+      this.write(`let ${kind}${name} = ${access.type === 'IndexExpression' ? `${value}.clone()` : value};`);
+    }
+  }
+
+  generateRestProperties(object, keys) {
+    const excluded = keys.map(key => `"${key}"`).join(', ');
+    return `${object}.iter().filter(|(key, _)| ![${excluded}].contains(*key)).map(|(key, value)| (*key, value.clone())).collect::<HashMap<_, _>>()`;
+  }
+
+  generateParameter(node, param) {
+    const type = node.parameterTypes && node.parameterTypes[param];
+    if (type) return `${param}: ${this.rustType(type, true)}`;
+    if (param === node.blockParameter) return `${param}: impl Fn(i64) -> i64`;
+    return param === node.restParameter ? `${param}: Vec<i64>` : `${param}: ${UNKNOWN_TYPE}`;
+  }
+
+  // The Rust type of a Lumos annotation. Parameters of function type take
+  // any closure. Map keys are `&str`, as map literals build them.
+  rustType(type, parameter = false) {
+    let name;
+    if (type.type === 'FunctionType') {
+      const params = type.parameters.map(param => this.rustType(param)).join(', ');
+      const returns = type.returns.name === 'void' ? '' : ` -> ${this.rustType(type.returns)}`;
+      name = parameter ? `impl Fn(${params})${returns}` : `fn(${params})${returns}`;
+    } else if (type.name === 'list') {
+      name = `Vec<${type.arguments.length ? this.rustType(type.arguments[0]) : 'i64'}>`;
+    } else if (type.name === 'map') {
+      const [key, value] = type.arguments.length ? type.arguments : [{ name: 'string', arguments: [] }, { name: 'any', arguments: [] }];
+      name = `HashMap<${key.name === 'string' && !key.nullable ? '&str' : this.rustType(key)}, ${this.rustType(value)}>`;
+    } else {
+      name = RUST_TYPES[type.name] || type.name;
+    }
+    return type.nullable ? `Option<${name}>` : name;
+  }
+
+  // Lists, maps and Options are printed with `{:?}`, like the literals.
+  annotationKind(type) {
+    if (!type || type.type === 'FunctionType') return null;
+    if (type.nullable || type.name === 'map') return 'object';
+    return type.name === 'list' ? 'array' : null;
+  }
+
+  returnAnnotation(type) {
+    return type.name === 'void' ? '' : ` -> ${this.rustType(type)}`;
+  }
+
+  typeParameterList(node) {
+    const params = node.typeParameters || [];
+    return params.length ? `<${params.map(param => `${param}: Clone + std::fmt::Debug`).join(', ')}>` : '';
+  }
+
+  // A value for a slot of a declared type. Literals take the type's form:
+  // `2` in a float slot is `2.0`, a string literal is made a String and a
+  // value for a nullable slot is wrapped in Some. Elements that are not Copy
+  // are cloned out of their collection. Returns null when the value needs
+  // nothing of the kind.
+  generateTypedValue(node, type) {
+    if (!type || type.type !== 'TypeName') return null;
+    const isNull = node.type === 'Literal' && node.value === null;
+    if (type.nullable) {
+      if (isNull || !['Literal', 'ArrayLiteral', 'ObjectLiteral', 'InterpolatedString'].includes(node.type)) return null;
+      const value = { ...type, nullable: false };
+      return `Some(${this.generateTypedValue(node, value) || this.generateNode(node)})`;
+    }
+    switch (node.type) {
+      case 'Literal':
+        if (type.name === 'string' && typeof node.value === 'string') return `${this.generateLiteral(node.value)}.to_string()`;
+        if (type.name === 'float' && Number.isInteger(node.value) && /^\d+$/.test(String(node.raw ?? node.value))) return `${node.value}.0`;
+        return null;
+      // Values that are not Copy are cloned rather than moved out.
+      case 'Identifier':
+      case 'IndexExpression':
+        return ['int', 'float', 'bool'].includes(type.name) ? null : `${this.generateNode(node)}.clone()`;
+      case 'UnaryExpression': {
+        const operand = node.operator === '-' && this.generateTypedValue(node.operand, type);
+        return operand ? `-${operand}` : null;
+      }
+      case 'ArrayLiteral': {
+        const [element] = type.arguments;
+        if (type.name !== 'list' || !element || node.elements.some(item => item.type === 'SpreadElement')) return null;
+        return `vec![${node.elements.map(item => this.generateValue(item, element)).join(', ')}]`;
+      }
+      case 'ObjectLiteral': {
+        const value = type.arguments[1];
+        if (type.name !== 'map' || !value || node.properties.some(prop => prop.type === 'SpreadElement')) return null;
+        const entries = node.properties.map(prop => `("${prop.key}", ${this.generateValue(prop.value, value)})`);
+        return entries.length ? `HashMap::from([${entries.join(', ')}])` : 'HashMap::new()';
+      }
+      default:
+        return null;
+    }
+  }
+
+  generateValue(node, type) {
+    return this.generateTypedValue(node, type) || this.generateNode(node);
+  }
+
+  // Rust has no default arguments. A function's parameters with defaults
+  // become the fields of an options struct whose Default impl holds them;
+  // callers set the fields they pass and leave the rest to Default.
+  declareOptions(node, name) {
+    const params = fixedParameters(node).filter(param => node.defaults && node.defaults[param]);
+    if (params.length > 0) {
+      const types = node.parameterTypes || {};
+      const fields = params.map(param => [param, types[param] ? this.rustType(types[param]) : this.inferFieldType(node.defaults[param])]);
+      this.options.set(node, { name, fields });
+    }
+  }
+
+  generateOptionsStruct(node) {
+    const options = this.options.get(node);
+    if (!options) return;
+    this.write(`struct ${options.name} {`);
+    for (const [param, type] of options.fields) {
+      this.write(`${this.indentStr}${param}: ${type},`);
+    }
+    this.write('}');
+    this.write('');
+
+    // Defaults that use other parameters are always filled in by callers.
+    const values = options.fields.map(([param, type]) => {
+      const value = node.defaults[param];
+      const dependent = node.parameters.some(other => referencesName(value, other));
+      return `${param}: ${dependent ? 'Default::default()' : this.generateOptionValue(value, type)}`;
+    });
+    this.write(`impl Default for ${options.name} {`);
+    this.write(`${this.indentStr}fn default() -> Self {`);
+    this.write(`${this.indentStr.repeat(2)}Self { ${values.join(', ')} }`);
+    this.write(`${this.indentStr}}`);
+    this.write('}');
+    this.write('');
+  }
+
+  generateOptionValue(node, type) {
+    const value = this.generateNode(node);
+    if (node.type !== 'Literal') return value;
+    if (type === 'String') return `${value}.to_string()`;
+    return type === 'f64' && Number.isInteger(node.value) ? `${value}.0` : value;
+  }
+
+  generateParameters(node) {
+    const options = this.options.get(node);
+    const params = [];
+    for (const param of node.parameters) {
+      if (!options || !options.fields.some(([name]) => name === param)) {
+        params.push(this.generateParameter(node, param));
+      } else if (!params.includes(`options: ${options.name}`)) {
+        params.push(`options: ${options.name}`);
+      }
+    }
+    return params;
+  }
+
+  unpackOptions(node) {
+    const options = this.options.get(node);
+    if (options) {
+      this.write(`${this.indentStr}let ${options.name} { ${options.fields.map(([param]) => param).join(', ')} } = options;`);
+    }
   }
 
   generateFunctionDeclaration(node) {
-    this.write(`function ${node.name}() {}`);
+    this.generateOptionsStruct(node);
+    const params = this.generateParameters(node).join(', ');
+    let returns = this.returnsValue(node.body) ? ` -> ${UNKNOWN_TYPE}` : '';
+    if (node.returnType) returns = this.returnAnnotation(node.returnType);
+    this.write(`${node.async ? 'async ' : ''}fn ${node.name}${this.typeParameterList(node)}(${params})${returns} {`);
+    this.unpackOptions(node);
+    this.generateFunctionBody(node);
+    this.write('}');
+    this.write('');
+  }
+
+  generateFunctionBody(node) {
+    const outer = this.returnType;
+    this.returnType = node.returnType || null;
+    this.generateBlock(node.body);
+    this.returnType = outer;
+  }
+
+  // Orders the arguments of a call to a known function by its parameters and
+  // builds its options struct. Closures have no options, so a call to one
+  // fills in every default itself.
+  generateCallArguments(args, func, name) {
+    if (!func) {
+      return args.map(arg => this.generateNode(arg));
+    }
+    const options = this.options.get(func);
+    if (!options) {
+      const named = args.some(arg => arg.type === 'NamedArgument');
+      if (!named && Object.keys(func.defaults || {}).length === 0) {
+        return packArguments(args, func).map((arg, i) => this.generateArgument(arg, func, i));
+      }
+      const values = bindArguments(args, func);
+      const rest = func.restParameter ? [values.pop()] : [];
+      return [...fillDefaults(values, func, name), ...rest].map((arg, i) => this.generateArgument(arg, func, i));
+    }
+
+    const values = bindArguments(args, func);
+    const rest = func.restParameter ? [values.pop()] : [];
+    const filled = fillDefaults(values, func, name);
+    const required = [];
+    const fields = [];
+    fixedParameters(func).forEach((param, i) => {
+      const field = options.fields.find(([key]) => key === param);
+      if (!field) {
+        required.push(this.generateArgument(filled[i], func, i));
+      } else if (values[i] !== null || func.parameters.some(other => referencesName(func.defaults[param], other))) {
+        fields.push(`${param}: ${this.generateOptionValue(filled[i], field[1])}`);
+      }
+    });
+
+    let struct = `${options.name}::default()`;
+    if (fields.length === options.fields.length) {
+      struct = `${options.name} { ${fields.join(', ')} }`;
+    } else if (fields.length > 0) {
+      struct = `${options.name} { ${fields.join(', ')}, ..Default::default() }`;
+    }
+    return [...required, struct, ...rest.map(arg => this.generateNode(arg))];
+  }
+
+  generateArgument(arg, func, index) {
+    const param = fixedParameters(func)[index] || func.restParameter;
+    return this.generateValue(arg, func.parameterTypes && func.parameterTypes[param]);
+  }
+
+  calledFunction(callee) {
+    if (callee.type === 'MemberExpression') {
+      const methods = this.methods[callee.property] || [];
+      return methods.length === 1 ? methods[0] : null;
+    }
+    if (callee.type !== 'Identifier') return null;
+    if (callee.name === 'super') return this.classes[this.superclassName];
+    return this.functions[callee.name];
+  }
+
+  pascalCase(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  generateClassDeclaration(node, derives = []) {
+    const constructor = node.methods.find(method => method.name === 'constructor');
+    const methods = node.methods.filter(method => method !== constructor && !this.traitOf(node, method));
+
+    for (const method of node.methods) {
+      this.generateOptionsStruct(method);
+    }
+    this.write(`#[derive(${['Debug', 'Clone', 'Default', ...derives].join(', ')})]`);
+    this.write(`struct ${node.name} {`);
+    this.indent++;
+    if (ERROR_TYPES.includes(node.superclass)) {
+      this.write('message: String,');
+    } else if (node.superclass) {
+      this.write(`base: ${node.superclass},`);
+    }
+    for (const prop of node.properties) {
+      this.write(`${prop.name}: ${prop.typeAnnotation ? this.rustType(prop.typeAnnotation) : this.inferFieldType(prop.initializer)},`);
+    }
+    this.indent--;
+    this.write('}');
+    this.write('');
+
+    this.write(`impl ${node.name} {`);
+    this.indent++;
+
+    const params = constructor ? this.generateParameters(constructor).join(', ') : '';
+    this.write(`fn new(${params}) -> Self {`);
+    if (constructor) {
+      this.unpackOptions(constructor);
+    }
+    this.indent++;
+    const fields = node.properties
+      .filter(prop => prop.initializer)
+      .map(prop => `${prop.name}: ${this.generateValue(prop.initializer, prop.typeAnnotation)}, `)
+      .join('');
+    this.write(`let mut this = Self { ${fields}..Default::default() };`);
+    if (constructor) {
+      this.inConstructor = true;
+      this.superclassName = node.superclass;
+      for (const statement of constructor.body) {
+        this.generateNode(statement);
+      }
+      this.inConstructor = false;
+    }
+    this.write('this');
+    this.indent--;
+    this.write('}');
+
+    for (const method of methods) {
+      this.write('');
+      this.generateMethod(method);
+    }
+
+    this.indent--;
+    this.write('}');
+    this.write('');
+    this.generateTraitImpls(node);
+  }
+
+  generateMethod(method, signature = this.methodSignature([method])) {
+    const methodParams = [signature.receiver, ...this.generateParameters(method)].join(', ');
+    this.write(`${method.async ? 'async ' : ''}fn ${method.name}${this.typeParameterList(method)}(${methodParams})${signature.returns} {`);
+    this.unpackOptions(method);
+    this.generateFunctionBody(method);
+    this.write('}');
+  }
+
+  // A trait method takes `&mut self` or returns a value when any method
+  // implementing it in the program does. Signatures nothing implements are
+  // taken to return a value.
+  methodSignature(methods) {
+    const bodies = methods.filter(method => method.body).map(method => method.body);
+    const declared = methods.find(method => method.returnType);
+    let returns = bodies.length === 0 || bodies.some(body => this.returnsValue(body)) ? ` -> ${UNKNOWN_TYPE}` : '';
+    if (declared) returns = this.returnAnnotation(declared.returnType);
+    return {
+      receiver: bodies.some(body => this.mutatesSelf(body)) ? '&mut self' : '&self',
+      returns
+    };
+  }
+
+  // A trait's own declaration of a method and every implementation of it.
+  traitMethods(traitName, name) {
+    const declared = this.traits[traitName].methods.filter(method => method.name === name);
+    const implementations = this.implementers(traitName).flatMap(type => type.methods.filter(method => method.name === name));
+    return [...declared, ...implementations];
+  }
+
+  implementers(traitName) {
+    return this.declarations.filter(node => (node.interfaces || []).includes(traitName));
+  }
+
+  // The trait a method of `node` implements, if any.
+  traitOf(node, method) {
+    return (node.interfaces || []).find(name =>
+      this.traits[name] && this.traits[name].methods.some(candidate => candidate.name === method.name)
+    ) || null;
+  }
+
+  generateTraitDeclaration(node) {
+    this.write(`trait ${node.name} {`);
+    this.indent++;
+    node.methods.forEach((method, i) => {
+      if (i > 0) this.write('');
+      const signature = this.methodSignature(this.traitMethods(node.name, method.name));
+      if (method.body) {
+        this.generateMethod(method, signature);
+      } else {
+        this.write(`fn ${method.name}(${[signature.receiver, ...this.generateParameters(method)].join(', ')})${signature.returns};`);
+      }
+    });
+    this.indent--;
+    this.write('}');
+    this.write('');
+  }
+
+  generateTraitImpls(node) {
+    for (const name of node.interfaces || []) {
+      if (!this.traits[name]) {
+        throw new Error(`${name} is not an interface declared in this program`);
+      }
+      const methods = node.methods.filter(method => this.traitOf(node, method) === name);
+      this.write(methods.length > 0 ? `impl ${name} for ${node.name} {` : `impl ${name} for ${node.name} {}`);
+      if (methods.length === 0) {
+        this.write('');
+        continue;
+      }
+      this.indent++;
+      methods.forEach((method, i) => {
+        if (i > 0) this.write('');
+        this.generateMethod(method, this.methodSignature(this.traitMethods(name, method.name)));
+      });
+      this.indent--;
+      this.write('}');
+      this.write('');
+    }
+  }
+
+  // Variants with values have named fields. Display formats a value the way
+  // the interpreter prints it.
+  generateEnumDeclaration(node) {
+    for (const method of node.methods) {
+      this.generateOptionsStruct(method);
+    }
+    this.write('#[derive(Debug, Clone, PartialEq)]');
+    this.write(`enum ${node.name} {`);
+    this.indent++;
+    for (const variant of node.variants) {
+      const fields = variant.fields.map(field => `${field}: ${variant.fieldTypes[field] ? this.rustType(variant.fieldTypes[field]) : 'i64'}`).join(', ');
+      this.write(variant.fields.length === 0 ? `${variant.name},` : `${variant.name} { ${fields} },`);
+    }
+    this.indent--;
+    this.write('}');
+    this.write('');
+
+    this.write(`impl std::fmt::Display for ${node.name} {`);
+    this.indent++;
+    this.write('fn fmt(&self, f: &mut std::fmt::Formatter) -> std::fmt::Result {');
+    this.indent++;
+    this.write('match self {');
+    this.indent++;
+    for (const variant of node.variants) {
+      const label = `${node.name}.${variant.name}`;
+      if (variant.fields.length === 0) {
+        this.write(`${node.name}::${variant.name} => write!(f, "${label}"),`);
+      } else {
+        const placeholders = variant.fields.map(() => '{:?}').join(', ');
+        const fields = variant.fields.join(', ');
+        this.write(`${node.name}::${variant.name} { ${fields} } => write!(f, "${label}(${placeholders})", ${fields}),`);
+      }
+    }
+    this.indent--;
+    this.write('}');
+    this.indent--;
+    this.write('}');
+    this.indent--;
+    this.write('}');
+    this.write('');
+
+    const methods = node.methods.filter(method => !this.traitOf(node, method));
+    if (methods.length > 0) {
+      this.write(`impl ${node.name} {`);
+      this.indent++;
+      methods.forEach((method, i) => {
+        if (i > 0) this.write('');
+        this.generateMethod(method);
+      });
+      this.indent--;
+      this.write('}');
+      this.write('');
+    }
+    this.generateTraitImpls(node);
+  }
+
+  generateImportStatement(node) {
+    const modulePath = node.source.replace(/^\.\//, '').replace(/\.lumos$/, '').replace(/[/.]/g, '::');
+    const names = node.specifiers.map(spec => {
+      if (spec.name === '*') return '*';
+      return spec.name === spec.alias ? spec.name : `${spec.name} as ${spec.alias}`;
+    });
+    this.write(names.length === 1 ? `use ${modulePath}::${names[0]};` : `use ${modulePath}::{${names.join(', ')}};`);
+  }
+
+  // Errors travel as `(type name, message)` so catch clauses can still
+  // filter by type, including on subclasses declared in the program.
+  generateTryStatement(node) {
+    this.write("let result = (|| -> Result<(), (&'static str, String)> {");
+    this.tryDepth++;
+    this.generateBlock(node.tryBlock);
+    this.tryDepth--;
+    this.indent++;
+    this.write('Ok(())');
+    this.indent--;
+    this.write('})();');
+
+    if (node.catchClauses.length > 0) {
+      this.write('match result {');
+      this.indent++;
+      for (const clause of node.catchClauses) {
+        const param = clause.parameter || '_';
+        if (clause.parameter) {
+          this.valueKinds[clause.parameter] = 'error';
+        }
+        if (clause.errorType) {
+          const kinds = errorSubtypes(clause.errorType, this.superclasses).map(kind => `"${kind}"`).join(' | ');
+          this.write(`Err((kind, ${param})) if matches!(kind, ${kinds}) => {`);
+        } else {
+          this.write(`Err((_, ${param})) => {`);
+        }
+        this.generateBlock(clause.body);
+        this.write('}');
+      }
+      if (node.catchClauses.every(clause => clause.errorType)) {
+        this.write('Err((kind, message)) => panic!("{}: {}", kind, message),');
+      }
+      this.write('Ok(()) => {}');
+      this.indent--;
+      this.write('}');
+    }
+
+    if (node.finallyBlock) {
+      for (const statement of node.finallyBlock) {
+        this.generateNode(statement);
+      }
+    }
+  }
+
+  generateThrowStatement(node) {
+    const [kind, message] = this.errorParts(node.argument);
+    if (this.tryDepth > 0) {
+      this.write(`return Err(("${kind}", ${message}));`);
+    } else {
+      this.write(`panic!("${kind}: {}", ${message});`);
+    }
+  }
+
+  errorParts(node) {
+    if (node.type === 'Literal' && typeof node.value === 'string') {
+      return ['Error', `${this.generateLiteral(node.value)}.to_string()`];
+    }
+    const callee = ['NewExpression', 'CallExpression'].includes(node.type) && node.callee.type === 'Identifier'
+      ? node.callee.name
+      : null;
+    if (callee && ERROR_TYPES.includes(callee)) {
+      const message = node.arguments.length > 0 ? `${this.generateNode(node.arguments[0])}.to_string()` : 'String::new()';
+      return [callee, message];
+    }
+    if (callee && errorSubtypes('Error', this.superclasses).includes(callee)) {
+      let path = '';
+      for (let name = callee; !ERROR_TYPES.includes(this.superclasses[name]); name = this.superclasses[name]) {
+        path += '.base';
+      }
+      return [callee, `${this.generateNode(node)}${path}.message`];
+    }
+    return ['Error', `format!("{:?}", ${this.generateNode(node)})`];
+  }
+
+  generateIfStatement(node) {
+    this.write(`if ${this.generateNode(node.condition)} {`);
+    this.generateBlock(node.thenBranch);
+
+    for (const elif of node.elifBranches || []) {
+      this.write(`} else if ${this.generateNode(elif.condition)} {`);
+      this.generateBlock(elif.body);
+    }
+
+    if (node.elseBranch) {
+      this.write('} else {');
+      this.generateBlock(node.elseBranch);
+    }
+
+    this.write('}');
+  }
+
+  generateMatchStatement(node) {
+    this.write(`match ${this.generateMatchSubject(node)} {`);
+    this.indent++;
+    const exhaustive = this.generateMatchArms(node.cases, false);
+    if (!exhaustive) {
+      this.write('_ => {}');
+    }
+    this.indent--;
+    this.write('}');
+  }
+
+  generateMatchExpression(node) {
+    const lines = this.capture(() => {
+      this.indent++;
+      const exhaustive = this.generateMatchArms(node.cases, true);
+      if (!exhaustive) {
+        this.write('_ => panic!("No match case"),');
+      }
+      this.indent--;
+    });
+    return `match ${this.generateMatchSubject(node)} {\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}}`;
+  }
+
+  generateMatchSubject(node) {
+    const subject = this.generateNode(node.subject);
+    const slicePattern = node.cases.some(matchCase => matchCase.pattern.type === 'ArrayPattern');
+    return slicePattern ? `${subject}.as_slice()` : subject;
+  }
+
+  generateMatchArms(cases, tailValue) {
+    let exhaustive = false;
+
+    for (const matchCase of cases) {
+      const conditions = [];
+      const bindings = [];
+      const pattern = this.generatePattern(matchCase.pattern, conditions, bindings);
+      if (matchCase.guard) {
+        conditions.push(this.withAliases(bindings, () => this.generateNode(matchCase.guard)));
+      }
+      const guard = conditions.length > 0 ? ` if ${conditions.join(' && ')}` : '';
+
+      if (matchCase.expression && bindings.length === 0) {
+        this.write(`${pattern}${guard} => ${this.generateNode(matchCase.body)},`);
+      } else {
+        this.write(`${pattern}${guard} => {`);
+        this.indent++;
+        for (const [name, access] of bindings) {
+          this.write(`let ${name} = ${access}.clone();`);
+        }
+        if (matchCase.expression) {
+          this.write(this.generateNode(matchCase.body));
+        } else {
+          this.generateStatements(matchCase.body, tailValue);
+        }
+        this.indent--;
+        this.write('}');
+      }
+
+      if (conditions.length === 0 && bindings.length === 0 &&
+          ['WildcardPattern', 'IdentifierPattern'].includes(matchCase.pattern.type)) {
+        exhaustive = true;
+        break;
+      }
+    }
+
+    return exhaustive;
+  }
+
+  generatePattern(pattern, conditions, bindings) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        return '_';
+      case 'IdentifierPattern':
+        return pattern.name;
+      case 'LiteralPattern':
+        return this.generateLiteral(pattern.value);
+      case 'RangePattern':
+        return `${this.generateLiteral(pattern.start)}..=${this.generateLiteral(pattern.end)}`;
+      case 'ArrayPattern': {
+        const elements = pattern.elements.map(element => this.generatePattern(element, conditions, bindings));
+        if (pattern.rest) {
+          elements.push(`${pattern.rest} @ ..`);
+        }
+        return `[${elements.join(', ')}]`;
+      }
+      case 'VariantPattern': {
+        const { enumNode, variant } = variantEnum(pattern, this.enums);
+        const path = `${enumNode.name}::${variant.name}`;
+        if (variant.fields.length === 0) return path;
+        if (!pattern.elements) return `${path} { .. }`;
+        const fields = pattern.elements.map((element, i) => `${variant.fields[i]}: ${this.generatePattern(element, conditions, bindings)}`);
+        return `${path} { ${fields.join(', ')} }`;
+      }
+      case 'ObjectPattern': {
+        const name = `_obj${this.patternCount++}`;
+        this.accessConditions(pattern, name, conditions, bindings);
+        return name;
+      }
+      default:
+        throw new Error(`Unknown pattern type: ${pattern.type}`);
+    }
+  }
+
+  accessConditions(pattern, access, conditions, bindings) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        break;
+      case 'IdentifierPattern':
+        bindings.push([pattern.name, access]);
+        break;
+      case 'LiteralPattern':
+        conditions.push(`${access} == ${this.generateLiteral(pattern.value)}`);
+        break;
+      case 'RangePattern':
+        conditions.push(`(${this.generateLiteral(pattern.start)}..=${this.generateLiteral(pattern.end)}).contains(&${access})`);
+        break;
+      case 'ArrayPattern':
+        conditions.push(`${access}.len() ${pattern.rest ? '>=' : '=='} ${pattern.elements.length}`);
+        pattern.elements.forEach((element, i) => {
+          this.accessConditions(element, `${access}[${i}]`, conditions, bindings);
+        });
+        if (pattern.rest) {
+          bindings.push([pattern.rest, `${access}[${pattern.elements.length}..].to_vec()`]);
+        }
+        break;
+      case 'ObjectPattern':
+        for (const prop of pattern.properties) {
+          conditions.push(`${access}.contains_key("${prop.key}")`);
+          this.accessConditions(prop.pattern, `${access}["${prop.key}"]`, conditions, bindings);
+        }
+        if (pattern.rest) {
+          bindings.push([pattern.rest, `(${this.generateRestProperties(access, pattern.properties.map(prop => prop.key))})`]);
+        }
+        break;
+      default:
+        throw new Error(`Unknown pattern type: ${pattern.type}`);
+    }
+  }
+
+  withAliases(bindings, callback) {
+    const saved = this.aliases;
+    this.aliases = { ...saved };
+    for (const [name, access] of bindings) {
+      this.aliases[name] = access;
+    }
+    try {
+      return callback();
+    } finally {
+      this.aliases = saved;
+    }
+  }
+
+  generateWhileStatement(node) {
+    this.write(`while ${this.generateNode(node.condition)} {`);
+    this.generateBlock(node.body);
+    this.write('}');
+  }
+
+  generateForStatement(node) {
+    const start = this.generateNode(node.start);
+    const end = this.generateNode(node.end);
+    const step = this.generateNode(node.step);
+    const range = step === '1' ? `${start}..=${end}` : `(${start}..=${end}).step_by(${step} as usize)`;
+
+    this.write(`for ${node.iterator} in ${range} {`);
+    this.generateBlock(node.body);
+    this.write('}');
+  }
+
+  generateForInStatement(node) {
+    this.write(`for ${this.loopPattern(node)} in ${this.loopIterable(node)} {`);
+    this.generateBlock(node.body);
+    this.write('}');
+  }
+
+  loopPattern(node) {
+    const [first, second] = node.variables;
+    return second ? `(${first}, ${second})` : first;
+  }
+
+  // The iterator a loop walks. A second loop variable takes the key of a
+  // map entry or the index of anything else.
+  loopIterable(node) {
+    const second = node.variables.length > 1;
+    const kind = this.valueKind(node.iterable);
+    let iterable;
+
+    if (node.iterable.type === 'RangeExpression') {
+      iterable = `${this.generateNode(node.iterable.start)}..=${this.generateNode(node.iterable.end)}`;
+    } else if (kind === 'object') {
+      return second ? `${this.generateNode(node.iterable)}.clone()` : `${this.generateNode(node.iterable)}.keys().cloned()`;
+    } else if (kind === 'string') {
+      iterable = `${this.generateNode(node.iterable)}.chars()`;
+    } else if (node.iterable.type === 'ArrayLiteral') {
+      iterable = `${this.generateNode(node.iterable)}.into_iter()`;
+    } else {
+      iterable = `${this.generateNode(node.iterable)}.iter().cloned()`;
+    }
+    return second ? `(0i64..).zip(${iterable})` : iterable;
+  }
+
+  // A comprehension is an iterator chain. Every clause but the last
+  // flattens what the next one produces; the closures inside those move the
+  // outer loop variables in.
+  generateComprehension(node) {
+    const element = node.type === 'ListComprehension'
+      ? this.generateNode(node.element)
+      : `(${this.generateNode(node.key)}, ${this.generateNode(node.value)})`;
+
+    const build = index => {
+      const clause = node.clauses[index];
+      const capture = index > 0 ? 'move ' : '';
+      const pattern = this.loopPattern(clause);
+      const iterable = this.loopIterable(clause);
+      let code = clause.iterable.type === 'RangeExpression' && clause.variables.length === 1 ? `(${iterable})` : iterable;
+      for (const condition of clause.conditions) {
+        code += `.filter(${capture}|&${pattern}| ${this.generateNode(condition)})`;
+      }
+      const last = index === node.clauses.length - 1;
+      return `${code}.${last ? 'map' : 'flat_map'}(${capture}|${pattern}| ${last ? element : build(index + 1)})`;
+    };
+
+    return `${build(0)}.collect::<${node.type === 'ListComprehension' ? 'Vec<_>' : 'HashMap<_, _>'}>()`;
+  }
+
+  isListBuiltin(node) {
+    return node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+      ['map', 'filter'].includes(node.callee.name) && !this.functions[node.callee.name] &&
+      node.arguments.length === 2 && !node.arguments.some(arg => ['SpreadElement', 'NamedArgument'].includes(arg.type));
+  }
+
+  // map(xs, f) and filter(xs, f) chain onto the iterator of a list, so a
+  // pipeline of them collects once at the end.
+  listChain(node) {
+    if (!this.isListBuiltin(node)) {
+      return `${this.generateNode(node)}.iter().cloned()`;
+    }
+    const [list, func] = node.arguments;
+    if (node.callee.name === 'map') {
+      return `${this.listChain(list)}.map(${this.generateNode(func)})`;
+    }
+    const filter = func.type === 'Lambda'
+      ? this.generateLambda({ ...func, parameters: func.parameters.map(param => `&${param}`) })
+      : `|&item| ${this.generateNode(func)}(item)`;
+    return `${this.listChain(list)}.filter(${filter})`;
+  }
+
+  valueKind(node) {
+    if (!node) return null;
+    switch (node.type) {
+      case 'ObjectLiteral':
+        return 'object';
+      case 'ArrayLiteral':
+      case 'RangeExpression':
+        return 'array';
+      case 'Literal':
+        return typeof node.value === 'string' ? 'string' : null;
+      case 'InterpolatedString':
+        return 'string';
+      case 'Identifier':
+        return this.valueKinds[node.name] || null;
+      case 'NewExpression':
+        return node.callee.type === 'Identifier' && this.structs[node.callee.name] ? 'struct' : null;
+      case 'DictComprehension':
+        return 'object';
+      case 'ListComprehension':
+        return 'array';
+      case 'CallExpression':
+        if (node.callee.type === 'Identifier' && this.structs[node.callee.name]) return 'struct';
+        if (this.isListBuiltin(node)) return 'array';
+        return node.block && node.callee.type === 'MemberExpression' &&
+          ['map', 'filter', 'select'].includes(node.callee.property) ? 'array' : null;
+      default:
+        return null;
+    }
+  }
+
+  generateAssignment(node) {
+    if (node.operator === '**=') {
+      return this.generateAssignment(expandAssignment(node));
+    }
+    const target = this.generateNode(node.target);
+    const value = node.operator === '=' ? this.generateCopy(node.value) : this.generateNode(node.value);
+    return `${target} ${node.operator} ${value}`;
+  }
+
+  // Struct values are copied rather than moved out of a variable.
+  generateCopy(node) {
+    const value = this.generateNode(node);
+    return node.type === 'Identifier' && this.valueKind(node) === 'struct' ? `${value}.clone()` : value;
+  }
+
+  // Rust has no ++ or --; a block steps the value and then yields it.
+  generateUpdateExpression(node) {
+    const target = this.generateNode(node.argument);
+    const step = `${target} ${node.operator[0]}= 1`;
+    return node.prefix ? `{ ${step}; ${target} }` : `{ ${step}; ${target} ${node.operator[0] === '+' ? '-' : '+'} 1 }`;
+  }
+
+  generateBinaryExpression(node) {
+    const left = this.generateNode(node.left);
+    switch (node.operator) {
+      case '??':
+        return ['Literal', 'Identifier'].includes(node.right.type)
+          ? `${left}.unwrap_or(${this.generateNode(node.right)})`
+          : `${left}.unwrap_or_else(|| ${this.generateNode(node.right)})`;
+      case 'in':
+        return this.generateContains(node.right, left);
+      case 'not in':
+        return `!${this.generateContains(node.right, left)}`;
+      case 'is':
+        return this.generateTypeCheck(left, node.right);
+      case 'is not':
+        return `!${this.generateTypeCheck(left, node.right)}`;
+    }
+    const right = this.generateNode(node.right);
+
+    if (node.operator === '+' && (this.isStringExpression(node.left) || this.isStringExpression(node.right))) {
+      return `format!("{}{}", ${left}, ${right})`;
+    }
+    if (node.operator === '**') {
+      return this.generatePower(node, left, right);
+    }
+
+    const operatorMap = {
+      'and': '&&',
+      'or': '||',
+      '===': '==',
+      '!==': '!='
+    };
+
+    const op = operatorMap[node.operator] || node.operator;
+    return `(${left} ${op} ${right})`;
+  }
+
+  // Integers are raised with i64::pow, which takes a u32 exponent; a float
+  // operand or a negative exponent switches to powf.
+  generatePower(node, left, right) {
+    const isFloat = operand => operand.type === 'Literal' && typeof operand.value === 'number' && !Number.isInteger(operand.value);
+    const negative = node.right.type === 'UnaryExpression' && node.right.operator === '-';
+    if (negative || isFloat(node.left) || isFloat(node.right)) {
+      return `(${left} as f64).powf(${right} as f64)`;
+    }
+    return `i64::pow(${left}, ${right} as u32)`;
+  }
+
+  generateContains(collection, value) {
+    const code = this.generateNode(collection);
+    switch (this.valueKind(collection)) {
+      case 'string': return `${code}.contains(${value})`;
+      case 'object': return `${code}.contains_key(${value})`;
+      default: return `${code}.contains(&${value})`;
+    }
+  }
+
+  // Types are checked by downcasting; a class also accepts its subclasses,
+  // which hold it as `base` rather than extending it.
+  generateTypeCheck(value, type) {
+    const builtin = builtinType(type, this.superclasses);
+    if (builtin === 'Null') {
+      return `${value}.is_none()`;
+    }
+    const types = {
+      Number: ['i32', 'i64', 'f64'],
+      String: ['String', '&str'],
+      Boolean: ['bool'],
+      Array: ['Vec<i64>'],
+      Object: ['HashMap<&str, i64>']
+    }[builtin];
+    if (this.variantOf(type)) {
+      return `matches!(${value}, ${type.object.name}::${type.property} { .. })`;
+    }
+    const declared = type.type === 'Identifier' && (this.enums[type.name] || this.structs[type.name]);
+    const classes = type.type === 'Identifier'
+      ? errorSubtypes(type.name, this.superclasses).filter(name => name in this.superclasses || declared)
+      : [this.generateNode(type)];
+    if (!types && classes.length === 0) {
+      throw new Error(`Type checks against ${type.name} are not supported by the Rust backend`);
+    }
+    const checks = (types || classes).map(name => `value.is::<${name}>()`).join(' || ');
+    return `{ let value: &dyn std::any::Any = &${value}; ${checks} }`;
+  }
+
+  // Nullable values are Options, so each `?.` link borrows the value it
+  // tests and maps the rest of the chain over it.
+  generateOptionalChain(node) {
+    const name = `value${this.valueCount++}`;
+    const link = optionalLink(node, { type: 'Identifier', name });
+    const subject = `${this.generateNode(link.subject)}.as_ref()`;
+    if (optionalLink(link.expression)) {
+      return `${subject}.and_then(|${name}| ${this.generateOptionalChain(link.expression)})`;
+    }
+    const rest = this.generateNode(link.expression);
+    return `${subject}.map(|${name}| ${link.expression.type === 'CallExpression' ? rest : `${rest}.clone()`})`;
+  }
+
+  isStringExpression(node) {
+    if (node.type === 'Literal') return typeof node.value === 'string';
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+      return this.isStringExpression(node.left) || this.isStringExpression(node.right);
+    }
+    if (node.type === 'CallExpression' && node.callee.type === 'Identifier') {
+      return node.callee.name === 'str';
+    }
+    return false;
+  }
+
+  generateExpressionStatement(node) {
+    const loop = blockLoop(node.expression, expr => this.valueKind(expr));
+    if (loop) {
+      return this.generateForInStatement(loop);
+    }
+    if (node.expression.type === 'UpdateExpression') {
+      const { operator, argument } = node.expression;
+      return this.write(`${this.generateNode(argument)} ${operator[0]}= 1;`);
+    }
+    this.write(`${this.generateNode(node.expression)};`);
+  }
+
+  generateCallExpression(node) {
+    const variant = this.variantOf(node.callee);
+    if (variant) {
+      const values = bindArguments(node.arguments, { parameters: variant.fields, defaults: {}, restParameter: null });
+      const fields = variant.fields.map((field, i) => `${field}: ${values[i] ? this.generateValue(values[i], variant.fieldTypes[field]) : '0'}`);
+      return `${node.callee.object.name}::${variant.name} { ${fields.join(', ')} }`;
+    }
+    if (node.callee.type === 'Identifier' && node.callee.name in this.classes) {
+      return this.generateNode({ ...node, type: 'NewExpression' });
+    }
+
+    const name = node.callee.type === 'Identifier' ? node.callee.name : node.callee.property;
+    const args = this.generateCallArguments(node.arguments, this.calledFunction(node.callee), name);
+
+    if (node.block && node.callee.type === 'MemberExpression' && ['map', 'filter', 'select'].includes(node.callee.property)) {
+      const object = this.generateNode(node.callee.object);
+      if (node.callee.property === 'map') {
+        return `${object}.iter().cloned().map(${this.generateLambda(node.block)}).collect::<Vec<_>>()`;
+      }
+      const filter = { ...node.block, parameters: node.block.parameters.map(param => `&${param}`) };
+      return `${object}.iter().cloned().filter(${this.generateLambda(filter)}).collect::<Vec<_>>()`;
+    }
+    if (node.block) {
+      args.push(this.generateLambda(node.block));
+    }
+
+    if (node.callee.type === 'Identifier') {
+      switch (node.callee.name) {
+        case 'print':
+        case 'println': {
+          const format = node.arguments.map(arg =>
+            ['array', 'object'].includes(this.valueKind(arg)) ? '{:?}' : '{}'
+          ).join(' ');
+          return args.length === 0 ? 'println!()' : `println!("${format}", ${args.join(', ')})`;
+        }
+        case 'len':
+          return `${args[0]}.len()`;
+        case 'str':
+          return `${args[0]}.to_string()`;
+      }
+      if (this.isListBuiltin(node)) {
+        return `${this.listChain(node)}.collect::<Vec<_>>()`;
+      }
+    }
+
+    if (this.inConstructor && node.callee.type === 'Identifier' && node.callee.name === 'super' &&
+        ERROR_TYPES.includes(this.superclassName)) {
+      return `this.message = ${args.length > 0 ? `${args[0]}.to_string()` : 'String::new()'}`;
+    }
+
+    if (this.inConstructor && node.callee.type === 'Identifier' && node.callee.name === 'super') {
+      return `this.base = ${this.superclassName || 'Default'}::new(${args.join(', ')})`;
+    }
+
+    return `${this.generateNode(node.callee)}(${args.join(', ')})`;
+  }
+
+  // The variant `Enum.Variant` names, for an enum declared in the program.
+  variantOf(node) {
+    if (node.type !== 'MemberExpression' || node.object.type !== 'Identifier' || !this.enums[node.object.name]) {
+      return null;
+    }
+    return this.enums[node.object.name].variants.find(variant => variant.name === node.property) || null;
+  }
+
+  generateIndexExpression(node) {
+    const object = this.generateNode(node.object);
+    if (node.index.type === 'Literal') {
+      const index = typeof node.index.value === 'number' ? node.index.value : this.generateLiteral(node.index.value);
+      return `${object}[${index}]`;
+    }
+    return `${object}[(${this.generateNode(node.index)}) as usize]`;
+  }
+
+  generateMemberExpression(node) {
+    if (this.variantOf(node)) {
+      return `${node.object.name}::${node.property}`;
+    }
+    if (node.object.type === 'Identifier' && node.object.name === 'super') {
+      return `self.base.${node.property}`;
+    }
+    if (node.property === 'message' && this.valueKind(node.object) === 'error') {
+      return this.generateNode(node.object);
+    }
+    return `${this.generateNode(node.object)}.${node.property}`;
+  }
+
+  generateIdentifier(node) {
+    if (this.aliases[node.name]) return this.aliases[node.name];
+    if (node.name === 'this' && !this.inConstructor) return 'self';
+    return node.name;
+  }
+
+  generateLambda(node) {
+    const types = node.parameterTypes || {};
+    const params = `|${node.parameters.map(param => {
+      if (types[param]) return `${param}: ${this.rustType(types[param])}`;
+      return param === node.restParameter ? `${param}: Vec<i64>` : param;
+    }).join(', ')}|`;
+
+    if (node.expression) {
+      const body = this.generateNode(node.body);
+      return node.async ? `${params} async move { ${body} }` : `${params} ${body}`;
+    }
+
+    if (node.block && node.body.length === 1 && node.body[0].type === 'ExpressionStatement') {
+      return `${params} ${this.generateNode(node.body[0].expression)}`;
+    }
+
+    const outer = this.returnType;
+    this.returnType = null;
+    const lines = this.capture(() => {
+      this.indent++;
+      this.generateStatements(node.body, node.block);
+      this.indent--;
+    });
+    this.returnType = outer;
+    const body = `{\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}}`;
+    return node.async ? `move ${params} async move ${body}` : `move ${params} ${body}`;
+  }
+
+  generateInterpolatedString(node) {
+    const args = [];
+    const format = node.parts.map(part => {
+      if (part.type === 'Literal' && typeof part.value === 'string') {
+        return JSON.stringify(part.value).slice(1, -1).replace(/\{/g, '{{').replace(/\}/g, '}}');
+      }
+      args.push(this.generateNode(part));
+      return ['array', 'object'].includes(this.valueKind(part)) ? '{:?}' : '{}';
+    }).join('');
+    return `format!("${format}", ${args.join(', ')})`;
+  }
+
+  generateLiteral(value) {
+    if (value === null) return 'None';
+    if (typeof value === 'string') return JSON.stringify(value);
+    return String(value);
+  }
+
+  generateArrayLiteral(node) {
+    const segments = spreadSegments(node.elements);
+    if (segments.length === 1 && Array.isArray(segments[0])) {
+      return `vec![${this.generateArguments(segments[0])}]`;
+    }
+    const parts = segments.map(segment => {
+      if (Array.isArray(segment)) return `vec![${this.generateArguments(segment)}]`;
+      const value = this.generateNode(segment.argument);
+      return segment.argument.type === 'SliceExpression' ? value : `${value}.to_vec()`;
+    });
+    if (parts.length <= 1) {
+      return parts[0] || 'vec![]';
+    }
+    return `[${parts.join(', ')}].concat()`;
+  }
+
+  // Later entries win, as with spreading into an object in Lumos.
+  generateObjectLiteral(node) {
+    const parts = spreadSegments(node.properties).map(segment => {
+      if (!Array.isArray(segment)) {
+        return `${this.generateNode(segment.argument)}.clone()`;
+      }
+      const entries = segment.map(prop => `("${prop.key}", ${this.generateNode(prop.value)})`);
+      return `HashMap::from([${entries.join(', ')}])`;
+    });
+    if (parts.length <= 1) {
+      return parts[0] || 'HashMap::new()';
+    }
+    const [first, ...rest] = parts;
+    return `${first}.into_iter()${rest.map(part => `.chain(${part})`).join('')}.collect::<HashMap<_, _>>()`;
+  }
+
+  generateArguments(args) {
+    return args.map(arg => this.generateNode(arg)).join(', ');
+  }
+
+  generateStatements(statements, tailValue) {
+    const last = statements[statements.length - 1];
+    for (const statement of statements) {
+      if (tailValue && statement === last && statement.type === 'ExpressionStatement') {
+        this.write(this.generateNode(statement.expression));
+      } else {
+        this.generateNode(statement);
+      }
+    }
+  }
+
+  inferFieldType(initializer) {
+    if (!initializer || initializer.type !== 'Literal') {
+      return initializer && initializer.type === 'ArrayLiteral' ? 'Vec<i64>' : 'i64';
+    }
+    if (typeof initializer.value === 'string') return 'String';
+    if (typeof initializer.value === 'boolean') return 'bool';
+    if (typeof initializer.value === 'number' && !Number.isInteger(initializer.value)) return 'f64';
+    return 'i64';
+  }
+
+  returnsValue(body) {
+    return this.containsNode(body, node => node.type === 'ReturnStatement' && node.value !== null);
+  }
+
+  mutatesSelf(body) {
+    return this.containsNode(body, node =>
+      ['Assignment', 'UpdateExpression'].includes(node.type) &&
+      (node.target || node.argument).type === 'MemberExpression' &&
+      (node.target || node.argument).object.type === 'Identifier' &&
+      (node.target || node.argument).object.name === 'this'
+    );
+  }
+
+  containsNode(value, predicate) {
+    if (Array.isArray(value)) {
+      return value.some(item => this.containsNode(item, predicate));
+    }
+    if (!value || typeof value !== 'object') return false;
+    if (value.type === 'Lambda' || value.type === 'FunctionDeclaration') return false;
+    if (predicate(value)) return true;
+    return Object.values(value).some(child => this.containsNode(child, predicate));
+  }
+
+  generateBlock(statements) {
+    this.indent++;
+    for (const statement of statements) {
+      this.generateNode(statement);
+    }
+    this.indent--;
+  }
+
+  capture(callback) {
+    const saved = this.output;
+    this.output = [];
+    callback();
+    const lines = this.output;
+    this.output = saved;
+    return lines;
   }
 
   write(line) {
-    this.output.push('  '.repeat(this.indent) + line);
+    this.output.push(this.indentStr.repeat(this.indent) + line);
   }
 }
 
-module.exports = new Backend();
+module.exports = new RustBackend();
@@ -12,6 +12,9 @@ class Backend {
       case 'Program': return this.generateProgram(node);
       case 'VariableDeclaration': return this.generateVariableDeclaration(node);
       case 'FunctionDeclaration': return this.generateFunctionDeclaration(node);
+      case 'StructDeclaration': return this.generateTypeDeclaration('struct', node);
+      case 'EnumDeclaration': return this.generateEnumDeclaration(node);
+      case 'InterfaceDeclaration': return this.generateProtocolDeclaration(node);
       default: return '';
     }
   }
@@ -31,6 +34,48 @@ class Backend {
     this.write(`function ${node.name}() {}`);
   }
 
+  // Only the shape of a type is generated: its conformances, fields and
+  // method signatures.
+  generateTypeDeclaration(keyword, node, members = []) {
+    const conformances = node.interfaces && node.interfaces.length > 0 ? `: ${node.interfaces.join(', ')}` : '';
+    this.write(`${keyword} ${node.name}${conformances} {`);
+    this.indent++;
+    members.forEach(member => this.write(member));
+    for (const prop of node.properties || []) {
+      this.write(`var ${prop.name}: Any`);
+    }
+    for (const method of node.methods) {
+      this.write(`func ${method.name}(${method.parameters.map(param => `_ ${param}: Any`).join(', ')}) {}`);
+    }
+    this.indent--;
+    this.write('}');
+  }
+
+  generateEnumDeclaration(node) {
+    const cases = node.variants.map(variant => variant.fields.length > 0
+      ? `case ${variant.name}(${variant.fields.map(field => `${field}: Any`).join(', ')})`
+      : `case ${variant.name}`);
+    this.generateTypeDeclaration('enum', node, cases);
+  }
+
+  // Default methods go in an extension of the protocol.
+  generateProtocolDeclaration(node) {
+    const signature = method => `func ${method.name}(${method.parameters.map(param => `_ ${param}: Any`).join(', ')})`;
+    this.write(`protocol ${node.name} {`);
+    this.indent++;
+    node.methods.forEach(method => this.write(signature(method)));
+    this.indent--;
+    this.write('}');
+    const defaults = node.methods.filter(method => method.body);
+    if (defaults.length > 0) {
+      this.write(`extension ${node.name} {`);
+      this.indent++;
+      defaults.forEach(method => this.write(`${signature(method)} {}`));
+      this.indent--;
+      this.write('}');
+    }
+  }
+
   write(line) {
     this.output.push('  '.repeat(this.indent) + line);
   }
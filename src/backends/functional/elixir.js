@@ -1,39 +1,942 @@
-class Backend {
+const {
+  ERROR_TYPES,
+  blockLoop,
+  referencesName,
+  packArguments,
+  bindArguments,
+  fillDefaults,
+  hasDependentDefaults,
+  spreadSegments,
+  classHierarchy,
+  errorSubtypes,
+  builtinType,
+  unchain,
+  expandAssignment,
+  structClass,
+  fixedParameters
+} = require('../lowering');
+
+const BITWISE_FUNCTIONS = { '&': 'band', '|': 'bor', '^': 'bxor', '<<': 'bsl', '>>': 'bsr' };
+
+class ElixirBackend {
   generate(ast, options = {}) {
     this.output = [];
     this.indent = 0;
+    this.indentStr = '  ';
+    this.lambdaNames = new Set();
+    this.patternCount = 0;
+    this.valueKinds = {};
+    this.superclasses = {};
+    this.functions = {};
+    this.classes = {};
+    this.behaviours = {};
     this.generateNode(ast);
     return this.output.join('\n');
   }
 
   generateNode(node) {
     if (!node) return '';
+
     switch (node.type) {
-      case 'Program': return this.generateProgram(node);
-      case 'VariableDeclaration': return this.generateVariableDeclaration(node);
-      case 'FunctionDeclaration': return this.generateFunctionDeclaration(node);
-      default: return '';
+      case 'Program':
+        return this.generateProgram(node);
+      case 'VariableDeclaration':
+        return this.generateVariableDeclaration(node);
+      case 'DestructuringDeclaration':
+        return this.generateDestructuringDeclaration(node);
+      case 'FunctionDeclaration':
+        return this.generateFunctionDeclaration(node);
+      case 'ClassDeclaration':
+        return this.generateClassDeclaration(node);
+      case 'StructDeclaration':
+        return this.generateClassDeclaration(structClass(node));
+      case 'InterfaceDeclaration':
+        return this.generateBehaviourDeclaration(node);
+      case 'EnumDeclaration':
+        throw new Error('Enums are not supported by the Elixir backend');
+      case 'ImportStatement':
+        return this.generateImportStatement(node);
+      case 'TryStatement':
+        return this.generateTryStatement(node);
+      case 'ThrowStatement':
+        return this.write(`raise ${this.generateNode(node.argument)}`);
+      case 'IfStatement':
+        return this.generateIfStatement(node);
+      case 'MatchStatement':
+        return this.write(this.generateMatchExpression(node));
+      case 'MatchExpression':
+        return this.generateMatchExpression(node);
+      case 'WhileStatement':
+        return this.generateWhileStatement(node);
+      case 'ForStatement':
+        return this.generateForStatement(node);
+      case 'ForInStatement':
+        return this.generateForInStatement(node);
+      case 'ReturnStatement':
+        return this.write(node.value ? this.generateNode(node.value) : 'nil');
+      case 'Break':
+        return this.write('throw(:break)');
+      case 'Continue':
+        return this.write('throw(:continue)');
+      case 'ExpressionStatement':
+        return this.generateExpressionStatement(node);
+      case 'Assignment':
+        return this.generateAssignment(node);
+      case 'BinaryExpression':
+        return this.generateBinaryExpression(node);
+      case 'ConditionalExpression':
+        return `(if ${this.generateNode(node.test)}, do: ${this.generateNode(node.consequent)}, else: ${this.generateNode(node.alternate)})`;
+      case 'OptionalChain':
+        return this.generateNode(unchain(node));
+      case 'RangeExpression':
+        return `Enum.to_list(${this.generateNode(node.start)}..${this.generateNode(node.end)})`;
+      case 'UnaryExpression':
+        if (node.operator === '~') return `Bitwise.bnot(${this.generateNode(node.operand)})`;
+        return `${node.operator === '-' ? '-' : 'not '}${this.generateNode(node.operand)}`;
+      case 'UpdateExpression':
+        return this.generateUpdateExpression(node);
+      case 'CallExpression':
+        return this.generateCallExpression(node);
+      case 'NewExpression':
+        return this.generateNewExpression(node);
+      case 'NamedArgument':
+        return `${this.snakeCase(node.name)}: ${this.generateNode(node.value)}`;
+      case 'IndexExpression':
+        return this.generateIndexExpression(node);
+      case 'MemberExpression':
+        return `${this.generateNode(node.object)}.${node.property}`;
+      case 'Identifier':
+        if (node.name === 'Error') return 'RuntimeError';
+        return node.name === 'this' ? 'this' : this.snakeCase(node.name);
+      case 'Literal':
+        return this.generateLiteral(node.value);
+      case 'InterpolatedString':
+        return `"${node.parts.map(part => part.type === 'Literal' && typeof part.value === 'string'
+          ? this.generateLiteral(part.value).slice(1, -1)
+          : `#{${this.generateNode(part)}}`).join('')}"`;
+      case 'ArrayLiteral':
+        return this.generateArrayLiteral(node);
+      case 'ObjectLiteral':
+        return this.generateObjectLiteral(node);
+      case 'ListComprehension':
+      case 'DictComprehension':
+        return this.generateComprehension(node);
+      case 'Lambda':
+        return this.generateLambda(node);
+      case 'SliceExpression':
+        return `Enum.drop(${this.generateNode(node.object)}, ${node.start})`;
+      case 'RestProperties':
+        return `Map.drop(${this.generateNode(node.object)}, [${node.keys.map(key => `:${key}`).join(', ')}])`;
+      default:
+        throw new Error(`Unknown node type: ${node.type}`);
     }
   }
 
   generateProgram(node) {
-    for (const stmt of node.statements) {
-      this.generateNode(stmt);
+    const classes = node.statements.filter(stmt => [
+      'ClassDeclaration', 'StructDeclaration', 'EnumDeclaration', 'InterfaceDeclaration'
+    ].includes(stmt.type));
+    const imports = node.statements.filter(stmt => stmt.type === 'ImportStatement');
+    const functions = node.statements.filter(stmt => stmt.type === 'FunctionDeclaration');
+    const main = node.statements.filter(stmt =>
+      !classes.includes(stmt) && !imports.includes(stmt) && !functions.includes(stmt)
+    );
+
+    this.superclasses = classHierarchy(node);
+    for (const func of functions) {
+      this.functions[func.name] = func;
+    }
+    for (const cls of classes) {
+      if (cls.type === 'InterfaceDeclaration') {
+        this.behaviours[cls.name] = cls;
+      } else if (cls.type !== 'EnumDeclaration') {
+        const type = cls.type === 'StructDeclaration' ? structClass(cls) : cls;
+        this.classes[cls.name] = type.methods.find(method => method.name === 'constructor');
+      }
+    }
+    for (const name of ERROR_TYPES.slice(1)) {
+      if (!this.superclasses[name] && !classes.some(cls => cls.name === name) && referencesName(node, name)) {
+        this.write(`defmodule ${name} do`);
+        this.indent++;
+        this.write('defexception message: ""');
+        this.indent--;
+        this.write('end');
+        this.write('');
+      }
     }
+
+    for (const cls of classes) {
+      this.generateNode(cls);
+    }
+
+    this.write('defmodule Main do');
+    this.indent++;
+    for (const imp of imports) {
+      this.generateNode(imp);
+    }
+    for (const func of functions) {
+      this.generateNode(func);
+    }
+    this.write('def main do');
+    this.generateBlock(main);
+    this.write('end');
+    this.indent--;
+    this.write('end');
+    this.write('');
+    this.write('Main.main()');
   }
 
   generateVariableDeclaration(node) {
-    const value = node.initializer ? this.generateNode(node.initializer) : 'null';
-    this.write(`var ${node.name} = ${value};`);
+    this.valueKinds[node.name] = this.valueKind(node.initializer);
+    if (node.initializer && node.initializer.type === 'Lambda') {
+      this.lambdaNames.add(node.name);
+      this.functions[node.name] = node.initializer;
+    }
+    const value = node.initializer ? this.generateNode(node.initializer) : 'nil';
+    this.write(`${this.snakeCase(node.name)} = ${value}`);
+  }
+
+  // A map pattern cannot collect the keys it leaves out, so a rest property
+  // binds the whole map and the rest is computed from it afterwards.
+  generateDestructuringDeclaration(node) {
+    const rests = [];
+    const pattern = this.generateBindingPattern(node.pattern, rests);
+    this.write(`${pattern} = ${this.generateNode(node.initializer)}`);
+    for (const [name, map, keys] of rests) {
+      this.write(`${name} = Map.drop(${map}, [${keys.map(key => `:${key}`).join(', ')}])`);
+    }
+  }
+
+  generateBindingPattern(pattern, rests) {
+    switch (pattern.type) {
+      case 'IdentifierPattern':
+        return this.snakeCase(pattern.name);
+      case 'WildcardPattern':
+        return '_';
+      case 'ArrayPattern': {
+        const rest = pattern.rest ? this.snakeCase(pattern.rest) : '_';
+        if (pattern.elements.length === 0) return rest;
+        return `[${pattern.elements.map(element => this.generateBindingPattern(element, rests)).join(', ')} | ${rest}]`;
+      }
+      case 'ObjectPattern': {
+        const entries = pattern.properties.map(prop => `${prop.key}: ${this.generateBindingPattern(prop.pattern, rests)}`);
+        const map = `%{${entries.join(', ')}}`;
+        if (!pattern.rest) return map;
+        const name = `value${this.patternCount++}`;
+        rests.push([this.snakeCase(pattern.rest), name, pattern.properties.map(prop => prop.key)]);
+        return `${map} = ${name}`;
+      }
+      default:
+        throw new Error(`Unknown pattern type: ${pattern.type}`);
+    }
   }
 
   generateFunctionDeclaration(node) {
-    this.write(`function ${node.name}() {}`);
+    if (node.blockParameter) {
+      this.lambdaNames.add(node.blockParameter);
+    }
+    const params = this.generateParameters(node).join(', ');
+    this.write(`def ${this.snakeCase(node.name)}(${params}) do`);
+    this.generateBlock(node.body);
+    this.write('end');
+    this.write('');
+  }
+
+  // Elixir defaults can't use other parameters; calls to functions with
+  // such defaults fill them in instead.
+  generateParameters(node) {
+    const dependent = hasDependentDefaults(node);
+    return node.parameters.map(param => {
+      const value = node.defaults && node.defaults[param];
+      const name = this.snakeCase(param);
+      return value && !dependent ? `${name} \\\\ ${this.generateNode(value)}` : name;
+    });
+  }
+
+  // Puts keyword arguments to a known function in order. Lambdas have no
+  // defaults, so calls to them fill in every missing argument, as do calls
+  // to functions whose defaults Elixir can't express.
+  callArguments(args, func, name) {
+    if (!func) return args;
+    const native = func.type !== 'Lambda' && !hasDependentDefaults(func);
+    if (native && !args.some(arg => arg.type === 'NamedArgument')) {
+      return packArguments(args, func);
+    }
+    const values = bindArguments(args, func);
+    const rest = func.restParameter ? [values.pop()] : [];
+    return [...fillDefaults(values, func, name, !native || rest.length > 0), ...rest];
+  }
+
+  generateClassDeclaration(node) {
+    const constructor = node.methods.find(method => method.name === 'constructor');
+    const methods = node.methods.filter(method => method !== constructor);
+
+    this.write(`defmodule ${node.name} do`);
+    this.indent++;
+    for (const name of node.interfaces || []) {
+      this.write(`@behaviour ${name}`);
+    }
+
+    const fields = node.properties.map(prop =>
+      `${prop.name}: ${prop.initializer ? this.generateNode(prop.initializer) : 'nil'}`
+    );
+    const isError = errorSubtypes('Error', this.superclasses).includes(node.name);
+    if (isError) {
+      this.write(`defexception [${['message: ""', ...fields].join(', ')}]`);
+    } else {
+      this.write(`defstruct [${fields.join(', ')}]`);
+    }
+
+    const ctorParams = constructor ? this.generateParameters(constructor) : [];
+    this.write('');
+    this.write(`def new(${ctorParams.join(', ')}) do`);
+    this.indent++;
+    this.write('this = %__MODULE__{}');
+    if (constructor) {
+      for (const statement of constructor.body) {
+        this.generateNode(statement);
+      }
+    }
+    this.write('this');
+    this.indent--;
+    this.write('end');
+
+    for (const method of methods) {
+      this.generateMethod(method);
+    }
+    this.generateDelegates(node);
+
+    this.indent--;
+    this.write('end');
+    this.write('');
+  }
+
+  generateMethod(method) {
+    const params = ['this', ...this.generateParameters(method)];
+    this.write('');
+    this.write(`def ${this.snakeCase(method.name)}(${params.join(', ')}) do`);
+    this.generateBlock(method.body);
+    this.write('end');
+  }
+
+  // Methods are called through the struct's own module, so each default
+  // method of a behaviour is delegated to from the modules using it.
+  generateDelegates(node) {
+    const defined = new Set(node.methods.map(method => method.name));
+    for (const name of node.interfaces || []) {
+      const behaviour = this.behaviours[name];
+      for (const method of behaviour ? behaviour.methods : []) {
+        if (method.body && !defined.has(method.name)) {
+          defined.add(method.name);
+          const params = ['this', ...this.generateParameters(method)];
+          this.write('');
+          this.write(`defdelegate ${this.snakeCase(method.name)}(${params.join(', ')}), to: ${name}`);
+        }
+      }
+    }
+  }
+
+  generateBehaviourDeclaration(node) {
+    this.write(`defmodule ${node.name} do`);
+    this.indent++;
+    node.methods.forEach((method, i) => {
+      const params = ['this', ...this.generateParameters(method)];
+      if (i > 0) {
+        this.write('');
+      }
+      if (method.body) {
+        this.write(`def ${this.snakeCase(method.name)}(${params.join(', ')}) do`);
+        this.generateBlock(method.body);
+        this.write('end');
+      } else {
+        this.write(`@callback ${this.snakeCase(method.name)}(${params.map(() => 'any').join(', ')}) :: any`);
+      }
+    });
+    this.indent--;
+    this.write('end');
+    this.write('');
+  }
+
+  generateImportStatement(node) {
+    const modulePath = node.source.replace(/^\.\//, '').replace(/\.lumos$/, '').split('/')
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+      .join('.');
+    const names = node.specifiers.filter(spec => spec.name !== '*');
+    if (names.length === 0) {
+      this.write(`import ${modulePath}`);
+    } else {
+      this.write(`import ${modulePath}, only: [${names.map(spec => `${this.snakeCase(spec.name)}: 0`).join(', ')}]`);
+    }
+  }
+
+  generateTryStatement(node) {
+    this.write('try do');
+    this.generateBlock(node.tryBlock);
+
+    if (node.catchClauses.length > 0) {
+      this.write('rescue');
+      this.indent++;
+      for (const clause of node.catchClauses) {
+        const param = clause.parameter ? this.snakeCase(clause.parameter) : '_';
+        if (clause.errorType && clause.errorType !== 'Error') {
+          const types = errorSubtypes(clause.errorType, this.superclasses);
+          this.write(`${param} in [${types.join(', ')}] ->`);
+        } else {
+          this.write(`${param} ->`);
+        }
+        this.generateBlock(clause.body);
+      }
+      this.indent--;
+    }
+
+    if (node.finallyBlock) {
+      this.write('after');
+      this.generateBlock(node.finallyBlock);
+    }
+
+    this.write('end');
+  }
+
+  generateIfStatement(node) {
+    const elifs = node.elifBranches || [];
+
+    if (elifs.length === 0) {
+      this.write(`if ${this.generateNode(node.condition)} do`);
+      this.generateBlock(node.thenBranch);
+      if (node.elseBranch) {
+        this.write('else');
+        this.generateBlock(node.elseBranch);
+      }
+      this.write('end');
+      return;
+    }
+
+    this.write('cond do');
+    this.indent++;
+    const branches = [
+      { condition: node.condition, body: node.thenBranch },
+      ...elifs
+    ];
+    for (const branch of branches) {
+      this.write(`${this.generateNode(branch.condition)} ->`);
+      this.generateBlock(branch.body);
+    }
+    if (node.elseBranch) {
+      this.write('true ->');
+      this.generateBlock(node.elseBranch);
+    }
+    this.indent--;
+    this.write('end');
+  }
+
+  generateMatchExpression(node) {
+    const lines = this.capture(() => {
+      this.indent++;
+      for (const matchCase of node.cases) {
+        const conditions = [];
+        const rests = [];
+        const pattern = this.generatePattern(matchCase.pattern, conditions, rests);
+        if (matchCase.guard) {
+          conditions.push(this.generateNode(matchCase.guard));
+        }
+        const guard = conditions.length > 0 ? ` when ${conditions.join(' and ')}` : '';
+
+        if (matchCase.expression && rests.length === 0) {
+          this.write(`${pattern}${guard} -> ${this.generateNode(matchCase.body)}`);
+        } else {
+          this.write(`${pattern}${guard} ->`);
+          this.indent++;
+          for (const [name, map, keys] of rests) {
+            this.write(`${name} = Map.drop(${map}, [${keys.map(key => `:${key}`).join(', ')}])`);
+          }
+          this.indent--;
+          if (matchCase.expression) {
+            this.generateBlock([{ type: 'ExpressionStatement', expression: matchCase.body }]);
+          } else {
+            this.generateBlock(matchCase.body);
+          }
+        }
+      }
+      if (!node.cases.some(matchCase => this.isCatchAll(matchCase))) {
+        this.write(node.type === 'MatchExpression'
+          ? '_ -> raise ArgumentError, "No match case"'
+          : '_ -> nil');
+      }
+      this.indent--;
+    });
+
+    const subject = this.generateNode(node.subject);
+    return `case ${subject} do\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}end`;
+  }
+
+  isCatchAll(matchCase) {
+    return !matchCase.guard &&
+      (matchCase.pattern.type === 'WildcardPattern' || matchCase.pattern.type === 'IdentifierPattern');
+  }
+
+  generatePattern(pattern, conditions, rests) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        return '_';
+      case 'IdentifierPattern':
+        return this.snakeCase(pattern.name);
+      case 'LiteralPattern':
+        return this.generateLiteral(pattern.value);
+      case 'RangePattern': {
+        const name = `range${this.patternCount++}`;
+        const start = this.generateLiteral(pattern.start);
+        const end = this.generateLiteral(pattern.end);
+        if (typeof pattern.start === 'string') {
+          conditions.push(`is_binary(${name}) and ${name} >= ${start} and ${name} <= ${end}`);
+        } else {
+          conditions.push(`is_number(${name}) and ${name} >= ${start} and ${name} <= ${end}`);
+        }
+        return name;
+      }
+      case 'ArrayPattern': {
+        const elements = pattern.elements.map(element => this.generatePattern(element, conditions, rests));
+        if (!pattern.rest) return `[${elements.join(', ')}]`;
+        const rest = this.snakeCase(pattern.rest);
+        return elements.length === 0 ? rest : `[${elements.join(', ')} | ${rest}]`;
+      }
+      case 'ObjectPattern': {
+        const entries = pattern.properties.map(prop =>
+          `${prop.key}: ${this.generatePattern(prop.pattern, conditions, rests)}`
+        );
+        if (!pattern.rest) return `%{${entries.join(', ')}}`;
+        const name = `value${this.patternCount++}`;
+        rests.push([this.snakeCase(pattern.rest), name, pattern.properties.map(prop => prop.key)]);
+        return `%{${entries.join(', ')}} = ${name}`;
+      }
+      default:
+        throw new Error(`Unknown pattern type: ${pattern.type}`);
+    }
+  }
+
+  generateWhileStatement(node) {
+    this.generateLoop([
+      'Stream.repeatedly(fn -> nil end)',
+      `|> Stream.take_while(fn _ -> ${this.generateNode(node.condition)} end)`
+    ], node.body);
+  }
+
+  generateForStatement(node) {
+    const start = this.generateNode(node.start);
+    const end = this.generateNode(node.end);
+    const step = this.generateNode(node.step);
+    const range = step === '1' ? `${start}..${end}` : `${start}..${end}//${step}`;
+    this.generateLoop([range], node.body, this.snakeCase(node.iterator));
+  }
+
+  generateForInStatement(node) {
+    const { iterable, pattern } = this.loopSource(node);
+    this.generateLoop([iterable], node.body, pattern);
+  }
+
+  // What a loop enumerates, and the pattern that binds its variables.
+  loopSource(node) {
+    const [first, second] = node.variables.map(name => this.snakeCase(name));
+    const kind = this.valueKind(node.iterable);
+    let iterable = node.iterable.type === 'RangeExpression'
+      ? `${this.generateNode(node.iterable.start)}..${this.generateNode(node.iterable.end)}`
+      : this.generateNode(node.iterable);
+
+    if (kind === 'string') {
+      iterable = `String.graphemes(${iterable})`;
+    }
+
+    if (kind === 'object') {
+      return second ? { iterable, pattern: `{${first}, ${second}}` } : { iterable: `Map.keys(${iterable})`, pattern: first };
+    }
+    if (second) {
+      return { iterable: `Enum.with_index(${iterable})`, pattern: `{${second}, ${first}}` };
+    }
+    return { iterable, pattern: first };
+  }
+
+  // Comprehensions map onto `for`, written with parens so it can be passed
+  // as an argument.
+  generateComprehension(node) {
+    const parts = [];
+    for (const clause of node.clauses) {
+      const { iterable, pattern } = this.loopSource(clause);
+      parts.push(`${pattern} <- ${iterable}`, ...clause.conditions.map(condition => this.generateNode(condition)));
+    }
+    if (node.type === 'DictComprehension') {
+      parts.push('into: %{}', `do: {${this.generateNode(node.key)}, ${this.generateNode(node.value)}}`);
+    } else {
+      parts.push(`do: ${this.generateNode(node.element)}`);
+    }
+    return `for(${parts.join(', ')})`;
+  }
+
+  valueKind(node) {
+    if (!node) return null;
+    switch (node.type) {
+      case 'ObjectLiteral':
+      case 'DictComprehension':
+        return 'object';
+      case 'ArrayLiteral':
+      case 'RangeExpression':
+      case 'ListComprehension':
+        return 'array';
+      case 'Literal':
+        return typeof node.value === 'string' ? 'string' : null;
+      case 'InterpolatedString':
+        return 'string';
+      case 'Identifier':
+        return this.valueKinds[node.name] || null;
+      case 'CallExpression':
+        if (this.isListBuiltin(node)) return 'array';
+        return node.block && node.callee.type === 'MemberExpression' &&
+          ['map', 'filter', 'select'].includes(node.callee.property) ? 'array' : null;
+      default:
+        return null;
+    }
+  }
+
+  isListBuiltin(node) {
+    return node.callee.type === 'Identifier' && ['map', 'filter'].includes(node.callee.name) &&
+      !this.functions[node.callee.name] && node.arguments.length === 2;
+  }
+
+  generateLoop(source, body, iterator = '_') {
+    const breaks = this.containsLoopControl(body, 'Break');
+    const continues = this.containsLoopControl(body, 'Continue');
+
+    if (breaks) {
+      this.write('try do');
+      this.indent++;
+    }
+
+    for (const line of source) {
+      this.write(line);
+    }
+    this.write(`|> Enum.each(fn ${iterator} ->`);
+    if (continues) {
+      this.indent++;
+      this.write('try do');
+      this.generateBlock(body);
+      this.write('catch');
+      this.indent++;
+      this.write(':continue -> nil');
+      this.indent--;
+      this.write('end');
+      this.indent--;
+    } else {
+      this.generateBlock(body);
+    }
+    this.write('end)');
+
+    if (breaks) {
+      this.indent--;
+      this.write('catch');
+      this.indent++;
+      this.write(':break -> nil');
+      this.indent--;
+      this.write('end');
+    }
+  }
+
+  containsLoopControl(value, type) {
+    if (Array.isArray(value)) {
+      return value.some(item => this.containsLoopControl(item, type));
+    }
+    if (!value || typeof value !== 'object') return false;
+    if (value.type === type) return true;
+    if (['WhileStatement', 'ForStatement', 'ForInStatement', 'FunctionDeclaration', 'Lambda'].includes(value.type)) {
+      return false;
+    }
+    return Object.values(value).some(child => this.containsLoopControl(child, type));
+  }
+
+  generateExpressionStatement(node) {
+    const loop = blockLoop(node.expression, expr => this.valueKind(expr));
+    if (loop) {
+      return this.generateForInStatement(loop);
+    }
+    if (node.expression.type === 'UpdateExpression') {
+      return this.write(this.generateUpdateExpression(node.expression, true));
+    }
+    this.write(this.generateNode(node.expression));
+  }
+
+  generateAssignment(node) {
+    if (node.operator !== '=') {
+      return this.generateAssignment(expandAssignment(node));
+    }
+    const value = this.generateNode(node.value);
+
+    if (node.target.type === 'MemberExpression') {
+      const object = this.generateNode(node.target.object);
+      return `${object} = %{${object} | ${node.target.property}: ${value}}`;
+    }
+    return `${this.generateNode(node.target)} = ${value}`;
+  }
+
+  // Rebinding is an expression in Elixir, so a variable can be stepped
+  // inside one; the postfix form undoes the step to give the old value.
+  generateUpdateExpression(node, statement = false) {
+    const step = { type: 'Assignment', target: node.argument, operator: `${node.operator[0]}=`, value: { type: 'Literal', value: 1 } };
+    if (statement) {
+      return this.generateAssignment(step);
+    }
+    if (node.argument.type !== 'Identifier') {
+      throw new Error(`${node.operator} on properties is only supported as a statement by the Elixir backend`);
+    }
+    const update = `(${this.generateAssignment(step)})`;
+    return node.prefix ? update : `(${update} ${node.operator[0] === '+' ? '-' : '+'} 1)`;
+  }
+
+  generateBinaryExpression(node) {
+    const left = this.generateNode(node.left);
+    switch (node.operator) {
+      case '??':
+        return `(if is_nil(${left}), do: ${this.generateNode(node.right)}, else: ${left})`;
+      case 'in':
+      case 'not in':
+        return this.generateContains(node, left);
+      case 'is':
+        return this.generateTypeCheck(left, node.right);
+      case 'is not':
+        return `not ${this.generateTypeCheck(left, node.right)}`;
+    }
+    const right = this.generateNode(node.right);
+
+    if (node.operator === '%') {
+      return `rem(${left}, ${right})`;
+    }
+    if (BITWISE_FUNCTIONS[node.operator]) {
+      return `Bitwise.${BITWISE_FUNCTIONS[node.operator]}(${left}, ${right})`;
+    }
+    // Integer ** raises on a negative exponent; :math.pow gives the float.
+    if (node.operator === '**' && node.right.type === 'UnaryExpression' && node.right.operator === '-') {
+      return `:math.pow(${left}, ${right})`;
+    }
+    if (node.operator === '+' && (this.isString(node.left) || this.isString(node.right))) {
+      return `(${this.toStringExpr(node.left, left)} <> ${this.toStringExpr(node.right, right)})`;
+    }
+
+    const operatorMap = {
+      '==': '==',
+      '!=': '!=',
+      '&&': 'and',
+      '||': 'or'
+    };
+
+    const op = operatorMap[node.operator] || node.operator;
+    return `(${left} ${op} ${right})`;
+  }
+
+  // Map keys are atoms, so a key tested on an object is converted to one.
+  generateContains(node, value) {
+    const collection = this.generateNode(node.right);
+    const negation = node.operator === 'not in' ? 'not ' : '';
+    switch (this.valueKind(node.right)) {
+      case 'string':
+        return `${negation}String.contains?(${collection}, ${value})`;
+      case 'object': {
+        const key = node.left.type === 'Literal' && typeof node.left.value === 'string'
+          ? `:${node.left.value}`
+          : `String.to_atom(${value})`;
+        return `${negation}Map.has_key?(${collection}, ${key})`;
+      }
+      default:
+        return `(${value} ${node.operator} ${collection})`;
+    }
+  }
+
+  // Classes are structs; a subclass's instances have a struct of their own,
+  // so those are accepted too.
+  generateTypeCheck(value, type) {
+    switch (builtinType(type, this.classes)) {
+      case 'Null': return `is_nil(${value})`;
+      case 'Number': return `is_number(${value})`;
+      case 'String': return `is_binary(${value})`;
+      case 'Boolean': return `is_boolean(${value})`;
+      case 'Array': return `is_list(${value})`;
+      case 'Object': return `(is_map(${value}) and not is_struct(${value}))`;
+      case 'Function': return `is_function(${value})`;
+    }
+    if (type.type === 'Identifier' && type.name === 'Error') {
+      return `is_exception(${value})`;
+    }
+    const types = type.type === 'Identifier' ? errorSubtypes(type.name, this.superclasses) : [this.generateNode(type)];
+    return `(is_struct(${value}) and ${value}.__struct__ in [${types.join(', ')}])`;
+  }
+
+  isString(node) {
+    if (node.type === 'Literal') return typeof node.value === 'string';
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+      return this.isString(node.left) || this.isString(node.right);
+    }
+    return node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'str';
+  }
+
+  toStringExpr(node, code) {
+    return this.isString(node) ? code : `to_string(${code})`;
+  }
+
+  generateCallExpression(node) {
+    if (node.callee.type === 'Identifier' && node.callee.name in this.classes) {
+      return this.generateNewExpression(node);
+    }
+    const func = node.callee.type === 'Identifier' && this.functions[node.callee.name];
+    const args = this.callArguments(node.arguments, func, node.callee.name).map(arg => this.generateNode(arg));
+
+    if (node.callee.type === 'Identifier' && node.callee.name === 'super') {
+      return `this = %{this | message: ${args[0] || '""'}}`;
+    }
+    if (node.callee.type === 'Identifier' && ERROR_TYPES.includes(node.callee.name)) {
+      return `${this.generateNode(node.callee)}.exception(${args[0] || '""'})`;
+    }
+
+    if (node.block) {
+      const block = this.generateLambda(node.block);
+      if (node.callee.type === 'MemberExpression' && ['map', 'filter', 'select'].includes(node.callee.property)) {
+        const fn = node.callee.property === 'map' ? 'map' : 'filter';
+        return `Enum.${fn}(${this.generateNode(node.callee.object)}, ${block})`;
+      }
+      args.push(block);
+    }
+
+    if (node.callee.type === 'Identifier') {
+      switch (node.callee.name) {
+        case 'print':
+        case 'println':
+          if (args.length === 1 && ['array', 'object'].includes(this.valueKind(node.arguments[0]))) {
+            return `IO.inspect(${args[0]})`;
+          }
+          return args.length === 1
+            ? `IO.puts(${args[0]})`
+            : `IO.puts(Enum.join([${args.join(', ')}], " "))`;
+        case 'len':
+          return `Enum.count(${args[0]})`;
+        case 'str':
+          return `to_string(${args[0]})`;
+      }
+
+      if (this.isListBuiltin(node)) {
+        return this.generateCall(`Enum.${node.callee.name}`, [args[0], this.functionValue(node.arguments[1])], node);
+      }
+
+      const callee = this.generateNode(node.callee);
+      if (!func && node.arguments.some(arg => arg.type === 'SpreadElement')) {
+        const list = this.generateArrayLiteral({ elements: node.arguments });
+        return this.lambdaNames.has(node.callee.name)
+          ? `apply(${callee}, ${list})`
+          : `apply(__MODULE__, :${callee}, ${list})`;
+      }
+      if (this.lambdaNames.has(node.callee.name)) {
+        return this.generateCall(`${callee}.`, args, node);
+      }
+      return this.generateCall(callee, args, node);
+    }
+
+    if (node.callee.type === 'MemberExpression') {
+      const object = this.generateNode(node.callee.object);
+      const method = this.snakeCase(node.callee.property);
+      return `${object}.__struct__.${method}(${[object, ...args].join(', ')})`;
+    }
+
+    const callee = this.generateNode(node.callee);
+    return this.generateCall(node.callee.type === 'Lambda' ? `(${callee}).` : `${callee}.`, args, node);
+  }
+
+  // A pipeline step keeps its `|>`, with the piped value left out of the
+  // argument list.
+  generateCall(callee, args, node) {
+    if (!node.pipeline) {
+      return `${callee}(${args.join(', ')})`;
+    }
+    const subject = node.arguments[0].type === 'BinaryExpression' ? `(${args[0]})` : args[0];
+    return `${subject} |> ${callee}(${args.slice(1).join(', ')})`;
+  }
+
+  // A function declared in the module is passed on as a capture.
+  functionValue(node) {
+    if (node.type === 'Identifier' && this.functions[node.name] && !this.lambdaNames.has(node.name)) {
+      return `&${this.snakeCase(node.name)}/${fixedParameters(this.functions[node.name]).length}`;
+    }
+    return this.generateNode(node);
+  }
+
+  generateNewExpression(node) {
+    if (node.callee.type === 'Identifier' && ERROR_TYPES.includes(node.callee.name)) {
+      return this.generateCallExpression(node);
+    }
+    const callee = this.generateNode(node.callee);
+    const args = this.callArguments(node.arguments, this.classes[node.callee.name], node.callee.name)
+      .map(arg => this.generateNode(arg)).join(', ');
+    return `${callee}.new(${args})`;
+  }
+
+  generateIndexExpression(node) {
+    const object = this.generateNode(node.object);
+    const index = this.generateNode(node.index);
+    if (node.index.type === 'Literal' && typeof node.index.value === 'string') {
+      return `${object}[:${node.index.value}]`;
+    }
+    return `Enum.at(${object}, ${index})`;
+  }
+
+  generateLambda(node) {
+    const params = node.parameters.map(param => this.snakeCase(param)).join(', ');
+
+    if (node.expression) {
+      return `fn ${params} -> ${this.generateNode(node.body)} end`;
+    }
+
+    const lines = this.capture(() => this.generateBlock(node.body));
+    return `fn ${params} ->\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}end`;
+  }
+
+  generateArrayLiteral(node) {
+    const parts = spreadSegments(node.elements).map(segment => Array.isArray(segment)
+      ? `[${segment.map(element => this.generateNode(element)).join(', ')}]`
+      : this.generateNode(segment.argument));
+    return parts.length === 0 ? '[]' : parts.join(' ++ ');
+  }
+
+  generateObjectLiteral(node) {
+    return spreadSegments(node.properties)
+      .map(segment => Array.isArray(segment)
+        ? `%{${segment.map(prop => `${prop.key}: ${this.generateNode(prop.value)}`).join(', ')}}`
+        : this.generateNode(segment.argument))
+      .reduce((merged, part) => merged === null ? part : `Map.merge(${merged}, ${part})`, null) || '%{}';
+  }
+
+  generateLiteral(value) {
+    if (value === null) return 'nil';
+    if (typeof value === 'string') return JSON.stringify(value).replace(/#\{/g, '\\#{');
+    return String(value);
+  }
+
+  snakeCase(name) {
+    if (/^[A-Z]/.test(name)) return name;
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+  }
+
+  generateBlock(statements) {
+    this.indent++;
+    for (const statement of statements) {
+      this.generateNode(statement);
+    }
+    this.indent--;
+  }
+
+  capture(callback) {
+    const saved = this.output;
+    this.output = [];
+    callback();
+    const lines = this.output;
+    this.output = saved;
+    return lines;
   }
 
   write(line) {
-    this.output.push('  '.repeat(this.indent) + line);
+    this.output.push(line ? this.indentStr.repeat(this.indent) + line : line);
   }
 }
 
-module.exports = new Backend();
+module.exports = new ElixirBackend();
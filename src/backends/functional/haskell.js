@@ -12,6 +12,15 @@ class Backend {
       case 'Program': return this.generateProgram(node);
       case 'VariableDeclaration': return this.generateVariableDeclaration(node);
       case 'FunctionDeclaration': return this.generateFunctionDeclaration(node);
+      case 'Identifier': return node.name;
+      case 'Literal': return this.generateLiteral(node.value);
+      case 'BinaryExpression': return this.generateBinaryExpression(node);
+      case 'CallExpression': return this.generateCallExpression(node);
+      case 'ArrayLiteral': return `[${node.elements.map(element => this.generateNode(element)).join(', ')}]`;
+      case 'RangeExpression': return `[${this.generateNode(node.start)}..${this.generateNode(node.end)}]`;
+      case 'ListComprehension': return `[${this.generateNode(node.element)} | ${this.generateClauses(node.clauses)}]`;
+      case 'DictComprehension':
+        return `Map.fromList [(${this.generateNode(node.key)}, ${this.generateNode(node.value)}) | ${this.generateClauses(node.clauses)}]`;
       default: return '';
     }
   }
@@ -31,6 +40,40 @@ class Backend {
     this.write(`function ${node.name}() {}`);
   }
 
+  // Haskell's map and filter take the function first, so `xs |> map(f)`
+  // becomes `map f xs`. Calls passed as arguments are parenthesized.
+  generateCallExpression(node) {
+    let args = node.arguments;
+    if (node.callee.type === 'Identifier' && ['map', 'filter'].includes(node.callee.name) && args.length === 2) {
+      args = [args[1], args[0]];
+    }
+    return [node.callee, ...args].map(part => {
+      const code = this.generateNode(part);
+      return part.type === 'CallExpression' && part.arguments.length > 0 ? `(${code})` : code;
+    }).join(' ');
+  }
+
+  generateBinaryExpression(node) {
+    const operators = { '%': '`mod`', '!=': '/=', 'and': '&&', 'or': '||' };
+    return `(${this.generateNode(node.left)} ${operators[node.operator] || node.operator} ${this.generateNode(node.right)})`;
+  }
+
+  // A second loop variable takes the index, as in `for i, x in xs`.
+  generateClauses(clauses) {
+    return clauses.map(clause => {
+      const [first, second] = clause.variables;
+      const iterable = this.generateNode(clause.iterable);
+      const generator = second ? `(${first}, ${second}) <- zip [0..] ${iterable}` : `${first} <- ${iterable}`;
+      return [generator, ...clause.conditions.map(condition => this.generateNode(condition))].join(', ');
+    }).join(', ');
+  }
+
+  generateLiteral(value) {
+    if (value === null) return 'Nothing';
+    if (typeof value === 'boolean') return value ? 'True' : 'False';
+    return JSON.stringify(value);
+  }
+
   write(line) {
     this.output.push('  '.repeat(this.indent) + line);
   }
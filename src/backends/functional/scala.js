@@ -1,39 +1,890 @@
-class Backend {
+const {
+  blockLoop, patternBindings, packArguments, spreadSegments, bindArguments, fillDefaults, hasDependentDefaults, referencesName,
+  builtinType, unchain, expandAssignment, structClass, variantEnum
+} = require('../lowering');
+
+const ERROR_TYPES = {
+  Error: 'Exception',
+  TypeError: 'ClassCastException',
+  ValueError: 'IllegalArgumentException',
+  IndexError: 'IndexOutOfBoundsException'
+};
+
+class ScalaBackend {
   generate(ast, options = {}) {
     this.output = [];
     this.indent = 0;
+    this.indentStr = '  ';
+    this.aliases = {};
+    this.patternCount = 0;
+    this.valueKinds = {};
+    this.valueCount = 0;
+    this.functions = {};
+    this.classes = {};
+    this.enums = {};
+    this.traits = {};
     this.generateNode(ast);
     return this.output.join('\n');
   }
 
   generateNode(node) {
     if (!node) return '';
+
     switch (node.type) {
-      case 'Program': return this.generateProgram(node);
-      case 'VariableDeclaration': return this.generateVariableDeclaration(node);
-      case 'FunctionDeclaration': return this.generateFunctionDeclaration(node);
-      default: return '';
+      case 'Program':
+        return this.generateProgram(node);
+      case 'VariableDeclaration':
+        return this.generateVariableDeclaration(node);
+      case 'DestructuringDeclaration':
+        return this.generateDestructuringDeclaration(node);
+      case 'FunctionDeclaration':
+        return this.generateFunctionDeclaration(node);
+      case 'ClassDeclaration':
+        return this.generateClassDeclaration(node);
+      case 'StructDeclaration':
+        return this.generateStructDeclaration(node);
+      case 'EnumDeclaration':
+        return this.generateEnumDeclaration(node);
+      case 'InterfaceDeclaration':
+        return this.generateTraitDeclaration(node);
+      case 'ImportStatement':
+        return this.generateImportStatement(node);
+      case 'TryStatement':
+        return this.generateTryStatement(node);
+      case 'ThrowStatement':
+        return this.generateThrowStatement(node);
+      case 'IfStatement':
+        return this.generateIfStatement(node);
+      case 'MatchStatement':
+        return this.write(this.generateMatchExpression(node));
+      case 'MatchExpression':
+        return this.generateMatchExpression(node);
+      case 'WhileStatement':
+        return this.generateWhileStatement(node);
+      case 'ForStatement':
+        return this.generateForStatement(node);
+      case 'ForInStatement':
+        return this.generateForInStatement(node);
+      case 'ReturnStatement':
+        return this.generateReturnStatement(node);
+      case 'Break':
+        return this.write('break()');
+      case 'Continue':
+        return this.write('continues.break()');
+      case 'ExpressionStatement':
+        return this.generateExpressionStatement(node);
+      case 'Assignment':
+        if (node.operator === '**=') {
+          return this.generateNode(expandAssignment(node));
+        }
+        return `${this.generateNode(node.target)} ${node.operator} ${this.generateNode(node.value)}`;
+      case 'UpdateExpression': {
+        // Assignments are Unit in Scala, so the value is read back after it.
+        const target = this.generateNode(node.argument);
+        const value = node.prefix ? target : `${target} ${node.operator[0] === '+' ? '-' : '+'} 1`;
+        return `{ ${target} ${node.operator[0]}= 1; ${value} }`;
+      }
+      case 'BinaryExpression':
+        return this.generateBinaryExpression(node);
+      case 'ConditionalExpression':
+        return `(if (${this.generateNode(node.test)}) ${this.generateNode(node.consequent)} else ${this.generateNode(node.alternate)})`;
+      case 'OptionalChain':
+        return this.generateNode(unchain(node));
+      case 'RangeExpression':
+        return `(${this.generateNode(node.start)} to ${this.generateNode(node.end)}).toList`;
+      case 'UnaryExpression':
+        return `${node.operator === 'not' ? '!' : node.operator}${this.generateNode(node.operand)}`;
+      case 'CallExpression':
+        return this.generateCallExpression(node);
+      case 'NewExpression':
+        return this.generateNewExpression(node);
+      case 'NamedArgument':
+        return `${node.name} = ${this.generateNode(node.value)}`;
+      case 'IndexExpression':
+        return `${this.generateNode(node.object)}(${this.generateNode(node.index)})`;
+      case 'MemberExpression':
+        if (this.variantOf(node)) {
+          return `${node.object.name}.${node.property}`;
+        }
+        if (node.property === 'message' && this.valueKind(node.object) === 'error') {
+          return `${this.generateNode(node.object)}.getMessage`;
+        }
+        return `${this.generateNode(node.object)}.${node.property}`;
+      case 'Identifier':
+        return this.aliases[node.name] || ERROR_TYPES[node.name] || node.name;
+      case 'Literal':
+        return this.generateLiteral(node.value);
+      case 'InterpolatedString':
+        return this.generateInterpolatedString(node);
+      case 'ArrayLiteral':
+        return this.generateArrayLiteral(node);
+      case 'ObjectLiteral':
+        return this.generateObjectLiteral(node);
+      case 'Lambda':
+        return this.generateLambda(node);
+      case 'SliceExpression':
+        return `${this.generateNode(node.object)}.drop(${node.start})`;
+      case 'RestProperties':
+        return `${this.generateNode(node.object)} -- List(${node.keys.map(key => `"${key}"`).join(', ')})`;
+      default:
+        throw new Error(`Unknown node type: ${node.type}`);
     }
   }
 
   generateProgram(node) {
-    for (const stmt of node.statements) {
-      this.generateNode(stmt);
+    const classes = node.statements.filter(stmt => [
+      'ClassDeclaration', 'StructDeclaration', 'EnumDeclaration', 'InterfaceDeclaration'
+    ].includes(stmt.type));
+    const imports = node.statements.filter(stmt => stmt.type === 'ImportStatement');
+    const functions = node.statements.filter(stmt => stmt.type === 'FunctionDeclaration');
+    const main = node.statements.filter(stmt =>
+      !classes.includes(stmt) && !imports.includes(stmt) && !functions.includes(stmt)
+    );
+    for (const func of functions) {
+      this.functions[func.name] = func;
+    }
+    for (const cls of classes) {
+      if (cls.type === 'EnumDeclaration') {
+        this.enums[cls.name] = cls;
+      } else if (cls.type === 'InterfaceDeclaration') {
+        this.traits[cls.name] = cls;
+      } else {
+        const type = cls.type === 'StructDeclaration' ? structClass(cls) : cls;
+        this.classes[cls.name] = type.methods.find(method => method.name === 'constructor');
+      }
+    }
+
+    const body = this.capture(() => {
+      for (const cls of classes) {
+        this.generateNode(cls);
+      }
+
+      this.write('object Main {');
+      this.indent++;
+      for (const func of functions) {
+        this.generateNode(func);
+      }
+      this.write('def main(args: Array[String]): Unit = {');
+      this.generateBlock(main);
+      this.write('}');
+      this.indent--;
+      this.write('}');
+    });
+
+    for (const imp of imports) {
+      this.generateNode(imp);
+    }
+    if (body.some(line => line.trim() === 'breakable {')) {
+      this.write('import scala.util.control.Breaks._');
+    }
+    if (body.some(line => line.includes('continues.breakable'))) {
+      this.write('object continues extends scala.util.control.Breaks');
+    }
+    if (this.output.length > 0) {
+      this.write('');
     }
+    this.output.push(...body);
   }
 
   generateVariableDeclaration(node) {
-    const value = node.initializer ? this.generateNode(node.initializer) : 'null';
-    this.write(`var ${node.name} = ${value};`);
+    this.valueKinds[node.name] = this.valueKind(node.initializer);
+    if (node.initializer && node.initializer.type === 'Lambda') {
+      this.functions[node.name] = node.initializer;
+    }
+    const keyword = node.keyword === 'const' ? 'val' : 'var';
+    if (node.initializer) {
+      this.write(`${keyword} ${node.name} = ${this.generateNode(node.initializer)}`);
+    } else {
+      this.write(`${keyword} ${node.name}: Any = null`);
+    }
+  }
+
+  // Lists unpack with a pattern definition. Maps cannot be matched by key, so
+  // their entries are read one by one from a temporary.
+  generateDestructuringDeclaration(node) {
+    const keyword = node.keyword === 'const' ? 'val' : 'var';
+    if (!this.containsObjectPattern(node.pattern)) {
+      this.write(`${keyword} ${this.generateListPattern(node.pattern)} = (${this.generateNode(node.initializer)}: @unchecked)`);
+      return;
+    }
+
+    let source = node.initializer;
+    if (source.type !== 'Identifier') {
+      const name = `value${this.valueCount++}`;
+      this.write(`val ${name} = ${this.generateNode(source)}`);
+      source = { type: 'Identifier', name };
+    }
+    for (const [name, access] of patternBindings(node.pattern, source)) {
+      this.write(`${keyword} ${name} = ${this.generateAccess(access, source)}`);
+    }
+  }
+
+  containsObjectPattern(pattern) {
+    if (pattern.type === 'ObjectPattern') return true;
+    return pattern.type === 'ArrayPattern' && pattern.elements.some(element => this.containsObjectPattern(element));
+  }
+
+  generateListPattern(pattern) {
+    if (pattern.type !== 'ArrayPattern') return pattern.name || '_';
+    const elements = pattern.elements.map(element => this.generateListPattern(element));
+    elements.push(pattern.rest ? `${pattern.rest} @ _*` : '_*');
+    return `List(${elements.join(', ')})`;
+  }
+
+  // Nested values are typed Any, so reading from them needs a cast first.
+  generateAccess(node, source) {
+    if (node === source) {
+      return this.generateNode(node);
+    }
+    let object = this.generateAccess(node.object, source);
+    if (node.object !== source) {
+      const isKey = node.type === 'RestProperties' || typeof (node.index && node.index.value) === 'string';
+      object = `${object}.asInstanceOf[${isKey ? 'Map[String, Any]' : 'List[Any]'}]`;
+    }
+    return this.generateNode({ ...node, object: { type: 'Identifier', name: object } });
   }
 
   generateFunctionDeclaration(node) {
-    this.write(`function ${node.name}() {}`);
+    this.write(`def ${node.name}(${this.generateParameters(node.parameters, node.restParameter, '*', node.defaults)}): Any = {`);
+    this.generateBlock(node.body);
+    this.write('}');
+    this.write('');
+  }
+
+  generateClassDeclaration(node) {
+    const constructor = node.methods.find(method => method.name === 'constructor');
+    const methods = node.methods.filter(method => method !== constructor);
+    const superclass = node.superclass ? ERROR_TYPES[node.superclass] || node.superclass : null;
+    this.write(`class ${node.name}${this.generateParents([superclass, ...(node.interfaces || [])])} {`);
+    this.indent++;
+
+    // Auxiliary constructors cannot pass a message up to Throwable, so
+    // direct error subclasses keep their own.
+    const ownsMessage = Boolean(ERROR_TYPES[node.superclass]);
+    if (ownsMessage) {
+      this.write('var message: Any = ""');
+      this.write('override def getMessage: String = String.valueOf(message)');
+    }
+
+    for (const prop of node.properties) {
+      const value = prop.initializer ? this.generateNode(prop.initializer) : 'null';
+      this.write(`var ${prop.name}: Any = ${value}`);
+    }
+
+    if (constructor) {
+      this.write('');
+      this.write(`def this(${this.generateParameters(constructor.parameters, null, '*', constructor.defaults)}) = {`);
+      this.indent++;
+      this.write('this()');
+      for (const statement of constructor.body) {
+        if (this.isSuperCall(statement)) {
+          const [message] = statement.expression.arguments;
+          if (ownsMessage && message) {
+            this.write(`message = ${this.generateNode(message)}`);
+          }
+          continue;
+        }
+        this.generateNode(statement);
+      }
+      this.indent--;
+      this.write('}');
+    }
+
+    for (const method of methods) {
+      this.generateMethod(node, method);
+    }
+
+    this.indent--;
+    this.write('}');
+    this.write('');
+  }
+
+  generateMethod(node, method) {
+    this.write('');
+    const override = node.superclass || this.traitMethod(node, method.name) ? 'override ' : '';
+    this.write(`${override}def ${method.name}(${this.generateParameters(method.parameters, null, '*', method.defaults)}): Any = {`);
+    this.generateBlock(method.body);
+    this.write('}');
+  }
+
+  generateParents(parents) {
+    const names = parents.filter(Boolean);
+    return names.length > 0 ? ` extends ${names.join(' with ')}` : '';
+  }
+
+  traitMethod(node, name) {
+    return (node.interfaces || []).some(trait => this.traits[trait] &&
+      this.traits[trait].methods.some(method => method.name === name));
+  }
+
+  generateTraitDeclaration(node) {
+    this.write(`trait ${node.name} {`);
+    this.indent++;
+    node.methods.forEach((method, i) => {
+      const signature = `def ${method.name}(${this.generateParameters(method.parameters, null, '*', method.defaults)}): Any`;
+      if (i > 0) {
+        this.write('');
+      }
+      if (method.body) {
+        this.write(`${signature} = {`);
+        this.generateBlock(method.body);
+        this.write('}');
+      } else {
+        this.write(signature);
+      }
+    });
+    this.indent--;
+    this.write('}');
+    this.write('');
+  }
+
+  // A case class gets equality from its fields, but is still shared like
+  // any other object rather than copied.
+  generateStructDeclaration(node) {
+    const fields = node.properties.map(prop => prop.initializer
+      ? `var ${prop.name}: Any = ${this.generateNode(prop.initializer)}`
+      : `var ${prop.name}: Any = null`);
+    const methods = node.methods;
+    this.write(`case class ${node.name}(${fields.join(', ')})${this.generateParents(node.interfaces || [])}${methods.length > 0 ? ' {' : ''}`);
+    if (methods.length > 0) {
+      this.indent++;
+      methods.forEach(method => this.generateMethod(node, method));
+      this.indent--;
+      this.write('}');
+    }
+    this.write('');
+  }
+
+  // An enum is a sealed trait with a case class for each variant, or a case
+  // object for those without fields, in its companion object.
+  generateEnumDeclaration(node) {
+    this.write(`sealed trait ${node.name}${this.generateParents(['Product', 'Serializable', ...(node.interfaces || [])])} {`);
+    this.indent++;
+    this.write('override def toString: String =');
+    this.write(`  if (productArity == 0) s"${node.name}.$productPrefix" else s"${node.name}.$productPrefix(\${productIterator.mkString(", ")})"`);
+    node.methods.forEach(method => this.generateMethod(node, method));
+    this.indent--;
+    this.write('}');
+    this.write('');
+    this.write(`object ${node.name} {`);
+    this.indent++;
+    for (const variant of node.variants) {
+      this.write(variant.fields.length > 0
+        ? `case class ${variant.name}(${variant.fields.map(field => `${field}: Any`).join(', ')}) extends ${node.name}`
+        : `case object ${variant.name} extends ${node.name}`);
+    }
+    this.indent--;
+    this.write('}');
+    this.write('');
+  }
+
+  // The variant `Enum.Variant` refers to, if it names one.
+  variantOf(node) {
+    if (node.type !== 'MemberExpression' || node.object.type !== 'Identifier' || !this.enums[node.object.name]) {
+      return null;
+    }
+    const variant = this.enums[node.object.name].variants.find(candidate => candidate.name === node.property);
+    if (!variant) {
+      throw new Error(`Enum ${node.object.name} has no variant '${node.property}'`);
+    }
+    return variant;
+  }
+
+  isSuperCall(statement) {
+    return statement.type === 'ExpressionStatement' &&
+      statement.expression.type === 'CallExpression' &&
+      statement.expression.callee.type === 'Identifier' &&
+      statement.expression.callee.name === 'super';
+  }
+
+  generateImportStatement(node) {
+    const modulePath = node.source.replace(/^\.\//, '').replace(/\.lumos$/, '').replace(/\//g, '.');
+    const names = node.specifiers.map(spec => {
+      if (spec.name === '*') return '_';
+      return spec.name === spec.alias ? spec.name : `${spec.name} => ${spec.alias}`;
+    });
+    this.write(names.length === 1 && !names[0].includes('=>')
+      ? `import ${modulePath}.${names[0]}`
+      : `import ${modulePath}.{${names.join(', ')}}`);
+  }
+
+  generateTryStatement(node) {
+    this.write('try {');
+    this.generateBlock(node.tryBlock);
+
+    if (node.catchClauses.length > 0) {
+      this.write('} catch {');
+      this.indent++;
+      for (const clause of node.catchClauses) {
+        const type = clause.errorType ? ERROR_TYPES[clause.errorType] || clause.errorType : 'Exception';
+        if (clause.parameter) {
+          this.valueKinds[clause.parameter] = 'error';
+        }
+        this.write(`case ${clause.parameter || '_'}: ${type} =>`);
+        this.generateBlock(clause.body);
+      }
+      this.indent--;
+    }
+
+    if (node.finallyBlock) {
+      this.write('} finally {');
+      this.generateBlock(node.finallyBlock);
+    }
+
+    this.write('}');
+  }
+
+  generateThrowStatement(node) {
+    const argument = node.argument.type === 'Literal' && typeof node.argument.value === 'string'
+      ? `new Exception(${this.generateNode(node.argument)})`
+      : this.generateNode(node.argument);
+    this.write(`throw ${argument}`);
+  }
+
+  generateIfStatement(node) {
+    this.write(`if (${this.generateNode(node.condition)}) {`);
+    this.generateBlock(node.thenBranch);
+
+    for (const elif of node.elifBranches || []) {
+      this.write(`} else if (${this.generateNode(elif.condition)}) {`);
+      this.generateBlock(elif.body);
+    }
+
+    if (node.elseBranch) {
+      this.write('} else {');
+      this.generateBlock(node.elseBranch);
+    }
+
+    this.write('}');
+  }
+
+  generateMatchExpression(node) {
+    const lines = this.capture(() => {
+      this.indent++;
+      for (const matchCase of node.cases) {
+        const conditions = [];
+        const bindings = [];
+        const pattern = this.generatePattern(matchCase.pattern, conditions, bindings);
+        if (matchCase.guard) {
+          conditions.push(this.withAliases(bindings, () => this.generateNode(matchCase.guard)));
+        }
+        const guard = conditions.length > 0 ? ` if ${conditions.join(' && ')}` : '';
+
+        if (matchCase.expression && bindings.length === 0) {
+          this.write(`case ${pattern}${guard} => ${this.generateNode(matchCase.body)}`);
+          continue;
+        }
+
+        this.write(`case ${pattern}${guard} =>`);
+        this.indent++;
+        for (const [name, access] of bindings) {
+          this.write(`val ${name} = ${access}`);
+        }
+        if (matchCase.expression) {
+          this.write(this.generateNode(matchCase.body));
+        } else {
+          for (const statement of matchCase.body) {
+            this.generateNode(statement);
+          }
+        }
+        this.indent--;
+      }
+      this.indent--;
+    });
+
+    const subject = this.generateNode(node.subject);
+    return `${subject} match {\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}}`;
+  }
+
+  generatePattern(pattern, conditions, bindings) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        return '_';
+      case 'IdentifierPattern':
+        return pattern.name;
+      case 'LiteralPattern':
+        return this.generateLiteral(pattern.value);
+      case 'RangePattern': {
+        const name = `range${this.patternCount++}`;
+        const type = typeof pattern.start === 'string' ? 'String' : 'Int';
+        conditions.push(`${name} >= ${this.generateLiteral(pattern.start)} && ${name} <= ${this.generateLiteral(pattern.end)}`);
+        return `${name}: ${type}`;
+      }
+      case 'ArrayPattern': {
+        const elements = pattern.elements.map(element => this.generatePattern(element, conditions, bindings));
+        if (pattern.rest) {
+          elements.push(`${pattern.rest} @ _*`);
+        }
+        return `List(${elements.join(', ')})`;
+      }
+      case 'ObjectPattern': {
+        const name = `map${this.patternCount++}`;
+        for (const prop of pattern.properties) {
+          conditions.push(`${name}.contains("${prop.key}")`);
+          this.accessConditions(prop.pattern, `${name}("${prop.key}")`, conditions, bindings);
+        }
+        if (pattern.rest) {
+          bindings.push([pattern.rest, `(${name} -- List(${pattern.properties.map(prop => `"${prop.key}"`).join(', ')}))`]);
+        }
+        return `${name}: Map[String, Any] @unchecked`;
+      }
+      case 'VariantPattern': {
+        const { enumNode, variant } = variantEnum(pattern, this.enums);
+        const type = `${enumNode.name}.${variant.name}`;
+        if (variant.fields.length === 0) return type;
+        const elements = (pattern.elements || variant.fields.map(() => ({ type: 'WildcardPattern' })))
+          .map(element => this.generatePattern(element, conditions, bindings));
+        return `${type}(${elements.join(', ')})`;
+      }
+      default:
+        throw new Error(`Unknown pattern type: ${pattern.type}`);
+    }
+  }
+
+  accessConditions(pattern, access, conditions, bindings) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        break;
+      case 'IdentifierPattern':
+        bindings.push([pattern.name, access]);
+        break;
+      case 'LiteralPattern':
+        conditions.push(`${access} == ${this.generateLiteral(pattern.value)}`);
+        break;
+      default: {
+        const conditionsBefore = conditions.length;
+        const nested = this.generatePattern(pattern, conditions, bindings);
+        conditions.splice(conditionsBefore, 0, `(${access} match { case ${nested} => true; case _ => false })`);
+      }
+    }
+  }
+
+  withAliases(bindings, callback) {
+    const saved = this.aliases;
+    this.aliases = { ...saved };
+    for (const [name, access] of bindings) {
+      this.aliases[name] = access;
+    }
+    try {
+      return callback();
+    } finally {
+      this.aliases = saved;
+    }
+  }
+
+  generateWhileStatement(node) {
+    this.generateLoop(`while (${this.generateNode(node.condition)})`, node.body);
+  }
+
+  generateForStatement(node) {
+    const start = this.generateNode(node.start);
+    const end = this.generateNode(node.end);
+    const step = this.generateNode(node.step);
+    const range = step === '1' ? `${start} to ${end}` : `${start} to ${end} by ${step}`;
+    this.generateLoop(`for (${node.iterator} <- ${range})`, node.body);
+  }
+
+  generateForInStatement(node) {
+    const [first, second] = node.variables;
+    const kind = this.valueKind(node.iterable);
+    const iterable = node.iterable.type === 'RangeExpression'
+      ? `(${this.generateNode(node.iterable.start)} to ${this.generateNode(node.iterable.end)})`
+      : this.generateNode(node.iterable);
+
+    let header;
+    if (kind === 'object') {
+      header = second ? `for ((${first}, ${second}) <- ${iterable})` : `for (${first} <- ${iterable}.keys)`;
+    } else if (second) {
+      header = `for ((${second}, ${first}) <- ${iterable}.zipWithIndex)`;
+    } else {
+      header = `for (${first} <- ${iterable})`;
+    }
+    this.generateLoop(header, node.body);
+  }
+
+  valueKind(node) {
+    if (!node) return null;
+    switch (node.type) {
+      case 'ObjectLiteral':
+        return 'object';
+      case 'ArrayLiteral':
+      case 'RangeExpression':
+        return 'array';
+      case 'Literal':
+        if (Number.isInteger(node.value)) return 'integer';
+        return typeof node.value === 'string' ? 'string' : null;
+      case 'InterpolatedString':
+        return 'string';
+      case 'Identifier':
+        return this.valueKinds[node.name] || null;
+      case 'BinaryExpression':
+        return node.operator === '**' && this.valueKind(node.left) === 'integer' && this.valueKind(node.right) === 'integer'
+          ? 'integer'
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  generateLoop(header, body) {
+    const breaks = this.containsLoopControl(body, 'Break');
+    const continues = this.containsLoopControl(body, 'Continue');
+
+    if (breaks) {
+      this.write('breakable {');
+      this.indent++;
+    }
+
+    this.write(`${header} {`);
+    if (continues) {
+      this.indent++;
+      this.write('continues.breakable {');
+      this.generateBlock(body);
+      this.write('}');
+      this.indent--;
+    } else {
+      this.generateBlock(body);
+    }
+    this.write('}');
+
+    if (breaks) {
+      this.indent--;
+      this.write('}');
+    }
+  }
+
+  containsLoopControl(value, type) {
+    if (Array.isArray(value)) {
+      return value.some(item => this.containsLoopControl(item, type));
+    }
+    if (!value || typeof value !== 'object') return false;
+    if (value.type === type) return true;
+    if (['WhileStatement', 'ForStatement', 'ForInStatement', 'FunctionDeclaration', 'Lambda'].includes(value.type)) {
+      return false;
+    }
+    return Object.values(value).some(child => this.containsLoopControl(child, type));
+  }
+
+  generateReturnStatement(node) {
+    const value = node.value ? this.generateNode(node.value) : '';
+    if (this.inLambda) {
+      this.write(value || '()');
+    } else {
+      this.write(value ? `return ${value}` : 'return');
+    }
+  }
+
+  generateBinaryExpression(node) {
+    const left = this.generateNode(node.left);
+    switch (node.operator) {
+      case '??':
+        return `Option(${left}).getOrElse(${this.generateNode(node.right)})`;
+      case 'in':
+        return `${this.generateNode(node.right)}.contains(${left})`;
+      case 'not in':
+        return `!${this.generateNode(node.right)}.contains(${left})`;
+      case 'is':
+        return this.generateTypeCheck(left, node.right);
+      case 'is not':
+        return `!${this.generateTypeCheck(left, node.right)}`;
+    }
+    const right = this.generateNode(node.right);
+    // math.pow works on Doubles; integer operands get an Int back.
+    if (node.operator === '**') {
+      return this.valueKind(node) === 'integer' ? `math.pow(${left}, ${right}).toInt` : `math.pow(${left}, ${right})`;
+    }
+
+    const operatorMap = {
+      'and': '&&',
+      'or': '||',
+      '===': '==',
+      '!==': '!='
+    };
+
+    const op = operatorMap[node.operator] || node.operator;
+    return `(${left} ${op} ${right})`;
+  }
+
+  // Widening to Any boxes primitives, so Int and Double count as Number.
+  generateTypeCheck(value, type) {
+    const types = {
+      Number: 'Number',
+      String: 'String',
+      Boolean: 'Boolean',
+      Array: 'List[_]',
+      Object: 'Map[_, _]',
+      Function: 'Function1[_, _]'
+    };
+    const variant = this.variantOf(type);
+    if (variant) {
+      return `(${value}: Any).isInstanceOf[${this.generateNode(type)}${variant.fields.length === 0 ? '.type' : ''}]`;
+    }
+    const builtin = builtinType(type, this.classes);
+    if (builtin === 'Null') {
+      return `(${value} == null)`;
+    }
+    return `(${value}: Any).isInstanceOf[${builtin ? types[builtin] : this.generateNode(type)}]`;
+  }
+
+  generateExpressionStatement(node) {
+    const loop = blockLoop(node.expression, expr => this.valueKind(expr));
+    if (loop) {
+      return this.generateForInStatement(loop);
+    }
+    if (node.expression.type === 'UpdateExpression') {
+      const { operator, argument } = node.expression;
+      return this.write(`${this.generateNode(argument)} ${operator[0]}= 1`);
+    }
+    this.write(this.generateNode(node.expression));
+  }
+
+  generateCallExpression(node) {
+    const variant = this.variantOf(node.callee);
+    if (variant) {
+      const args = this.generateArguments(node.arguments, { type: 'FunctionDeclaration', parameters: variant.fields }, variant.name);
+      return `${this.generateNode(node.callee)}(${args.join(', ')})`;
+    }
+    if (node.callee.type === 'Identifier' && node.callee.name in this.classes) {
+      return this.generateNewExpression(node);
+    }
+    const func = node.callee.type === 'Identifier' ? this.functions[node.callee.name] : null;
+    const args = this.generateArguments(node.arguments, func, node.callee.name);
+    if (node.block) {
+      args.push(this.generateLambda(node.block));
+    }
+
+    if (node.callee.type === 'Identifier') {
+      switch (node.callee.name) {
+        case 'print':
+        case 'println':
+          return args.length === 1 ? `println(${args[0]})` : `println(Seq(${args.join(', ')}).mkString(" "))`;
+        case 'len':
+          return `${args[0]}.size`;
+        case 'str':
+          return `${args[0]}.toString`;
+      }
+      if (ERROR_TYPES[node.callee.name]) {
+        return `new ${ERROR_TYPES[node.callee.name]}(${args.join(', ')})`;
+      }
+    }
+
+    return `${this.generateNode(node.callee)}(${args.join(', ')})`;
+  }
+
+  // Varargs take a spread only as the whole trailing argument, so known
+  // functions get their arguments packed the way Lumos would bind them.
+  // Function values have no defaults, and a default can't use the other
+  // parameters, so calls to those fill the missing arguments in themselves.
+  generateArguments(args, func, name) {
+    if (!func) {
+      return args.map(arg => this.generateNode(arg));
+    }
+
+    let named = args.filter(arg => arg.type === 'NamedArgument');
+    let packed;
+    if (func.type === 'Lambda' || hasDependentDefaults(func)) {
+      const values = bindArguments(args, func);
+      const rest = func.restParameter ? [values.pop()] : [];
+      packed = [...fillDefaults(values, func, name), ...rest];
+      named = [];
+    } else {
+      packed = packArguments(args.filter(arg => !named.includes(arg)), func);
+    }
+
+    const namedValues = named.map(arg => this.generateNode(arg));
+    if (func.type !== 'FunctionDeclaration' || !func.restParameter) {
+      return [...packed.map(arg => this.generateNode(arg)), ...namedValues];
+    }
+    const rest = packed.pop();
+    const values = packed.map(arg => this.generateNode(arg));
+    if (rest.elements.some(element => element.type === 'SpreadElement')) {
+      return [...values, `${this.generateNode(rest)}: _*`, ...namedValues];
+    }
+    return [...values, ...rest.elements.map(element => this.generateNode(element)), ...namedValues];
+  }
+
+  generateNewExpression(node) {
+    const callee = this.generateNode(node.callee);
+    const args = this.generateArguments(node.arguments, this.classes[node.callee.name], node.callee.name).join(', ');
+    return `new ${callee}(${args})`;
+  }
+
+  generateLambda(node) {
+    const params = `(${this.generateParameters(node.parameters, node.restParameter, 'List')})`;
+
+    if (node.expression) {
+      return `${params} => ${this.generateNode(node.body)}`;
+    }
+
+    const savedLambda = this.inLambda;
+    this.inLambda = true;
+    const lines = this.capture(() => this.generateBlock(node.body));
+    this.inLambda = savedLambda;
+    return `${params} => {\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}}`;
+  }
+
+  generateParameters(parameters, restParameter = null, restType = '*', defaults = {}) {
+    return parameters.map(param => {
+      if (param === restParameter) {
+        return restType === '*' ? `${param}: Any*` : `${param}: List[Any]`;
+      }
+      const value = defaults && defaults[param];
+      if (value && !parameters.some(other => referencesName(value, other))) {
+        return `${param}: Any = ${this.generateNode(value)}`;
+      }
+      return `${param}: Any`;
+    }).join(', ');
+  }
+
+  generateInterpolatedString(node) {
+    const body = node.parts.map(part => part.type === 'Literal' && typeof part.value === 'string'
+      ? JSON.stringify(part.value).slice(1, -1).replace(/\$/g, '$$$$')
+      : `\${${this.generateNode(part)}}`
+    ).join('');
+    // Escaped quotes are not allowed in a single-quoted interpolator.
+    return body.includes('\\"') ? `s"""${body.replace(/\\"/g, '"')}"""` : `s"${body}"`;
+  }
+
+  generateLiteral(value) {
+    if (value === null) return 'null';
+    if (typeof value === 'string') return JSON.stringify(value);
+    return String(value);
+  }
+
+  generateArrayLiteral(node) {
+    const parts = spreadSegments(node.elements).map(segment => Array.isArray(segment)
+      ? `List(${segment.map(element => this.generateNode(element)).join(', ')})`
+      : this.generateNode(segment.argument));
+    return parts.length === 0 ? 'List()' : parts.join(' ++ ');
+  }
+
+  generateObjectLiteral(node) {
+    const parts = spreadSegments(node.properties).map(segment => Array.isArray(segment)
+      ? `Map(${segment.map(prop => `"${prop.key}" -> ${this.generateNode(prop.value)}`).join(', ')})`
+      : this.generateNode(segment.argument));
+    return parts.length === 0 ? 'Map()' : parts.join(' ++ ');
+  }
+
+  generateBlock(statements) {
+    this.indent++;
+    for (const statement of statements) {
+      this.generateNode(statement);
+    }
+    this.indent--;
+  }
+
+  capture(callback) {
+    const saved = this.output;
+    this.output = [];
+    callback();
+    const lines = this.output;
+    this.output = saved;
+    return lines;
   }
 
   write(line) {
-    this.output.push('  '.repeat(this.indent) + line);
+    this.output.push(line ? this.indentStr.repeat(this.indent) + line : line);
   }
 }
 
-module.exports = new Backend();
+module.exports = new ScalaBackend();
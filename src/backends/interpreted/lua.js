@@ -1,7 +1,33 @@
+const { expandAssignment, scalarType, declaredScalarType } = require('../lowering');
+
+const BUILTINS = { str: 'tostring' };
+
+// Lua's `^` always gives a float, so a whole power is turned back into an
+// integer, as Lumos prints it.
+const POWER_HELPER = [
+  'local function power(base, exponent)',
+  '  local result = base ^ exponent',
+  '  return math.tointeger(result) or result',
+  'end'
+];
+
+// Lumos operators Lua spells differently. `~` is Lua's exclusive or as well
+// as its bitwise not.
+const OPERATORS = {
+  '^': '~',
+  '!=': '~=',
+  '!==': '~=',
+  '===': '==',
+  '&&': 'and',
+  '||': 'or'
+};
+
 class Backend {
   generate(ast, options = {}) {
     this.output = [];
     this.indent = 0;
+    this.types = {};
+    this.usesPower = false;
     this.generateNode(ast);
     return this.output.join('\n');
   }
@@ -12,7 +38,18 @@ class Backend {
       case 'Program': return this.generateProgram(node);
       case 'VariableDeclaration': return this.generateVariableDeclaration(node);
       case 'FunctionDeclaration': return this.generateFunctionDeclaration(node);
-      default: return '';
+      case 'ReturnStatement':
+        this.write(node.value ? `return ${this.generateNode(node.value)}` : 'return');
+        return;
+      case 'ExpressionStatement': return this.generateExpressionStatement(node.expression);
+      case 'BinaryExpression': return this.generateBinaryExpression(node);
+      case 'UnaryExpression': return this.generateUnaryExpression(node);
+      case 'CallExpression':
+        return `${BUILTINS[node.callee.name] || this.generateNode(node.callee)}(${node.arguments.map(arg => this.generateNode(arg)).join(', ')})`;
+      case 'Identifier': return node.name;
+      case 'Literal': return node.value === null ? 'nil' : JSON.stringify(node.value);
+      default:
+        throw new Error(`${node.type} is not supported by the Lua backend`);
     }
   }
 
@@ -20,15 +57,84 @@ class Backend {
     for (const stmt of node.statements) {
       this.generateNode(stmt);
     }
+    if (this.usesPower) {
+      this.output.unshift(...POWER_HELPER, '');
+    }
   }
 
   generateVariableDeclaration(node) {
-    const value = node.initializer ? this.generateNode(node.initializer) : 'null';
-    this.write(`var ${node.name} = ${value};`);
+    this.types[node.name] = declaredScalarType(node, this.types);
+    this.write(node.initializer ? `local ${node.name} = ${this.generateNode(node.initializer)}` : `local ${node.name}`);
   }
 
   generateFunctionDeclaration(node) {
-    this.write(`function ${node.name}() {}`);
+    this.write(`function ${node.name}(${node.parameters.join(', ')})`);
+    this.indent++;
+    for (const stmt of node.body) {
+      this.generateNode(stmt);
+    }
+    this.indent--;
+    this.write('end');
+  }
+
+  // Assignments and steps are statements in Lua, so they can only stand alone.
+  generateExpressionStatement(node) {
+    if (node.type === 'Assignment') {
+      const assignment = node.operator === '=' ? node : expandAssignment(node);
+      this.write(`${this.generateTarget(node.target)} = ${this.generateNode(assignment.value)}`);
+    } else if (node.type === 'UpdateExpression') {
+      const target = this.generateTarget(node.argument);
+      this.write(`${target} = ${target} ${node.operator === '++' ? '+' : '-'} 1`);
+    } else if (node.type === 'CallExpression' && node.callee.name === 'print' && node.arguments.length !== 1) {
+      // Lua's print separates values with tabs, and Lumos's with spaces.
+      const values = node.arguments.map(arg => `tostring(${this.generateNode(arg)})`);
+      this.write(`io.write(${[...values.flatMap(value => [value, '" "']).slice(0, -1), '"\\n"'].join(', ')})`);
+    } else if (node.type === 'CallExpression') {
+      this.write(this.generateNode(node));
+    } else {
+      throw new Error(`${node.type} as a statement is not supported by the Lua backend`);
+    }
+  }
+
+  generateTarget(node) {
+    if (node.type !== 'Identifier') {
+      throw new Error(`Assigning to ${node.type} is not supported by the Lua backend`);
+    }
+    return node.name;
+  }
+
+  // `%` truncates in Lumos and floors in Lua, and Lua's `>>` is a logical
+  // shift, so both go through operations that round the same way Lumos does.
+  // Strings are joined with `..`.
+  generateBinaryExpression(node) {
+    const left = this.generateNode(node.left);
+    const right = this.generateNode(node.right);
+    switch (node.operator) {
+      case '+': {
+        const joins = [node.left, node.right].some(side => scalarType(side, this.types) === 'string');
+        return `(${left} ${joins ? '..' : '+'} ${right})`;
+      }
+      case '%': return `math.fmod(${left}, ${right})`;
+      case '**':
+        this.usesPower = true;
+        return `power(${left}, ${right})`;
+      case '>>': return `(${left} // (1 << ${right}))`;
+      case 'and': case 'or': case '-': case '*': case '/':
+      case '&': case '|': case '^': case '<<':
+      case '==': case '!=': case '===': case '!==': case '<': case '<=': case '>': case '>=': case '&&': case '||':
+        return `(${left} ${OPERATORS[node.operator] || node.operator} ${right})`;
+      default:
+        throw new Error(`The ${node.operator} operator is not supported by the Lua backend`);
+    }
+  }
+
+  generateUnaryExpression(node) {
+    const operand = this.generateNode(node.operand);
+    switch (node.operator) {
+      case '!': case 'not': return `(not ${operand})`;
+      case '+': return `tonumber(${operand})`;
+      default: return `(${node.operator}${operand})`;
+    }
   }
 
   write(line) {
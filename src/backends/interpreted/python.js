@@ -1,8 +1,52 @@
+const {
+  blockLoop, blockBody, breaksBlock, blockExits, containsAwait, referencesName, patternBindings, packArguments, builtinType, unchain,
+  assignedNames, declaredNames, freshName, variantEnum, wrappingDecorators
+} = require('../lowering');
+
+// A block that breaks raises the token its call was given, which the call
+// catches to return None, as the interpreter's does.
+const BLOCK_BREAK_HELPER = `class _BlockBreak(Exception):
+    pass
+
+
+def _breakable(stop, call):
+    try:
+        return call()
+    except _BlockBreak as error:
+        if error is not stop:
+            raise
+        return None
+
+`;
+
+const ERROR_TYPES = {
+  Error: 'Exception',
+  TypeError: 'TypeError',
+  ValueError: 'ValueError',
+  IndexError: 'IndexError'
+};
+
+// Lumos's lazy iteration builtins. iter, zip and enumerate are Python's own;
+// these come from itertools.
+const ITERTOOLS = { take: 'islice', chain: 'chain' };
+
 class PythonBackend {
   generate(ast, options = {}) {
     this.indent = 0;
     this.indentStr = '    ';
     this.output = [];
+    this.lambdaCount = 0;
+    this.stopCount = 0;
+    this.matchCount = 0;
+    this.valueCount = 0;
+    this.valueKinds = {};
+    this.functions = {};
+    this.globals = [];
+    this.enclosing = [];
+    this.enums = {};
+    this.classes = {};
+    this.builtins = {};
+    this.module = options.module || null;
     
     this.generateNode(ast);
     return this.output.join('\n');
@@ -16,20 +60,36 @@ class PythonBackend {
         return this.generateProgram(node);
       case 'VariableDeclaration':
         return this.generateVariableDeclaration(node);
+      case 'DestructuringDeclaration':
+        return this.generateDestructuringDeclaration(node);
       case 'FunctionDeclaration':
         return this.generateFunctionDeclaration(node);
       case 'ClassDeclaration':
         return this.generateClassDeclaration(node);
+      case 'StructDeclaration':
+        return this.generateStructDeclaration(node);
+      case 'EnumDeclaration':
+        return this.generateEnumDeclaration(node);
+      case 'InterfaceDeclaration':
+        return this.generateInterfaceDeclaration(node);
       case 'ImportStatement':
         return this.generateImportStatement(node);
       case 'TryStatement':
         return this.generateTryStatement(node);
+      case 'ThrowStatement':
+        return this.generateThrowStatement(node);
       case 'IfStatement':
         return this.generateIfStatement(node);
+      case 'MatchStatement':
+        return this.generateMatchStatement(node);
+      case 'MatchExpression':
+        return this.generateMatchExpression(node);
       case 'WhileStatement':
         return this.generateWhileStatement(node);
       case 'ForStatement':
         return this.generateForStatement(node);
+      case 'ForInStatement':
+        return this.generateForInStatement(node);
       case 'ReturnStatement':
         return this.generateReturnStatement(node);
       case 'Break':
@@ -37,27 +97,57 @@ class PythonBackend {
       case 'Continue':
         return this.write('continue');
       case 'ExpressionStatement':
-        return this.generateNode(node.expression);
+        return this.generateExpressionStatement(node);
       case 'Assignment':
         return this.generateAssignment(node);
       case 'BinaryExpression':
         return this.generateBinaryExpression(node);
+      case 'ConditionalExpression':
+        return `(${this.generateNode(node.consequent)} if ${this.generateNode(node.test)} else ${this.generateNode(node.alternate)})`;
+      case 'OptionalChain':
+        return this.generateNode(unchain(node));
       case 'UnaryExpression':
         return this.generateUnaryExpression(node);
+      case 'UpdateExpression':
+        return this.generateUpdateExpression(node);
+      case 'RangeExpression':
+        return this.generateRangeExpression(node);
       case 'CallExpression':
         return this.generateCallExpression(node);
+      case 'NewExpression':
+        return this.generateNewExpression(node);
       case 'IndexExpression':
         return this.generateIndexExpression(node);
       case 'MemberExpression':
         return this.generateMemberExpression(node);
       case 'Identifier':
-        return node.name;
+        return this.generateIdentifier(node);
       case 'Literal':
         return this.generateLiteral(node.value);
+      case 'InterpolatedString':
+        return this.generateInterpolatedString(node);
       case 'ArrayLiteral':
         return this.generateArrayLiteral(node);
       case 'ObjectLiteral':
         return this.generateObjectLiteral(node);
+      case 'ListComprehension':
+        return `[${this.generateNode(node.element)} ${this.generateComprehensionClauses(node.clauses)}]`;
+      case 'DictComprehension':
+        return `{${this.generateNode(node.key)}: ${this.generateNode(node.value)} ${this.generateComprehensionClauses(node.clauses)}}`;
+      case 'Lambda':
+        return this.generateLambda(node);
+      case 'AwaitExpression':
+        return `await ${this.generateNode(node.argument)}`;
+      case 'YieldExpression':
+        return `(${this.generateYield(node)})`;
+      case 'SpreadElement':
+        return `*${this.generateNode(node.argument)}`;
+      case 'NamedArgument':
+        return `${node.name}=${this.generateNode(node.value)}`;
+      case 'SliceExpression':
+        return `${this.generateObject(node.object)}[${node.start}:]`;
+      case 'RestProperties':
+        return this.generateRestProperties(this.generateObject(node.object), node.keys);
       default:
         throw new Error(`Unknown node type: ${node.type}`);
     }
@@ -66,77 +156,395 @@ class PythonBackend {
   generateProgram(node) {
     this.write('#!/usr/bin/env python3');
     this.write('');
-    
+    // A module's exports are what `from module import *` brings in.
+    const exported = node.statements.filter(statement => statement.exported);
+    if (this.module && exported.length > 0) {
+      this.write(`__all__ = [${exported.map(statement => JSON.stringify(statement.name)).join(', ')}]`);
+      this.write('');
+    }
+    this.generateTypeImports(node.statements);
+    this.generateIterationImports(node);
+    this.globals = node.statements.flatMap(statement => {
+      if (statement.type === 'VariableDeclaration') return [statement.name];
+      if (statement.type === 'DestructuringDeclaration') return patternBindings(statement.pattern, null).map(([name]) => name);
+      return [];
+    });
     for (const statement of node.statements) {
+      if (statement.type === 'FunctionDeclaration' && wrappingDecorators(statement).length === 0) {
+        this.functions[statement.name] = statement;
+      } else if (statement.type === 'ClassDeclaration') {
+        this.classes[statement.name] = statement;
+      } else if (statement.type === 'EnumDeclaration') {
+        this.enums[statement.name] = statement;
+      }
+    }
+
+    const start = this.output.length;
+    if (containsAwait(node.statements)) {
+      this.generateAsyncProgram(node);
+    } else {
+      for (const statement of node.statements) {
+        this.generateNode(statement);
+      }
+    }
+
+    // Only generating the blocks shows whether one breaks as a closure.
+    if (this.stopCount > 0) {
+      this.output.splice(start, 0, ...BLOCK_BREAK_HELPER.split('\n'));
+    }
+  }
+
+  generateAsyncProgram(node) {
+    const declarations = [
+      'FunctionDeclaration', 'ClassDeclaration', 'StructDeclaration', 'EnumDeclaration', 'InterfaceDeclaration', 'ImportStatement'
+    ];
+    const main = node.statements.filter(statement => !declarations.includes(statement.type));
+    const wrapper = freshName(node, 'main');
+
+    this.write('import asyncio');
+    this.write('');
+    for (const statement of node.statements) {
+      if (declarations.includes(statement.type)) {
+        this.generateNode(statement);
+      }
+    }
+
+    this.write(`async def ${wrapper}():`);
+    this.indent++;
+    if (this.globals.length > 0) {
+      this.write(`global ${this.globals.join(', ')}`);
+    }
+    for (const statement of main) {
       this.generateNode(statement);
     }
+    this.indent--;
+    this.write('');
+    this.write(`asyncio.run(${wrapper}())`);
   }
 
   generateVariableDeclaration(node) {
+    this.valueKinds[node.name] = this.valueKind(node.initializer);
     const value = node.initializer ? this.generateNode(node.initializer) : 'None';
     this.write(`${node.name} = ${value}`);
   }
 
+  // List targets unpack natively; object patterns are read key by key from a
+  // temporary, since dicts cannot be unpacked by name.
+  generateDestructuringDeclaration(node) {
+    if (!this.containsObjectPattern(node.pattern)) {
+      this.write(`${this.generateTargetList(node.pattern)} = ${this.generateNode(node.initializer)}`);
+      return;
+    }
+
+    let source = node.initializer;
+    if (source.type !== 'Identifier') {
+      const name = `_value_${this.valueCount++}`;
+      this.write(`${name} = ${this.generateNode(source)}`);
+      source = { type: 'Identifier', name };
+    }
+    for (const [name, access] of patternBindings(node.pattern, source)) {
+      this.write(`${name} = ${this.generateNode(access)}`);
+    }
+  }
+
+  containsObjectPattern(pattern) {
+    if (pattern.type === 'ObjectPattern') return true;
+    return pattern.type === 'ArrayPattern' && pattern.elements.some(element => this.containsObjectPattern(element));
+  }
+
+  generateTargetList(pattern) {
+    if (pattern.type !== 'ArrayPattern') return pattern.name || '_';
+    const targets = pattern.elements.map(element => this.generateTargetList(element));
+    targets.push(`*${pattern.rest || '_'}`);
+    return `[${targets.join(', ')}]`;
+  }
+
+  generateRestProperties(object, keys) {
+    const excluded = keys.map(key => `"${key}"`).join(', ');
+    return `{key: value for key, value in ${object}.items() if key not in (${excluded}${keys.length === 1 ? ',' : ''})}`;
+  }
+
+  // Python evaluates defaults once, when the function is defined, so only
+  // constants are written in place. Other defaults, which may be mutable or
+  // use earlier parameters, default to None and are filled in by the body.
+  generateParameters(parameters, restParameter, defaults = {}, blockParameter = null) {
+    return parameters.map(param => {
+      if (param === blockParameter) return `${param}=None`;
+      if (param === restParameter) return `*${param}`;
+      if (!defaults || !defaults[param]) return param;
+      return `${param}=${this.isConstant(defaults[param]) ? this.generateNode(defaults[param]) : 'None'}`;
+    });
+  }
+
+  generateDefaults(defaults = {}) {
+    for (const [param, value] of Object.entries(defaults || {})) {
+      if (!this.isConstant(value)) {
+        this.write(`if ${param} is None:`);
+        this.write(`${this.indentStr}${param} = ${this.generateNode(value)}`);
+      }
+    }
+  }
+
+  // Python makes any name a function assigns local unless it is declared
+  // nonlocal, when an enclosing function has it, or global.
+  generateGlobals(func) {
+    const params = [...func.parameters, func.restParameter, func.blockParameter];
+    const names = assignedNames(func.body).filter(name => !params.includes(name));
+    const nonlocals = names.filter(name => this.enclosing.includes(name));
+    const globals = names.filter(name => this.globals.includes(name) && !nonlocals.includes(name));
+    if (nonlocals.length > 0) {
+      this.write(`nonlocal ${nonlocals.join(', ')}`);
+    }
+    if (globals.length > 0) {
+      this.write(`global ${globals.join(', ')}`);
+    }
+  }
+
+  // Generates a function's body with its parameters and variables in scope
+  // for the functions nested in it.
+  inScope(func, callback) {
+    const saved = this.enclosing;
+    const params = [...func.parameters, func.restParameter, func.blockParameter].filter(Boolean);
+    this.enclosing = [...saved, ...params, ...declaredNames(func.body)];
+    try {
+      callback();
+    } finally {
+      this.enclosing = saved;
+    }
+  }
+
+  isConstant(node) {
+    if (node.type === 'UnaryExpression') return node.operator === '-' && this.isConstant(node.operand);
+    return node.type === 'Literal';
+  }
+
   generateFunctionDeclaration(node) {
-    const params = node.parameters.join(', ');
-    this.write(`def ${node.name}(${params}):`);
+    const params = this.generateParameters(node.parameters, node.restParameter, node.defaults, node.blockParameter).join(', ');
+    this.generateDecorators(node);
+    this.write(`${node.async ? 'async ' : ''}def ${node.name}(${params}):`);
     this.indent++;
+    this.generateGlobals(node);
+    this.generateDefaults(node.defaults);
     
     if (node.body.length === 0) {
       this.write('pass');
     } else {
-      for (const statement of node.body) {
-        this.generateNode(statement);
-      }
+      this.inScope(node, () => node.body.forEach(statement => this.generateNode(statement)));
     }
     
     this.indent--;
     this.write('');
   }
 
-  generateClassDeclaration(node) {
-    const superclass = node.superclass ? `(${node.superclass})` : '';
-    this.write(`class ${node.name}${superclass}:`);
+  // Interfaces become abstract base classes, and structs and enum variants
+  // dataclasses.
+  generateTypeImports(statements) {
+    const types = statements.map(statement => statement.type);
+    if (types.includes('InterfaceDeclaration')) {
+      this.write('from abc import ABC, abstractmethod');
+    }
+    if (types.includes('StructDeclaration') || types.includes('EnumDeclaration')) {
+      this.write('from dataclasses import dataclass, field');
+    }
+    if (types.some(type => ['InterfaceDeclaration', 'StructDeclaration', 'EnumDeclaration'].includes(type))) {
+      this.write('');
+    }
+  }
+
+  generateIterationImports(node) {
+    for (const [name, imported] of Object.entries(ITERTOOLS)) {
+      if (!node.statements.some(statement => statement.name === name) && referencesName(node, name)) {
+        this.builtins[name] = imported;
+      }
+    }
+    const imports = Object.values(this.builtins);
+    if (imports.length > 0) {
+      this.write(`from itertools import ${imports.sort().join(', ')}`);
+      this.write('');
+    }
+  }
+
+  generateBases(node) {
+    const bases = [...(node.superclass ? [ERROR_TYPES[node.superclass] || node.superclass] : []), ...(node.interfaces || [])];
+    return bases.length > 0 ? `(${bases.join(', ')})` : '';
+  }
+
+  generateMethod(method) {
+    const params = ['self', ...this.generateParameters(method.parameters, method.restParameter, method.defaults, method.blockParameter)].join(', ');
+    this.write(`${method.async ? 'async ' : ''}def ${method.name}(${params}):`);
     this.indent++;
-    
-    if (node.properties.length === 0 && node.methods.length === 0) {
+    if (!method.body) {
       this.write('pass');
     } else {
-      this.write('def __init__(self):');
-      this.indent++;
-      for (const prop of node.properties) {
-        const value = prop.initializer ? this.generateNode(prop.initializer) : 'None';
-        this.write(`self.${prop.name} = ${value}`);
-      }
-      if (node.properties.length === 0) {
+      this.generateGlobals(method);
+      this.generateDefaults(method.defaults);
+      this.inScope(method, () => method.body.forEach(statement => this.generateNode(statement)));
+      if (method.body.length === 0) {
         this.write('pass');
       }
+    }
+    this.indent--;
+    this.write('');
+  }
+
+  generateInterfaceDeclaration(node) {
+    this.write(`class ${node.name}(ABC):`);
+    this.indent++;
+    for (const method of node.methods) {
+      if (!method.body) {
+        this.write('@abstractmethod');
+      }
+      this.generateMethod(method);
+    }
+    if (node.methods.length === 0) {
+      this.write('pass');
+    }
+    this.indent--;
+  }
+
+  generateStructDeclaration(node) {
+    this.write('@dataclass');
+    this.write(`class ${node.name}${this.generateBases(node)}:`);
+    this.indent++;
+    for (const prop of node.properties) {
+      this.write(`${prop.name}: object = ${this.generateFieldDefault(prop.initializer)}`);
+    }
+    if (node.properties.length > 0 && node.methods.length > 0) {
+      this.write('');
+    }
+    node.methods.forEach(method => this.generateMethod(method));
+    if (node.properties.length === 0 && node.methods.length === 0) {
+      this.write('pass');
+    }
+    this.indent--;
+  }
+
+  // Dataclasses share a constant default, so others are made per instance.
+  generateFieldDefault(initializer) {
+    if (!initializer) return 'None';
+    const value = this.generateNode(initializer);
+    return this.isConstant(initializer) ? value : `field(default_factory=lambda: ${value})`;
+  }
+
+  // The enum is a base class holding its methods. Each variant is a
+  // dataclass deriving from it, set as an attribute of the enum; variants
+  // without values are created once.
+  generateEnumDeclaration(node) {
+    this.write(`class ${node.name}${this.generateBases(node)}:`);
+    this.indent++;
+    this.write('def __repr__(self):');
+    this.write(`${this.indentStr}values = ", ".join(repr(value) for value in vars(self).values())`);
+    this.write(`${this.indentStr}return f"${node.name}.{self.variant}({values})" if values else f"${node.name}.{self.variant}"`);
+    this.write('');
+    node.methods.forEach(method => this.generateMethod(method));
+    this.indent--;
+
+    for (const variant of node.variants) {
+      const className = this.variantClass(node, variant);
+      this.write('@dataclass(repr=False)');
+      this.write(`class ${className}(${node.name}):`);
+      this.indent++;
+      this.write(`variant = "${variant.name}"`);
+      variant.fields.forEach(name => this.write(`${name}: object`));
       this.indent--;
       this.write('');
+      this.write(`${node.name}.${variant.name} = ${className}${variant.fields.length === 0 ? '()' : ''}`);
+      this.write('');
+    }
+  }
+
+  variantClass(enumNode, variant) {
+    return `_${enumNode.name}_${variant.name}`;
+  }
+
+  generateDecorators(node) {
+    for (const decorator of wrappingDecorators(node)) {
+      const expression = decorator.arguments
+        ? { type: 'CallExpression', callee: decorator.expression, arguments: decorator.arguments }
+        : decorator.expression;
+      this.write(`@${this.generateNode(expression)}`);
+    }
+  }
+
+  generateClassDeclaration(node) {
+    this.generateDecorators(node);
+    this.write(`class ${node.name}${this.generateBases(node)}:`);
+    this.indent++;
+    
+    const constructor = node.methods.find(method => method.name === 'constructor');
+    const methods = node.methods.filter(method => method !== constructor);
+    
+    if (node.properties.length === 0 && node.methods.length === 0) {
+      this.write('pass');
+    } else {
+      if (node.properties.length > 0 || constructor) {
+        this.generateInitializer(node, constructor);
+      }
       
-      for (const method of node.methods) {
-        const params = ['self', ...method.parameters].join(', ');
-        this.write(`def ${method.name}(${params}):`);
-        this.indent++;
-        for (const statement of method.body) {
-          this.generateNode(statement);
-        }
-        if (method.body.length === 0) {
-          this.write('pass');
-        }
-        this.indent--;
-        this.write('');
+      methods.forEach(method => this.generateMethod(method));
+      if (methods.some(method => method.name === 'next')) {
+        this.generateIteratorMethods();
       }
     }
     
     this.indent--;
   }
 
+  // A class with a next() method is a Lumos iterator; Python steps it
+  // through __next__, which ends with StopIteration.
+  generateIteratorMethods() {
+    this.write('def __iter__(self):');
+    this.write(`${this.indentStr}return self`);
+    this.write('');
+    this.write('def __next__(self):');
+    this.indent++;
+    this.write('result = self.next()');
+    this.write('if result.get("done"):');
+    this.write(`${this.indentStr}raise StopIteration`);
+    this.write('return result.get("value")');
+    this.indent--;
+    this.write('');
+  }
+
+  generateInitializer(node, constructor) {
+    if (constructor) {
+      const params = ['self', ...this.generateParameters(constructor.parameters, constructor.restParameter, constructor.defaults, constructor.blockParameter)].join(', ');
+      this.write(`def __init__(${params}):`);
+    } else if (node.superclass) {
+      this.write('def __init__(self, *args, **kwargs):');
+    } else {
+      this.write('def __init__(self):');
+    }
+    this.indent++;
+    
+    if (!constructor && node.superclass) {
+      this.write('super().__init__(*args, **kwargs)');
+    }
+    if (constructor) {
+      this.generateGlobals(constructor);
+      this.generateDefaults(constructor.defaults);
+    }
+    for (const prop of node.properties) {
+      const value = prop.initializer ? this.generateNode(prop.initializer) : 'None';
+      this.write(`self.${prop.name} = ${value}`);
+    }
+    if (constructor) {
+      this.inScope(constructor, () => constructor.body.forEach(statement => this.generateNode(statement)));
+    }
+    
+    this.indent--;
+    this.write('');
+  }
+
+  // Lumos modules become packages under the project root, so they are
+  // imported by their dotted path from there.
   generateImportStatement(node) {
-    const modulePath = node.source.replace(/\//g, '.');
+    const modulePath = node.module ? node.module.replace(/\//g, '.') : node.source.replace(/\//g, '.');
     
     for (const spec of node.specifiers) {
-      if (spec.name === '*') {
+      if (spec.name === '*' && node.module) {
+        this.write(`import ${modulePath} as ${spec.alias}`);
+      } else if (spec.name === '*') {
         this.write(`from ${modulePath} import *`);
       } else if (spec.name === spec.alias) {
         this.write(`from ${modulePath} import ${spec.name}`);
@@ -157,14 +565,16 @@ class PythonBackend {
     }
     this.indent--;
     
-    if (node.catchClause) {
-      const param = node.catchClause.parameter || 'e';
-      this.write(`except Exception as ${param}:`);
+    for (const clause of node.catchClauses) {
+      const type = clause.errorType ? ERROR_TYPES[clause.errorType] || clause.errorType : 'Exception';
+      const param = clause.parameter || 'e';
+      this.valueKinds[param] = 'error';
+      this.write(`except ${type} as ${param}:`);
       this.indent++;
-      for (const statement of node.catchClause.body) {
+      for (const statement of clause.body) {
         this.generateNode(statement);
       }
-      if (node.catchClause.body.length === 0) {
+      if (clause.body.length === 0) {
         this.write('pass');
       }
       this.indent--;
@@ -183,6 +593,13 @@ class PythonBackend {
     }
   }
 
+  generateThrowStatement(node) {
+    const argument = node.argument.type === 'Literal' && typeof node.argument.value === 'string'
+      ? `Exception(${this.generateNode(node.argument)})`
+      : this.generateNode(node.argument);
+    this.write(`raise ${argument}`);
+  }
+
   generateIfStatement(node) {
     const condition = this.generateNode(node.condition);
     this.write(`if ${condition}:`);
@@ -221,6 +638,100 @@ class PythonBackend {
     }
   }
 
+  generateMatchStatement(node, returnValues = false) {
+    const subject = this.generateNode(node.subject);
+    this.write(`match ${subject}:`);
+    this.indent++;
+    
+    for (const matchCase of node.cases) {
+      const conditions = [];
+      const pattern = this.generatePattern(matchCase.pattern, conditions);
+      if (matchCase.guard) {
+        conditions.push(this.generateNode(matchCase.guard));
+      }
+      const guard = conditions.length > 0 ? ` if ${conditions.join(' and ')}` : '';
+      this.write(`case ${pattern}${guard}:`);
+      this.indent++;
+      this.generateCaseBody(matchCase, returnValues);
+      this.indent--;
+    }
+    
+    this.indent--;
+  }
+
+  generateCaseBody(matchCase, returnValues) {
+    if (matchCase.expression) {
+      const value = this.generateNode(matchCase.body);
+      this.write(returnValues ? `return ${value}` : value);
+      return;
+    }
+    
+    if (matchCase.body.length === 0) {
+      this.write('pass');
+      return;
+    }
+    
+    const last = matchCase.body[matchCase.body.length - 1];
+    for (const statement of matchCase.body) {
+      if (returnValues && statement === last && statement.type === 'ExpressionStatement') {
+        this.write(`return ${this.generateNode(statement.expression)}`);
+      } else {
+        this.generateNode(statement);
+      }
+    }
+  }
+
+  generateMatchExpression(node) {
+    const name = `_match_${this.matchCount++}`;
+    this.write(`def ${name}(_subject):`);
+    this.indent++;
+    this.generateMatchStatement({ subject: { type: 'Identifier', name: '_subject' }, cases: node.cases }, true);
+    this.write('raise ValueError(f"No match case for value: {_subject!r}")');
+    this.indent--;
+    this.write('');
+    return `${name}(${this.generateNode(node.subject)})`;
+  }
+
+  generatePattern(pattern, conditions) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        return '_';
+      case 'IdentifierPattern':
+        return pattern.name;
+      case 'LiteralPattern':
+        return this.generateLiteral(pattern.value);
+      case 'RangePattern': {
+        const name = `_range_${conditions.length}`;
+        const typePattern = typeof pattern.start === 'string' ? 'str()' : '(int() | float())';
+        conditions.push(`${this.generateLiteral(pattern.start)} <= ${name} <= ${this.generateLiteral(pattern.end)}`);
+        return `${typePattern} as ${name}`;
+      }
+      case 'ArrayPattern': {
+        const elements = pattern.elements.map(element => this.generatePattern(element, conditions));
+        if (pattern.rest) {
+          elements.push(`*${pattern.rest}`);
+        }
+        return `[${elements.join(', ')}]`;
+      }
+      case 'VariantPattern': {
+        const { enumNode, variant } = variantEnum(pattern, this.enums);
+        const elements = (pattern.elements || []).map(element => this.generatePattern(element, conditions));
+        return `${this.variantClass(enumNode, variant)}(${elements.join(', ')})`;
+      }
+      case 'ObjectPattern': {
+        const props = pattern.properties.map(prop =>
+          `"${prop.key}": ${this.generatePattern(prop.pattern, conditions)}`
+        );
+        if (pattern.rest) {
+          props.push(`**${pattern.rest}`);
+        }
+        return `{${props.join(', ')}}`;
+      }
+      default:
+        throw new Error(`Unknown pattern type: ${pattern.type}`);
+    }
+  }
+
   generateWhileStatement(node) {
     const condition = this.generateNode(node.condition);
     this.write(`while ${condition}:`);
@@ -255,6 +766,67 @@ class PythonBackend {
     this.indent--;
   }
 
+  generateForInStatement(node) {
+    this.write(`for ${node.variables.join(', ')} in ${this.loopIterable(node)}:`);
+    this.indent++;
+    for (const statement of node.body) {
+      this.generateNode(statement);
+    }
+    if (node.body.length === 0) {
+      this.write('pass');
+    }
+    this.indent--;
+  }
+
+  loopIterable(node) {
+    const iterable = node.iterable.type === 'RangeExpression'
+      ? this.generateRange(node.iterable)
+      : this.generateNode(node.iterable);
+
+    // The values of an iterator are pairs already, like those of enumerate().
+    const kind = this.valueKind(node.iterable);
+    if (node.variables.length === 1 || kind === 'iterator') {
+      return iterable;
+    }
+    return kind === 'object' ? `${iterable}.items()` : `enumerate(${iterable})`;
+  }
+
+  generateComprehensionClauses(clauses) {
+    return clauses.map(clause => {
+      const conditions = clause.conditions.map(condition => ` if ${this.generateNode(condition)}`);
+      return `for ${clause.variables.join(', ')} in ${this.loopIterable(clause)}${conditions.join('')}`;
+    }).join(' ');
+  }
+
+  valueKind(node) {
+    if (!node) return null;
+    switch (node.type) {
+      case 'ObjectLiteral':
+      case 'DictComprehension':
+        return 'object';
+      case 'ArrayLiteral':
+      case 'RangeExpression':
+      case 'ListComprehension':
+        return 'array';
+      case 'Literal':
+        return typeof node.value === 'string' ? 'string' : null;
+      case 'InterpolatedString':
+        return 'string';
+      case 'Identifier':
+        return this.valueKinds[node.name] || null;
+      case 'CallExpression':
+        return this.isGeneratorCall(node) ? 'iterator' : null;
+      default:
+        return null;
+    }
+  }
+
+  isGeneratorCall(node) {
+    if (node.callee.type !== 'Identifier') return false;
+    const func = this.functions[node.callee.name];
+    return func ? Boolean(func.generator) : ['iter', 'zip', 'enumerate', ...Object.keys(ITERTOOLS)].includes(node.callee.name);
+  }
+
   generateReturnStatement(node) {
     if (node.value) {
       const value = this.generateNode(node.value);
@@ -264,6 +836,31 @@ class PythonBackend {
     }
   }
 
+  generateExpressionStatement(node) {
+    const loop = blockLoop(node.expression, expr => this.valueKind(expr));
+    if (loop) {
+      return this.generateForInStatement(loop);
+    }
+    if (node.expression.type === 'UpdateExpression') {
+      const { operator, argument } = node.expression;
+      return this.write(`${this.generateNode(argument)} ${operator[0]}= 1`);
+    }
+
+    if (node.expression.type === 'YieldExpression') {
+      return this.write(this.generateYield(node.expression));
+    }
+
+    const code = this.generateNode(node.expression);
+    if (code) {
+      this.write(code);
+    }
+  }
+
+  generateYield(node) {
+    const keyword = node.delegate ? 'yield from' : 'yield';
+    return node.argument ? `${keyword} ${this.generateNode(node.argument)}` : keyword;
+  }
+
   generateAssignment(node) {
     const target = this.generateNode(node.target);
     const value = this.generateNode(node.value);
@@ -275,13 +872,50 @@ class PythonBackend {
     }
   }
 
+  // Python has no ++ or --. As statements they become `x += 1`; inside an
+  // expression a variable is updated with the walrus operator.
+  generateUpdateExpression(node) {
+    if (node.argument.type !== 'Identifier') {
+      throw new Error(`${node.operator} on elements and properties is only supported as a statement by the Python backend`);
+    }
+    const name = node.argument.name;
+    const update = `(${name} := ${name} ${node.operator[0]} 1)`;
+    return node.prefix ? update : `(${update} ${node.operator[0] === '+' ? '-' : '+'} 1)`;
+  }
+
+  generateRangeExpression(node) {
+    return `list(${this.generateRange(node)})`;
+  }
+
+  generateRange(node) {
+    return `range(${this.generateNode(node.start)}, ${this.generateNode(node.end)} + 1)`;
+  }
+
   generateBinaryExpression(node) {
     const left = this.generateNode(node.left);
+    switch (node.operator) {
+      case '??':
+        if (node.left.type === 'Literal') {
+          return node.left.value === null ? this.generateNode(node.right) : left;
+        }
+        return `(${left} if ${left} is not None else ${this.generateNode(node.right)})`;
+      case 'is':
+        return this.generateTypeCheck(left, node.right);
+      case 'is not':
+        return `not ${this.generateTypeCheck(left, node.right)}`;
+      case '==':
+      case '!=':
+        if (node.right.type === 'Literal' && node.right.value === null) {
+          return `(${left} ${node.operator === '==' ? 'is' : 'is not'} None)`;
+        }
+    }
     const right = this.generateNode(node.right);
     
     const operatorMap = {
       '==': '==',
       '!=': '!=',
+      '===': '==',
+      '!==': '!=',
       '<': '<',
       '<=': '<=',
       '>': '>',
@@ -296,6 +930,20 @@ class PythonBackend {
     return `(${left} ${op} ${right})`;
   }
 
+  // bool is a subclass of int, so it is ruled out for Number.
+  generateTypeCheck(value, type) {
+    switch (builtinType(type, this.classes)) {
+      case 'Null': return `(${value} is None)`;
+      case 'Number': return `(isinstance(${value}, (int, float)) and not isinstance(${value}, bool))`;
+      case 'String': return `isinstance(${value}, str)`;
+      case 'Boolean': return `isinstance(${value}, bool)`;
+      case 'Array': return `isinstance(${value}, list)`;
+      case 'Object': return `isinstance(${value}, dict)`;
+      case 'Function': return `callable(${value})`;
+      default: return `isinstance(${value}, ${this.generateNode(type)})`;
+    }
+  }
+
   generateUnaryExpression(node) {
     const operand = this.generateNode(node.operand);
     
@@ -309,30 +957,142 @@ class PythonBackend {
   }
 
   generateCallExpression(node) {
+    if (node.block && breaksBlock(node.block)) {
+      const stop = `_stop_${this.stopCount++}`;
+      this.write(`${stop} = _BlockBreak()`);
+      return `_breakable(${stop}, lambda: ${this.generateCall(node, stop)})`;
+    }
+    return this.generateCall(node, null);
+  }
+
+  generateCall(node, stop) {
+    const callee = node.callee.type === 'Identifier' && node.callee.name === 'super'
+      ? 'super().__init__'
+      : this.generateNode(node.callee);
+    const args = this.callArguments(node).map(arg => this.generateNode(arg));
+
+    if (node.callee.type === 'MemberExpression' && node.callee.property === 'toString' &&
+        this.valueKind(node.callee.object) === 'error') {
+      const error = this.generateNode(node.callee.object);
+      return `f"{type(${error}).__name__}: {${error}}"`;
+    }
+
+    if (node.block) {
+      const block = this.generateLambda(node.block, stop);
+      if (node.callee.type === 'MemberExpression' && ['map', 'filter', 'select'].includes(node.callee.property)) {
+        const builtin = node.callee.property === 'map' ? 'map' : 'filter';
+        return `list(${builtin}(${block}, ${this.generateNode(node.callee.object)}))`;
+      }
+      args.push(block);
+    }
+
+    // Python's map() and filter() take the function first and return
+    // iterators rather than lists.
+    if (node.callee.type === 'Identifier' && ['map', 'filter'].includes(node.callee.name) &&
+        !this.functions[node.callee.name] && node.arguments.length === 2 &&
+        node.arguments.every(arg => !['SpreadElement', 'NamedArgument'].includes(arg.type))) {
+      return `list(${node.callee.name}(${args[1]}, ${args[0]}))`;
+    }
+
+    return node.callee.type === 'Lambda' ? `(${callee})(${args.join(', ')})` : `${callee}(${args.join(', ')})`;
+  }
+
+  // Python rejects surplus positional arguments, so a spread into a function
+  // without a rest parameter passes just the elements it has room for.
+  callArguments(node) {
+    const func = node.callee.type === 'Identifier' && this.functions[node.callee.name];
+    if (func && !func.restParameter && node.arguments.some(arg => arg.type === 'SpreadElement')) {
+      const named = node.arguments.filter(arg => arg.type === 'NamedArgument');
+      return [...packArguments(node.arguments.filter(arg => !named.includes(arg)), func), ...named];
+    }
+    return node.arguments;
+  }
+
+  generateNewExpression(node) {
     const callee = this.generateNode(node.callee);
     const args = node.arguments.map(arg => this.generateNode(arg)).join(', ');
     return `${callee}(${args})`;
   }
 
+  generateIdentifier(node) {
+    if (node.name === 'this') return 'self';
+    if (node.name === 'super') return 'super()';
+    return this.builtins[node.name] || ERROR_TYPES[node.name] || node.name;
+  }
+
+  generateLambda(node, stop = null) {
+    const params = this.generateParameters(node.parameters, node.restParameter, node.defaults).join(', ');
+    const prefix = params ? `lambda ${params}: ` : 'lambda: ';
+    const { parameters, restParameter, defaults, async } = node;
+    const inline = !async && !node.generator && Object.values(defaults || {}).every(value => this.isConstant(value));
+
+    if (node.expression && inline) {
+      return prefix + this.generateNode(node.body);
+    }
+
+    if (node.expression) {
+      const name = `_lambda_${this.lambdaCount++}`;
+      const body = [{ type: 'ReturnStatement', value: node.body }];
+      this.generateFunctionDeclaration({ name, parameters, restParameter, defaults, body, async });
+      return name;
+    }
+
+    const body = node.block ? blockExits(blockBody(node), stop) : node.body;
+    if (inline && body.length === 1 && body[0].type === 'ReturnStatement' && body[0].value) {
+      return prefix + this.generateNode(body[0].value);
+    }
+
+    const name = `_lambda_${this.lambdaCount++}`;
+    this.generateFunctionDeclaration({ name, parameters, restParameter, defaults, body, async });
+    return name;
+  }
+
+
   generateIndexExpression(node) {
-    const object = this.generateNode(node.object);
+    const object = this.generateObject(node.object);
     const index = this.generateNode(node.index);
     return `${object}[${index}]`;
   }
 
   generateMemberExpression(node) {
-    const object = this.generateNode(node.object);
+    const object = this.generateObject(node.object);
+    if (node.property === 'message' && this.valueKind(node.object) === 'error') {
+      return `str(${object})`;
+    }
     return `${object}.${node.property}`;
   }
 
+  generateObject(node) {
+    const code = this.generateNode(node);
+    return node.type === 'AwaitExpression' ? `(${code})` : code;
+  }
+
   generateLiteral(value) {
     if (value === null) return 'None';
     if (value === true) return 'True';
     if (value === false) return 'False';
-    if (typeof value === 'string') return `"${value.replace(/"/g, '\\"')}"`;
+    if (typeof value === 'string') return JSON.stringify(value);
     return String(value);
   }
 
+  // Replacement fields cannot hold backslashes or the enclosing quote before
+  // Python 3.12, so those strings are concatenated instead.
+  generateInterpolatedString(node) {
+    const fields = node.parts.map(part =>
+      part.type === 'Literal' && typeof part.value === 'string' ? null : this.generateNode(part)
+    );
+
+    if (fields.some(field => field !== null && /["\\\n]/.test(field))) {
+      return `(${node.parts.map((part, i) => fields[i] === null ? this.generateLiteral(part.value) : `str(${fields[i]})`).join(' + ')})`;
+    }
+
+    const body = node.parts.map((part, i) => fields[i] === null
+      ? JSON.stringify(part.value).slice(1, -1).replace(/\{/g, '{{').replace(/\}/g, '}}')
+      : `{${fields[i]}}`
+    ).join('');
+    return `f"${body}"`;
+  }
+
   generateArrayLiteral(node) {
     const elements = node.elements.map(el => this.generateNode(el)).join(', ');
     return `[${elements}]`;
@@ -340,6 +1100,9 @@ class PythonBackend {
 
   generateObjectLiteral(node) {
     const props = node.properties.map(prop => {
+      if (prop.type === 'SpreadElement') {
+        return `**${this.generateNode(prop.argument)}`;
+      }
       const key = `"${prop.key}"`;
       const value = this.generateNode(prop.value);
       return `${key}: ${value}`;
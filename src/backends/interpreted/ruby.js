@@ -1,7 +1,26 @@
+const { packArguments, bindArguments, fillDefaults, builtinType, structClass, variantEnum } = require('../lowering');
+
+const ERROR_TYPES = {
+  Error: 'StandardError',
+  TypeError: 'TypeError',
+  ValueError: 'ArgumentError',
+  IndexError: 'IndexError'
+};
+
+// Builtins that are a method of their one argument in Ruby.
+const METHOD_BUILTINS = { len: 'length', str: 'to_s' };
+
 class RubyBackend {
   generate(ast, options = {}) {
     this.output = [];
     this.indent = 0;
+    this.lambdaNames = new Set();
+    this.matchCount = 0;
+    this.valueKinds = {};
+    this.aliases = {};
+    this.functions = {};
+    this.classes = {};
+    this.enums = {};
     this.generateNode(ast);
     return this.output.join('\n');
   }
@@ -14,16 +33,35 @@ class RubyBackend {
         return this.generateProgram(node);
       case 'VariableDeclaration':
         return this.generateVariableDeclaration(node);
+      case 'DestructuringDeclaration':
+        return this.generateDestructuringDeclaration(node);
       case 'FunctionDeclaration':
         return this.generateFunctionDeclaration(node);
       case 'ClassDeclaration':
         return this.generateClassDeclaration(node);
+      case 'StructDeclaration':
+        return this.generateClassDeclaration(structClass(node), true);
+      case 'EnumDeclaration':
+        return this.generateEnumDeclaration(node);
+      case 'InterfaceDeclaration':
+        return this.generateModuleDeclaration(node);
+      case 'TryStatement':
+        return this.generateTryStatement(node);
+      case 'ThrowStatement':
+        this.write(`raise ${this.generateNode(node.argument)}`);
+        return;
       case 'IfStatement':
         return this.generateIfStatement(node);
+      case 'MatchStatement':
+        return this.generateMatchStatement(node);
+      case 'MatchExpression':
+        return this.generateMatchExpression(node);
       case 'WhileStatement':
         return this.generateWhileStatement(node);
       case 'ForStatement':
         return this.generateForStatement(node);
+      case 'ForInStatement':
+        return this.generateForInStatement(node);
       case 'ReturnStatement':
         return this.generateReturnStatement(node);
       case 'Break':
@@ -32,20 +70,57 @@ class RubyBackend {
       case 'Continue':
         this.write('next');
         return;
+      case 'ExpressionStatement':
+        return this.generateExpressionStatement(node);
       case 'Assignment':
         return this.generateAssignment(node);
       case 'BinaryExpression':
         return this.generateBinaryExpression(node);
+      case 'ConditionalExpression':
+        return `(${this.generateNode(node.test)} ? ${this.generateNode(node.consequent)} : ${this.generateNode(node.alternate)})`;
+      case 'OptionalChain':
+        return this.generateNode(this.safeNavigation(node.expression).node);
+      case 'UnaryExpression':
+        return this.generateUnaryExpression(node);
+      case 'UpdateExpression':
+        return this.generateUpdateExpression(node);
+      case 'RangeExpression':
+        return this.generateRangeExpression(node);
       case 'CallExpression':
         return this.generateCallExpression(node);
+      case 'NewExpression':
+        return this.generateNewExpression(node);
+      case 'MemberExpression':
+        return this.generateMemberExpression(node);
+      case 'IndexExpression':
+        return node.optional
+          ? `${this.generateNode(node.object)}&.[](${this.generateNode(node.index)})`
+          : `${this.generateNode(node.object)}[${this.generateNode(node.index)}]`;
+      case 'SliceExpression':
+        return `${this.generateNode(node.object)}[${node.start}..]`;
+      case 'NamedArgument':
+        return `${node.name}: ${this.generateNode(node.value)}`;
+      case 'SpreadElement':
+        return `*${this.generateNode(node.argument)}`;
       case 'Identifier':
-        return node.name;
+        if (this.aliases[node.name]) return this.aliases[node.name];
+        if (ERROR_TYPES[node.name]) return ERROR_TYPES[node.name];
+        return node.name === 'this' ? 'self' : node.name;
       case 'Literal':
         return this.generateLiteral(node.value);
+      case 'InterpolatedString':
+        return `"${node.parts.map(part => part.type === 'Literal' && typeof part.value === 'string'
+          ? this.generateLiteral(part.value).slice(1, -1)
+          : `#{${this.generateNode(part)}}`).join('')}"`;
       case 'ArrayLiteral':
         return this.generateArrayLiteral(node);
       case 'ObjectLiteral':
         return this.generateObjectLiteral(node);
+      case 'Lambda':
+        return this.generateLambda(node);
+      case 'ListComprehension':
+      case 'DictComprehension':
+        return this.generateComprehension(node);
       default:
         return '';
     }
@@ -54,18 +129,101 @@ class RubyBackend {
   generateProgram(node) {
     this.write('#!/usr/bin/env ruby');
     this.write('');
+    for (const stmt of node.statements) {
+      if (stmt.type === 'FunctionDeclaration') {
+        this.functions[stmt.name] = stmt;
+      } else if (stmt.type === 'ClassDeclaration' || stmt.type === 'StructDeclaration') {
+        this.classes[stmt.name] = stmt.type === 'StructDeclaration'
+          ? structClass(stmt).methods[0]
+          : stmt.methods.find(method => method.name === 'constructor');
+      } else if (stmt.type === 'EnumDeclaration') {
+        this.enums[stmt.name] = stmt;
+      }
+    }
     for (const stmt of node.statements) {
       this.generateNode(stmt);
     }
   }
 
   generateVariableDeclaration(node) {
+    this.valueKinds[node.name] = this.valueKind(node.initializer);
+    if (node.initializer && node.initializer.type === 'Lambda') {
+      this.lambdaNames.add(node.name);
+      this.functions[node.name] = node.initializer;
+    }
     const value = node.initializer ? this.generateNode(node.initializer) : 'nil';
     this.write(`${node.name} = ${value}`);
   }
 
+  // Arrays unpack with multiple assignment, which like Lumos tolerates missing
+  // and extra elements. Hash patterns need rightward pattern matching.
+  generateDestructuringDeclaration(node) {
+    const value = this.generateNode(node.initializer);
+    if (this.containsObjectPattern(node.pattern)) {
+      this.write(`${value} => ${this.generateBindingPattern(node.pattern)}`);
+    } else {
+      this.write(`${this.generateTargetList(node.pattern, true)} = ${value}`);
+    }
+  }
+
+  containsObjectPattern(pattern) {
+    if (pattern.type === 'ObjectPattern') return true;
+    return pattern.type === 'ArrayPattern' && pattern.elements.some(element => this.containsObjectPattern(element));
+  }
+
+  generateTargetList(pattern, topLevel = false) {
+    if (pattern.type !== 'ArrayPattern') return pattern.name || '_';
+    const targets = pattern.elements.map(element => this.generateTargetList(element));
+    if (pattern.rest) {
+      targets.push(`*${pattern.rest}`);
+    }
+    const list = targets.join(', ');
+    if (topLevel) {
+      return targets.length === 1 && !pattern.rest ? `${list},` : list;
+    }
+    return `(${list})`;
+  }
+
+  generateBindingPattern(pattern) {
+    switch (pattern.type) {
+      case 'IdentifierPattern':
+        return pattern.name;
+      case 'WildcardPattern':
+        return '_';
+      case 'ArrayPattern': {
+        const elements = pattern.elements.map(element => this.generateBindingPattern(element));
+        elements.push(pattern.rest ? `*${pattern.rest}` : '*');
+        return `[${elements.join(', ')}]`;
+      }
+      case 'ObjectPattern': {
+        const props = pattern.properties.map(prop =>
+          prop.pattern.type === 'IdentifierPattern' && prop.pattern.name === prop.key
+            ? `${prop.key}:`
+            : `${prop.key}: ${this.generateBindingPattern(prop.pattern)}`
+        );
+        if (pattern.rest) {
+          props.push(`**${pattern.rest}`);
+        }
+        return `{${props.join(', ')}}`;
+      }
+      default:
+        throw new Error(`Unknown pattern type: ${pattern.type}`);
+    }
+  }
+
+  generateParameters(node) {
+    return node.parameters.map(param => {
+      if (param === node.blockParameter) return `&${param}`;
+      if (param === node.restParameter) return `*${param}`;
+      return node.defaults && node.defaults[param] ? `${param} = ${this.generateNode(node.defaults[param])}` : param;
+    }).join(', ');
+  }
+
   generateFunctionDeclaration(node) {
-    const params = node.parameters.join(', ');
+    const params = this.generateParameters(node);
+    if (node.blockParameter) {
+      this.lambdaNames.add(node.blockParameter);
+    }
     this.write(`def ${node.name}(${params})`);
     this.indent++;
     for (const stmt of node.body) {
@@ -76,25 +234,79 @@ class RubyBackend {
     this.write('');
   }
 
-  generateClassDeclaration(node) {
-    const superclass = node.superclass ? ` < ${node.superclass}` : '';
+  generateTryStatement(node) {
+    this.write('begin');
+    this.generateBody(node.tryBlock);
+
+    for (const clause of node.catchClauses) {
+      const type = clause.errorType ? ` ${ERROR_TYPES[clause.errorType] || clause.errorType}` : '';
+      const param = clause.parameter ? ` => ${clause.parameter}` : '';
+      if (clause.parameter) {
+        this.valueKinds[clause.parameter] = 'error';
+      }
+      this.write(`rescue${type}${param}`);
+      this.generateBody(clause.body);
+    }
+
+    if (node.finallyBlock) {
+      this.write('ensure');
+      this.generateBody(node.finallyBlock);
+    }
+
+    this.write('end');
+  }
+
+  generateBody(statements) {
+    this.indent++;
+    for (const stmt of statements) {
+      this.generateNode(stmt);
+    }
+    this.indent--;
+  }
+
+  // Structs compare by their fields, but are still shared like any other
+  // object rather than copied.
+  generateClassDeclaration(node, value = false) {
+    const superclass = node.superclass ? ` < ${ERROR_TYPES[node.superclass] || node.superclass}` : '';
     this.write(`class ${node.name}${superclass}`);
     this.indent++;
+    this.generateIncludes(node);
+    
+    const constructor = node.methods.find(method => method.name === 'constructor');
     
     if (node.properties.length > 0) {
-      this.write('def initialize');
+      this.write(`attr_accessor ${node.properties.map(prop => `:${prop.name}`).join(', ')}`);
+      this.write('');
+    }
+    
+    if (node.properties.length > 0 || constructor) {
+      const params = constructor ? `(${this.generateParameters(constructor)})` : '';
+      this.write(`def initialize${params}`);
       this.indent++;
+      if (!constructor && node.superclass) {
+        this.write('super');
+      }
       for (const prop of node.properties) {
         const value = prop.initializer ? this.generateNode(prop.initializer) : 'nil';
         this.write(`@${prop.name} = ${value}`);
       }
+      if (constructor) {
+        for (const stmt of constructor.body) {
+          this.generateNode(stmt);
+        }
+      }
       this.indent--;
       this.write('end');
       this.write('');
     }
     
     for (const method of node.methods) {
-      this.generateFunctionDeclaration(method);
+      if (method !== constructor) {
+        this.generateFunctionDeclaration(method);
+      }
+    }
+    if (value) {
+      this.generateEquality();
     }
     
     this.indent--;
@@ -102,6 +314,95 @@ class RubyBackend {
     this.write('');
   }
 
+  generateIncludes(node) {
+    if (node.interfaces && node.interfaces.length > 0) {
+      this.write(`include ${node.interfaces.join(', ')}`);
+      this.write('');
+    }
+  }
+
+  generateEquality() {
+    this.write('def ==(other)');
+    this.write('  other.class == self.class && instance_variables.all? { |name| instance_variable_get(name) == other.instance_variable_get(name) }');
+    this.write('end');
+    this.write('');
+  }
+
+  // Required methods are left out, since an included module comes after
+  // the class and its superclasses would be shadowed by a stub.
+  generateModuleDeclaration(node) {
+    this.write(`module ${node.name}`);
+    this.indent++;
+    for (const method of node.methods.filter(method => method.body)) {
+      this.generateFunctionDeclaration(method);
+    }
+    this.indent--;
+    this.write('end');
+    this.write('');
+  }
+
+  // An enum is a class with one nested subclass per variant. Unit variants
+  // are constants holding the only instance of theirs.
+  generateEnumDeclaration(node) {
+    this.write(`class ${node.name}`);
+    this.indent++;
+    this.generateIncludes(node);
+    this.write('def to_s');
+    this.indent++;
+    this.write('values = instance_variables.map { |name| instance_variable_get(name).inspect }');
+    this.write(`values.empty? ? "${node.name}.#{variant}" : "${node.name}.#{variant}(#{values.join(', ')})"`);
+    this.indent--;
+    this.write('end');
+    this.write('alias inspect to_s');
+    this.write('');
+    this.generateEquality();
+    for (const method of node.methods) {
+      this.generateFunctionDeclaration(method);
+    }
+
+    for (const variant of node.variants) {
+      if (variant.fields.length === 0) {
+        this.write(`${variant.name} = Class.new(${node.name}) do`);
+      } else {
+        this.write(`class ${variant.name} < ${node.name}`);
+      }
+      this.indent++;
+      if (variant.fields.length > 0) {
+        this.write(`attr_reader ${variant.fields.map(field => `:${field}`).join(', ')}`);
+        this.write('');
+        this.write(`def initialize(${variant.fields.join(', ')})`);
+        this.indent++;
+        for (const field of variant.fields) {
+          this.write(`@${field} = ${field}`);
+        }
+        this.indent--;
+        this.write('end');
+        this.write('');
+      }
+      this.write('def variant');
+      this.write(`  "${variant.name}"`);
+      this.write('end');
+      this.indent--;
+      this.write(variant.fields.length === 0 ? 'end.new' : 'end');
+      this.write('');
+    }
+    this.indent--;
+    this.write('end');
+    this.write('');
+  }
+
+  // The variant `Enum.Variant` refers to, if it names one.
+  variantOf(node) {
+    if (node.type !== 'MemberExpression' || node.object.type !== 'Identifier' || !this.enums[node.object.name]) {
+      return null;
+    }
+    const variant = this.enums[node.object.name].variants.find(candidate => candidate.name === node.property);
+    if (!variant) {
+      throw new Error(`Enum ${node.object.name} has no variant '${node.property}'`);
+    }
+    return variant;
+  }
+
   generateIfStatement(node) {
     const cond = this.generateNode(node.condition);
     this.write(`if ${cond}`);
@@ -133,6 +434,125 @@ class RubyBackend {
     this.write('end');
   }
 
+  generateMatchStatement(node) {
+    const subject = `_match${this.matchCount++}`;
+    this.write(`${subject} = ${this.generateNode(node.subject)}`);
+    this.generateMatchChain(node.cases, subject);
+  }
+
+  generateMatchExpression(node) {
+    const subject = `_match${this.matchCount++}`;
+    const saved = this.output;
+    this.output = [];
+    this.indent++;
+    if (!this.generateMatchChain(node.cases, subject)) {
+      this.output.pop();
+      this.write('else');
+      this.write(`  raise ArgumentError, "No match case for value: #{${subject}.inspect}"`);
+      this.write('end');
+    }
+    this.indent--;
+    const lines = this.output;
+    this.output = saved;
+
+    const subjectValue = this.generateNode(node.subject);
+    return `->(${subject}) do\n${lines.join('\n')}\n${'  '.repeat(this.indent)}end.(${subjectValue})`;
+  }
+
+  generateMatchChain(cases, subject) {
+    let opened = false;
+
+    for (const matchCase of cases) {
+      const conditions = [];
+      const bindings = [];
+      this.patternConditions(matchCase.pattern, subject, conditions, bindings);
+      if (matchCase.guard) {
+        const saved = this.aliases;
+        this.aliases = { ...saved, ...Object.fromEntries(bindings) };
+        conditions.push(this.generateNode(matchCase.guard));
+        this.aliases = saved;
+      }
+
+      const exhaustive = conditions.length === 0;
+      if (exhaustive) {
+        this.write(opened ? 'else' : 'begin');
+      } else {
+        this.write(`${opened ? 'elsif' : 'if'} ${conditions.join(' && ')}`);
+      }
+      opened = true;
+
+      this.indent++;
+      for (const [name, access] of bindings) {
+        this.write(`${name} = ${access}`);
+      }
+      if (matchCase.expression) {
+        this.write(this.generateNode(matchCase.body));
+      } else {
+        for (const stmt of matchCase.body) {
+          this.generateNode(stmt);
+        }
+      }
+      this.indent--;
+
+      if (exhaustive) {
+        this.write('end');
+        return true;
+      }
+    }
+
+    if (opened) {
+      this.write('end');
+    }
+    return false;
+  }
+
+  patternConditions(pattern, access, conditions, bindings) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        break;
+      case 'IdentifierPattern':
+        bindings.push([pattern.name, access]);
+        break;
+      case 'LiteralPattern':
+        conditions.push(`${access} == ${this.generateLiteral(pattern.value)}`);
+        break;
+      case 'RangePattern':
+        conditions.push(`(${this.generateLiteral(pattern.start)}..${this.generateLiteral(pattern.end)}) === ${access}`);
+        break;
+      case 'ArrayPattern':
+        conditions.push(`${access}.is_a?(Array)`);
+        conditions.push(`${access}.length ${pattern.rest ? '>=' : '=='} ${pattern.elements.length}`);
+        pattern.elements.forEach((element, i) => {
+          this.patternConditions(element, `${access}[${i}]`, conditions, bindings);
+        });
+        if (pattern.rest) {
+          bindings.push([pattern.rest, `${access}[${pattern.elements.length}..]`]);
+        }
+        break;
+      case 'ObjectPattern':
+        conditions.push(`${access}.is_a?(Hash)`);
+        for (const prop of pattern.properties) {
+          conditions.push(`${access}.key?(:${prop.key})`);
+          this.patternConditions(prop.pattern, `${access}[:${prop.key}]`, conditions, bindings);
+        }
+        if (pattern.rest) {
+          bindings.push([pattern.rest, `${access}.except(${pattern.properties.map(prop => `:${prop.key}`).join(', ')})`]);
+        }
+        break;
+      case 'VariantPattern': {
+        const { enumNode, variant } = variantEnum(pattern, this.enums);
+        const type = `${enumNode.name}::${variant.name}`;
+        conditions.push(variant.fields.length === 0 ? `${access}.equal?(${type})` : `${access}.is_a?(${type})`);
+        (pattern.elements || []).forEach((element, i) => {
+          this.patternConditions(element, `${access}.${variant.fields[i]}`, conditions, bindings);
+        });
+        break;
+      }
+      default:
+        throw new Error(`Unknown pattern type: ${pattern.type}`);
+    }
+  }
+
   generateWhileStatement(node) {
     const cond = this.generateNode(node.condition);
     this.write(`while ${cond}`);
@@ -156,6 +576,54 @@ class RubyBackend {
     this.write('end');
   }
 
+  generateForInStatement(node) {
+    const [first, second] = node.variables;
+    const kind = this.valueKind(node.iterable);
+    let iterable = this.generateNode(node.iterable);
+    if (node.iterable.type === 'RangeExpression') {
+      iterable = `(${this.generateNode(node.iterable.start)}..${this.generateNode(node.iterable.end)})`;
+    }
+
+    if (kind === 'object') {
+      this.write(second
+        ? `${iterable}.each do |${first}, ${second}|`
+        : `${iterable}.each_key do |${first}|`);
+    } else {
+      const each = kind === 'string' ? 'each_char' : 'each';
+      this.write(second
+        ? `${iterable}.${each}.with_index do |${second}, ${first}|`
+        : `${iterable}.${each} do |${first}|`);
+    }
+
+    this.indent++;
+    for (const stmt of node.body) {
+      this.generateNode(stmt);
+    }
+    this.indent--;
+    this.write('end');
+  }
+
+  valueKind(node) {
+    if (!node) return null;
+    switch (node.type) {
+      case 'ObjectLiteral':
+      case 'DictComprehension':
+        return 'object';
+      case 'ArrayLiteral':
+      case 'RangeExpression':
+      case 'ListComprehension':
+        return 'array';
+      case 'Literal':
+        return typeof node.value === 'string' ? 'string' : null;
+      case 'InterpolatedString':
+        return 'string';
+      case 'Identifier':
+        return this.valueKinds[node.name] || null;
+      default:
+        return null;
+    }
+  }
+
   generateReturnStatement(node) {
     if (node.value) {
       const value = this.generateNode(node.value);
@@ -165,32 +633,287 @@ class RubyBackend {
     }
   }
 
+  generateExpressionStatement(node) {
+    if (node.expression.type === 'UpdateExpression') {
+      const { operator, argument } = node.expression;
+      return this.write(`${this.generateNode(argument)} ${operator[0]}= 1`);
+    }
+    const code = this.generateNode(node.expression);
+    if (code) {
+      this.write(code);
+    }
+  }
+
   generateAssignment(node) {
     const target = this.generateNode(node.target);
     const value = this.generateNode(node.value);
     this.write(`${target} ${node.operator} ${value}`);
   }
 
+  // Ruby has no ++ or --, but `x += 1` is an expression holding the new value.
+  generateUpdateExpression(node) {
+    const update = `(${this.generateNode(node.argument)} ${node.operator[0]}= 1)`;
+    return node.prefix ? update : `(${update} ${node.operator[0] === '+' ? '-' : '+'} 1)`;
+  }
+
+  generateRangeExpression(node) {
+    return `(${this.generateNode(node.start)}..${this.generateNode(node.end)}).to_a`;
+  }
+
   generateBinaryExpression(node) {
     const left = this.generateNode(node.left);
+    switch (node.operator) {
+      case '??':
+        return `(${left}.nil? ? ${this.generateNode(node.right)} : ${left})`;
+      case 'in':
+        return `${this.generateNode(node.right)}.include?(${left})`;
+      case 'not in':
+        return `!${this.generateNode(node.right)}.include?(${left})`;
+      case 'is':
+        return this.generateTypeCheck(left, node.right);
+      case 'is not':
+        return `!${this.generateTypeCheck(left, node.right)}`;
+    }
     const right = this.generateNode(node.right);
+
+    // An integer raised to a negative integer is a Rational in Ruby.
+    if (node.operator === '**' && node.right.type === 'UnaryExpression' && node.right.operator === '-') {
+      return `(${left}.to_f ** ${right})`;
+    }
     
     const operatorMap = {
       '&&': 'and',
       '||': 'or',
-      '!': 'not'
+      '!': 'not',
+      '===': '==',
+      '!==': '!='
     };
     
     const op = operatorMap[node.operator] || node.operator;
     return `(${left} ${op} ${right})`;
   }
 
+  generateTypeCheck(value, type) {
+    const variant = this.variantOf(type);
+    if (variant && variant.fields.length === 0) {
+      return `${value}.equal?(${this.generateNode(type)})`;
+    }
+    switch (builtinType(type, this.classes)) {
+      case 'Null': return `${value}.nil?`;
+      case 'Number': return `${value}.is_a?(Numeric)`;
+      case 'Boolean': return `[true, false].include?(${value})`;
+      case 'Object': return `${value}.is_a?(Hash)`;
+      case 'Function': return `${value}.respond_to?(:call)`;
+      case 'String': case 'Array': return `${value}.is_a?(${type.name})`;
+      default: return `${value}.is_a?(${this.generateNode(type)})`;
+    }
+  }
+
+  // Ruby's `&.` skips only the call it is on, so every link after the first
+  // `?.` of a chain gets one too.
+  safeNavigation(node) {
+    const key = { MemberExpression: 'object', IndexExpression: 'object', CallExpression: 'callee' }[node.type];
+    if (!key) return { node, optional: false };
+    const inner = this.safeNavigation(node[key]);
+    const optional = inner.optional || Boolean(node.optional);
+    return { node: { ...node, [key]: inner.node, optional }, optional };
+  }
+
+  generateUnaryExpression(node) {
+    const operand = this.generateNode(node.operand);
+    const op = node.operator === 'not' ? '!' : node.operator;
+    return `${op}${operand}`;
+  }
+
   generateCallExpression(node) {
+    const variant = this.variantOf(node.callee);
+    if (variant) {
+      const args = this.callArguments(node.arguments, { parameters: variant.fields }, variant.name);
+      return `${this.generateNode(node.callee)}.new(${args.map(arg => this.generateNode(arg)).join(', ')})`;
+    }
+    if (node.callee.type === 'Identifier' && (node.callee.name in this.classes || this.isErrorType(node.callee.name))) {
+      return this.generateNewExpression(node);
+    }
+    if (node.callee.type === 'Identifier' && !this.functions[node.callee.name] && !this.lambdaNames.has(node.callee.name)) {
+      const builtin = this.generateBuiltinCall(node);
+      if (builtin) return builtin;
+    }
+    const func = node.callee.type === 'Identifier' ? this.functions[node.callee.name] : null;
+    const args = this.callArguments(node.arguments, func, node.callee.name).map(arg => this.generateNode(arg)).join(', ');
+    if (this.isSuperReference(node.callee)) {
+      return `super(${args})`;
+    }
+    if (node.callee.type === 'MemberExpression' && this.isSelfReference(node.callee.object)) {
+      return `${node.callee.property}(${args})`;
+    }
+    if (node.callee.type === 'MemberExpression' && node.callee.property === 'toString' &&
+        this.valueKind(node.callee.object) === 'error') {
+      const error = this.generateNode(node.callee.object);
+      return `"#{${error}.class}: #{${error}.message}"`;
+    }
     const callee = this.generateNode(node.callee);
-    const args = node.arguments.map(arg => this.generateNode(arg)).join(', ');
+    if (node.optional && node.callee.type !== 'MemberExpression') {
+      return `${callee}&.(${args})`;
+    }
+    if (node.callee.type === 'Identifier' && this.lambdaNames.has(node.callee.name)) {
+      return `${callee}.(${args})`;
+    }
+    if (node.block) {
+      const call = args ? `${callee}(${args})` : callee;
+      return `${call} ${this.generateBlockArgument(node.block)}`;
+    }
     return `${callee}(${args})`;
   }
 
+  // Ruby's own print adds neither spaces nor a newline, so print becomes
+  // puts, with several values joined into one line first.
+  generateBuiltinCall(node) {
+    const { name } = node.callee;
+    if (node.arguments.some(arg => arg.type === 'SpreadElement' || arg.type === 'NamedArgument')) return null;
+    const args = node.arguments.map(arg => this.generateNode(arg));
+    if (name === 'print') {
+      if (args.length === 0) return 'puts';
+      return args.length === 1 ? `puts(${args[0]})` : `puts([${args.join(', ')}].join(" "))`;
+    }
+    if (METHOD_BUILTINS[name] && args.length === 1) {
+      return `${args[0]}.${METHOD_BUILTINS[name]}`;
+    }
+    return null;
+  }
+
+  // Methods reject surplus arguments, so a spread into a method without a
+  // rest parameter passes just the elements it has room for. Parameters with
+  // defaults can't be passed by name in Ruby, so keyword arguments to a known
+  // function are put in order; others become a trailing hash.
+  callArguments(args, func, name) {
+    if (func && args.some(arg => arg.type === 'NamedArgument')) {
+      const values = bindArguments(args, func);
+      const rest = func.restParameter ? values.pop().elements : [];
+      return [...fillDefaults(values, func, name, rest.length > 0), ...rest];
+    }
+    if (func && !func.restParameter && args.some(arg => arg.type === 'SpreadElement')) {
+      return packArguments(args, func);
+    }
+    return args;
+  }
+
+  generateBlockArgument(node) {
+    const params = node.parameters.length > 0 ? ` |${this.generateParameters(node)}|` : '';
+
+    if (node.body.length === 1 && node.body[0].type === 'ExpressionStatement') {
+      return `{${params} ${this.generateNode(node.body[0].expression)} }`;
+    }
+
+    const saved = this.output;
+    this.output = [];
+    this.indent++;
+    for (const stmt of node.body) {
+      this.generateNode(stmt);
+    }
+    this.indent--;
+    const lines = this.output;
+    this.output = saved;
+
+    return `do${params}\n${lines.join('\n')}\n${'  '.repeat(this.indent)}end`;
+  }
+
+  // The prelude's error classes are Ruby's own exception classes, unless
+  // the program names something else after one.
+  isErrorType(name) {
+    return name in ERROR_TYPES && !this.aliases[name] && !(name in this.functions);
+  }
+
+  generateNewExpression(node) {
+    const callee = this.generateNode(node.callee);
+    const args = this.callArguments(node.arguments, this.classes[node.callee.name], node.callee.name)
+      .map(arg => this.generateNode(arg)).join(', ');
+    return `${callee}.new(${args})`;
+  }
+
+  generateMemberExpression(node) {
+    if (this.variantOf(node)) {
+      return `${node.object.name}::${node.property}`;
+    }
+    if (this.isSelfReference(node.object)) {
+      return `@${node.property}`;
+    }
+    if (node.property === 'stack' && this.valueKind(node.object) === 'error') {
+      return `${this.generateNode(node.object)}.backtrace`;
+    }
+    return `${this.generateNode(node.object)}${node.optional ? '&.' : '.'}${node.property}`;
+  }
+
+  isSelfReference(node) {
+    return node.type === 'Identifier' && node.name === 'this';
+  }
+
+  isSuperReference(node) {
+    if (node.type === 'MemberExpression') {
+      return this.isSuperReference(node.object);
+    }
+    return node.type === 'Identifier' && node.name === 'super';
+  }
+
+  // `[x * x for x in xs if x > 0]` becomes xs.select { |x| (x > 0) }.map { |x| (x * x) }.
+  // Every clause but the last flattens the arrays the next one builds.
+  generateComprehension(node) {
+    const element = node.type === 'ListComprehension'
+      ? this.generateNode(node.element)
+      : `[${this.generateNode(node.key)}, ${this.generateNode(node.value)}]`;
+
+    const build = index => {
+      const clause = node.clauses[index];
+      const { source, params } = this.comprehensionSource(clause);
+      let code = source;
+      for (const condition of clause.conditions) {
+        code += `.select { |${params}| ${this.generateNode(condition)} }`;
+      }
+      const last = index === node.clauses.length - 1;
+      return `${code}.${last ? 'map' : 'flat_map'} { |${params}| ${last ? element : build(index + 1)} }`;
+    };
+
+    return node.type === 'ListComprehension' ? build(0) : `${build(0)}.to_h`;
+  }
+
+  // What a comprehension clause walks, and the block parameters that take
+  // each value. Like `for`, two variables over a list or string take the
+  // index first.
+  comprehensionSource(clause) {
+    const [first, second] = clause.variables;
+    const kind = this.valueKind(clause.iterable);
+    const iterable = clause.iterable.type === 'RangeExpression'
+      ? `(${this.generateNode(clause.iterable.start)}..${this.generateNode(clause.iterable.end)})`
+      : this.generateNode(clause.iterable);
+
+    if (kind === 'object') {
+      return second ? { source: iterable, params: `${first}, ${second}` } : { source: `${iterable}.keys`, params: first };
+    }
+    const each = kind === 'string' ? 'each_char' : 'each';
+    return second
+      ? { source: `${iterable}.${each}.with_index`, params: `${second}, ${first}` }
+      : { source: kind === 'string' ? `${iterable}.chars` : iterable, params: first };
+  }
+
+  generateLambda(node) {
+    const params = node.parameters.length > 0 ? `(${this.generateParameters(node)})` : '';
+
+    if (node.expression) {
+      return `->${params} { ${this.generateNode(node.body)} }`;
+    }
+
+    const saved = this.output;
+    this.output = [];
+    this.indent++;
+    for (const stmt of node.body) {
+      this.generateNode(stmt);
+    }
+    this.indent--;
+    const lines = this.output;
+    this.output = saved;
+
+    return `->${params} do\n${lines.join('\n')}\n${'  '.repeat(this.indent)}end`;
+  }
+
   generateArrayLiteral(node) {
     const elements = node.elements.map(el => this.generateNode(el)).join(', ');
     return `[${elements}]`;
@@ -198,6 +921,9 @@ class RubyBackend {
 
   generateObjectLiteral(node) {
     const props = node.properties.map(prop => {
+      if (prop.type === 'SpreadElement') {
+        return `**${this.generateNode(prop.argument)}`;
+      }
       const key = prop.key;
       const value = this.generateNode(prop.value);
       return `${key}: ${value}`;
@@ -209,7 +935,7 @@ class RubyBackend {
     if (value === null) return 'nil';
     if (value === true) return 'true';
     if (value === false) return 'false';
-    if (typeof value === 'string') return `"${value.replace(/"/g, '\\"')}"`;
+    if (typeof value === 'string') return JSON.stringify(value).replace(/#\{/g, '\\#{');
     return String(value);
   }
 
@@ -0,0 +1,717 @@
+// AST rewrites shared by backends whose targets lack a native form.
+
+// Nodes whose bodies run in a scope of their own.
+const NESTED_SCOPES = [
+  'Lambda', 'FunctionDeclaration', 'ClassDeclaration', 'StructDeclaration', 'EnumDeclaration', 'InterfaceDeclaration'
+];
+
+const LOOPS = ['WhileStatement', 'ForStatement', 'ForInStatement'];
+
+function literal(value) {
+  return { type: 'Literal', value };
+}
+
+// `n.times do |i| ... end`, `xs.each { |x| ... }` and `xs.each_with_index`
+// used as statements become an equivalent ForInStatement, or null.
+function blockLoop(node, kindOf) {
+  if (node.type !== 'CallExpression' || !node.block || node.arguments.length > 0 ||
+      node.callee.type !== 'MemberExpression') {
+    return null;
+  }
+
+  const { object, property } = node.callee;
+  const [first = '_', second = '_index'] = node.block.parameters;
+  const body = node.block.body;
+
+  switch (property) {
+    case 'times': {
+      const end = object.type === 'Literal' && typeof object.value === 'number'
+        ? literal(object.value - 1)
+        : { type: 'BinaryExpression', left: object, operator: '-', right: literal(1) };
+      return { type: 'ForInStatement', variables: [first], iterable: { type: 'RangeExpression', start: literal(0), end }, body };
+    }
+    case 'each':
+      return {
+        type: 'ForInStatement',
+        variables: kindOf(object) === 'object' ? node.block.parameters.slice(0, 2) : [first],
+        iterable: object,
+        body
+      };
+    case 'each_with_index':
+      return { type: 'ForInStatement', variables: [second, first], iterable: object, body };
+    default:
+      return null;
+  }
+}
+
+// Blocks evaluate to their last expression; make that an explicit return.
+function blockBody(lambda) {
+  const body = lambda.body.slice();
+  const last = body[body.length - 1];
+  if (last && last.type === 'ExpressionStatement') {
+    body[body.length - 1] = { type: 'ReturnStatement', value: last.expression };
+  }
+  return body;
+}
+
+// True when a block breaks out of the call it was given to, with a `break`
+// that is not inside a loop of the block's own.
+function breaksBlock(lambda) {
+  const visit = node => {
+    if (!node || typeof node !== 'object') return false;
+    if (Array.isArray(node)) return node.some(visit);
+    if (node.type === 'Break') return true;
+    if (LOOPS.includes(node.type) || NESTED_SCOPES.includes(node.type)) return false;
+    return Object.keys(node).some(key => visit(node[key]));
+  };
+  return visit(lambda.body);
+}
+
+// A block passed as a closure has no loop for `break` and `continue` to
+// leave. `continue` ends this run of the block, so it returns null; `break`
+// ends the call the block was given to, so it throws `stop`, which the
+// target catches around that call.
+function blockExits(body, stop) {
+  const visit = node => {
+    if (Array.isArray(node)) return node.map(visit);
+    if (!node || typeof node !== 'object') return node;
+    if (node.type === 'Break') return { type: 'ThrowStatement', argument: { type: 'Identifier', name: stop } };
+    if (node.type === 'Continue') return { type: 'ReturnStatement', value: literal(null) };
+    if (LOOPS.includes(node.type) || NESTED_SCOPES.includes(node.type)) return node;
+    const copy = {};
+    for (const key of Object.keys(node)) {
+      copy[key] = visit(node[key]);
+    }
+    return copy;
+  };
+  return visit(body);
+}
+
+// True when `node` awaits outside of any nested function, i.e. when the code
+// that contains it has to run asynchronously.
+function containsAwait(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node)) return node.some(containsAwait);
+  if (node.type === 'AwaitExpression') return true;
+  if (node.type === 'Literal' || NESTED_SCOPES.includes(node.type)) return false;
+  return Object.keys(node).some(key => key !== 'block' && containsAwait(node[key]));
+}
+
+// True when `name` is referenced anywhere in `node`: as a value, a superclass
+// or a catch clause type.
+function referencesName(node, name) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node)) return node.some(child => referencesName(child, name));
+  if ((node.type === 'Identifier' && node.name === name) || node.superclass === name || node.errorType === name) {
+    return true;
+  }
+  return Object.keys(node).some(key => referencesName(node[key], name));
+}
+
+// Names a function body assigns without declaring them itself. Nested
+// functions, lambdas and classes are left out; they have scopes of their own.
+function assignedNames(body) {
+  const assigned = new Set();
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (NESTED_SCOPES.includes(node.type)) return;
+    const target = node.type === 'Assignment' ? node.target : node.type === 'UpdateExpression' ? node.argument : null;
+    if (target && target.type === 'Identifier') assigned.add(target.name);
+    Object.keys(node).forEach(key => visit(node[key]));
+  };
+  visit(body);
+  const declared = declaredNames(body);
+  return [...assigned].filter(name => !declared.includes(name));
+}
+
+// Names a function body declares as variables or loop variables, outside of
+// nested functions, lambdas and classes.
+function declaredNames(body) {
+  const declared = new Set();
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (NESTED_SCOPES.includes(node.type)) return;
+    if (node.type === 'VariableDeclaration') declared.add(node.name);
+    if (node.type === 'DestructuringDeclaration') {
+      patternBindings(node.pattern, null).forEach(([name]) => declared.add(name));
+    }
+    if (node.type === 'ForStatement') declared.add(node.iterator);
+    if (node.type === 'ForInStatement') node.variables.forEach(name => declared.add(name));
+    Object.keys(node).forEach(key => visit(node[key]));
+  };
+  visit(body);
+  return [...declared];
+}
+
+function patternNames(pattern, names = []) {
+  if (!pattern || typeof pattern !== 'object') return names;
+  if (Array.isArray(pattern)) {
+    pattern.forEach(child => patternNames(child, names));
+    return names;
+  }
+  if (pattern.type === 'IdentifierPattern') names.push(pattern.name);
+  if (typeof pattern.rest === 'string') names.push(pattern.rest);
+  Object.keys(pattern).forEach(key => patternNames(pattern[key], names));
+  return names;
+}
+
+// The names a statement declares in the block around it.
+function declaredBy(node) {
+  if (!node || typeof node !== 'object') return [];
+  if (['VariableDeclaration', 'FunctionDeclaration', 'ClassDeclaration', 'StructDeclaration', 'EnumDeclaration'].includes(node.type)) {
+    return [node.name];
+  }
+  if (node.type === 'DestructuringDeclaration') return patternNames(node.pattern);
+  if (node.type === 'ImportStatement') return node.specifiers.map(specifier => specifier.alias);
+  return [];
+}
+
+// The names a node binds for the code inside it: parameters, loop and
+// comprehension variables, catch parameters and match patterns.
+function boundBy(node) {
+  if (node.type === 'FunctionDeclaration' || node.type === 'Lambda') {
+    return [...node.parameters, node.restParameter, node.blockParameter].filter(Boolean);
+  }
+  if (node.type === 'ForStatement') return [node.iterator];
+  if (node.type === 'ForInStatement') return node.variables;
+  if (node.type === 'ListComprehension' || node.type === 'DictComprehension') {
+    return node.clauses.flatMap(clause => clause.variables);
+  }
+  if (typeof node.parameter === 'string') return [node.parameter];
+  if (node.pattern && node.type === undefined) return patternNames(node.pattern);
+  return [];
+}
+
+// Renames a top-level declaration and the references to it, leaving alone
+// those inside a scope that binds the name again.
+function renameGlobal(statements, from, to) {
+  const rename = (node, shadowed) => {
+    if (!node || typeof node !== 'object') return node;
+    if (Array.isArray(node)) {
+      const inner = shadowed || node.some(child => declaredBy(child).includes(from));
+      return node.map(child => rename(child, inner));
+    }
+    if (node.type === 'Identifier' && node.name === from && !shadowed) {
+      return { ...node, name: to };
+    }
+    const inner = shadowed || boundBy(node).includes(from);
+    const copy = {};
+    for (const key of Object.keys(node)) {
+      copy[key] = rename(node[key], inner);
+    }
+    return copy;
+  };
+  return statements.map(statement => {
+    const renamed = rename(statement, false);
+    return declaredBy(statement).includes(from) ? { ...renamed, name: to } : renamed;
+  });
+}
+
+// `base`, or `base_1`, `base_2` and so on, whichever the program does not
+// use as a name anywhere.
+function freshName(program, base) {
+  const used = new Set();
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (node.type === 'Identifier') used.add(node.name);
+    declaredBy(node).forEach(name => used.add(name));
+    boundBy(node).forEach(name => used.add(name));
+    Object.keys(node).forEach(key => visit(node[key]));
+  };
+  visit(program.statements);
+  let name = base;
+  for (let i = 1; used.has(name); i++) {
+    name = `${base}_${i}`;
+  }
+  return name;
+}
+
+// A program whose own top-level `name` would clash with what a target
+// generates under that name, such as its entry point, with the program's
+// renamed to a fresh name.
+function renameClash(program, name) {
+  if (!program.statements.some(statement => declaredBy(statement).includes(name))) return program;
+  return { ...program, statements: renameGlobal(program.statements, name, freshName(program, name)) };
+}
+
+// A struct as a class whose constructor takes each field in order, with the
+// field's initializer, or null, as its default. The fields stay declared.
+function structClass(node) {
+  const fields = node.properties.map(property => property.name);
+  const defaults = {};
+  const parameterTypes = {};
+  for (const property of node.properties) {
+    defaults[property.name] = property.initializer || literal(null);
+    if (property.typeAnnotation) parameterTypes[property.name] = property.typeAnnotation;
+  }
+  const body = fields.map(field => ({
+    type: 'ExpressionStatement',
+    expression: {
+      type: 'Assignment',
+      operator: '=',
+      target: { type: 'MemberExpression', object: { type: 'Identifier', name: 'this' }, property: field },
+      value: { type: 'Identifier', name: field }
+    }
+  }));
+  const constructor = {
+    type: 'FunctionDeclaration', name: 'constructor', parameters: fields, defaults,
+    restParameter: null, blockParameter: null, typeParameters: [], parameterTypes, returnType: null, body
+  };
+  const properties = node.properties.map(property => ({ ...property, initializer: null }));
+  return { ...node, type: 'ClassDeclaration', superclass: null, properties, methods: [constructor, ...node.methods] };
+}
+
+// The enum and variant a VariantPattern refers to, from `enums` keyed by
+// name: the enum named in `Shape.Circle(r)`, or the only one with a Circle.
+function variantEnum(pattern, enums) {
+  const candidates = pattern.enumName
+    ? [enums[pattern.enumName]].filter(Boolean)
+    : Object.values(enums).filter(node => node.variants.some(variant => variant.name === pattern.variant));
+  if (candidates.length !== 1) {
+    const name = pattern.enumName ? `${pattern.enumName}.${pattern.variant}` : pattern.variant;
+    throw new Error(candidates.length === 0 ? `Unknown enum variant ${name}` : `Ambiguous enum variant ${name}`);
+  }
+  const variant = candidates[0].variants.find(candidate => candidate.name === pattern.variant);
+  if (!variant) {
+    throw new Error(`Enum ${candidates[0].name} has no variant ${pattern.variant}`);
+  }
+  if (pattern.elements && pattern.elements.length !== variant.fields.length) {
+    throw new Error(`${candidates[0].name}.${variant.name} has ${variant.fields.length} values but the pattern has ${pattern.elements.length}`);
+  }
+  return { enumNode: candidates[0], variant };
+}
+
+// Flattens a destructuring pattern into `[name, access]` pairs for targets
+// that bind each name separately. Elements and properties are read with
+// IndexExpressions; rest bindings read a SliceExpression (the elements from
+// `start` on) or a RestProperties node (every property but `keys`).
+function patternBindings(pattern, source) {
+  switch (pattern.type) {
+    case 'IdentifierPattern':
+      return [[pattern.name, source]];
+    case 'WildcardPattern':
+      return [];
+    case 'ArrayPattern': {
+      const bindings = pattern.elements.flatMap((element, i) =>
+        patternBindings(element, { type: 'IndexExpression', object: source, index: literal(i) })
+      );
+      if (pattern.rest) {
+        bindings.push([pattern.rest, { type: 'SliceExpression', object: source, start: pattern.elements.length }]);
+      }
+      return bindings;
+    }
+    case 'ObjectPattern': {
+      const bindings = pattern.properties.flatMap(prop =>
+        patternBindings(prop.pattern, { type: 'IndexExpression', object: source, index: literal(prop.key) })
+      );
+      if (pattern.rest) {
+        const keys = pattern.properties.map(prop => prop.key);
+        bindings.push([pattern.rest, { type: 'RestProperties', object: source, keys }]);
+      }
+      return bindings;
+    }
+    default:
+      throw new Error(`Unknown pattern type: ${pattern.type}`);
+  }
+}
+
+// Lowers a match to statements for targets without pattern matching: the
+// subject goes into a temporary named `name` (unless it is a variable) and an
+// if-chain tests each case's pattern and guard in turn. Guards read bound
+// values in place; a body gets a declaration for each binding it uses. With
+// `result`, the match is an expression and each case's value becomes the
+// statement `result(value)` returns. `exhaustive` is false when no case
+// matches every value, so the target can add its own failure.
+function matchChain(node, name, enums, result = null) {
+  const statements = [];
+  let subject = node.subject;
+  if (subject.type !== 'Identifier') {
+    statements.push({ type: 'VariableDeclaration', keyword: 'const', name, typeAnnotation: null, initializer: subject });
+    subject = { type: 'Identifier', name };
+  }
+
+  const branches = [];
+  let fallback = null;
+  for (const matchCase of node.cases) {
+    const tests = [];
+    const bindings = [];
+    patternTests(matchCase.pattern, subject, tests, bindings, enums);
+    if (matchCase.guard) {
+      tests.push(substitute(matchCase.guard, Object.fromEntries(bindings)));
+    }
+    const body = caseBody(matchCase, result);
+    const declarations = bindings
+      .filter(([binding]) => referencesName(body, binding))
+      .map(([binding, access]) => ({ type: 'VariableDeclaration', keyword: 'let', name: binding, typeAnnotation: null, initializer: access }));
+    if (tests.length === 0) {
+      fallback = [...declarations, ...body];
+      break;
+    }
+    const condition = tests.reduce((left, right) => ({ type: 'BinaryExpression', left, operator: 'and', right }));
+    branches.push({ condition, body: [...declarations, ...body] });
+  }
+
+  if (branches.length === 0) {
+    statements.push(...(fallback || []));
+  } else {
+    const [first, ...rest] = branches;
+    statements.push({ type: 'IfStatement', condition: first.condition, thenBranch: first.body, elifBranches: rest, elseBranch: fallback });
+  }
+  return { statements, exhaustive: fallback !== null };
+}
+
+// The values a match expression's cases give, with the names each case binds
+// replaced by the part of the subject they read, for typing the match.
+function matchValues(node, enums) {
+  return node.cases.flatMap(matchCase => {
+    const bindings = [];
+    patternTests(matchCase.pattern, node.subject, [], bindings, enums);
+    const last = matchCase.expression ? null : matchCase.body[matchCase.body.length - 1];
+    const value = matchCase.expression ? matchCase.body : last && last.type === 'ExpressionStatement' && last.expression;
+    return value ? [substitute(value, Object.fromEntries(bindings))] : [];
+  });
+}
+
+function caseBody(matchCase, result) {
+  if (matchCase.expression) {
+    return [result ? result(matchCase.body) : { type: 'ExpressionStatement', expression: matchCase.body }];
+  }
+  const body = matchCase.body.slice();
+  const last = body[body.length - 1];
+  if (result && last && last.type === 'ExpressionStatement') {
+    body[body.length - 1] = result(last.expression);
+  }
+  return body;
+}
+
+// Collects the tests a value read by `access` must pass to match `pattern`
+// and the `[name, access]` pairs it binds. Static targets know the shape of
+// the subject, so only lengths, values, keys and variants are tested.
+function patternTests(pattern, access, tests, bindings, enums) {
+  const compare = (operator, right) => tests.push({ type: 'BinaryExpression', left: access, operator, right });
+  switch (pattern.type) {
+    case 'WildcardPattern':
+      break;
+    case 'IdentifierPattern':
+      bindings.push([pattern.name, access]);
+      break;
+    case 'LiteralPattern':
+      compare('==', literal(pattern.value));
+      break;
+    case 'RangePattern':
+      compare('>=', literal(pattern.start));
+      compare('<=', literal(pattern.end));
+      break;
+    case 'ArrayPattern': {
+      const length = { type: 'CallExpression', callee: { type: 'Identifier', name: 'len' }, arguments: [access] };
+      tests.push({ type: 'BinaryExpression', left: length, operator: pattern.rest ? '>=' : '==', right: literal(pattern.elements.length) });
+      pattern.elements.forEach((element, i) => {
+        patternTests(element, { type: 'IndexExpression', object: access, index: literal(i) }, tests, bindings, enums);
+      });
+      if (pattern.rest) {
+        bindings.push([pattern.rest, { type: 'SliceExpression', object: access, start: pattern.elements.length }]);
+      }
+      break;
+    }
+    case 'ObjectPattern':
+      for (const prop of pattern.properties) {
+        tests.push({ type: 'BinaryExpression', left: literal(prop.key), operator: 'in', right: access });
+        patternTests(prop.pattern, { type: 'IndexExpression', object: access, index: literal(prop.key) }, tests, bindings, enums);
+      }
+      if (pattern.rest) {
+        bindings.push([pattern.rest, { type: 'RestProperties', object: access, keys: pattern.properties.map(prop => prop.key) }]);
+      }
+      break;
+    case 'VariantPattern': {
+      const { enumNode, variant } = variantEnum(pattern, enums);
+      compare('is', { type: 'MemberExpression', object: { type: 'Identifier', name: enumNode.name }, property: variant.name });
+      (pattern.elements || []).forEach((element, i) => {
+        patternTests(element, { type: 'MemberExpression', object: access, property: variant.fields[i] }, tests, bindings, enums);
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown pattern type: ${pattern.type}`);
+  }
+}
+
+// Lines call arguments up with the parameters of a declared function, for
+// targets without spread calls: a spread feeding fixed parameters is read by
+// index, and everything for the rest parameter is collected into one array.
+function packArguments(args, func) {
+  const params = func.parameters.filter(param => param !== func.blockParameter);
+  const fixed = func.restParameter ? params.indexOf(func.restParameter) : params.length;
+  const packed = [];
+  const rest = [];
+
+  for (const arg of args) {
+    if (packed.length >= fixed) {
+      rest.push(arg);
+    } else if (arg.type === 'SpreadElement') {
+      const count = fixed - packed.length;
+      for (let i = 0; i < count; i++) {
+        packed.push({ type: 'IndexExpression', object: arg.argument, index: literal(i) });
+      }
+      rest.push({ type: 'SpreadElement', argument: { type: 'SliceExpression', object: arg.argument, start: count } });
+    } else {
+      packed.push(arg);
+    }
+  }
+
+  if (func.restParameter) {
+    packed.push({ type: 'ArrayLiteral', elements: rest });
+  }
+  return packed;
+}
+
+// Puts a call's arguments in the order of the called function's parameters:
+// keyword arguments move to their parameter's position and parameters that
+// were not passed are left `null`. The rest parameter, if any, takes the
+// last slot as with packArguments.
+function bindArguments(args, func) {
+  const named = args.filter(arg => arg.type === 'NamedArgument');
+  const packed = packArguments(args.filter(arg => arg.type !== 'NamedArgument'), func);
+  const rest = func.restParameter ? packed.pop() : null;
+  const params = fixedParameters(func);
+  const values = params.map((param, i) => packed[i] || null);
+  values.push(...packed.slice(params.length));
+
+  for (const arg of named) {
+    if (!params.includes(arg.name)) {
+      throw new Error(`Unknown keyword argument '${arg.name}'`);
+    }
+    values[params.indexOf(arg.name)] = arg.value;
+  }
+  return rest ? [...values, rest] : values;
+}
+
+// Fills the parameters bindArguments left `null` with their defaults, with
+// any earlier parameters the default uses replaced by their arguments. With
+// `trailing` false, defaults at the end are dropped instead, for targets
+// where the callee fills them in.
+function fillDefaults(values, func, name, trailing = true) {
+  const params = fixedParameters(func);
+  const defaults = func.defaults || {};
+  let end = params.length;
+  if (!trailing) {
+    while (end > 0 && values[end - 1] === null && params[end - 1] in defaults) end--;
+  }
+
+  const filled = values.slice();
+  const bindings = {};
+  params.forEach((param, i) => {
+    if (i < end && filled[i] === null) {
+      if (!(param in defaults)) {
+        throw new Error(`Missing argument '${param}' in call to ${name}`);
+      }
+      filled[i] = substitute(defaults[param], bindings);
+    }
+    bindings[param] = filled[i];
+  });
+  return [...filled.slice(0, end), ...filled.slice(params.length)];
+}
+
+// True when a default uses another parameter, which targets whose defaults
+// can't do that have to fill in at each call.
+function hasDependentDefaults(func) {
+  const params = fixedParameters(func);
+  return Object.values(func.defaults || {}).some(value => params.some(param => referencesName(value, param)));
+}
+
+// Parameters that take one argument each: all but the rest and block ones.
+function fixedParameters(func) {
+  return func.parameters.filter(param => param !== func.restParameter && param !== func.blockParameter);
+}
+
+// The decorators a target has to apply at runtime, outermost first; metadata
+// decorators such as @route only annotate the declaration.
+function wrappingDecorators(node) {
+  return (node.decorators || []).filter(decorator => !decorator.metadata);
+}
+
+// Copies `node` with identifiers named in `bindings` replaced by their node.
+function substitute(node, bindings) {
+  if (Array.isArray(node)) return node.map(child => substitute(child, bindings));
+  if (!node || typeof node !== 'object') return node;
+  if (node.type === 'Identifier' && bindings[node.name]) return bindings[node.name];
+  const copy = {};
+  for (const key of Object.keys(node)) {
+    copy[key] = substitute(node[key], bindings);
+  }
+  return copy;
+}
+
+// Splits array elements or object properties into runs of plain items and
+// the SpreadElements between them, for targets that concatenate the parts.
+function spreadSegments(items) {
+  const segments = [];
+  for (const item of items) {
+    const last = segments[segments.length - 1];
+    if (item.type === 'SpreadElement') {
+      segments.push(item);
+    } else if (Array.isArray(last)) {
+      last.push(item);
+    } else {
+      segments.push([item]);
+    }
+  }
+  return segments;
+}
+
+// Error classes every program can use; all of them but Error extend Error.
+const ERROR_TYPES = ['Error', 'TypeError', 'ValueError', 'IndexError'];
+
+// Maps each class declared at the top level of a program to its superclass.
+function classHierarchy(program) {
+  const superclasses = {};
+  for (const statement of program.statements) {
+    if (statement.type === 'ClassDeclaration') {
+      superclasses[statement.name] = statement.superclass;
+    }
+  }
+  return superclasses;
+}
+
+// `type` plus every built-in or declared error class that inherits from it.
+function errorSubtypes(type, superclasses) {
+  const superclassOf = name => superclasses[name] ||
+    (ERROR_TYPES.includes(name) && name !== 'Error' ? 'Error' : null);
+  const names = [...new Set([...ERROR_TYPES, ...Object.keys(superclasses)])];
+
+  return [type, ...names.filter(name => {
+    for (let current = superclassOf(name); current; current = superclassOf(current)) {
+      if (current === type) return true;
+    }
+    return false;
+  })];
+}
+
+// Type names `is` tests for without a class of that name being declared.
+const BUILTIN_TYPES = ['Number', 'String', 'Boolean', 'Array', 'Object', 'Function', 'Null'];
+
+// The built-in type named on the right of `is` (`null` counts as Null), or
+// null when it names a class. `classes` maps the program's class names.
+function builtinType(node, classes = {}) {
+  if (node.type === 'Literal') return 'Null';
+  if (node.type === 'Identifier' && BUILTIN_TYPES.includes(node.name) && !(node.name in classes)) {
+    return node.name;
+  }
+  return null;
+}
+
+// Rewrites an OptionalChain as conditionals that test the left side of each
+// `?.` link against null, innermost first, for targets without optional
+// chaining. The left side is repeated in the test, so it is evaluated twice.
+function unchain(node) {
+  const link = optionalLink(node.expression);
+  if (!link) return node.expression;
+  return {
+    type: 'ConditionalExpression',
+    test: { type: 'BinaryExpression', left: link.subject, operator: '==', right: literal(null) },
+    consequent: literal(null),
+    alternate: unchain({ ...node, expression: link.expression })
+  };
+}
+
+// Finds the innermost `?.` link of a chain and returns what it tests with a
+// copy of the chain in which that link is an ordinary one. With
+// `replacement`, the copy reads the tested value from that node instead.
+function optionalLink(node, replacement = null) {
+  const key = { MemberExpression: 'object', IndexExpression: 'object', CallExpression: 'callee' }[node.type];
+  if (!key) return null;
+  const inner = optionalLink(node[key], replacement);
+  if (inner) return { subject: inner.subject, expression: { ...node, [key]: inner.expression } };
+  if (!node.optional) return null;
+  return { subject: node[key], expression: { ...node, [key]: replacement || node[key], optional: false } };
+}
+
+// Spells out a compound assignment such as `x **= 2` as `x = x ** 2`, for
+// operators a target has no compound form of.
+function expandAssignment(node) {
+  const value = { type: 'BinaryExpression', left: node.target, operator: node.operator.slice(0, -1), right: node.value };
+  return { ...node, operator: '=', value };
+}
+
+const COMPARISONS = ['==', '!=', '===', '!==', '<', '<=', '>', '>=', 'in', 'not in', 'is', 'is not', 'and', 'or', '&&', '||'];
+const SCALAR_TYPES = ['int', 'float', 'string', 'bool'];
+
+// 'int', 'float', 'string' or 'bool' for an expression built from literals,
+// operators and names whose types are in `types`, or null when it is
+// anything else. For targets that must declare every variable's type.
+function scalarType(node, types) {
+  switch (node.type) {
+    case 'Literal':
+      if (typeof node.value === 'number') {
+        return Number.isInteger(node.value) && !/[.eE]/.test(node.raw || '') ? 'int' : 'float';
+      }
+      if (typeof node.value === 'string') return 'string';
+      return typeof node.value === 'boolean' ? 'bool' : null;
+    case 'Identifier':
+      return types[node.name] || null;
+    case 'UnaryExpression':
+      return ['!', 'not'].includes(node.operator) ? 'bool' : scalarType(node.operand, types);
+    case 'UpdateExpression':
+      return scalarType(node.argument, types);
+    case 'BinaryExpression': {
+      if (COMPARISONS.includes(node.operator)) return 'bool';
+      const left = scalarType(node.left, types);
+      const right = scalarType(node.right, types);
+      if (!left || !right) return null;
+      if (node.operator === '+' && (left === 'string' || right === 'string')) return 'string';
+      if (['&', '|', '^', '<<', '>>'].includes(node.operator)) return 'int';
+      if (node.operator === '/' || left === 'float' || right === 'float') return 'float';
+      return left === 'int' && right === 'int' ? 'int' : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// The scalar type a variable is declared with, or takes from its initializer.
+function declaredScalarType(node, types) {
+  if (node.typeAnnotation && SCALAR_TYPES.includes(node.typeAnnotation.name) && !node.typeAnnotation.nullable) {
+    return node.typeAnnotation.name;
+  }
+  return node.initializer ? scalarType(node.initializer, types) : null;
+}
+
+module.exports = {
+  ERROR_TYPES,
+  BUILTIN_TYPES,
+  builtinType,
+  unchain,
+  optionalLink,
+  expandAssignment,
+  scalarType,
+  declaredScalarType,
+  blockLoop,
+  blockBody,
+  breaksBlock,
+  blockExits,
+  containsAwait,
+  referencesName,
+  assignedNames,
+  declaredNames,
+  declaredBy,
+  boundBy,
+  freshName,
+  renameClash,
+  patternBindings,
+  structClass,
+  variantEnum,
+  matchChain,
+  matchValues,
+  bindArguments,
+  fillDefaults,
+  fixedParameters,
+  wrappingDecorators,
+  substitute,
+  hasDependentDefaults,
+  packArguments,
+  spreadSegments,
+  classHierarchy,
+  errorSubtypes
+};
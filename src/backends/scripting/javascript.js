@@ -1,39 +1,1091 @@
-class Backend {
+const path = require('path');
+const {
+  blockLoop, blockBody, breaksBlock, blockExits, containsAwait, referencesName, bindArguments, fixedParameters, builtinType,
+  structClass, variantEnum, wrappingDecorators, ERROR_TYPES
+} = require('../lowering');
+
+// A block that breaks throws the token its call was given, which the call
+// catches to return null, as the interpreter's does.
+const BLOCK_BREAK_HELPER = `function breakable(call) {
+  const stop = Symbol("break");
+  try {
+    return call(stop);
+  } catch (error) {
+    if (error === stop) return null;
+    throw error;
+  }
+}
+`;
+
+// Lumos error classes that JavaScript has no built-in counterpart for.
+const MISSING_ERROR_TYPES = ['ValueError', 'IndexError'];
+
+// Interfaces are classes that `instanceof` checks against the interfaces a
+// type implements. `implement` copies in default methods and checks that the
+// required ones are there.
+const INTERFACE_HELPERS = `class Interface {
+  static [Symbol.hasInstance](value) {
+    return value != null && (value.constructor.interfaces ?? []).includes(this);
+  }
+}
+
+function implement(type, ...interfaces) {
+  for (const iface of interfaces) {
+    for (const name of Object.getOwnPropertyNames(iface.prototype)) {
+      if (!(name in type.prototype)) {
+        Object.defineProperty(type.prototype, name, Object.getOwnPropertyDescriptor(iface.prototype, name));
+      }
+    }
+    const missing = iface.required.filter(name => !(name in type.prototype));
+    if (missing.length > 0) {
+      throw new TypeError(\`\${type.name} does not implement \${missing.map(name => \`\${name}()\`).join(", ")} required by \${iface.name}\`);
+    }
+  }
+  type.interfaces = [...(type.interfaces ?? []), ...interfaces];
+}
+`;
+
+// Lumos's lazy iteration builtins, written out when a program uses them.
+const ITERATION_HELPERS = {
+  iter: `function* iter(iterable) {
+  yield* iterable;
+}`,
+  take: `function* take(iterable, count) {
+  if (count <= 0) return;
+  let taken = 0;
+  for (const value of iterable) {
+    yield value;
+    if (++taken >= count) return;
+  }
+}`,
+  zip: `function* zip(...iterables) {
+  if (iterables.length === 0) return;
+  const iterators = iterables.map(iterable => iterable[Symbol.iterator]());
+  while (true) {
+    const row = [];
+    for (const iterator of iterators) {
+      const step = iterator.next();
+      if (step.done) return;
+      row.push(step.value);
+    }
+    yield row;
+  }
+}`,
+  enumerate: `function* enumerate(iterable, start = 0) {
+  let index = start;
+  for (const value of iterable) {
+    yield [index++, value];
+  }
+}`,
+  chain: `function* chain(...iterables) {
+  for (const iterable of iterables) {
+    yield* iterable;
+  }
+}`
+};
+
+class JavaScriptBackend {
   generate(ast, options = {}) {
     this.output = [];
     this.indent = 0;
+    this.indentStr = '  ';
+    this.matchCount = 0;
+    this.stopCount = 0;
+    this.aliases = {};
+    this.valueKinds = {};
+    this.functions = {};
+    this.classes = {};
+    this.enums = {};
+    this.module = options.module || null;
     this.generateNode(ast);
     return this.output.join('\n');
   }
 
   generateNode(node) {
     if (!node) return '';
+
     switch (node.type) {
-      case 'Program': return this.generateProgram(node);
-      case 'VariableDeclaration': return this.generateVariableDeclaration(node);
-      case 'FunctionDeclaration': return this.generateFunctionDeclaration(node);
-      default: return '';
+      case 'Program':
+        return this.generateProgram(node);
+      case 'VariableDeclaration':
+        return this.generateVariableDeclaration(node);
+      case 'DestructuringDeclaration':
+        return this.generateDestructuringDeclaration(node);
+      case 'FunctionDeclaration':
+        return this.generateFunctionDeclaration(node);
+      case 'ClassDeclaration':
+        return this.generateClassDeclaration(node);
+      case 'StructDeclaration':
+        return this.generateClassDeclaration(structClass(node));
+      case 'EnumDeclaration':
+        return this.generateEnumDeclaration(node);
+      case 'InterfaceDeclaration':
+        return this.generateInterfaceDeclaration(node);
+      case 'ImportStatement':
+        return this.generateImportStatement(node);
+      case 'TryStatement':
+        return this.generateTryStatement(node);
+      case 'ThrowStatement':
+        return this.write(`throw ${this.generateThrowArgument(node.argument)};`);
+      case 'IfStatement':
+        return this.generateIfStatement(node);
+      case 'MatchStatement':
+        return this.generateMatchStatement(node);
+      case 'MatchExpression':
+        return this.generateMatchExpression(node);
+      case 'WhileStatement':
+        return this.generateWhileStatement(node);
+      case 'ForStatement':
+        return this.generateForStatement(node);
+      case 'ForInStatement':
+        return this.generateForInStatement(node);
+      case 'ReturnStatement':
+        return this.generateReturnStatement(node);
+      case 'Break':
+        return this.write('break;');
+      case 'Continue':
+        return this.write('continue;');
+      case 'ExpressionStatement':
+        return this.generateExpressionStatement(node);
+      case 'Assignment':
+        return this.generateAssignment(node);
+      case 'BinaryExpression':
+        return this.generateBinaryExpression(node);
+      case 'ConditionalExpression':
+        return `(${this.generateNode(node.test)} ? ${this.generateNode(node.consequent)} : ${this.generateNode(node.alternate)})`;
+      case 'OptionalChain':
+        return this.generateNode(node.expression);
+      case 'UnaryExpression':
+        return this.generateUnaryExpression(node);
+      case 'UpdateExpression':
+        return node.prefix
+          ? `${node.operator}${this.generateNode(node.argument)}`
+          : `${this.generateNode(node.argument)}${node.operator}`;
+      case 'RangeExpression':
+        return this.generateRangeExpression(node);
+      case 'CallExpression':
+        return this.generateCallExpression(node);
+      case 'NewExpression':
+        return `new ${this.generateNode(node.callee)}(${this.generateArguments(node.arguments, this.classes[node.callee.name]).join(', ')})`;
+      case 'IndexExpression':
+        return `${this.generateObject(node.object)}${node.optional ? '?.' : ''}[${this.generateNode(node.index)}]`;
+      case 'MemberExpression':
+        return `${this.generateObject(node.object)}${node.optional ? '?.' : '.'}${node.property}`;
+      case 'AwaitExpression':
+        return `await ${this.generateNode(node.argument)}`;
+      case 'YieldExpression':
+        return `(${this.generateYield(node)})`;
+      case 'Identifier':
+        return this.aliases[node.name] || node.name;
+      case 'Literal':
+        return this.generateLiteral(node.value);
+      case 'InterpolatedString':
+        return this.generateInterpolatedString(node);
+      case 'ArrayLiteral':
+        return this.generateArrayLiteral(node);
+      case 'ObjectLiteral':
+        return this.generateObjectLiteral(node);
+      case 'ListComprehension':
+      case 'DictComprehension':
+        return this.generateComprehension(node);
+      case 'Lambda':
+        return this.generateLambda(node);
+      case 'SpreadElement':
+        return `...${this.generateNode(node.argument)}`;
+      default:
+        throw new Error(`Unknown node type: ${node.type}`);
     }
   }
 
   generateProgram(node) {
-    for (const stmt of node.statements) {
-      this.generateNode(stmt);
+    for (const statement of node.statements) {
+      if (statement.type === 'FunctionDeclaration' && wrappingDecorators(statement).length === 0) {
+        this.functions[statement.name] = statement;
+      } else if (statement.type === 'ClassDeclaration') {
+        this.classes[statement.name] = statement.methods.find(method => method.name === 'constructor');
+      } else if (statement.type === 'StructDeclaration') {
+        this.classes[statement.name] = structClass(statement).methods[0];
+      } else if (statement.type === 'EnumDeclaration') {
+        this.enums[statement.name] = statement;
+      }
+    }
+
+    for (const name of MISSING_ERROR_TYPES) {
+      const declared = node.statements.some(statement => statement.type === 'ClassDeclaration' && statement.name === name);
+      if (!declared && referencesName(node, name)) {
+        this.write(`class ${name} extends Error {}`);
+      }
+    }
+    if (node.statements.some(statement => statement.type === 'InterfaceDeclaration' || (statement.interfaces || []).length > 0)) {
+      INTERFACE_HELPERS.split('\n').forEach(line => this.write(line));
+    }
+    for (const [name, helper] of Object.entries(ITERATION_HELPERS)) {
+      if (!this.declares(node, name) && referencesName(node, name)) {
+        helper.split('\n').forEach(line => this.write(line));
+        this.write('');
+      }
+    }
+
+    // ES modules allow a top-level await, so only a script needs a wrapper.
+    const start = this.output.length;
+    if (this.module || !containsAwait(node.statements)) {
+      for (const statement of node.statements) {
+        this.generateTopLevel(statement);
+      }
+    } else {
+      this.write('(async () => {');
+      this.generateBlock(node.statements);
+      this.write('})();');
+    }
+
+    // Only generating the blocks shows whether one breaks as a closure.
+    if (this.stopCount > 0) {
+      this.output.splice(start, 0, ...BLOCK_BREAK_HELPER.split('\n'));
     }
   }
 
+  declares(program, name) {
+    return program.statements.some(statement => statement.name === name ||
+      (statement.type === 'ImportStatement' && statement.specifiers.some(specifier => specifier.alias === name)));
+  }
+
+  generateTopLevel(statement) {
+    const start = this.output.length;
+    this.generateNode(statement);
+    if (statement.exported && this.module) {
+      this.output[start] = `export ${this.output[start]}`;
+    }
+  }
+
+  generateThrowArgument(node) {
+    const argument = this.generateNode(node);
+    return node.type === 'Literal' && typeof node.value === 'string' ? `new Error(${argument})` : argument;
+  }
+
+  generateObject(node) {
+    const code = this.generateNode(node);
+    return ['AwaitExpression', 'OptionalChain', 'Lambda'].includes(node.type) ? `(${code})` : code;
+  }
+
   generateVariableDeclaration(node) {
-    const value = node.initializer ? this.generateNode(node.initializer) : 'null';
-    this.write(`var ${node.name} = ${value};`);
+    const keyword = node.keyword === 'const' ? 'const' : 'let';
+    this.valueKinds[node.name] = this.valueKind(node.initializer);
+    if (node.initializer && node.initializer.type === 'Lambda') {
+      this.functions[node.name] = node.initializer;
+    }
+    const name = `${node.name}${this.annotation(node.typeAnnotation)}`;
+    if (node.initializer) {
+      this.write(`${keyword} ${name} = ${this.generateNode(node.initializer)};`);
+    } else {
+      this.write(`${keyword} ${name};`);
+    }
+  }
+
+  generateDestructuringDeclaration(node) {
+    const keyword = node.keyword === 'const' ? 'const' : 'let';
+    this.write(`${keyword} ${this.generateBindingPattern(node.pattern)} = ${this.generateNode(node.initializer)};`);
+  }
+
+  generateBindingPattern(pattern) {
+    switch (pattern.type) {
+      case 'IdentifierPattern':
+        return pattern.name;
+      case 'WildcardPattern':
+        return '';
+      case 'ArrayPattern': {
+        const elements = pattern.elements.map(element => this.generateBindingPattern(element));
+        if (pattern.rest) {
+          elements.push(`...${pattern.rest}`);
+        }
+        return `[${elements.join(', ')}]`;
+      }
+      case 'ObjectPattern': {
+        // A skipped property still has to be bound so the rest leaves it out.
+        const props = pattern.properties
+          .filter(prop => pattern.rest || prop.pattern.type !== 'WildcardPattern')
+          .map(prop => {
+            if (prop.pattern.type === 'WildcardPattern') return `${prop.key}: _${prop.key}`;
+            if (prop.pattern.type === 'IdentifierPattern' && prop.pattern.name === prop.key) return prop.key;
+            return `${prop.key}: ${this.generateBindingPattern(prop.pattern)}`;
+          });
+        if (pattern.rest) {
+          props.push(`...${pattern.rest}`);
+        }
+        return `{ ${props.join(', ')} }`;
+      }
+      default:
+        throw new Error(`Unknown pattern type: ${pattern.type}`);
+    }
   }
 
   generateFunctionDeclaration(node) {
-    this.write(`function ${node.name}() {}`);
+    const modifier = node.async ? 'async ' : '';
+    const { open, close } = this.decoratorWrap(node);
+    // A wrapped function is anonymous so that recursive calls go through
+    // the decorated binding.
+    const name = open ? '' : ` ${node.name}`;
+    this.write(`${open}${modifier}function${node.generator ? '*' : ''}${name}${this.generateSignature(node)} {`);
+    this.generateBlock(node.body);
+    this.write(`}${close}`);
+    this.write('');
+  }
+
+  // Decorators turn the declaration into an expression passed through each
+  // of them: `const inc = logged(scaled(10)(function (x) {...}));`.
+  decoratorWrap(node) {
+    const decorators = wrappingDecorators(node);
+    if (decorators.length === 0) return { open: '', close: '' };
+    const callees = decorators.map(decorator => this.generateNode(decorator.arguments
+      ? { type: 'CallExpression', callee: decorator.expression, arguments: decorator.arguments }
+      : decorator.expression));
+    return { open: `const ${node.name} = ${callees.map(callee => `${callee}(`).join('')}`, close: `${')'.repeat(callees.length)};` };
+  }
+
+  generateClassDeclaration(node) {
+    const superclass = node.superclass ? ` extends ${node.superclass}` : '';
+    this.superclass = node.superclass;
+    const { open, close } = this.decoratorWrap(node);
+    this.write(`${open}class ${node.name}${superclass} {`);
+    this.indent++;
+
+    for (const prop of node.properties) {
+      const value = prop.initializer ? ` = ${this.generateNode(prop.initializer)}` : '';
+      this.write(`${prop.name}${this.annotation(prop.typeAnnotation)}${value};`);
+    }
+    if (node.properties.length > 0 && node.methods.length > 0) {
+      this.write('');
+    }
+
+    this.generateMethods(node.methods);
+    // A class with a next() method is an iterator, which for...of asks for
+    // through Symbol.iterator.
+    if (node.methods.some(method => method.name === 'next')) {
+      this.write('');
+      this.write(`[Symbol.iterator]() {`);
+      this.write(`${this.indentStr}return this;`);
+      this.write('}');
+    }
+
+    this.indent--;
+    this.write(`}${close}`);
+    this.generateImplements(node);
+    this.write('');
+  }
+
+  generateMethods(methods) {
+    methods.forEach((method, index) => {
+      const modifier = method.async ? 'async ' : method.generator ? '*' : '';
+      this.write(`${modifier}${method.name}${this.generateSignature(method)} {`);
+      this.generateBlock(method.body);
+      this.write('}');
+      if (index < methods.length - 1) {
+        this.write('');
+      }
+    });
+  }
+
+  generateImplements(node) {
+    if ((node.interfaces || []).length > 0) {
+      this.write(`implement(${[node.name, ...node.interfaces].join(', ')});`);
+    }
+  }
+
+  // Each variant is a subclass of the enum, kept in a static field. Those
+  // without values are created once.
+  generateEnumDeclaration(node) {
+    this.write(`class ${node.name} {`);
+    this.indent++;
+    for (const variant of node.variants) {
+      if (variant.fields.length === 0) {
+        this.write(`static ${variant.name} = new (class ${variant.name} extends ${node.name} {})();`);
+        continue;
+      }
+      this.write(`static ${variant.name} = class ${variant.name} extends ${node.name} {`);
+      this.indent++;
+      variant.fields.forEach(field => this.write(`${field};`));
+      this.write(`constructor(${variant.fields.join(', ')}) {`);
+      this.indent++;
+      this.write('super();');
+      variant.fields.forEach(field => this.write(`this.${field} = ${field};`));
+      this.indent--;
+      this.write('}');
+      this.indent--;
+      this.write('};');
+    }
+
+    this.write('');
+    this.write('toString() {');
+    this.indent++;
+    this.write('const values = Object.values(this);');
+    this.write(`return \`${node.name}.\${this.constructor.name}\${values.length > 0 ? \`(\${values.join(", ")})\` : ""}\`;`);
+    this.indent--;
+    this.write('}');
+    this.write('');
+    this.write('[Symbol.for("nodejs.util.inspect.custom")]() {');
+    this.write(`${this.indentStr}return this.toString();`);
+    this.write('}');
+    if (node.methods.length > 0) {
+      this.write('');
+      this.generateMethods(node.methods);
+    }
+
+    this.indent--;
+    this.write('}');
+    this.generateImplements(node);
+    this.write('');
+  }
+
+  generateInterfaceDeclaration(node) {
+    const required = node.methods.filter(method => !method.body).map(method => JSON.stringify(method.name));
+    this.write(`class ${node.name} extends Interface {`);
+    this.indent++;
+    this.write(`static required = [${required.join(', ')}];`);
+    const defaults = node.methods.filter(method => method.body);
+    if (defaults.length > 0) {
+      this.write('');
+      this.generateMethods(defaults);
+    }
+    this.indent--;
+    this.write('}');
+    this.write('');
+  }
+
+  generateImportStatement(node) {
+    const source = JSON.stringify(node.module ? this.modulePath(node.module) : node.source);
+    const namespace = node.specifiers.find(spec => spec.name === '*');
+    if (namespace) {
+      this.write(`import * as ${namespace.alias} from ${source};`);
+      return;
+    }
+
+    const names = node.specifiers.map(spec =>
+      spec.name === spec.alias ? spec.name : `${spec.name} as ${spec.alias}`
+    ).join(', ');
+    this.write(`import { ${names} } from ${source};`);
+  }
+
+  // Compiled modules keep the layout of their sources, so an import names
+  // the other module's file relative to this one.
+  modulePath(id) {
+    const relative = path.posix.relative(path.posix.dirname(this.module), id);
+    return `${relative.startsWith('.') ? '' : './'}${relative}.js`;
+  }
+
+  generateTryStatement(node) {
+    this.write('try {');
+    this.generateBlock(node.tryBlock);
+
+    const clauses = node.catchClauses;
+    if (clauses.length === 1 && !clauses[0].errorType) {
+      const param = clauses[0].parameter ? ` (${clauses[0].parameter})` : '';
+      this.write(`} catch${param} {`);
+      this.generateBlock(clauses[0].body);
+    } else if (clauses.length > 0) {
+      this.generateTypedCatch(clauses);
+    }
+
+    if (node.finallyBlock) {
+      this.write('} finally {');
+      this.generateBlock(node.finallyBlock);
+    }
+
+    this.write('}');
+  }
+
+  // Catch clauses with types become an instanceof chain that rethrows
+  // anything no clause accepts.
+  generateTypedCatch(clauses) {
+    const error = clauses[0].parameter || 'error';
+    this.write(`} catch (${error}) {`);
+    this.indent++;
+
+    clauses.forEach((clause, index) => {
+      const keyword = index === 0 ? 'if' : '} else if';
+      if (clause.errorType) {
+        this.write(`${keyword} (${error} instanceof ${clause.errorType}) {`);
+      } else {
+        this.write(index === 0 ? '{' : '} else {');
+      }
+      this.indent++;
+      if (clause.parameter && clause.parameter !== error) {
+        this.write(`const ${clause.parameter} = ${error};`);
+      }
+      this.indent--;
+      this.generateBlock(clause.body);
+    });
+
+    if (clauses[clauses.length - 1].errorType) {
+      this.write('} else {');
+      this.indent++;
+      this.write(`throw ${error};`);
+      this.indent--;
+    }
+    this.write('}');
+    this.indent--;
+  }
+
+  generateIfStatement(node) {
+    this.write(`if (${this.generateNode(node.condition)}) {`);
+    this.generateBlock(node.thenBranch);
+
+    for (const elif of node.elifBranches || []) {
+      this.write(`} else if (${this.generateNode(elif.condition)}) {`);
+      this.generateBlock(elif.body);
+    }
+
+    if (node.elseBranch) {
+      this.write('} else {');
+      this.generateBlock(node.elseBranch);
+    }
+
+    this.write('}');
+  }
+
+  generateMatchStatement(node) {
+    const subject = `_match${this.matchCount++}`;
+    this.write(`const ${subject} = ${this.generateNode(node.subject)};`);
+    this.generateMatchChain(node.cases, subject, false);
+  }
+
+  generateMatchExpression(node) {
+    const subject = `_match${this.matchCount++}`;
+    const lines = this.capture(() => {
+      this.indent++;
+      if (!this.generateMatchChain(node.cases, subject, true)) {
+        this.write(`throw new Error("No match case for value: " + JSON.stringify(${subject}));`);
+      }
+      this.indent--;
+    });
+    const closing = `${this.indentStr.repeat(this.indent)}})(${this.generateNode(node.subject)})`;
+    return `((${subject}) => {\n${lines.join('\n')}\n${closing}`;
+  }
+
+  generateMatchChain(cases, subject, returnValues) {
+    let opened = false;
+
+    for (const matchCase of cases) {
+      const conditions = [];
+      const bindings = [];
+      this.patternConditions(matchCase.pattern, subject, conditions, bindings);
+      if (matchCase.guard) {
+        conditions.push(this.withAliases(bindings, () => this.generateNode(matchCase.guard)));
+      }
+
+      if (conditions.length === 0) {
+        this.write(opened ? '} else {' : '{');
+      } else {
+        this.write(`${opened ? '} else if' : 'if'} (${conditions.join(' && ')}) {`);
+      }
+      opened = true;
+
+      this.indent++;
+      for (const [name, access] of bindings) {
+        this.write(`const ${name} = ${access};`);
+      }
+      this.generateCaseBody(matchCase, returnValues);
+      this.indent--;
+
+      if (conditions.length === 0) {
+        this.write('}');
+        return true;
+      }
+    }
+
+    if (opened) {
+      this.write('}');
+    }
+    return false;
+  }
+
+  generateCaseBody(matchCase, returnValues) {
+    if (matchCase.expression) {
+      const value = this.generateNode(matchCase.body);
+      this.write(returnValues ? `return ${value};` : `${value};`);
+      return;
+    }
+
+    const last = matchCase.body[matchCase.body.length - 1];
+    for (const statement of matchCase.body) {
+      if (returnValues && statement === last && statement.type === 'ExpressionStatement') {
+        this.write(`return ${this.generateNode(statement.expression)};`);
+      } else {
+        this.generateNode(statement);
+      }
+    }
+  }
+
+  patternConditions(pattern, access, conditions, bindings) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        break;
+      case 'IdentifierPattern':
+        bindings.push([pattern.name, access]);
+        break;
+      case 'LiteralPattern':
+        conditions.push(`${access} === ${this.generateLiteral(pattern.value)}`);
+        break;
+      case 'RangePattern':
+        conditions.push(`typeof ${access} === "${typeof pattern.start}"`);
+        conditions.push(`${access} >= ${this.generateLiteral(pattern.start)}`);
+        conditions.push(`${access} <= ${this.generateLiteral(pattern.end)}`);
+        break;
+      case 'ArrayPattern':
+        conditions.push(`Array.isArray(${access})`);
+        conditions.push(`${access}.length ${pattern.rest ? '>=' : '==='} ${pattern.elements.length}`);
+        pattern.elements.forEach((element, i) => {
+          this.patternConditions(element, `${access}[${i}]`, conditions, bindings);
+        });
+        if (pattern.rest) {
+          bindings.push([pattern.rest, `${access}.slice(${pattern.elements.length})`]);
+        }
+        break;
+      case 'VariantPattern': {
+        const { enumNode, variant } = variantEnum(pattern, this.enums);
+        conditions.push(`${access} instanceof ${enumNode.name}.${variant.name}`);
+        (pattern.elements || []).forEach((element, i) => {
+          this.patternConditions(element, `${access}.${variant.fields[i]}`, conditions, bindings);
+        });
+        break;
+      }
+      case 'ObjectPattern':
+        conditions.push(`${access} !== null && typeof ${access} === "object"`);
+        for (const prop of pattern.properties) {
+          conditions.push(`"${prop.key}" in ${access}`);
+          this.patternConditions(prop.pattern, `${access}.${prop.key}`, conditions, bindings);
+        }
+        if (pattern.rest) {
+          const keys = JSON.stringify(pattern.properties.map(prop => prop.key));
+          bindings.push([pattern.rest, `Object.fromEntries(Object.entries(${access}).filter(([key]) => !${keys}.includes(key)))`]);
+        }
+        break;
+      default:
+        throw new Error(`Unknown pattern type: ${pattern.type}`);
+    }
+  }
+
+  withAliases(bindings, callback) {
+    const saved = this.aliases;
+    this.aliases = { ...saved };
+    for (const [name, access] of bindings) {
+      this.aliases[name] = access;
+    }
+    try {
+      return callback();
+    } finally {
+      this.aliases = saved;
+    }
+  }
+
+  generateWhileStatement(node) {
+    this.write(`while (${this.generateNode(node.condition)}) {`);
+    this.generateBlock(node.body);
+    this.write('}');
+  }
+
+  generateForStatement(node) {
+    const start = this.generateNode(node.start);
+    const end = this.generateNode(node.end);
+    const step = this.generateNode(node.step);
+    const increment = step === '1' ? `${node.iterator}++` : `${node.iterator} += ${step}`;
+
+    this.write(`for (let ${node.iterator} = ${start}; ${node.iterator} <= ${end}; ${increment}) {`);
+    this.generateBlock(node.body);
+    this.write('}');
+  }
+
+  generateForInStatement(node) {
+    const [first, second] = node.variables;
+
+    if (node.iterable.type === 'RangeExpression') {
+      const start = this.generateNode(node.iterable.start);
+      const end = this.generateNode(node.iterable.end);
+      if (second) {
+        this.write(`for (let ${second} = ${start}, ${first} = 0; ${second} <= ${end}; ${second}++, ${first}++) {`);
+      } else {
+        this.write(`for (let ${first} = ${start}; ${first} <= ${end}; ${first}++) {`);
+      }
+      this.generateBlock(node.body);
+      this.write('}');
+      return;
+    }
+
+    const iterable = this.generateNode(node.iterable);
+    const kind = this.valueKind(node.iterable);
+
+    if (kind === 'object') {
+      this.write(second
+        ? `for (const [${first}, ${second}] of Object.entries(${iterable})) {`
+        : `for (const ${first} of Object.keys(${iterable})) {`);
+    } else if (second && kind === 'iterator') {
+      // The values of an iterator are pairs, like those of enumerate().
+      this.write(`for (const [${first}, ${second}] of ${iterable}) {`);
+    } else if (second) {
+      const entries = kind === 'string' ? `[...${iterable}].entries()` : `${iterable}.entries()`;
+      this.write(`for (const [${first}, ${second}] of ${entries}) {`);
+    } else {
+      this.write(`for (const ${first} of ${iterable}) {`);
+    }
+    this.generateBlock(node.body);
+    this.write('}');
+  }
+
+  valueKind(node) {
+    if (!node) return null;
+    switch (node.type) {
+      case 'ObjectLiteral':
+      case 'DictComprehension':
+        return 'object';
+      case 'ArrayLiteral':
+      case 'RangeExpression':
+      case 'ListComprehension':
+        return 'array';
+      case 'Literal':
+        return typeof node.value === 'string' ? 'string' : null;
+      case 'InterpolatedString':
+        return 'string';
+      case 'Identifier':
+        return this.valueKinds[node.name] || null;
+      case 'CallExpression':
+        return this.isGeneratorCall(node) ? 'iterator' : null;
+      default:
+        return null;
+    }
+  }
+
+  isGeneratorCall(node) {
+    if (node.callee.type !== 'Identifier') return false;
+    const func = this.functions[node.callee.name];
+    return func ? Boolean(func.generator) : node.callee.name in ITERATION_HELPERS;
+  }
+
+  generateReturnStatement(node) {
+    if (node.value) {
+      this.write(`return ${this.generateNode(node.value)};`);
+    } else {
+      this.write('return;');
+    }
+  }
+
+  generateAssignment(node) {
+    return `${this.generateNode(node.target)} ${node.operator} ${this.generateNode(node.value)}`;
+  }
+
+  generateBinaryExpression(node) {
+    const left = this.generateNode(node.left);
+    switch (node.operator) {
+      case 'in':
+        return this.generateContains(node.right, left);
+      case 'not in':
+        return `!${this.generateContains(node.right, left)}`;
+      case 'is':
+        return this.generateTypeCheck(left, node.right);
+      case 'is not':
+        return `!${this.generateTypeCheck(left, node.right)}`;
+    }
+    const right = this.generateNode(node.right);
+
+    // JavaScript rejects a unary operand on the left of ** without parens.
+    if (node.operator === '**' && node.left.type === 'UnaryExpression') {
+      return `((${left}) ** ${right})`;
+    }
+
+    const operatorMap = {
+      'and': '&&',
+      'or': '||'
+    };
+
+    const op = operatorMap[node.operator] || node.operator;
+    return `(${left} ${op} ${right})`;
+  }
+
+  // Arrays and strings are searched; objects are checked for the key.
+  generateContains(collection, value) {
+    const code = this.generateObject(collection);
+    return this.valueKind(collection) === 'object'
+      ? `Object.hasOwn(${code}, ${value})`
+      : `${code}.includes(${value})`;
+  }
+
+  generateTypeCheck(value, type) {
+    switch (builtinType(type, this.classes)) {
+      case 'Null': return `(${value} == null)`;
+      case 'Number': return `(typeof ${value} === "number")`;
+      case 'String': return `(typeof ${value} === "string")`;
+      case 'Boolean': return `(typeof ${value} === "boolean")`;
+      case 'Function': return `(typeof ${value} === "function")`;
+      case 'Array': return `Array.isArray(${value})`;
+      case 'Object': return `(typeof ${value} === "object" && ${value} !== null && !Array.isArray(${value}))`;
+      default: return `(${value} instanceof ${this.generateNode(type)})`;
+    }
+  }
+
+  generateUnaryExpression(node) {
+    const operand = this.generateNode(node.operand);
+    const op = node.operator === 'not' ? '!' : node.operator;
+    // Keeps `- -x` from reading as a decrement.
+    return op === operand[0] && '+-'.includes(op) ? `${op} ${operand}` : `${op}${operand}`;
+  }
+
+  generateRangeExpression(node) {
+    const start = this.generateNode(node.start);
+    const end = this.generateNode(node.end);
+    return `Array.from({ length: ${end} - ${start} + 1 }, (_, i) => ${start} + i)`;
+  }
+
+  generateExpressionStatement(node) {
+    const loop = blockLoop(node.expression, expr => this.valueKind(expr));
+    if (loop) {
+      return this.generateForInStatement(loop);
+    }
+    if (node.expression.type === 'YieldExpression') {
+      return this.write(`${this.generateYield(node.expression)};`);
+    }
+    this.write(`${this.generateNode(node.expression)};`);
+  }
+
+  generateYield(node) {
+    const keyword = node.delegate ? 'yield*' : 'yield';
+    return node.argument ? `${keyword} ${this.generateNode(node.argument)}` : keyword;
+  }
+
+  generateCallExpression(node) {
+    if (node.block && breaksBlock(node.block)) {
+      const stop = `_stop${this.stopCount++}`;
+      return `breakable((${stop}) => ${this.generateCall(node, stop)})`;
+    }
+    return this.generateCall(node, null);
+  }
+
+  generateCall(node, stop) {
+    const args = this.generateArguments(node.arguments, this.calledFunction(node.callee));
+    if (node.block) {
+      args.push(this.generateLambda(node.block, stop));
+    }
+
+    if (node.callee.type === 'Identifier') {
+      if (node.callee.name === 'len' && args.length === 1) {
+        return `${args[0]}.length`;
+      }
+
+      const builtinMap = {
+        print: 'console.log',
+        println: 'console.log',
+        str: 'String',
+        int: 'parseInt',
+        float: 'parseFloat',
+        bool: 'Boolean'
+      };
+
+      if (builtinMap[node.callee.name]) {
+        return `${builtinMap[node.callee.name]}(${args.join(', ')})`;
+      }
+
+      // The list builtins are array methods, so `xs |> filter(f) |> map(g)`
+      // becomes xs.filter(f).map(g).
+      if (['map', 'filter', 'reduce'].includes(node.callee.name) && !this.functions[node.callee.name] &&
+          args.length >= 2 && !['SpreadElement', 'NamedArgument'].includes(node.arguments[0].type)) {
+        return `${this.generateObject(node.arguments[0])}.${node.callee.name}(${args.slice(1).join(', ')})`;
+      }
+    }
+
+    if (this.isConstructor(node.callee)) {
+      return `new ${this.generateNode(node.callee)}(${args.join(', ')})`;
+    }
+    return `${this.generateObject(node.callee)}${node.optional ? '?.' : ''}(${args.join(', ')})`;
+  }
+
+  // `[x * x for x in xs if x > 0]` becomes xs.filter((x) => x > 0).map((x) => x * x).
+  // Every clause but the last flattens the arrays the next one builds.
+  generateComprehension(node) {
+    let element = node.type === 'ListComprehension'
+      ? this.generateNode(node.element)
+      : `[${this.generateNode(node.key)}, ${this.generateNode(node.value)}]`;
+    if (containsAwait(node)) {
+      return this.generateAsyncComprehension(node, element);
+    }
+    if (node.type === 'ListComprehension' && node.element.type === 'ObjectLiteral') {
+      element = `(${element})`;
+    }
+
+    const build = index => {
+      const clause = node.clauses[index];
+      const [first, second] = clause.variables;
+      const params = second ? `([${first}, ${second}])` : `(${first})`;
+      let code = this.comprehensionSource(clause);
+      for (const condition of clause.conditions) {
+        code += `.filter(${params} => ${this.generateNode(condition)})`;
+      }
+      const last = index === node.clauses.length - 1;
+      return `${code}.${last ? 'map' : 'flatMap'}(${params} => ${last ? element : build(index + 1)})`;
+    };
+
+    return node.type === 'ListComprehension' ? build(0) : `Object.fromEntries(${build(0)})`;
+  }
+
+  // Callbacks cannot await on behalf of the function around them, so a
+  // comprehension that awaits runs as loops in an async function instead.
+  generateAsyncComprehension(node, element) {
+    let loops = `result.push(${element});`;
+    for (const clause of [...node.clauses].reverse()) {
+      const [first, second] = clause.variables;
+      for (const condition of [...clause.conditions].reverse()) {
+        loops = `if (${this.generateNode(condition)}) ${loops}`;
+      }
+      loops = `for (const ${second ? `[${first}, ${second}]` : first} of ${this.comprehensionSource(clause)}) ${loops}`;
+    }
+    const result = node.type === 'ListComprehension' ? 'result' : 'Object.fromEntries(result)';
+    return `(await (async () => { const result = []; ${loops} return ${result}; })())`;
+  }
+
+  // The values a comprehension clause walks, as an array.
+  comprehensionSource(clause) {
+    const iterable = this.generateObject(clause.iterable);
+    const second = clause.variables.length > 1;
+    switch (this.valueKind(clause.iterable)) {
+      case 'object':
+        return second ? `Object.entries(${iterable})` : `Object.keys(${iterable})`;
+      case 'iterator':
+        return `[...${iterable}]`;
+      case 'string':
+        return second ? `[...[...${iterable}].entries()]` : `[...${iterable}]`;
+      default:
+        return second ? `[...${iterable}.entries()]` : iterable;
+    }
+  }
+
+  // Calling a class, struct, enum variant or error type creates an instance.
+  isConstructor(callee) {
+    if (callee.type === 'Identifier') {
+      const errorType = ERROR_TYPES.includes(callee.name) && !this.functions[callee.name];
+      return (callee.name in this.classes || errorType) && !this.aliases[callee.name];
+    }
+    return callee.type === 'MemberExpression' && callee.object.type === 'Identifier' &&
+      callee.object.name in this.enums && this.enums[callee.object.name].variants.some(variant => variant.name === callee.property);
+  }
+
+  calledFunction(callee) {
+    if (this.isConstructor(callee) && callee.type === 'MemberExpression') {
+      const variant = this.enums[callee.object.name].variants.find(candidate => candidate.name === callee.property);
+      return { parameters: variant.fields, defaults: {}, restParameter: null };
+    }
+    if (callee.type !== 'Identifier') return null;
+    if (callee.name in this.classes) return this.classes[callee.name];
+    return callee.name === 'super' ? this.classes[this.superclass] : this.functions[callee.name];
+  }
+
+  // JavaScript has no keyword arguments. Calls to a known function pass them
+  // in parameter order, with `undefined` for skipped parameters so their
+  // defaults apply; other calls get them as a trailing options object.
+  generateArguments(args, func) {
+    const named = args.filter(arg => arg.type === 'NamedArgument');
+    if (named.length === 0) {
+      return args.map(arg => this.generateNode(arg));
+    }
+    if (!func) {
+      const options = named.map(arg => `${arg.name}: ${this.generateNode(arg.value)}`);
+      return [...args.filter(arg => !named.includes(arg)).map(arg => this.generateNode(arg)), `{ ${options.join(', ')} }`];
+    }
+
+    const values = bindArguments(args, func);
+    const rest = func.restParameter ? values.pop().elements : [];
+    const fixed = values.slice(0, fixedParameters(func).length);
+    while (rest.length === 0 && fixed.length > 0 && fixed[fixed.length - 1] === null) {
+      fixed.pop();
+    }
+    return [...fixed, ...rest].map(value => value ? this.generateNode(value) : 'undefined');
+  }
+
+  generateLambda(node, stop = null) {
+    // Arrow functions cannot be generators.
+    if (node.generator) {
+      const body = node.expression ? [{ type: 'ExpressionStatement', expression: node.body }] : node.body;
+      const lines = this.capture(() => this.generateBlock(body));
+      return `function* ${this.generateSignature(node)} {\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}}`;
+    }
+    const params = `${node.async ? 'async ' : ''}(${this.generateParameters(node)})`;
+
+    if (node.expression) {
+      const body = this.generateNode(node.body);
+      return node.body.type === 'ObjectLiteral' ? `${params} => (${body})` : `${params} => ${body}`;
+    }
+
+    if (node.block && node.body.length === 1 && node.body[0].type === 'ExpressionStatement') {
+      return `${params} => ${this.generateNode(node.body[0].expression)}`;
+    }
+
+    const body = node.block ? blockExits(blockBody(node), stop) : node.body;
+    const lines = this.capture(() => this.generateBlock(body));
+    return `${params} => {\n${lines.join('\n')}\n${this.indentStr.repeat(this.indent)}}`;
+  }
+
+  // Type annotations are dropped here; the TypeScript backend writes them.
+  generateSignature(node) {
+    return `(${this.generateParameters(node)})`;
+  }
+
+  generateParameters(node) {
+    const { parameters, restParameter, defaults } = node;
+    return parameters.map(param => {
+      if (param === restParameter) return `...${param}`;
+      return defaults && defaults[param] ? `${param} = ${this.generateNode(defaults[param])}` : param;
+    }).join(', ');
+  }
+
+  annotation() {
+    return '';
+  }
+
+  generateInterpolatedString(node) {
+    const body = node.parts.map(part => {
+      if (part.type === 'Literal' && typeof part.value === 'string') {
+        return JSON.stringify(part.value).slice(1, -1)
+          .replace(/\\"/g, '"')
+          .replace(/`/g, '\\`')
+          .replace(/\$\{/g, '\\${');
+      }
+      return `\${${this.generateNode(part)}}`;
+    }).join('');
+    return `\`${body}\``;
+  }
+
+  generateLiteral(value) {
+    if (value === null) return 'null';
+    if (typeof value === 'string') return JSON.stringify(value);
+    return String(value);
+  }
+
+  generateArrayLiteral(node) {
+    return `[${node.elements.map(el => this.generateNode(el)).join(', ')}]`;
+  }
+
+  generateObjectLiteral(node) {
+    const props = node.properties.map(prop =>
+      prop.type === 'SpreadElement' ? this.generateNode(prop) : `${prop.key}: ${this.generateNode(prop.value)}`
+    );
+    return props.length === 0 ? '{}' : `{ ${props.join(', ')} }`;
+  }
+
+  generateBlock(statements) {
+    this.indent++;
+    for (const statement of statements) {
+      this.generateNode(statement);
+    }
+    this.indent--;
+  }
+
+  capture(callback) {
+    const saved = this.output;
+    this.output = [];
+    callback();
+    const lines = this.output;
+    this.output = saved;
+    return lines;
   }
 
   write(line) {
-    this.output.push('  '.repeat(this.indent) + line);
+    this.output.push(this.indentStr.repeat(this.indent) + line);
   }
 }
 
-module.exports = new Backend();
+module.exports = new JavaScriptBackend();
+module.exports.JavaScriptBackend = JavaScriptBackend;
@@ -1,39 +1,50 @@
-class Backend {
-  generate(ast, options = {}) {
-    this.output = [];
-    this.indent = 0;
-    this.generateNode(ast);
-    return this.output.join('\n');
-  }
+const { JavaScriptBackend } = require('./javascript');
 
-  generateNode(node) {
-    if (!node) return '';
-    switch (node.type) {
-      case 'Program': return this.generateProgram(node);
-      case 'VariableDeclaration': return this.generateVariableDeclaration(node);
-      case 'FunctionDeclaration': return this.generateFunctionDeclaration(node);
-      default: return '';
-    }
-  }
+const TYPE_NAMES = { int: 'number', float: 'number', bool: 'boolean', string: 'string', void: 'void', null: 'null', any: 'any' };
 
-  generateProgram(node) {
-    for (const stmt of node.statements) {
-      this.generateNode(stmt);
+class TypeScriptBackend extends JavaScriptBackend {
+  generateSignature(node) {
+    const typeParameters = (node.typeParameters || []).length ? `<${node.typeParameters.join(', ')}>` : '';
+    let returns = '';
+    if (node.returnType && node.name !== 'constructor') {
+      // A generator's return type is the type of the values it yields.
+      const type = this.typeName(node.returnType);
+      returns = `: ${node.async ? `Promise<${type}>` : node.generator ? `Generator<${type}>` : type}`;
     }
+    return `${typeParameters}(${this.generateParameters(node)})${returns}`;
   }
 
-  generateVariableDeclaration(node) {
-    const value = node.initializer ? this.generateNode(node.initializer) : 'null';
-    this.write(`var ${node.name} = ${value};`);
+  generateParameters(node) {
+    const { parameters, restParameter, defaults } = node;
+    const types = node.parameterTypes || {};
+    return parameters.map(param => {
+      if (param === restParameter) return `...${param}: ${types[param] ? this.typeName(types[param]) : 'any[]'}`;
+      const type = types[param] ? this.typeName(types[param]) : 'any';
+      return defaults && defaults[param] ? `${param}: ${type} = ${this.generateNode(defaults[param])}` : `${param}: ${type}`;
+    }).join(', ');
   }
 
-  generateFunctionDeclaration(node) {
-    this.write(`function ${node.name}() {}`);
+  annotation(type) {
+    return type ? `: ${this.typeName(type)}` : '';
   }
 
-  write(line) {
-    this.output.push('  '.repeat(this.indent) + line);
+  typeName(type) {
+    let name;
+    if (type.type === 'FunctionType') {
+      const params = type.parameters.map((param, i) => `arg${i}: ${this.typeName(param)}`);
+      name = `(${params.join(', ')}) => ${this.typeName(type.returns)}`;
+    } else if (type.name === 'list') {
+      const element = type.arguments.length ? this.typeName(type.arguments[0]) : 'any';
+      name = /^[\w.]+(\[\])*$/.test(element) ? `${element}[]` : `Array<${element}>`;
+    } else if (type.name === 'map') {
+      const [key, value] = type.arguments.length ? type.arguments.map(arg => this.typeName(arg)) : ['string', 'any'];
+      name = `Record<${key}, ${value}>`;
+    } else {
+      name = TYPE_NAMES[type.name] || type.name;
+    }
+    if (!type.nullable) return name;
+    return type.type === 'FunctionType' ? `(${name}) | null` : `${name} | null`;
   }
 }
 
-module.exports = new Backend();
+module.exports = new TypeScriptBackend();
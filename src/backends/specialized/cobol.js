@@ -1,7 +1,28 @@
+const { expandAssignment, scalarType, declaredScalarType } = require('../lowering');
+
+// Booleans are kept as 1 or 0, and strings in a field long enough for any
+// value a program can build from its literals.
+const PICTURES = {
+  int: 'PIC S9(18)',
+  float: 'COMP-2',
+  bool: 'PIC 9',
+  string: 'PIC X(256)'
+};
+
+const CONDITIONS = {
+  '==': '=', '===': '=', '!=': 'NOT =', '!==': 'NOT =', '<': '<', '<=': '<=', '>': '>', '>=': '>=',
+  and: 'AND', '&&': 'AND', or: 'OR', '||': 'OR'
+};
+
+// A program becomes a free-format COBOL program. Arithmetic goes through
+// COMPUTE, booleans are set from conditions with IF, and strings are moved.
+// Like Fortran, COBOL declares each variable's type up front, so it must be
+// clear from the annotation or initializer.
 class Backend {
   generate(ast, options = {}) {
     this.output = [];
-    this.indent = 0;
+    this.indent = 2;
+    this.types = {};
     this.generateNode(ast);
     return this.output.join('\n');
   }
@@ -11,8 +32,9 @@ class Backend {
     switch (node.type) {
       case 'Program': return this.generateProgram(node);
       case 'VariableDeclaration': return this.generateVariableDeclaration(node);
-      case 'FunctionDeclaration': return this.generateFunctionDeclaration(node);
-      default: return '';
+      case 'ExpressionStatement': return this.generateExpressionStatement(node.expression);
+      default:
+        throw new Error(`${node.type} is not supported by the COBOL backend`);
     }
   }
 
@@ -20,15 +42,140 @@ class Backend {
     for (const stmt of node.statements) {
       this.generateNode(stmt);
     }
+    this.write('STOP RUN.');
+    const body = this.output;
+    this.output = [
+      '>>SOURCE FORMAT IS FREE',
+      'IDENTIFICATION DIVISION.',
+      'PROGRAM-ID. MAIN.',
+      'DATA DIVISION.',
+      'WORKING-STORAGE SECTION.'
+    ];
+    for (const [name, type] of Object.entries(this.types)) {
+      this.output.push(`01 ${this.dataName(name)} ${PICTURES[type]}.`);
+    }
+    this.output.push('PROCEDURE DIVISION.', ...body);
   }
 
   generateVariableDeclaration(node) {
-    const value = node.initializer ? this.generateNode(node.initializer) : 'null';
-    this.write(`var ${node.name} = ${value};`);
+    const type = declaredScalarType(node, this.types);
+    if (!type) {
+      throw new Error(`The COBOL backend cannot tell the type of ${node.name}; annotate it as int, float, string or bool`);
+    }
+    this.types[node.name] = type;
+    if (node.initializer) {
+      this.assign(node.name, node.initializer);
+    }
+  }
+
+  generateExpressionStatement(node) {
+    if (node.type === 'Assignment' && node.target.type === 'Identifier') {
+      this.assign(node.target.name, (node.operator === '=' ? node : expandAssignment(node)).value);
+    } else if (node.type === 'UpdateExpression' && node.argument.type === 'Identifier') {
+      const name = this.dataName(node.argument.name);
+      this.write(node.operator === '++' ? `ADD 1 TO ${name}.` : `SUBTRACT 1 FROM ${name}.`);
+    } else if (node.type === 'CallExpression' && node.callee.name === 'print') {
+      const items = node.arguments.map(arg => this.generateDisplayItem(arg));
+      this.write(`DISPLAY ${items.length ? items.join(' " " ') : '" "'}.`);
+    } else {
+      throw new Error(`${node.type} as a statement is not supported by the COBOL backend`);
+    }
+  }
+
+  assign(name, value) {
+    const target = this.dataName(name);
+    const type = scalarType(value, this.types);
+    if (type !== this.types[name] && !(type === 'int' && this.types[name] === 'float')) {
+      throw new Error(`${name} is ${this.types[name] || 'undeclared'} but is given ${type ? `a ${type}` : 'a value of unknown type'}, which the COBOL backend cannot declare`);
+    }
+    if (type === 'bool') {
+      this.write(`IF ${this.generateCondition(value)}`);
+      this.write(`    MOVE 1 TO ${target}`);
+      this.write('ELSE');
+      this.write(`    MOVE 0 TO ${target}`);
+      this.write('END-IF.');
+    } else if (type === 'string') {
+      this.write(`MOVE ${this.generateString(value)} TO ${target}.`);
+    } else {
+      this.write(`COMPUTE ${target} = ${this.generateArithmetic(value)}.`);
+    }
+  }
+
+  // COMPUTE has `**` of its own. `%` keeps the sign of the left side in
+  // Lumos, as FUNCTION REM does, and `/` is exact.
+  generateArithmetic(node) {
+    switch (node.type) {
+      case 'Literal':
+        return String(node.value);
+      case 'Identifier':
+        return this.dataName(node.name);
+      case 'UnaryExpression':
+        if (['-', '+'].includes(node.operator)) {
+          return `${node.operator}${this.generateArithmetic(node.operand)}`;
+        }
+        break;
+      case 'BinaryExpression': {
+        const left = this.generateArithmetic(node.left);
+        const right = this.generateArithmetic(node.right);
+        if (['+', '-', '*', '/', '**'].includes(node.operator)) {
+          return `(${left} ${node.operator} ${right})`;
+        }
+        if (node.operator === '%') {
+          return `FUNCTION REM(${left}, ${right})`;
+        }
+        throw new Error(`The ${node.operator} operator is not supported by the COBOL backend`);
+      }
+    }
+    throw new Error(`${node.type} is not supported in COBOL arithmetic`);
+  }
+
+  generateCondition(node) {
+    if (node.type === 'Literal') return node.value ? '1 = 1' : '1 = 0';
+    if (node.type === 'Identifier') return `${this.dataName(node.name)} = 1`;
+    if (node.type === 'UnaryExpression' && ['!', 'not'].includes(node.operator)) {
+      return `NOT (${this.generateCondition(node.operand)})`;
+    }
+    if (node.type === 'BinaryExpression' && CONDITIONS[node.operator]) {
+      if (['and', '&&', 'or', '||'].includes(node.operator)) {
+        return `(${this.generateCondition(node.left)}) ${CONDITIONS[node.operator]} (${this.generateCondition(node.right)})`;
+      }
+      const operand = side => scalarType(side, this.types) === 'bool'
+        ? this.generateArithmetic(side.type === 'Literal' ? { ...side, value: side.value ? 1 : 0 } : side)
+        : this.generateOperand(side);
+      return `${operand(node.left)} ${CONDITIONS[node.operator]} ${operand(node.right)}`;
+    }
+    throw new Error(`${node.type === 'BinaryExpression' ? `The ${node.operator} operator` : node.type} is not supported in COBOL conditions`);
+  }
+
+  generateOperand(node) {
+    return scalarType(node, this.types) === 'string' ? this.generateString(node) : this.generateArithmetic(node);
+  }
+
+  // String fields are padded with spaces, which are trimmed off where they
+  // are read.
+  generateString(node) {
+    if (node.type === 'Literal') return `"${node.value.replace(/"/g, '""')}"`;
+    if (node.type === 'Identifier') return `FUNCTION TRIM(${this.dataName(node.name)} TRAILING)`;
+    if (node.type === 'BinaryExpression' && node.operator === '+' &&
+        scalarType(node.left, this.types) === 'string' && scalarType(node.right, this.types) === 'string') {
+      return `FUNCTION CONCATENATE(${this.generateString(node.left)}, ${this.generateString(node.right)})`;
+    }
+    throw new Error(`${node.type} is not supported in COBOL strings, which join only other strings`);
+  }
+
+  // DISPLAY shows names and literals only, so anything else is computed
+  // into a variable first.
+  generateDisplayItem(node) {
+    const type = scalarType(node, this.types);
+    if (type === 'string') return this.generateString(node);
+    if (node.type === 'Literal' && type) return type === 'bool' ? `"${node.value}"` : String(node.value);
+    if (node.type === 'Identifier' && type) return this.dataName(node.name);
+    throw new Error(`Printing a ${node.type} is not supported by the COBOL backend; assign it to a variable first`);
   }
 
-  generateFunctionDeclaration(node) {
-    this.write(`function ${node.name}() {}`);
+  // COBOL names are case-insensitive and hyphenated.
+  dataName(name) {
+    return name.replace(/_/g, '-').toUpperCase();
   }
 
   write(line) {
@@ -1,7 +1,24 @@
+const { expandAssignment, scalarType, declaredScalarType } = require('../lowering');
+
+const FORTRAN_TYPES = {
+  int: 'integer',
+  float: 'double precision',
+  bool: 'logical',
+  string: 'character(len=:), allocatable'
+};
+
+const INTRINSICS = { '%': 'mod', '&': 'iand', '|': 'ior', '^': 'ieor', '<<': 'shiftl', '>>': 'shifta' };
+
+const COMPARISONS = { '==': '==', '===': '==', '!=': '/=', '!==': '/=', '<': '<', '<=': '<=', '>': '>', '>=': '>=' };
+
+// A program becomes a Fortran main program. Fortran declares every variable
+// with its type before the first statement, so a variable's type must be
+// clear from its annotation or initializer and can't change.
 class Backend {
   generate(ast, options = {}) {
     this.output = [];
-    this.indent = 0;
+    this.indent = 1;
+    this.types = {};
     this.generateNode(ast);
     return this.output.join('\n');
   }
@@ -11,8 +28,13 @@ class Backend {
     switch (node.type) {
       case 'Program': return this.generateProgram(node);
       case 'VariableDeclaration': return this.generateVariableDeclaration(node);
-      case 'FunctionDeclaration': return this.generateFunctionDeclaration(node);
-      default: return '';
+      case 'ExpressionStatement': return this.generateExpressionStatement(node.expression);
+      case 'BinaryExpression': return this.generateBinaryExpression(node);
+      case 'UnaryExpression': return this.generateUnaryExpression(node);
+      case 'Identifier': return node.name;
+      case 'Literal': return this.generateLiteral(node);
+      default:
+        throw new Error(`${node.type} is not supported by the Fortran backend`);
     }
   }
 
@@ -20,15 +42,108 @@ class Backend {
     for (const stmt of node.statements) {
       this.generateNode(stmt);
     }
+    const body = this.output;
+    this.output = ['program main', '  implicit none'];
+    for (const [name, type] of Object.entries(this.types)) {
+      this.write(`${FORTRAN_TYPES[type]} :: ${name}`);
+    }
+    this.output.push(...body);
+    this.output.push('end program main');
   }
 
   generateVariableDeclaration(node) {
-    const value = node.initializer ? this.generateNode(node.initializer) : 'null';
-    this.write(`var ${node.name} = ${value};`);
+    const type = declaredScalarType(node, this.types);
+    if (!type) {
+      throw new Error(`The Fortran backend cannot tell the type of ${node.name}; annotate it as int, float, string or bool`);
+    }
+    this.types[node.name] = type;
+    if (node.initializer) {
+      this.assign(node.name, node.initializer);
+    }
+  }
+
+  generateExpressionStatement(node) {
+    if (node.type === 'Assignment' && node.target.type === 'Identifier') {
+      this.assign(node.target.name, (node.operator === '=' ? node : expandAssignment(node)).value);
+    } else if (node.type === 'UpdateExpression' && node.argument.type === 'Identifier') {
+      this.write(`${node.argument.name} = ${node.argument.name} ${node.operator === '++' ? '+' : '-'} 1`);
+    } else if (node.type === 'CallExpression' && node.callee.name === 'print') {
+      this.generatePrint(node.arguments);
+    } else {
+      throw new Error(`${node.type} as a statement is not supported by the Fortran backend`);
+    }
+  }
+
+  assign(name, value) {
+    const type = scalarType(value, this.types);
+    if (type !== this.types[name] && !(type === 'int' && this.types[name] === 'float')) {
+      throw new Error(`${name} is ${this.types[name] || 'undeclared'} but is given ${type ? `a ${type}` : 'a value of unknown type'}, which the Fortran backend cannot declare`);
+    }
+    this.write(`${name} = ${this.generateNode(value)}`);
   }
 
-  generateFunctionDeclaration(node) {
-    this.write(`function ${node.name}() {}`);
+  // `g0` writes each value in as few characters as it needs, separated by a space.
+  generatePrint(args) {
+    const values = args.map(arg => {
+      const value = this.generateNode(arg);
+      return scalarType(arg, this.types) === 'bool' ? `trim(merge('true ', 'false', ${value}))` : value;
+    });
+    this.write(values.length ? `print '(*(g0, :, 1x))', ${values.join(', ')}` : "print '(a)', ''");
+  }
+
+  // Lumos divides integers exactly, so one side becomes a double first.
+  generateBinaryExpression(node) {
+    const left = this.generateNode(node.left);
+    const right = this.generateNode(node.right);
+    const leftType = scalarType(node.left, this.types);
+    const logical = leftType === 'bool';
+    switch (node.operator) {
+      case '+':
+        return `(${left} ${scalarType(node, this.types) === 'string' ? '//' : '+'} ${right})`;
+      case '-': case '*': case '**':
+        return `(${left} ${node.operator} ${right})`;
+      case '/':
+        return leftType === 'int' && scalarType(node.right, this.types) === 'int' ? `(dble(${left}) / ${right})` : `(${left} / ${right})`;
+      case 'and': case '&&':
+        return `(${left} .and. ${right})`;
+      case 'or': case '||':
+        return `(${left} .or. ${right})`;
+    }
+    if (INTRINSICS[node.operator]) {
+      return `${INTRINSICS[node.operator]}(${left}, ${right})`;
+    }
+    if (logical && ['==', '===', '!=', '!=='].includes(node.operator)) {
+      return `(${left} ${node.operator.startsWith('=') ? '.eqv.' : '.neqv.'} ${right})`;
+    }
+    if (COMPARISONS[node.operator]) {
+      return `(${left} ${COMPARISONS[node.operator]} ${right})`;
+    }
+    throw new Error(`The ${node.operator} operator is not supported by the Fortran backend`);
+  }
+
+  generateUnaryExpression(node) {
+    const operand = this.generateNode(node.operand);
+    switch (node.operator) {
+      case '!': case 'not':
+        return scalarType(node.operand, this.types) === 'bool' ? `(.not. ${operand})` : `(${operand} == 0)`;
+      case '~': return `not(${operand})`;
+      case '+': return operand;
+      default: return `(-${operand})`;
+    }
+  }
+
+  generateLiteral(node) {
+    const { value } = node;
+    if (typeof value === 'boolean') return value ? '.true.' : '.false.';
+    if (typeof value === 'string') return `"${value.replace(/"/g, '""')}"`;
+    if (scalarType(node, this.types) === 'float') {
+      const text = String(value);
+      return text.includes('e') ? text.replace('e', 'd') : `${text}d0`;
+    }
+    if (value === null) {
+      throw new Error('null is not supported by the Fortran backend');
+    }
+    return String(value);
   }
 
   write(line) {
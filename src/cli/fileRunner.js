@@ -1,12 +1,13 @@
 const fs = require("fs");
 const path = require("path");
+const { describeError } = require("../core/errors");
 
 class FileRunner {
   constructor(engine) {
     this.engine = engine;
   }
 
-  run(filepath) {
+  async run(filepath, options = {}) {
     if (!fs.existsSync(filepath)) {
       throw new Error(`File not found: ${filepath}`);
     }
@@ -17,36 +18,60 @@ class FileRunner {
     }
 
     const code = fs.readFileSync(filepath, 'utf8');
-    const lines = code.split(/\r?\n/);
 
-    let result = null;
-    let lineNumber = 1;
-
-    for (const line of lines) {
-      const trimmed = line.trim();
-      
-      if (trimmed === '' || trimmed.startsWith('//')) {
-        lineNumber++;
-        continue;
-      }
+    // A callback that fails after the run has returned, from a timer or a
+    // promise, is reported the same way and fails the process.
+    this.engine.evaluator.onCallbackError = error => {
+      this.reportError(error, code);
+      console.error(`Runtime Error: ${describeError(error)}`);
+      process.exitCode = 1;
+    };
 
-      try {
-        result = this.engine.execute(trimmed);
-        if (result !== null && result !== undefined) {
-          console.log(`Line ${lineNumber}: ${this.formatOutput(result)}`);
-        }
-      } catch (error) {
-        console.error(`Error on line ${lineNumber}: ${error.message}`);
-        console.error(`Code: ${trimmed}`);
-        throw error;
+    try {
+      const ast = this.engine.parse(code);
+      this.engine.evaluator.setMainModule(filepath);
+      this.engine.startRun(options);
+      if (options.echo) {
+        return await this.runWithEcho(ast);
       }
+      return await this.engine.evaluator.evaluateAsync(ast);
+    } catch (error) {
+      this.reportError(error, code);
+      throw error;
+    }
+  }
+
+  async runWithEcho(ast) {
+    let result = null;
 
-      lineNumber++;
+    for (const statement of ast.statements) {
+      result = await this.engine.evaluator.evaluateAsync(statement);
+      if (result !== null && result !== undefined) {
+        console.log(`Line ${statement.line}: ${this.formatOutput(result)}`);
+      }
     }
 
     return result;
   }
 
+  // Errors raised inside an imported module are shown in that module's source.
+  reportError(error, code) {
+    if (error.line == null) return;
+
+    const source = error.modulePath ? fs.readFileSync(error.modulePath, 'utf8') : code;
+    const file = error.modulePath ? ` in ${path.relative(process.cwd(), error.modulePath)}` : '';
+    const sourceLine = source.split(/\r?\n/)[error.line - 1] || '';
+    console.error(`Error${file} on line ${error.line}, column ${error.column}:`);
+    console.error(`  ${sourceLine}`);
+    console.error(`  ${' '.repeat(Math.max(error.column - 1, 0))}^`);
+    const trace = this.engine.evaluator.formatTrace(error.lumosStack);
+    if (trace.length > 1) {
+      for (const frame of trace) {
+        console.error(frame.startsWith('[') ? `    ${frame}` : `    at ${frame}`);
+      }
+    }
+  }
+
   runWithCompilation(filepath, target, outputPath) {
     if (!fs.existsSync(filepath)) {
       throw new Error(`File not found: ${filepath}`);
@@ -68,6 +93,8 @@ class FileRunner {
     if (value === undefined) return 'undefined';
     if (typeof value === 'string') return `"${value}"`;
     if (typeof value === 'function') return '[Function]';
+    if (typeof value === 'object' && value.type === 'function') return '[Function]';
+    if (typeof value === 'object' && value.type === 'class') return `[Class ${value.name}]`;
     if (typeof value === 'object') {
       try {
         return JSON.stringify(value);
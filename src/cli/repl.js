@@ -230,6 +230,8 @@ Examples:
     if (value === undefined) return 'undefined';
     if (typeof value === 'string') return `"${value}"`;
     if (typeof value === 'function') return '[Function]';
+    if (typeof value === 'object' && value.type === 'function') return '[Function]';
+    if (typeof value === 'object' && value.type === 'class') return `[Class ${value.name}]`;
     if (typeof value === 'object') {
       try {
         return JSON.stringify(value, null, 2);
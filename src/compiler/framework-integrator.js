@@ -1,5 +1,82 @@
+const Lexer = require('../core/lexer');
+const Parser = require('../core/parser');
+const Compiler = require('../core/compiler');
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+const PYTHON_TYPES = { int: 'int', float: 'float', string: 'str', bool: 'bool', list: 'list', dict: 'dict' };
+
+function decoratorOf(node, name) {
+  return (node.decorators || []).find(decorator => decorator.metadata && decorator.name === name);
+}
+
+// The handlers a program marks with @route("GET", "/items/:id"), from its
+// top-level functions and the methods of its top-level classes. Paths may
+// name their parameters as :id or {id}.
+function collectRoutes(ast) {
+  const routes = [];
+  const add = (func, owner) => {
+    const decorator = decoratorOf(func, 'route');
+    if (!decorator) return;
+    const [method, routePath] = decorator.arguments || [];
+    if (!method || !routePath || method.type !== 'Literal' || routePath.type !== 'Literal' ||
+        typeof method.value !== 'string' || typeof routePath.value !== 'string') {
+      throw new Error(`@route on ${func.name} needs a method and a path as string literals`);
+    }
+    const params = [...routePath.value.matchAll(/:(\w+)|\{(\w+)\}/g)].map(match => match[1] || match[2]);
+    routes.push({ method: method.value.toUpperCase(), path: routePath.value, params, handler: func, owner });
+  };
+  for (const statement of ast.statements) {
+    if (statement.type === 'FunctionDeclaration') {
+      add(statement, null);
+    } else if (statement.type === 'ClassDeclaration') {
+      statement.methods.forEach(method => add(method, statement.name));
+    }
+  }
+  return routes;
+}
+
+// The classes a program marks with @model, with their typed properties.
+function collectModels(ast) {
+  return ast.statements
+    .filter(statement => statement.type === 'ClassDeclaration' && decoratorOf(statement, 'model'))
+    .map(node => ({
+      name: node.name,
+      fields: node.properties.map(property => ({
+        name: property.name,
+        type: property.typeAnnotation,
+        initializer: property.initializer
+      }))
+    }));
+}
+
+function expressPath(routePath) {
+  return routePath.replace(/\{(\w+)\}/g, ':$1');
+}
+
+function fastapiPath(routePath) {
+  return routePath.replace(/:(\w+)/g, '{$1}');
+}
+
+function pythonType(type) {
+  if (!type || type.type !== 'TypeName') return 'Any';
+  const name = PYTHON_TYPES[type.name] || 'Any';
+  return type.nullable ? `Optional[${name}]` : name;
+}
+
+// A field's default in a schema: its initializer when that is a literal,
+// and None otherwise.
+function pythonDefault(initializer) {
+  if (initializer.type !== 'Literal' || initializer.value === null) return null;
+  if (typeof initializer.value === 'boolean') return initializer.value ? 'True' : 'False';
+  return JSON.stringify(initializer.value);
+}
+
+function routeName(route) {
+  return route.owner ? `${route.owner}_${route.handler.name}` : route.handler.name;
+}
+
 class FrameworkIntegrator {
-  constructor(compiler) {
+  constructor(compiler = new Compiler()) {
     this.compiler = compiler;
     this.frameworks = {
       laravel: new LaravelIntegrator(),
@@ -31,8 +108,8 @@ class FrameworkIntegrator {
       throw new Error(`Framework ${framework} is not supported`);
     }
 
-    const ast = this.compiler.compile(sourceCode, 'ast');
-    return integrator.generate(ast, options);
+    const ast = new Parser(new Lexer(sourceCode).tokenize()).parse();
+    return integrator.generate(ast, { ...options, compiler: this.compiler });
   }
 
   getSupportedFrameworks() {
@@ -398,6 +475,12 @@ export default function RootLayout({
 
 class FastAPIIntegrator {
   generate(ast, options) {
+    const routes = collectRoutes(ast);
+    const models = collectModels(ast);
+    if (routes.length > 0 || models.length > 0) {
+      return this.generateProgram(ast, routes, models, options);
+    }
+
     const files = new Map();
 
     files.set('main.py', this.generateMain(ast));
@@ -409,6 +492,59 @@ class FastAPIIntegrator {
     return files;
   }
 
+  // Serves the program's own @route handlers, compiled to Python, with a
+  // Pydantic schema for each @model class.
+  generateProgram(ast, routes, models, options) {
+    const files = new Map();
+    const program = options.compiler.compile(ast, 'python').replace(/^#!.*\n/, '').trim();
+    const lines = [
+      'from fastapi import FastAPI',
+      '',
+      'app = FastAPI(title="Lumos API", version="1.0.0")',
+      '',
+      program
+    ];
+    for (const route of routes) {
+      const func = route.handler;
+      const types = func.parameterTypes || {};
+      const parameters = func.parameters.map(name => (types[name] ? `${name}: ${pythonType(types[name])}` : name));
+      const target = route.owner ? `${route.owner}().${func.name}` : func.name;
+      const call = `${func.async ? 'await ' : ''}${target}(${func.parameters.join(', ')})`;
+      lines.push(
+        '',
+        `@app.${route.method.toLowerCase()}("${fastapiPath(route.path)}")`,
+        `${func.async ? 'async ' : ''}def ${routeName(route)}_route(${parameters.join(', ')}):`,
+        `    return ${call}`
+      );
+    }
+    files.set('main.py', `${lines.join('\n')}\n`);
+    if (models.length > 0) {
+      files.set('schemas.py', this.generateModelSchemas(models));
+    }
+    files.set('requirements.txt', 'fastapi==0.109.0\nuvicorn[standard]==0.27.0\npydantic==2.5.3');
+    return files;
+  }
+
+  generateModelSchemas(models) {
+    const lines = ['from pydantic import BaseModel', 'from typing import Any, Optional'];
+    for (const model of models) {
+      lines.push('', '', `class ${model.name}(BaseModel):`);
+      for (const field of model.fields) {
+        const type = pythonType(field.type);
+        if (!field.initializer) {
+          lines.push(`    ${field.name}: ${type}`);
+        } else {
+          const value = pythonDefault(field.initializer);
+          lines.push(value === null ? `    ${field.name}: Optional[${type}] = None` : `    ${field.name}: ${type} = ${value}`);
+        }
+      }
+      if (model.fields.length === 0) {
+        lines.push('    pass');
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
   generateMain(ast) {
     return `from fastapi import FastAPI, HTTPException, Depends
 from fastapi.middleware.cors import CORSMiddleware
@@ -742,6 +878,11 @@ onMounted(async () => {
 
 class ExpressIntegrator {
   generate(ast, options) {
+    const routes = collectRoutes(ast);
+    if (routes.length > 0) {
+      return new Map([['server.js', this.generateServer(ast, routes, options)]]);
+    }
+
     return new Map([
       ['server.js', `const express = require('express');
 const cors = require('cors');
@@ -789,6 +930,40 @@ app.listen(PORT, () => {
 });`]
     ]);
   }
+
+  // Each @route handler is called with its parameters taken by name from the
+  // path, then the JSON body for POST, PUT and PATCH, then the query string.
+  generateServer(ast, routes, options) {
+    const program = options.compiler.compile(ast, 'javascript').trim();
+    const lines = [
+      "const express = require('express');",
+      '',
+      'const app = express();',
+      'const PORT = process.env.PORT || 3000;',
+      '',
+      'app.use(express.json());',
+      '',
+      program
+    ];
+    for (const route of routes) {
+      const func = route.handler;
+      const sources = ['req.query', ...(BODY_METHODS.includes(route.method) ? ['req.body'] : []), 'req.params'];
+      const target = route.owner ? `new ${route.owner}().${func.name}` : func.name;
+      lines.push(
+        '',
+        `app.${route.method.toLowerCase()}('${expressPath(route.path)}', async (req, res, next) => {`,
+        '  try {',
+        `    const args = { ${sources.map(source => `...${source}`).join(', ')} };`,
+        `    res.json(await ${target}(${func.parameters.map(name => `args.${name}`).join(', ')}));`,
+        '  } catch (error) {',
+        '    next(error);',
+        '  }',
+        '});'
+      );
+    }
+    lines.push('', 'app.listen(PORT, () => {', '  console.log(`Server running on port ${PORT}`);', '});');
+    return `${lines.join('\n')}\n`;
+  }
 }
 
 class AngularIntegrator {
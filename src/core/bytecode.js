@@ -0,0 +1,450 @@
+// Lumos bytecode: a chunk is a flat list of instructions for a stack
+// machine, each `{ op, a, b, node }`. `a` and `b` are the operands listed
+// below, and `node` is the nearest AST node with a source location, which
+// errors raised by the instruction are reported at.
+//
+//   CONST value            push value
+//   LOAD name              push a variable
+//   STORE name             assign the top of the stack to a variable
+//   DECLARE name keyword   declare a variable as the top of the stack
+//   UPDATE_VAR name op     apply `name op= top` and push the result
+//   STEP_VAR name op       apply ++ or -- (a = name, b = { operator, prefix })
+//   GET_MEMBER property    replace an object with one of its members
+//   GET_METHOD property    push an object's member after the object, as this
+//   GET_INDEX              replace object, index with object[index]
+//   SET_MEMBER op          object[key] op= value for value, object, key
+//   BINARY op              replace left, right with left op right
+//   UNARY op               replace the top of the stack with op top
+//   IS typeNode negate     replace a value with whether it is of a type
+//   ARRAY count            replace count values with an array of them
+//   INTERPOLATE count      replace count values with them joined as text
+//   CALL count             call callee(args) for this, callee, args
+//   RETURN                 return the top of the stack from the chunk
+//   POP                    drop the top of the stack
+//   COMPLETE               pop the program's latest statement value
+//   JUMP target            continue at target
+//   JUMP_IF_FALSE target   pop, and jump if falsy
+//   JUMP_IF_FALSE_KEEP     jump if the top is falsy, otherwise pop it
+//   JUMP_IF_TRUE_KEEP      jump if the top is truthy, otherwise pop it
+//   JUMP_IF_SET_KEEP       jump if the top is not null, otherwise pop it
+//   ENTER_SCOPE            open a block scope
+//   EXIT_SCOPE             close it
+//   RANGE arity            replace start, end with an iterator over the range
+//   STEP_RANGE             replace start, end, step with a for loop iterator
+//   ITERATE arity          replace an iterable with an iterator over it
+//   NEXT target            push the iterator's next value, or jump when done
+//   BIND variables         open an iteration scope binding the values popped
+//   EVAL                   push the value of `node` from the tree walker
+//   TAIL_CALL count        CALL, reusing the frame when callee is compiled
+//   STEP                   count a statement or loop iteration
+//
+// Everything the compiler has no instructions for is left to EVAL, so the
+// VM and the tree walker always agree on what a program does.
+const OP = {
+  CONST: 0,
+  LOAD: 1,
+  STORE: 2,
+  DECLARE: 3,
+  UPDATE_VAR: 4,
+  STEP_VAR: 5,
+  GET_MEMBER: 6,
+  GET_METHOD: 7,
+  GET_INDEX: 8,
+  SET_MEMBER: 9,
+  BINARY: 10,
+  UNARY: 11,
+  IS: 12,
+  ARRAY: 13,
+  INTERPOLATE: 14,
+  CALL: 15,
+  RETURN: 16,
+  POP: 17,
+  COMPLETE: 18,
+  JUMP: 19,
+  JUMP_IF_FALSE: 20,
+  JUMP_IF_FALSE_KEEP: 21,
+  JUMP_IF_TRUE_KEEP: 22,
+  JUMP_IF_SET_KEEP: 23,
+  ENTER_SCOPE: 24,
+  EXIT_SCOPE: 25,
+  RANGE: 26,
+  STEP_RANGE: 27,
+  ITERATE: 28,
+  NEXT: 29,
+  BIND: 30,
+  EVAL: 31,
+  TAIL_CALL: 32,
+  STEP: 33
+};
+
+const OP_NAMES = Object.keys(OP);
+
+const SHORT_CIRCUIT = {
+  and: OP.JUMP_IF_FALSE_KEEP,
+  '&&': OP.JUMP_IF_FALSE_KEEP,
+  or: OP.JUMP_IF_TRUE_KEEP,
+  '||': OP.JUMP_IF_TRUE_KEEP,
+  '??': OP.JUMP_IF_SET_KEEP
+};
+
+// Compiles a program or a function body into a chunk. A program keeps the
+// value of its last statement, as the tree walker returns it; a function
+// returns null when it runs off its end.
+class BytecodeCompiler {
+  compileProgram(statements) {
+    this.begin(true);
+    this.statements(statements);
+    this.emit(OP.CONST, null);
+    this.emit(OP.RETURN);
+    return this.code;
+  }
+
+  compileFunction(func) {
+    this.begin(false);
+    if (func.expression) {
+      this.expression(func.body);
+    } else {
+      this.statements(func.body);
+      this.emit(OP.CONST, null);
+    }
+    this.emit(OP.RETURN);
+    return this.code;
+  }
+
+  begin(program) {
+    this.code = [];
+    this.program = program;
+    this.location = null;
+    this.loops = [];
+    this.depth = 0;
+    this.slots = 0;
+  }
+
+  emit(op, a, b) {
+    const instruction = { op, a, b, node: this.location };
+    this.code.push(instruction);
+    return instruction;
+  }
+
+  // Points a jump emitted earlier at the next instruction.
+  patch(instruction) {
+    instruction.a = this.code.length;
+  }
+
+  // Compiles `node` with it as the location of what it emits, when it has
+  // one, as the tree walker reports errors at the innermost located node.
+  located(node, compile) {
+    const previous = this.location;
+    if (node.line !== undefined) {
+      this.location = node;
+    }
+    try {
+      compile();
+    } finally {
+      this.location = previous;
+    }
+  }
+
+  statements(statements) {
+    for (const statement of statements) {
+      this.emit(OP.STEP);
+      this.located(statement, () => this.statement(statement));
+    }
+  }
+
+  // Leaves the stack as it found it; a program records the value instead.
+  complete() {
+    this.emit(this.program ? OP.COMPLETE : OP.POP);
+  }
+
+  scopedBlock(statements) {
+    this.emit(OP.ENTER_SCOPE);
+    this.depth++;
+    this.statements(statements);
+    this.depth--;
+    this.emit(OP.EXIT_SCOPE);
+  }
+
+  statement(node) {
+    switch (node.type) {
+      case 'ExpressionStatement':
+        this.expression(node.expression);
+        return this.complete();
+      case 'VariableDeclaration':
+        if (node.initializer) {
+          this.expression(node.initializer);
+        } else {
+          this.emit(OP.CONST, null);
+        }
+        this.emit(OP.DECLARE, node.name, node.keyword);
+        return this.complete();
+      case 'IfStatement':
+        return this.ifStatement(node);
+      case 'WhileStatement':
+        return this.whileStatement(node);
+      case 'ForStatement':
+      case 'ForInStatement':
+        return this.forStatement(node);
+      case 'ReturnStatement':
+        if (this.program) break;
+        // A call the VM cannot make leaves the whole return to the tree
+        // walker, which makes the tail call itself.
+        if (node.value && node.value.type === 'CallExpression') {
+          if (!this.tailCall(node.value)) break;
+        } else if (node.value) {
+          this.expression(node.value);
+        } else {
+          this.emit(OP.CONST, null);
+        }
+        this.emit(OP.RETURN);
+        return;
+      case 'Break':
+      case 'Continue':
+        if (this.loops.length === 0) break;
+        return this.jumpOut(node.type === 'Break');
+    }
+
+    this.eval(node);
+    this.complete();
+  }
+
+  ifStatement(node) {
+    if (this.program) {
+      this.emit(OP.CONST, null);
+      this.emit(OP.COMPLETE);
+    }
+    const ends = [];
+    const branches = [{ condition: node.condition, body: node.thenBranch }, ...(node.elifBranches || [])];
+    for (const branch of branches) {
+      this.expression(branch.condition);
+      const skip = this.emit(OP.JUMP_IF_FALSE, null);
+      this.scopedBlock(branch.body);
+      ends.push(this.emit(OP.JUMP, null));
+      this.patch(skip);
+    }
+    if (node.elseBranch) {
+      this.scopedBlock(node.elseBranch);
+    }
+    ends.forEach(end => this.patch(end));
+  }
+
+  whileStatement(node) {
+    if (this.program) {
+      this.emit(OP.CONST, null);
+      this.emit(OP.COMPLETE);
+    }
+    const loop = this.beginLoop(false);
+    this.expression(node.condition);
+    const exit = this.emit(OP.JUMP_IF_FALSE, null);
+    this.emit(OP.STEP);
+    this.scopedBlock(node.body);
+    this.emit(OP.JUMP, loop.start);
+    this.patch(exit);
+    this.endLoop(loop);
+  }
+
+  forStatement(node) {
+    if (this.program) {
+      this.emit(OP.CONST, null);
+      this.emit(OP.COMPLETE);
+    }
+    if (node.type === 'ForStatement') {
+      this.expression(node.start);
+      this.expression(node.end);
+      this.expression(node.step);
+      this.emit(OP.STEP_RANGE);
+    } else if (node.iterable.type === 'RangeExpression') {
+      this.expression(node.iterable.start);
+      this.expression(node.iterable.end);
+      this.emit(OP.RANGE, node.variables.length);
+    } else {
+      this.expression(node.iterable);
+      this.emit(OP.ITERATE, node.variables.length);
+    }
+    const loop = this.beginLoop();
+    const exit = this.emit(OP.NEXT, null);
+    this.emit(OP.BIND, node.type === 'ForStatement' ? [node.iterator] : node.variables);
+    this.emit(OP.STEP);
+    this.depth++;
+    this.statements(node.body);
+    this.depth--;
+    this.emit(OP.EXIT_SCOPE);
+    this.emit(OP.JUMP, loop.start);
+    this.patch(exit);
+    this.endLoop(loop);
+  }
+
+  // A for loop keeps its iterator in a stack slot of its own.
+  beginLoop(slot = true) {
+    if (slot) this.slots++;
+    const loop = { start: this.code.length, end: null, depth: this.depth, slot, slots: this.slots, breaks: [] };
+    this.loops.push(loop);
+    return loop;
+  }
+
+  // Breaks jump to the end, which drops the loop's slot.
+  endLoop(loop) {
+    this.loops.pop();
+    loop.end = this.code.length;
+    loop.breaks.forEach(jump => this.patch(jump));
+    if (loop.slot) {
+      this.slots--;
+      this.emit(OP.POP);
+    }
+  }
+
+  jumpOut(isBreak) {
+    const loop = this.loops[this.loops.length - 1];
+    for (let depth = this.depth; depth > loop.depth; depth--) {
+      this.emit(OP.EXIT_SCOPE);
+    }
+    if (isBreak) {
+      loop.breaks.push(this.emit(OP.JUMP, null));
+    } else {
+      this.emit(OP.JUMP, loop.start);
+    }
+  }
+
+  // Hands a node to the tree walker. A break, continue or return raised
+  // inside it is resumed from the innermost loop or the chunk.
+  eval(node) {
+    const instruction = this.emit(OP.EVAL);
+    instruction.node = node.line !== undefined ? node : this.location;
+    instruction.a = node;
+    instruction.b = this.loops.length > 0 ? { loop: this.loops[this.loops.length - 1], depth: this.depth } : null;
+  }
+
+  expression(node) {
+    this.located(node, () => this.compileExpression(node));
+  }
+
+  compileExpression(node) {
+    switch (node.type) {
+      case 'Literal':
+        return this.emit(OP.CONST, node.value);
+      case 'Identifier':
+        return this.emit(OP.LOAD, node.name);
+      case 'BinaryExpression':
+        return this.binary(node);
+      case 'UnaryExpression':
+        this.expression(node.operand);
+        return this.emit(OP.UNARY, node.operator);
+      case 'ConditionalExpression': {
+        this.expression(node.test);
+        const otherwise = this.emit(OP.JUMP_IF_FALSE, null);
+        this.expression(node.consequent);
+        const end = this.emit(OP.JUMP, null);
+        this.patch(otherwise);
+        this.expression(node.alternate);
+        return this.patch(end);
+      }
+      case 'Assignment':
+        if (this.assignment(node)) return;
+        break;
+      case 'UpdateExpression':
+        if (node.argument.type !== 'Identifier') break;
+        return this.emit(OP.STEP_VAR, node.argument.name, { operator: node.operator, prefix: node.prefix });
+      case 'CallExpression':
+        if (this.call(node)) return;
+        break;
+      case 'MemberExpression':
+        if (node.optional) break;
+        this.expression(node.object);
+        return this.emit(OP.GET_MEMBER, node.property);
+      case 'IndexExpression':
+        if (node.optional) break;
+        this.expression(node.object);
+        this.expression(node.index);
+        return this.emit(OP.GET_INDEX);
+      case 'ArrayLiteral':
+        if (node.elements.some(element => element.type === 'SpreadElement')) break;
+        node.elements.forEach(element => this.expression(element));
+        return this.emit(OP.ARRAY, node.elements.length);
+      case 'InterpolatedString':
+        node.parts.forEach(part => this.expression(part));
+        return this.emit(OP.INTERPOLATE, node.parts.length);
+    }
+
+    this.eval(node);
+  }
+
+  binary(node) {
+    this.expression(node.left);
+    if (SHORT_CIRCUIT[node.operator] !== undefined) {
+      const end = this.emit(SHORT_CIRCUIT[node.operator], null);
+      this.expression(node.right);
+      return this.patch(end);
+    }
+    if (node.operator === 'is' || node.operator === 'is not') {
+      return this.emit(OP.IS, node.right, node.operator === 'is not');
+    }
+    this.expression(node.right);
+    this.emit(OP.BINARY, node.operator);
+  }
+
+  assignment(node) {
+    const { target } = node;
+    if (target.type === 'Identifier') {
+      this.expression(node.value);
+      if (node.operator === '=') {
+        this.emit(OP.STORE, target.name);
+      } else {
+        this.emit(OP.UPDATE_VAR, target.name, node.operator.slice(0, -1));
+      }
+      return true;
+    }
+    if ((target.type !== 'MemberExpression' && target.type !== 'IndexExpression') || target.optional) {
+      return false;
+    }
+    this.expression(node.value);
+    this.expression(target.object);
+    if (target.type === 'MemberExpression') {
+      this.emit(OP.CONST, target.property);
+    } else {
+      this.expression(target.index);
+    }
+    this.emit(OP.SET_MEMBER, node.operator === '=' ? null : node.operator.slice(0, -1));
+    return true;
+  }
+
+  tailCall(node) {
+    let compiled = false;
+    this.located(node, () => {
+      compiled = this.call(node, OP.TAIL_CALL);
+    });
+    return compiled;
+  }
+
+  // Calls with a block, `?.`, spread or keyword arguments go to the tree
+  // walker.
+  call(node, op = OP.CALL) {
+    const { callee } = node;
+    if (node.block || node.optional || (callee.type === 'MemberExpression' && callee.optional) ||
+        node.arguments.some(arg => arg.type === 'SpreadElement' || arg.type === 'NamedArgument')) {
+      return false;
+    }
+    if (callee.type === 'MemberExpression') {
+      this.expression(callee.object);
+      this.emit(OP.GET_METHOD, callee.property);
+    } else {
+      this.emit(OP.CONST, undefined);
+      this.expression(callee);
+    }
+    node.arguments.forEach(arg => this.expression(arg));
+    this.emit(op, node.arguments.length);
+    return true;
+  }
+}
+
+// A listing of a chunk, one instruction per line, for debugging.
+function disassemble(code) {
+  return code.map((instruction, index) => {
+    const operands = instruction.op === OP.CONST || instruction.op === OP.EVAL
+      ? [instruction.a]
+      : [instruction.a, instruction.b].filter(operand => operand !== undefined && operand !== null);
+    const text = operands.map(operand => operand && operand.type ? `<${operand.type}>` : String(JSON.stringify(operand)));
+    return `${String(index).padStart(4)}  ${OP_NAMES[instruction.op].padEnd(18)} ${text.join(' ')}`.trimEnd();
+  }).join('\n');
+}
+
+module.exports = { OP, BytecodeCompiler, disassemble };
@@ -1,3 +1,7 @@
+const path = require('path');
+const { ModuleResolver, collectModules } = require('./modules');
+const Optimizer = require('./optimizer');
+
 const AssemblyBackends = {
   x86: require('../backends/assembly/x86'),
   arm: require('../backends/assembly/arm'),
@@ -63,6 +67,24 @@ const SpecializedBackends = {
   mlang: require('../backends/specialized/mlang')
 };
 
+// Targets that can compile a program spread over several modules, with the
+// extra files their module system needs beside the compiled modules.
+const ESM_PACKAGE = { 'package.json': '{\n  "type": "module"\n}\n' };
+const MODULE_LAYOUTS = {
+  javascript: () => ESM_PACKAGE,
+  typescript: () => ESM_PACKAGE,
+  python: ids => {
+    const packages = {};
+    for (const id of ids) {
+      const parts = id.split('/').slice(0, -1);
+      for (let i = 1; i <= parts.length; i++) {
+        packages[`${parts.slice(0, i).join('/')}/__init__.py`] = '';
+      }
+    }
+    return packages;
+  }
+};
+
 class Compiler {
   constructor() {
     this.backends = {
@@ -129,13 +151,36 @@ class Compiler {
     }
 
     const backend = this.backends[normalizedTarget];
-    const compiled = backend.generate(ast, options);
+    return backend.generate(options.optimize ? this.optimize(ast) : ast, options);
+  }
 
-    if (options.optimize) {
-      return this.optimize(compiled, normalizedTarget);
+  // Compiles an entry file together with every Lumos module it imports.
+  // Output files are keyed by their path from the project root, which sits
+  // at the nearest lumos.json above the entry file or else beside it.
+  compileProject(entry, target, options = {}) {
+    const normalizedTarget = target.toLowerCase();
+    if (!this.backends[normalizedTarget]) {
+      throw new Error(`Unsupported compilation target: ${target}`);
+    }
+
+    const resolver = new ModuleResolver(ModuleResolver.findRoot(path.dirname(path.resolve(entry))));
+    const modules = collectModules(entry, resolver);
+    const extension = this.getExtension(normalizedTarget);
+    if (modules.length === 1) {
+      const [{ id, ast }] = modules;
+      return { root: resolver.root, files: { [`${id}${extension}`]: this.compile(ast, normalizedTarget, options) } };
     }
 
-    return compiled;
+    const layout = MODULE_LAYOUTS[normalizedTarget];
+    if (!layout) {
+      throw new Error(`The ${target} backend cannot compile programs that import Lumos modules`);
+    }
+    const files = {};
+    for (const { id, ast } of modules) {
+      files[`${id}${extension}`] = this.compile(ast, normalizedTarget, { ...options, module: id });
+    }
+    Object.assign(files, layout(modules.map(({ id }) => id)));
+    return { root: resolver.root, files };
   }
 
   getExtension(target) {
@@ -143,8 +188,8 @@ class Compiler {
     return this.extensionMap[normalizedTarget] || '.txt';
   }
 
-  optimize(code, target) {
-    return code;
+  optimize(ast) {
+    return new Optimizer().optimize(ast);
   }
 
   getSupportedTargets() {
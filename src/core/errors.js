@@ -0,0 +1,66 @@
+class LumosError extends Error {
+  constructor(message, line = null, column = null) {
+    super(line !== null ? `${message} at line ${line}, column ${column}` : message);
+    this.name = 'LumosError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+class LumosSyntaxError extends LumosError {
+  constructor(message, line, column) {
+    super(message, line, column);
+    this.name = 'LumosSyntaxError';
+  }
+}
+
+// Carries a Lumos error instance raised with `throw`/`raise` through the host.
+class LumosRuntimeError extends LumosError {
+  constructor(value) {
+    super(`${value.__class__.name}: ${value.message}`);
+    this.name = 'LumosRuntimeError';
+    this.value = value;
+  }
+}
+
+// Raised when calls nest deeper than the evaluator allows, or than the host
+// stack can hold. Lumos code catches it as a RecursionError.
+class LumosRecursionError extends LumosError {
+  constructor(message, functionName, chain) {
+    super(message);
+    this.name = 'LumosRecursionError';
+    this.functionName = functionName;
+    this.chain = chain;
+  }
+}
+
+// Raised when a sandboxed program uses a capability it was not granted.
+// Lumos code catches it as a PermissionError.
+class LumosPermissionError extends LumosError {
+  constructor(message) {
+    super(message);
+    this.name = 'LumosPermissionError';
+  }
+}
+
+// Ends a run that goes over one of its limits. `limit` names the option,
+// such as maxSteps, and `max` is the value it was set to. Lumos code cannot
+// catch it.
+class LimitExceeded extends LumosError {
+  constructor(limit, max, message) {
+    super(message);
+    this.name = 'LimitExceeded';
+    this.limit = limit;
+    this.max = max;
+  }
+}
+
+// An error's message with the line and column it was raised at. The
+// evaluator keeps those out of a runtime error's message, which is what a
+// Lumos `catch` sees; syntax errors carry them in the message already.
+function describeError(error) {
+  const location = ` at line ${error.line}, column ${error.column}`;
+  return error.line == null || error.message.endsWith(location) ? error.message : error.message + location;
+}
+
+module.exports = { describeError, LumosError, LumosSyntaxError, LumosRuntimeError, LumosRecursionError, LumosPermissionError, LimitExceeded };
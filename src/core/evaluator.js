@@ -1,3 +1,11 @@
+const Lexer = require('./lexer');
+const Parser = require('./parser');
+const path = require('path');
+const util = require('util');
+const { LumosError, LumosRuntimeError, LumosRecursionError, LimitExceeded } = require('./errors');
+const { ModuleResolver, parseModule } = require('./modules');
+const PRELUDE = require('./prelude');
+
 class BreakException extends Error {
   constructor() {
     super('Break');
@@ -20,189 +28,2195 @@ class ReturnException extends Error {
   }
 }
 
-class Evaluator {
-  constructor(runtime) {
-    this.runtime = runtime;
-    this.globalScope = {};
-    this.currentScope = this.globalScope;
+class BlockBreakException extends Error {
+  constructor(block) {
+    super('BlockBreak');
+    this.name = 'BlockBreakException';
+    this.block = block;
+  }
+}
+
+// Thrown by a `?.` link whose left side is null; the enclosing
+// OptionalChain turns it into a null result.
+class ShortCircuitException extends Error {
+  constructor() {
+    super('ShortCircuit');
+    this.name = 'ShortCircuitException';
+  }
+}
+
+// Thrown by `return f(...)` with the call's scope already bound; the
+// function that returns runs f in its own place, so tail calls do not nest.
+class TailCallException extends Error {
+  constructor(func, scope) {
+    super('TailCall');
+    this.name = 'TailCallException';
+    this.func = func;
+    this.scope = scope;
+  }
+}
+
+// Arguments passed by name travel at the end of an argument list, after any
+// block, and are bound by createCallScope.
+class KeywordArguments {
+  constructor(values) {
+    this.values = values;
+  }
+}
+
+// The iterators generators and the lazy builtins hand to Lumos code. Like a
+// user-defined iterator, next() returns an object with `value` and `done`.
+class LumosIterator {
+  constructor(source, name = null) {
+    this.source = source;
+    this.name = name;
+  }
+
+  next(value = null) {
+    const step = this.source.next(value);
+    return { value: step.value === undefined ? null : step.value, done: Boolean(step.done) };
+  }
+
+  [Symbol.iterator]() {
+    return this;
+  }
+
+  toString() {
+    return this.name ? `<generator ${this.name}>` : '<iterator>';
+  }
+
+  [util.inspect.custom]() {
+    return this.toString();
+  }
+}
+
+const INTRINSIC_METHODS = {
+  number: {
+    times(block) {
+      const count = Number(this);
+      for (let i = 0; i < count; i++) {
+        block(i);
+      }
+      return count;
+    }
+  },
+  array: {
+    each(block) {
+      for (const item of this) {
+        block(item);
+      }
+      return this;
+    },
+    each_with_index(block) {
+      this.forEach((item, index) => block(item, index));
+      return this;
+    }
+  },
+  object: {
+    each(block) {
+      for (const key of Object.keys(this)) {
+        block(key, this[key]);
+      }
+      return this;
+    }
+  }
+};
+
+// Type names `is` understands without a class of that name in scope.
+const BUILTIN_TYPES = {
+  Number: value => typeof value === 'number',
+  String: value => typeof value === 'string',
+  Boolean: value => typeof value === 'boolean',
+  Array: value => Array.isArray(value),
+  Function: value => typeof value === 'function' || Boolean(value && ['function', 'class'].includes(value.type)),
+  Object: value => value !== null && typeof value === 'object' && !Array.isArray(value) && !BUILTIN_TYPES.Function(value),
+  Null: value => value === null || value === undefined
+};
+
+// The annotation types, which `is` accepts unless the program has declared
+// the name for itself. A whole number is an int and any number a float.
+const PRIMITIVE_TYPES = {
+  int: value => Number.isInteger(value),
+  float: value => typeof value === 'number',
+  string: value => typeof value === 'string',
+  bool: value => typeof value === 'boolean'
+};
+
+// Lazy builtins, run with the evaluator as `this`. Each call returns an
+// iterator that pulls values from its arguments only as they are asked for,
+// so infinite generators can be passed to them.
+const ITERATION_BUILTINS = {
+  *iter(iterable) {
+    yield* this.iterate(iterable);
+  },
+
+  *take(iterable, count) {
+    if (count <= 0) return;
+    let taken = 0;
+    for (const value of this.iterate(iterable)) {
+      yield value;
+      if (++taken >= count) return;
+    }
+  },
+
+  *zip(...iterables) {
+    if (iterables.length === 0) return;
+    const iterators = iterables.map(iterable => this.iterate(iterable));
+    while (true) {
+      const row = [];
+      for (const iterator of iterators) {
+        const step = iterator.next();
+        if (step.done) return;
+        row.push(step.value);
+      }
+      yield row;
+    }
+  },
+
+  *enumerate(iterable, start = 0) {
+    let index = start;
+    for (const value of this.iterate(iterable)) {
+      yield [index++, value];
+    }
+  },
+
+  *chain(...iterables) {
+    for (const iterable of iterables) {
+      yield* this.iterate(iterable);
+    }
+  }
+};
+
+// Host errors surface in Lumos as instances of these prelude classes.
+const HOST_ERROR_TYPES = {
+  TypeError: 'TypeError',
+  RangeError: 'ValueError',
+  LumosRecursionError: 'RecursionError',
+  LumosPermissionError: 'PermissionError'
+};
+
+// Tree-walker calls use host stack, so a function whose recursive call sits
+// deep inside loops and conditionals can run out of it before this depth.
+// Running out first is still a RecursionError.
+const DEFAULT_MAX_CALL_DEPTH = 1200;
+
+let preludeAst = null;
+
+// Scopes keep the keyword each of their names was declared with under a
+// symbol, which never clashes with a variable name.
+const DECLARATIONS = Symbol('declarations');
+
+// A function's name in traces and when printed; a method's includes its
+// class.
+function functionName(func) {
+  const name = func.name || (func.block ? '<block>' : '<lambda>');
+  return func.homeClass ? `${func.homeClass.name}.${name}` : name;
+}
+
+// Functions print by name rather than as the scope and body they hold.
+function inspectFunction() {
+  return `[Function ${functionName(this)}]`;
+}
+
+const RESUMABLE_OPERANDS = {
+  VariableDeclaration: ['initializer'],
+  DestructuringDeclaration: ['initializer'],
+  ExpressionStatement: ['expression'],
+  ReturnStatement: ['value'],
+  ThrowStatement: ['argument'],
+  BinaryExpression: ['left', 'right'],
+  UnaryExpression: ['operand'],
+  RangeExpression: ['start', 'end'],
+  NewExpression: ['arguments'],
+  IndexExpression: ['object', 'index'],
+  MemberExpression: ['object'],
+  InterpolatedString: ['parts'],
+  ArrayLiteral: ['elements']
+};
+
+class Evaluator {
+  constructor(runtime, options = {}) {
+    this.runtime = runtime;
+    this.maxCallDepth = options.maxCallDepth || DEFAULT_MAX_CALL_DEPTH;
+    this.sandbox = runtime.sandbox || null;
+    this.limits = null;
+    this.earlierDeclarations = new Set();
+    this.callStack = [{ name: '<main>', line: null, column: null }];
+    this.globalScope = Object.create(this.createPrelude());
+    this.currentScope = this.globalScope;
+    this.nativeWrappers = new WeakMap();
+    this.running = 0;
+    this.onCallbackError = null;
+    this.suspendCache = new WeakMap();
+    this.moduleStack = [];
+    this.resolver = null;
+  }
+
+  // The file the program being run was read from. Its imports are resolved
+  // from there, and the project root is found above it.
+  setMainModule(file) {
+    this.moduleStack = [path.resolve(file)];
+    this.callStack[0].module = this.moduleStack[0];
+    this.resolver = new ModuleResolver(ModuleResolver.findRoot(path.dirname(this.moduleStack[0])));
+  }
+
+  // Starts a run under `limits`. Each run is a program of its own, as each
+  // line in the REPL is, so it can declare again a global name an earlier
+  // run declared.
+  startRun(limits) {
+    this.limits = limits;
+    const scope = this.globalScope;
+    this.earlierDeclarations = new Set(Object.prototype.hasOwnProperty.call(scope, DECLARATIONS) ? scope[DECLARATIONS].keys() : []);
+  }
+
+  // The file of the code running now: functions remember the module they
+  // were declared in, and each call frame carries it.
+  currentModule() {
+    return this.callStack[this.callStack.length - 1].module || null;
+  }
+
+  createPrelude() {
+    if (!preludeAst) {
+      preludeAst = new Parser(new Lexer(PRELUDE).tokenize()).parse();
+    }
+
+    // Scopes inherit nothing from Object.prototype, so a name like
+    // `constructor` cannot reach the host's Object through them.
+    const prelude = Object.create(null);
+    for (const [name, builtin] of Object.entries(ITERATION_BUILTINS)) {
+      prelude[name] = (...args) => new LumosIterator(builtin.apply(this, args));
+    }
+    this.currentScope = prelude;
+    this.evaluateProgram(preludeAst);
+    return prelude;
+  }
+
+  evaluate(ast) {
+    this.running++;
+    try {
+      return this.evaluateNode(ast);
+    } catch (error) {
+      this.traceFrame(error);
+      throw error;
+    } finally {
+      this.running--;
+    }
+  }
+
+  // The switch is inline rather than in a function of its own: every node
+  // of a recursive call costs host stack, which is what limits call depth.
+  evaluateNode(node) {
+    if (!node) return null;
+
+    try {
+      switch (node.type) {
+        case 'Program':
+          return this.evaluateProgram(node);
+        case 'VariableDeclaration':
+          return this.evaluateVariableDeclaration(node);
+        case 'DestructuringDeclaration':
+          return this.evaluateDestructuringDeclaration(node);
+        case 'FunctionDeclaration':
+          return this.evaluateFunctionDeclaration(node);
+        case 'ClassDeclaration':
+          return this.evaluateClassDeclaration(node);
+        case 'StructDeclaration':
+          return this.evaluateStructDeclaration(node);
+        case 'EnumDeclaration':
+          return this.evaluateEnumDeclaration(node);
+        case 'InterfaceDeclaration':
+          return this.evaluateInterfaceDeclaration(node);
+        case 'ImportStatement':
+          return this.evaluateImportStatement(node);
+        case 'TryStatement':
+          return this.evaluateTryStatement(node);
+        case 'IfStatement':
+          return this.evaluateIfStatement(node);
+        case 'MatchStatement':
+        case 'MatchExpression':
+          return this.evaluateMatch(node);
+        case 'WhileStatement':
+          return this.evaluateWhileStatement(node);
+        case 'ForStatement':
+          return this.evaluateForStatement(node);
+        case 'ForInStatement':
+          return this.evaluateForInStatement(node);
+        case 'ReturnStatement':
+          return this.evaluateReturnStatement(node);
+        case 'ThrowStatement':
+          return this.evaluateThrowStatement(node);
+        case 'Break':
+          throw new BreakException();
+        case 'Continue':
+          throw new ContinueException();
+        case 'ExpressionStatement':
+          return this.evaluateNode(node.expression);
+        case 'Assignment':
+          return this.evaluateAssignment(node);
+        case 'UpdateExpression':
+          return this.evaluateUpdateExpression(node);
+        case 'BinaryExpression':
+          return this.evaluateBinaryExpression(node);
+        case 'ConditionalExpression':
+          return this.evaluateNode(this.evaluateNode(node.test) ? node.consequent : node.alternate);
+        case 'OptionalChain':
+          return this.evaluateOptionalChain(node);
+        case 'UnaryExpression':
+          return this.evaluateUnaryExpression(node);
+        case 'RangeExpression':
+          return this.evaluateRangeExpression(node);
+        case 'CallExpression':
+          return this.evaluateCallExpression(node);
+        case 'NewExpression':
+          return this.evaluateNewExpression(node);
+        case 'IndexExpression':
+          return this.evaluateIndexExpression(node);
+        case 'MemberExpression':
+          return this.evaluateMemberExpression(node);
+        case 'Identifier':
+          return this.evaluateIdentifier(node);
+        case 'Literal':
+          return node.value;
+        case 'InterpolatedString':
+          return this.evaluateInterpolatedString(node);
+        case 'ArrayLiteral':
+          return this.evaluateArrayLiteral(node);
+        case 'ObjectLiteral':
+          return this.evaluateObjectLiteral(node);
+        case 'ListComprehension':
+        case 'DictComprehension':
+          return this.evaluateComprehension(node);
+        case 'Lambda':
+          return this.evaluateLambda(node);
+        case 'SpreadElement':
+          throw new Error('Spread syntax is only allowed in calls, arrays and objects');
+        case 'AwaitExpression':
+          throw new Error("'await' is only allowed inside async functions or at the top level of an async run");
+        case 'YieldExpression':
+          throw new Error("'yield' is only allowed inside generator functions");
+        default:
+          throw new Error(`Unknown node type: ${node.type}`);
+      }
+    } catch (error) {
+      throw this.locateError(error, node);
+    }
+  }
+
+  isControlFlow(error) {
+    return error instanceof BreakException || error instanceof ContinueException ||
+      error instanceof ReturnException || error instanceof BlockBreakException ||
+      error instanceof ShortCircuitException || error instanceof TailCallException;
+  }
+
+  locateError(error, node) {
+    if (this.isControlFlow(error)) {
+      return error;
+    }
+    if (error instanceof RangeError && error.message === 'Maximum call stack size exceeded') {
+      error = this.recursionError('Maximum call stack size exceeded');
+    }
+    if (!(error instanceof Error) || error.line != null || node.line === undefined) {
+      return error;
+    }
+    error.line = node.line;
+    error.column = node.column;
+    if (error.modulePath === undefined) {
+      error.modulePath = this.currentModule();
+    }
+    return error;
+  }
+
+  evaluateProgram(node) {
+    let result = null;
+    for (const statement of node.statements) {
+      this.step();
+      result = this.evaluateNode(statement);
+    }
+    return result;
+  }
+
+  // Counts a statement or a loop iteration against the run's limits.
+  step() {
+    if (this.limits) {
+      this.limits.step();
+    }
+  }
+
+  // Returns an array or string the program built, if it is within the
+  // run's length limits.
+  checkSize(value) {
+    if (this.limits) {
+      this.limits.checkSize(value);
+    }
+    return value;
+  }
+
+  // A sandboxed program cannot reach a host object's prototype.
+  checkProperty(property) {
+    if (this.sandbox) {
+      this.sandbox.checkProperty(property);
+    }
+  }
+
+  checkName(name) {
+    if (this.sandbox) {
+      this.sandbox.checkName(name);
+    }
+  }
+
+  evaluateVariableDeclaration(node) {
+    const value = node.initializer ? this.copyValue(this.evaluateNode(node.initializer)) : null;
+    this.declare(node.name, value, node.keyword);
+    return value;
+  }
+
+  evaluateDestructuringDeclaration(node) {
+    const value = this.evaluateNode(node.initializer);
+    const bindings = {};
+    this.destructure(node.pattern, value, bindings);
+    for (const [name, bound] of Object.entries(bindings)) {
+      this.declare(name, bound, node.keyword);
+    }
+    return value;
+  }
+
+  // `let` and `const` declare a name in the current block and `var` in the
+  // call scope of the running function, or the global scope of the file. A
+  // block can declare a name once, except that `var` may repeat a `var`.
+  declare(name, value, keyword) {
+    this.checkName(name);
+    let scope = this.currentScope;
+    if (keyword === 'var') {
+      scope = this.callStack[this.callStack.length - 1].scope || this.globalScope || scope;
+    }
+    if (!Object.prototype.hasOwnProperty.call(scope, DECLARATIONS)) {
+      Object.defineProperty(scope, DECLARATIONS, { value: new Map() });
+    }
+    const declared = scope[DECLARATIONS];
+    const redeclared = scope === this.globalScope && this.earlierDeclarations.delete(name);
+    if (declared.has(name) && !redeclared && (keyword !== 'var' || declared.get(name) !== 'var')) {
+      throw new Error(`${name} has already been declared`);
+    }
+    declared.set(name, keyword);
+    scope[name] = value;
+  }
+
+  // The scope a variable is assigned in: the nearest that holds the name,
+  // or the current one for a name that has not been declared.
+  assignableScope(name) {
+    this.checkName(name);
+    const scope = this.findScope(name);
+    if (!scope) {
+      return this.currentScope;
+    }
+    const declared = Object.prototype.hasOwnProperty.call(scope, DECLARATIONS) ? scope[DECLARATIONS] : null;
+    if (declared && declared.get(name) === 'const') {
+      throw new TypeError(`Cannot assign to constant ${name}`);
+    }
+    return scope;
+  }
+
+  // Binds the names in a declaration pattern. Unlike `match`, missing
+  // elements and properties bind null instead of failing.
+  destructure(pattern, value, bindings) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        return;
+      case 'IdentifierPattern':
+        bindings[pattern.name] = value === undefined ? null : value;
+        return;
+      case 'ArrayPattern': {
+        const items = this.spreadValues(value);
+        pattern.elements.forEach((element, i) => this.destructure(element, items[i], bindings));
+        if (pattern.rest) {
+          bindings[pattern.rest] = items.slice(pattern.elements.length);
+        }
+        return;
+      }
+      case 'ObjectPattern': {
+        if (value === null || value === undefined) {
+          throw new TypeError(`Cannot destructure properties of ${value}`);
+        }
+        for (const prop of pattern.properties) {
+          this.destructure(prop.pattern, this.getMember(value, prop.key), bindings);
+        }
+        if (pattern.rest) {
+          bindings[pattern.rest] = this.remainingProperties(value, pattern.properties);
+        }
+        return;
+      }
+      default:
+        throw new Error(`Cannot destructure with ${pattern.type}`);
+    }
+  }
+
+  remainingProperties(value, properties) {
+    const rest = {};
+    for (const key of Object.keys(value)) {
+      if (!properties.some(prop => prop.key === key)) {
+        rest[key] = value[key];
+      }
+    }
+    return rest;
+  }
+
+  evaluateFunctionDeclaration(node) {
+    const func = this.createFunction(node, node.name);
+    this.declare(node.name, func, 'def');
+    return this.decorate(node, func);
+  }
+
+  // Each decorator other than a metadata one is called with what the one
+  // below it returned, starting from the declared value, and the name is
+  // bound to the last result. `@name(args)` calls name(args) first to get
+  // the decorator. A decorator the parser took for metadata is still called
+  // when the name is bound by now, as an earlier REPL line can bind it.
+  decorate(node, value) {
+    const called = decorator => !decorator.metadata || decorator.name in this.currentScope;
+    const wrappers = (node.decorators || []).filter(called).map(decorator => {
+      const { line, column } = decorator;
+      const wrapper = decorator.arguments
+        ? this.evaluateNode({ type: 'CallExpression', callee: decorator.expression, arguments: decorator.arguments, line, column })
+        : this.evaluateNode({ ...decorator.expression, line, column });
+      return { wrapper, line, column };
+    });
+    if (wrappers.length === 0) return value;
+
+    let result = value;
+    for (const { wrapper, line, column } of wrappers.reverse()) {
+      const args = [{ type: 'Literal', value: result }];
+      result = this.evaluateNode({ type: 'CallExpression', callee: { type: 'Literal', value: wrapper }, arguments: args, line, column });
+    }
+    this.currentScope[node.name] = result;
+    return result;
+  }
+
+  evaluateLambda(node) {
+    return this.createFunction(node, null);
+  }
+
+  createFunction(node, name) {
+    return {
+      type: 'function',
+      name,
+      parameters: node.parameters,
+      defaults: node.defaults || {},
+      restParameter: node.restParameter || null,
+      blockParameter: node.blockParameter || null,
+      body: node.body,
+      expression: node.expression === true,
+      block: node.block === true,
+      async: node.async === true,
+      generator: node.generator === true,
+      scope: this.currentScope,
+      module: this.currentModule(),
+      [util.inspect.custom]: inspectFunction
+    };
+  }
+
+  evaluateClassDeclaration(node) {
+    let superclass = null;
+    if (node.superclass) {
+      superclass = this.evaluateIdentifier({ name: node.superclass });
+      if (!superclass || superclass.type !== 'class' || superclass.kind !== 'class') {
+        throw new Error(`Superclass ${node.superclass} is not a class`);
+      }
+    }
+
+    return this.decorate(node, this.defineType(node, { superclass, properties: node.properties }));
+  }
+
+  evaluateStructDeclaration(node) {
+    return this.defineType(node, { kind: 'struct', properties: node.properties });
+  }
+
+  // An enum's variants are read as its members. Those without values are
+  // shared single values; the others are called to make one.
+  evaluateEnumDeclaration(node) {
+    const enumObj = this.defineType(node, { kind: 'enum', variants: {} });
+    for (const variant of node.variants) {
+      const variantObj = { type: 'class', kind: 'variant', name: variant.name, enum: enumObj, fields: variant.fields };
+      enumObj.variants[variant.name] = variant.fields.length === 0 ? this.createVariant(variantObj, {}) : variantObj;
+    }
+    return enumObj;
+  }
+
+  evaluateInterfaceDeclaration(node) {
+    const interfaceObj = { type: 'interface', keyword: node.keyword, name: node.name, required: [], methods: {} };
+    for (const method of node.methods) {
+      if (method.body) {
+        interfaceObj.methods[method.name] = this.createFunction(method, method.name);
+      } else {
+        interfaceObj.required.push(method.name);
+      }
+    }
+    this.declare(node.name, interfaceObj, 'interface');
+    return interfaceObj;
+  }
+
+  // Classes, structs and enums share one representation, told apart by
+  // `kind`.
+  defineType(node, attributes) {
+    const typeObj = {
+      type: 'class',
+      kind: 'class',
+      name: node.name,
+      superclass: null,
+      methods: {},
+      properties: [],
+      interfaces: [],
+      scope: this.currentScope,
+      ...attributes
+    };
+
+    for (const method of node.methods) {
+      const func = this.createFunction(method, method.name);
+      func.homeClass = typeObj;
+      typeObj.methods[method.name] = func;
+    }
+    this.implementInterfaces(typeObj, node.interfaces || []);
+
+    this.declare(node.name, typeObj, typeObj.kind);
+    return typeObj;
+  }
+
+  // A type gets the default methods of its interfaces that it lacks, and
+  // must then have every method they require.
+  implementInterfaces(typeObj, names) {
+    for (const name of names) {
+      const interfaceObj = this.evaluateIdentifier({ name });
+      if (!interfaceObj || interfaceObj.type !== 'interface') {
+        throw new TypeError(`${name} is not an interface`);
+      }
+      typeObj.interfaces.push(interfaceObj);
+    }
+
+    for (const interfaceObj of typeObj.interfaces) {
+      for (const [name, method] of Object.entries(interfaceObj.methods)) {
+        if (!this.findMethod(typeObj, name)) {
+          typeObj.methods[name] = { ...method, homeClass: typeObj };
+        }
+      }
+    }
+    for (const interfaceObj of typeObj.interfaces) {
+      const missing = interfaceObj.required.filter(name => !this.findMethod(typeObj, name));
+      if (missing.length > 0) {
+        const methods = missing.map(name => `${name}()`).join(', ');
+        throw new TypeError(`${typeObj.name} does not implement ${methods} required by ${interfaceObj.keyword} ${interfaceObj.name}`);
+      }
+    }
+  }
+
+  instantiate(classObj, args) {
+    if (classObj.kind === 'enum') {
+      throw new TypeError(`Enum ${classObj.name} cannot be instantiated; use one of its variants`);
+    }
+    if (classObj.kind === 'variant') {
+      return this.createVariant(classObj, this.fieldArguments(`${classObj.enum.name}.${classObj.name}`, classObj.fields, args));
+    }
+    if (classObj.kind === 'struct') {
+      return this.createStruct(classObj, args);
+    }
+
+    const instance = {};
+    Object.defineProperty(instance, '__class__', { value: classObj });
+
+    this.initializeProperties(classObj, instance);
+
+    const constructor = this.findMethod(classObj, 'constructor');
+    if (constructor) {
+      this.callFunction(this.bindMethod(constructor, instance), args);
+    } else if (args.length > 0) {
+      throw new TypeError(`${classObj.name}() takes no arguments`);
+    }
+
+    return instance;
+  }
+
+  // A struct is built field by field from its arguments. Fields left out
+  // take their initializer's value.
+  createStruct(structObj, args) {
+    const fields = structObj.properties.map(property => property.name);
+    const values = this.fieldArguments(structObj.name, fields, args);
+    const instance = {};
+    Object.defineProperty(instance, '__class__', { value: structObj });
+    this.initializeProperties(structObj, instance, values);
+    return instance;
+  }
+
+  createVariant(variantObj, values) {
+    const missing = variantObj.fields.find(field => !(field in values));
+    if (missing) {
+      throw new TypeError(`${variantObj.enum.name}.${variantObj.name}() missing argument '${missing}'`);
+    }
+
+    const value = {};
+    for (const field of variantObj.fields) {
+      value[field] = values[field];
+    }
+    Object.defineProperties(value, {
+      __class__: { value: variantObj.enum },
+      __variant__: { value: variantObj },
+      [util.inspect.custom]: { value: () => this.formatVariant(value) }
+    });
+    return value;
+  }
+
+  // `Color.Red`, or `Shape.Circle(2)` for a variant with values.
+  formatVariant(value) {
+    const { enum: enumObj, name, fields } = value.__variant__;
+    const label = `${enumObj.name}.${name}`;
+    return fields.length === 0 ? label : `${label}(${fields.map(field => util.inspect(value[field])).join(', ')})`;
+  }
+
+  // Lines the arguments to a struct or variant up with its fields, by
+  // position or by keyword.
+  fieldArguments(name, fields, args) {
+    let named = {};
+    const keywordIndex = args.findIndex(arg => arg instanceof KeywordArguments);
+    if (keywordIndex !== -1) {
+      named = args[keywordIndex].values;
+      args = [...args.slice(0, keywordIndex), ...args.slice(keywordIndex + 1)];
+    }
+    if (args.length > fields.length) {
+      const count = fields.length;
+      throw new TypeError(`${name}() takes ${count} argument${count === 1 ? '' : 's'} but ${args.length} ${args.length === 1 ? 'was' : 'were'} given`);
+    }
+
+    const values = {};
+    args.forEach((arg, i) => {
+      values[fields[i]] = this.copyValue(arg);
+    });
+    for (const [field, value] of Object.entries(named)) {
+      if (!fields.includes(field)) {
+        throw new TypeError(`${name}() got an unexpected keyword argument '${field}'`);
+      }
+      if (field in values) {
+        throw new TypeError(`${name}() got multiple values for argument '${field}'`);
+      }
+      values[field] = this.copyValue(value);
+    }
+    return values;
+  }
+
+  // Struct values are copied whenever they are stored, so that each
+  // variable, parameter and field holds its own.
+  copyValue(value) {
+    if (!value || typeof value !== 'object' || !value.__class__ || value.__class__.kind !== 'struct') {
+      return value;
+    }
+    const copy = {};
+    Object.defineProperty(copy, '__class__', { value: value.__class__ });
+    for (const key of Object.keys(value)) {
+      copy[key] = this.copyValue(value[key]);
+    }
+    return copy;
+  }
+
+  isValueType(value) {
+    return Boolean(value && typeof value === 'object' && value.__class__ && ['struct', 'enum'].includes(value.__class__.kind));
+  }
+
+  // Structs and enum values are equal when they have the same type and
+  // equal fields.
+  valuesEqual(left, right) {
+    if (this.isValueType(left) && this.isValueType(right)) {
+      return left.__class__ === right.__class__ && left.__variant__ === right.__variant__ &&
+        Object.keys(left).every(key => this.valuesEqual(left[key], right[key]));
+    }
+    return left == right;
+  }
+
+  initializeProperties(classObj, instance, values = {}) {
+    if (classObj.superclass) {
+      this.initializeProperties(classObj.superclass, instance);
+    }
+
+    const previousScope = this.currentScope;
+    this.currentScope = Object.create(classObj.scope);
+    this.currentScope.this = instance;
+
+    try {
+      for (const property of classObj.properties) {
+        if (property.name in values) {
+          instance[property.name] = values[property.name];
+        } else {
+          instance[property.name] = property.initializer ? this.copyValue(this.evaluateNode(property.initializer)) : null;
+        }
+      }
+    } finally {
+      this.currentScope = previousScope;
+    }
+  }
+
+  findMethod(classObj, name) {
+    for (let current = classObj; current; current = current.superclass) {
+      if (Object.prototype.hasOwnProperty.call(current.methods, name)) {
+        return current.methods[name];
+      }
+    }
+    return null;
+  }
+
+  bindMethod(method, instance) {
+    return { ...method, thisValue: instance };
+  }
+
+  evaluateImportStatement(node) {
+    this.markCallSite(node);
+    const module = this.importModule(node.source);
+    for (const spec of node.specifiers) {
+      if (spec.name === '*') {
+        this.currentScope[spec.alias] = module;
+      } else if (module === null || module === undefined || !(spec.name in Object(module))) {
+        throw new LumosError(`Module '${node.source}' has no export named '${spec.name}'`);
+      } else {
+        this.currentScope[spec.alias] = module[spec.name];
+      }
+    }
+    return module;
+  }
+
+  // A Lumos module runs once, in a global scope of its own, and is cached by
+  // path. Its exports are read through getters, so a namespace import sees
+  // later changes to an exported variable.
+  importModule(specifier) {
+    if (!this.resolver) {
+      this.resolver = new ModuleResolver(ModuleResolver.findRoot(process.cwd()));
+    }
+    const importer = this.currentModule();
+    const file = this.resolver.resolve(specifier, importer);
+    if (!file) {
+      return this.runtime.loadModule(this.resolver.hostPath(specifier, importer));
+    }
+    if (this.runtime.modules[file]) {
+      return this.runtime.modules[file];
+    }
+    if (this.moduleStack.includes(file)) {
+      throw this.resolver.circularImport([...this.moduleStack.slice(this.moduleStack.indexOf(file)), file]);
+    }
+
+    const ast = parseModule(file);
+    const scope = Object.create(Object.getPrototypeOf(this.globalScope));
+    const { globalScope, currentScope } = this;
+    this.globalScope = scope;
+    this.currentScope = scope;
+    this.moduleStack.push(file);
+    this.callStack.push({ name: `<module ${this.resolver.describe(file)}>`, line: null, column: null, module: file });
+    try {
+      this.evaluateProgram(ast);
+    } catch (error) {
+      this.traceFrame(error);
+      throw error;
+    } finally {
+      this.globalScope = globalScope;
+      this.currentScope = currentScope;
+      this.moduleStack.pop();
+      this.callStack.pop();
+    }
+
+    const exports = {};
+    for (const statement of ast.statements) {
+      if (statement.exported) {
+        Object.defineProperty(exports, statement.name, { get: () => scope[statement.name], enumerable: true });
+      }
+    }
+    this.runtime.modules[file] = exports;
+    return exports;
+  }
+
+  // A call returned from inside a try may still raise into its catch and
+  // must finish before its finally runs, so it is not made a tail call.
+  evaluateTryStatement(node) {
+    const frame = this.callStack[this.callStack.length - 1];
+    const tailCalls = frame.tailCalls;
+    frame.tailCalls = false;
+    try {
+      return this.evaluateScopedBlock(node.tryBlock);
+    } catch (error) {
+      const clause = this.findCatchClause(node, error);
+      if (!clause) {
+        throw error;
+      }
+      return this.evaluateScopedBlock(clause.body, this.catchBindings(clause, error));
+    } finally {
+      try {
+        if (node.finallyBlock) {
+          this.evaluateScopedBlock(node.finallyBlock);
+        }
+      } finally {
+        frame.tailCalls = tailCalls;
+      }
+    }
+  }
+
+  catchBindings(clause, error) {
+    return clause.parameter ? { [clause.parameter]: this.errorValue(error) } : {};
+  }
+
+  // Picks the first catch clause whose type matches, recording the frame the
+  // error was caught in. Control flow is never caught.
+  findCatchClause(node, error) {
+    if (this.isControlFlow(error) || error instanceof LimitExceeded) {
+      return null;
+    }
+
+    const value = this.errorValue(error);
+    const clause = node.catchClauses.find(candidate =>
+      !candidate.errorType || this.isErrorOfType(value, this.evaluateIdentifier({ name: candidate.errorType }))
+    );
+    if (clause) {
+      this.traceFrame(error);
+      value.stack = this.formatTrace(error.lumosStack);
+    }
+    return clause;
+  }
+
+  isErrorOfType(value, type) {
+    if (typeof type !== 'function' && (!type || type.type !== 'class')) {
+      throw new TypeError(`Catch type must be a class, got ${type === null ? 'null' : typeof type}`);
+    }
+    return this.isInstance(value, type);
+  }
+
+  isInstance(value, type) {
+    if (typeof type === 'function') {
+      return value instanceof type;
+    }
+    if (value && value.__variant__ === type) {
+      return true;
+    }
+    for (let current = value && value.__class__; current; current = current.superclass) {
+      if (current === type || current.interfaces.includes(type)) return true;
+    }
+    return false;
+  }
+
+  // Only errors can be raised, so a catch clause always binds an Error.
+  evaluateThrowStatement(node) {
+    const value = this.evaluateNode(node.argument);
+    if (!this.isErrorOfType(value, this.evaluateIdentifier({ name: 'Error' }))) {
+      const hint = typeof value === 'string' ? `; use ${node.keyword || 'throw'} Error(message) to raise a message` : '';
+      throw new TypeError(`Can only ${node.keyword || 'throw'} Error instances, not ${this.typeName(value)}${hint}`);
+    }
+    throw new LumosRuntimeError(value);
+  }
+
+  // The Lumos value a caught error is bound to. Host errors are wrapped once
+  // in the matching prelude class so rethrowing keeps the same instance.
+  errorValue(error) {
+    if (error instanceof LumosRuntimeError) {
+      return error.value;
+    }
+    if (error && error.lumosValue) {
+      return error.lumosValue;
+    }
+
+    const name = error instanceof Error ? HOST_ERROR_TYPES[error.name] || 'Error' : 'Error';
+    const message = error instanceof Error ? error.message : String(error);
+    const value = this.instantiate(this.evaluateIdentifier({ name }), [message]);
+    if (error instanceof LumosRecursionError) {
+      value.functionName = error.functionName;
+      value.chain = error.chain;
+    }
+    if (error && typeof error === 'object') {
+      error.lumosValue = value;
+    }
+    return value;
+  }
+
+  // Adds the innermost active frame to an unwinding error's Lumos stack. The
+  // first frame reports where the error was raised, outer frames their call site.
+  traceFrame(error) {
+    if (!(error instanceof Error) || this.isControlFlow(error)) {
+      return;
+    }
+    const frame = this.callStack[this.callStack.length - 1];
+    const trace = error.lumosStack || (error.lumosStack = []);
+    const location = trace.length === 0 ? error : frame;
+    trace.push({ name: frame.name, line: location.line, column: location.column, module: frame.module });
+  }
+
+  // Frames in imported modules name their file. A run of more than three
+  // identical frames, as deep recursion leaves, is cut short with a count.
+  formatTrace(trace) {
+    const lines = (trace || []).map(frame => {
+      if (frame.line == null) return frame.name;
+      const file = frame.module && frame.module !== this.moduleStack[0] ? `${this.resolver.describe(frame.module)}, ` : '';
+      return `${frame.name} (${file}line ${frame.line}, column ${frame.column})`;
+    });
+
+    const shown = [];
+    for (let start = 0; start < lines.length;) {
+      let end = start;
+      while (end < lines.length && lines[end] === lines[start]) end++;
+      shown.push(...lines.slice(start, Math.min(end, start + 3)));
+      if (end - start > 3) {
+        shown.push(`[previous frame repeated ${end - start - 3} more times]`);
+      }
+      start = end;
+    }
+    return shown;
+  }
+
+  evaluateIfStatement(node) {
+    if (this.evaluateNode(node.condition)) {
+      return this.evaluateScopedBlock(node.thenBranch);
+    }
+
+    const elifs = node.elifBranches || [];
+    for (let i = 0; i < elifs.length; i++) {
+      if (this.evaluateNode(elifs[i].condition)) {
+        return this.evaluateScopedBlock(elifs[i].body);
+      }
+    }
+
+    if (node.elseBranch) {
+      return this.evaluateScopedBlock(node.elseBranch);
+    }
+
+    return null;
+  }
+
+  evaluateMatch(node) {
+    const value = this.evaluateNode(node.subject);
+
+    for (const matchCase of node.cases) {
+      const bindings = {};
+      if (!this.matchPattern(matchCase.pattern, value, bindings)) continue;
+
+      const previousScope = this.currentScope;
+      this.currentScope = Object.assign(Object.create(this.currentScope), bindings);
+
+      try {
+        if (matchCase.guard && !this.evaluateNode(matchCase.guard)) continue;
+        return matchCase.expression
+          ? this.evaluateNode(matchCase.body)
+          : this.evaluateBlock(matchCase.body);
+      } finally {
+        this.currentScope = previousScope;
+      }
+    }
+
+    if (node.type === 'MatchExpression') {
+      throw new Error(`No match case for value: ${JSON.stringify(value)}`);
+    }
+    return null;
+  }
+
+  matchPattern(pattern, value, bindings) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        return true;
+      case 'IdentifierPattern':
+        bindings[pattern.name] = value;
+        return true;
+      case 'LiteralPattern':
+        return value === pattern.value;
+      case 'RangePattern':
+        return typeof value === typeof pattern.start && value >= pattern.start && value <= pattern.end;
+      case 'ArrayPattern':
+        if (!Array.isArray(value) ||
+            (pattern.rest ? value.length < pattern.elements.length : value.length !== pattern.elements.length) ||
+            !pattern.elements.every((element, i) => this.matchPattern(element, value[i], bindings))) {
+          return false;
+        }
+        if (pattern.rest) {
+          bindings[pattern.rest] = value.slice(pattern.elements.length);
+        }
+        return true;
+      case 'VariantPattern': {
+        const variant = value && typeof value === 'object' ? value.__variant__ : undefined;
+        if (!variant || variant.name !== pattern.variant || (pattern.enumName && variant.enum.name !== pattern.enumName)) {
+          return false;
+        }
+        if (!pattern.elements) {
+          return true;
+        }
+        if (pattern.elements.length !== variant.fields.length) {
+          const count = variant.fields.length;
+          throw new TypeError(`${variant.enum.name}.${variant.name} has ${count} value${count === 1 ? '' : 's'} but the pattern has ${pattern.elements.length}`);
+        }
+        return pattern.elements.every((element, i) => this.matchPattern(element, value[variant.fields[i]], bindings));
+      }
+      case 'ObjectPattern':
+        if (value === null || typeof value !== 'object' || Array.isArray(value) ||
+            !pattern.properties.every(prop =>
+              prop.key in value && this.matchPattern(prop.pattern, value[prop.key], bindings)
+            )) {
+          return false;
+        }
+        if (pattern.rest) {
+          bindings[pattern.rest] = this.remainingProperties(value, pattern.properties);
+        }
+        return true;
+      default:
+        throw new Error(`Unknown pattern type: ${pattern.type}`);
+    }
+  }
+
+  evaluateWhileStatement(node) {
+    let result = null;
+    while (this.evaluateNode(node.condition)) {
+      this.step();
+
+      try {
+        result = this.evaluateScopedBlock(node.body);
+      } catch (error) {
+        if (error instanceof BreakException) break;
+        if (error instanceof ContinueException) continue;
+        throw error;
+      }
+    }
+
+    return result;
+  }
+
+  evaluateForStatement(node) {
+    const start = this.evaluateNode(node.start);
+    const end = this.evaluateNode(node.end);
+    const step = this.evaluateNode(node.step);
+
+    let result = null;
+    for (let i = start; i <= end; i += step) {
+      this.step();
+      const outcome = this.runIteration(node.body, { [node.iterator]: i });
+      if (outcome.broke) break;
+      result = outcome.result;
+    }
+
+    return result;
+  }
+
+  evaluateForInStatement(node) {
+    let result = null;
+    for (const values of this.iterationValues(node.iterable, node.variables.length)) {
+      this.step();
+      const outcome = this.runIteration(node.body, this.loopBindings(node.variables, values));
+      if (outcome.broke) break;
+      result = outcome.result;
+    }
+
+    return result;
+  }
+
+  loopBindings(variables, values) {
+    const bindings = {};
+    variables.forEach((name, index) => {
+      bindings[name] = variables.length === 1 ? values : values[index];
+    });
+    return bindings;
+  }
+
+  // Each clause of a comprehension loops inside the one before it, in a
+  // scope of its own, so the loop variables do not leak out.
+  evaluateComprehension(node) {
+    const result = node.type === 'ListComprehension' ? [] : {};
+    const run = index => {
+      if (index === node.clauses.length) {
+        if (node.type === 'ListComprehension') {
+          result.push(this.evaluateNode(node.element));
+          this.checkSize(result);
+        } else {
+          result[this.evaluateNode(node.key)] = this.evaluateNode(node.value);
+        }
+        return;
+      }
+
+      const clause = node.clauses[index];
+      for (const values of this.iterationValues(clause.iterable, clause.variables.length)) {
+        this.step();
+        const previousScope = this.currentScope;
+        this.currentScope = Object.assign(Object.create(previousScope), this.loopBindings(clause.variables, values));
+        try {
+          if (clause.conditions.every(condition => this.evaluateNode(condition))) {
+            run(index + 1);
+          }
+        } finally {
+          this.currentScope = previousScope;
+        }
+      }
+    };
+    run(0);
+    return result;
+  }
+
+  *iterationValues(iterableNode, arity) {
+    if (iterableNode.type === 'RangeExpression') {
+      const { start, end } = this.rangeBounds(iterableNode);
+      for (let i = start; i <= end; i++) {
+        yield arity === 1 ? i : [i - start, i];
+      }
+      return;
+    }
+
+    yield* this.iterate(this.evaluateNode(iterableNode), arity);
+  }
+
+  // The values of an iterable, or with an arity of 2 the index or key of
+  // each along with it. An iterator's values are pairs to be unpacked
+  // instead, like those enumerate() and zip() produce.
+  *iterate(iterable, arity = 1) {
+    const iterator = this.iteratorOf(iterable);
+    if (Array.isArray(iterable) || typeof iterable === 'string') {
+      let index = 0;
+      for (const item of iterable) {
+        yield arity === 1 ? item : [index, item];
+        index++;
+      }
+    } else if (iterable instanceof Map) {
+      for (const [key, value] of iterable) {
+        yield arity === 1 ? key : [key, value];
+      }
+    } else if (iterator) {
+      for (const item of iterator) {
+        if (arity !== 1 && !Array.isArray(item)) {
+          throw new TypeError(`Cannot unpack ${this.typeName(item)} into ${arity} variables`);
+        }
+        yield item;
+      }
+    } else if (iterable && typeof iterable[Symbol.iterator] === 'function') {
+      let index = 0;
+      for (const item of iterable) {
+        yield arity === 1 ? item : [index, item];
+        index++;
+      }
+    } else if (iterable && typeof iterable === 'object' && !['function', 'class', 'super'].includes(iterable.type)) {
+      for (const key of Object.keys(iterable)) {
+        yield arity === 1 ? key : [key, iterable[key]];
+      }
+    } else {
+      throw new Error(`Cannot iterate over ${iterable === null ? 'null' : typeof iterable}`);
+    }
+  }
+
+  // A value with a next() method is an iterator: each call returns an
+  // object whose `done` says whether it has finished and whose `value` is
+  // the next value. Returns a host iterator stepping it, or null for any
+  // other value.
+  iteratorOf(value) {
+    if (value instanceof LumosIterator) return value;
+    if (!value || typeof value !== 'object' || Array.isArray(value) || ['function', 'class', 'super'].includes(value.type)) {
+      return null;
+    }
+    const next = this.getMember(value, 'next');
+    return this.isCallable(next) ? this.stepIterator(value, next) : null;
+  }
+
+  *stepIterator(iterator, next) {
+    while (true) {
+      const result = this.invoke(next, iterator, []);
+      if (!result || typeof result !== 'object') {
+        throw new TypeError(`next() must return an object with value and done, got ${this.typeName(result)}`);
+      }
+      if (result.done) return;
+      yield result.value === undefined ? null : result.value;
+    }
+  }
+
+  runIteration(body, bindings) {
+    const previousScope = this.currentScope;
+    this.currentScope = Object.assign(Object.create(previousScope), bindings);
+
+    try {
+      return { result: this.evaluateBlock(body), broke: false };
+    } catch (error) {
+      if (error instanceof BreakException) return { result: null, broke: true };
+      if (error instanceof ContinueException) return { result: null, broke: false };
+      throw error;
+    } finally {
+      this.currentScope = previousScope;
+    }
+  }
+
+  findScope(name) {
+    for (let scope = this.currentScope; scope && scope !== Object.prototype; scope = Object.getPrototypeOf(scope)) {
+      if (Object.prototype.hasOwnProperty.call(scope, name)) {
+        return scope;
+      }
+    }
+    return null;
+  }
+
+  evaluateRangeExpression(node) {
+    const { start, end } = this.rangeBounds(node);
+    if (this.limits) {
+      this.limits.checkArrayLength(Math.floor(end - start) + 1);
+    }
+    const result = [];
+    for (let i = start; i <= end; i++) {
+      result.push(i);
+    }
+    return result;
+  }
+
+  rangeBounds(node) {
+    const start = this.evaluateNode(node.start);
+    const end = this.evaluateNode(node.end);
+    if (typeof start !== 'number' || typeof end !== 'number') {
+      throw new Error('Range bounds must be numbers');
+    }
+    return { start, end };
+  }
+
+  evaluateReturnStatement(node) {
+    const { value } = node;
+    if (value && value.type === 'CallExpression' && !value.block && this.callStack[this.callStack.length - 1].tailCalls) {
+      throw new ReturnException(this.evaluateTailCall(value));
+    }
+    throw new ReturnException(value ? this.evaluateNode(value) : null);
+  }
+
+  // A Lumos function called by `return` is handed back to callFunction to
+  // run in place of the one returning. Anything else is called as usual.
+  evaluateTailCall(node) {
+    try {
+      const { thisArg, callee } = this.evaluateCallee(node);
+      const args = this.evaluateArguments(node.arguments);
+      this.markCallSite(node);
+      if (callee && callee.type === 'function' && !callee.async && !callee.generator && !callee.block) {
+        throw new TailCallException(callee, this.createCallScope(callee, args));
+      }
+      return this.invoke(callee, thisArg, args);
+    } catch (error) {
+      throw this.locateError(error, node);
+    }
+  }
+
+  evaluateBlock(statements) {
+    let result = null;
+    for (const statement of statements) {
+      this.step();
+      result = this.evaluateNode(statement);
+    }
+    return result;
+  }
+
+  // Runs the body of an `if`, `while` or `try` in a scope of its own. The
+  // statements are run here rather than by evaluateBlock, and a `return`
+  // without going through evaluateNode, to save host frames on each level
+  // of a recursion that passes through the block.
+  evaluateScopedBlock(statements, bindings = {}) {
+    const previousScope = this.currentScope;
+    this.currentScope = Object.assign(Object.create(previousScope), bindings);
+    try {
+      let result = null;
+      for (let i = 0; i < statements.length; i++) {
+        const statement = statements[i];
+        this.step();
+        result = statement.type === 'ReturnStatement' ? this.evaluateReturnStatement(statement) : this.evaluateNode(statement);
+      }
+      return result;
+    } finally {
+      this.currentScope = previousScope;
+    }
+  }
+
+  evaluateAssignment(node) {
+    const value = node.operator === '=' ? this.copyValue(this.evaluateNode(node.value)) : this.evaluateNode(node.value);
+
+    if (node.operator === '=' && node.target.type === 'Identifier') {
+      this.assignableScope(node.target.name)[node.target.name] = value;
+      return value;
+    }
+    if (node.operator === '=') {
+      return this.updateTarget(node.target, () => value);
+    }
+    const operator = node.operator.slice(0, -1);
+    return this.updateTarget(node.target, current => this.applyOperator(operator, current, value));
+  }
+
+  evaluateUpdateExpression(node) {
+    let previous;
+    const result = this.updateTarget(node.argument, current => {
+      if (typeof current !== 'number') {
+        throw new TypeError(`Cannot apply ${node.operator} to ${this.typeName(current)}`);
+      }
+      previous = current;
+      return node.operator === '++' ? current + 1 : current - 1;
+    });
+    return node.prefix ? result : previous;
+  }
+
+  // Stores update(current) in a variable, element or property and returns
+  // the stored value.
+  updateTarget(target, update) {
+    if (target.type === 'Identifier') {
+      const scope = this.assignableScope(target.name);
+      const value = update(this.evaluateIdentifier(target));
+      scope[target.name] = value;
+      return value;
+    }
+
+    if (target.type === 'IndexExpression' || target.type === 'MemberExpression') {
+      const object = this.evaluateNode(target.object);
+      const key = target.type === 'IndexExpression' ? this.evaluateNode(target.index) : target.property;
+      this.checkProperty(key);
+      object[key] = update(object[key]);
+      this.checkSize(object);
+      return object[key];
+    }
+
+    throw new Error('Invalid assignment target');
+  }
+
+  evaluateBinaryExpression(node) {
+    const left = this.evaluateNode(node.left);
+
+    switch (node.operator) {
+      case 'and': case '&&': return left && this.evaluateNode(node.right);
+      case 'or': case '||': return left || this.evaluateNode(node.right);
+      case '??': return left ?? this.evaluateNode(node.right);
+      case 'is': return this.isOfType(left, node.right);
+      case 'is not': return !this.isOfType(left, node.right);
+    }
+
+    return this.applyOperator(node.operator, left, this.evaluateNode(node.right));
+  }
+
+  applyOperator(operator, left, right) {
+    switch (operator) {
+      case '+': return this.checkSize(left + right);
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/': return left / right;
+      case '%': return left % right;
+      case '**': return left ** right;
+      case '&': return left & right;
+      case '|': return left | right;
+      case '^': return left ^ right;
+      case '<<': return left << right;
+      case '>>': return left >> right;
+      case '==': return this.valuesEqual(left, right);
+      case '!=': return !this.valuesEqual(left, right);
+      case '===': return left === right;
+      case '!==': return left !== right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+      case 'in': return this.contains(right, left);
+      case 'not in': return !this.contains(right, left);
+      default:
+        throw new Error(`Unknown binary operator: ${operator}`);
+    }
+  }
+
+  contains(collection, value) {
+    if (typeof collection === 'string') {
+      if (typeof value !== 'string') {
+        throw new TypeError(`'in <string>' requires a string on the left, got ${this.typeName(value)}`);
+      }
+      return collection.includes(value);
+    }
+    if (Array.isArray(collection)) {
+      return collection.includes(value);
+    }
+    if (collection instanceof Map || collection instanceof Set) {
+      return collection.has(value);
+    }
+    if (collection !== null && typeof collection === 'object' && !this.isCallable(collection)) {
+      return Object.prototype.hasOwnProperty.call(collection, value);
+    }
+    throw new TypeError(`'in' needs an array, string or object on the right, got ${this.typeName(collection)}`);
+  }
+
+  // The right side of `is` names a class, or one of BUILTIN_TYPES when no
+  // variable of that name is in scope, or one of PRIMITIVE_TYPES.
+  isOfType(value, typeNode) {
+    if (typeNode.type === 'Literal') {
+      return BUILTIN_TYPES.Null(value);
+    }
+    if (typeNode.type === 'Identifier' && BUILTIN_TYPES[typeNode.name] && !this.isDefined(typeNode.name)) {
+      return BUILTIN_TYPES[typeNode.name](value);
+    }
+    if (typeNode.type === 'Identifier' && PRIMITIVE_TYPES[typeNode.name] &&
+        (!this.isDefined(typeNode.name) || this.evaluateNode(typeNode) === this.runtime.builtins[typeNode.name])) {
+      return PRIMITIVE_TYPES[typeNode.name](value);
+    }
+    const type = this.evaluateNode(typeNode);
+    if (typeof type !== 'function' && (!type || !['class', 'interface'].includes(type.type))) {
+      throw new TypeError(`Right side of 'is' must be a type, got ${this.typeName(type)}`);
+    }
+    return this.isInstance(value, type);
+  }
+
+  isDefined(name) {
+    return Boolean(this.findScope(name)) || name in this.globalScope || this.runtime.hasBuiltin(name);
+  }
+
+  typeName(value) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (value.__class__) return value.__class__.name;
+    return this.isCallable(value) ? 'function' : typeof value;
+  }
+
+  evaluateOptionalChain(node) {
+    try {
+      return this.evaluateNode(node.expression);
+    } catch (error) {
+      if (error instanceof ShortCircuitException) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  evaluateUnaryExpression(node) {
+    return this.applyUnary(node.operator, this.evaluateNode(node.operand));
+  }
+
+  applyUnary(operator, operand) {
+    switch (operator) {
+      case '-': return -operand;
+      case '+': return +operand;
+      case '~': return ~operand;
+      case 'not': case '!': return !operand;
+      default:
+        throw new Error(`Unknown unary operator: ${operator}`);
+    }
+  }
+
+  evaluateCallExpression(node) {
+    const { thisArg, callee } = this.evaluateCallee(node);
+    const args = this.evaluateArguments(node.arguments);
+    this.markCallSite(node);
+
+    if (node.block) {
+      return this.invokeWithBlock(callee, thisArg, args, node.block);
+    }
+
+    // Lumos functions skip invoke(), which would be one more host frame
+    // for every level of recursion.
+    if (callee && callee.type === 'function') {
+      return this.callFunction(callee, args);
+    }
+    return this.invoke(callee, thisArg, args);
+  }
+
+  invokeWithBlock(callee, thisArg, args, node) {
+    const block = this.evaluateLambda(node);
+    try {
+      return this.invoke(callee, thisArg, [...args, block]);
+    } catch (error) {
+      if (error instanceof BlockBreakException && error.block === block) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // The object a call is made on, if any, and the function it calls.
+  evaluateCallee(node) {
+    let thisArg;
+    let callee;
+
+    if (node.callee.type === 'MemberExpression') {
+      thisArg = this.evaluateNode(node.callee.object);
+      if (node.callee.optional && thisArg == null) {
+        throw new ShortCircuitException();
+      }
+      callee = this.getMember(thisArg, node.callee.property);
+    } else {
+      callee = this.evaluateNode(node.callee);
+    }
+    if (node.optional && callee == null) {
+      throw new ShortCircuitException();
+    }
+    return { thisArg, callee };
+  }
+
+  markCallSite(node) {
+    if (node.line !== undefined) {
+      const frame = this.callStack[this.callStack.length - 1];
+      frame.line = node.line;
+      frame.column = node.column;
+    }
+  }
+
+  invoke(callee, thisArg, args) {
+    if (typeof callee === 'function') {
+      return this.callNative(callee, thisArg, args);
+    }
+
+    if (callee && callee.type === 'function') {
+      return this.callFunction(callee, args);
+    }
+
+    if (callee && callee.type === 'class') {
+      return this.instantiate(callee, args);
+    }
+
+    if (callee && callee.type === 'super') {
+      const constructor = callee.classObj && this.findMethod(callee.classObj, 'constructor');
+      if (constructor) {
+        this.callFunction(this.bindMethod(constructor, callee.thisValue), args);
+      }
+      return null;
+    }
+
+    throw new TypeError('Not a function');
+  }
+
+  evaluateNewExpression(node) {
+    const callee = this.evaluateNode(node.callee);
+    const args = this.evaluateArguments(node.arguments);
+
+    if (callee && callee.type === 'class') {
+      return this.instantiate(callee, args);
+    }
+
+    if (typeof callee === 'function') {
+      return this.fromNative(Reflect.construct(callee, this.nativeArguments(args)));
+    }
+
+    throw new TypeError('Not a class');
+  }
+
+  callFunction(func, args) {
+    if (func.async || func.generator) {
+      return this.callResumableFunction(func, args);
+    }
+
+    // Each tail call replaces the frame and goes round again. The frame's
+    // scope is left in the `finally`, so there is no outer `try`.
+    const previousScope = this.currentScope;
+    let scope = this.createCallScope(func, args);
+    while (true) {
+      this.pushFrame(func, scope, !func.block);
+      this.currentScope = scope;
+      try {
+        if (func.expression) {
+          return this.evaluateNode(func.body);
+        }
+        if (func.block) {
+          return this.evaluateBlock(func.body);
+        }
+        // The body's own statements are run here, and a `return` among them
+        // is not thrown, to save host frames on every level of recursion.
+        const { body } = func;
+        for (let i = 0; i < body.length; i++) {
+          const statement = body[i];
+          this.step();
+          if (statement.type === 'ReturnStatement') {
+            const { value } = statement;
+            if (!value) return null;
+            return value.type === 'CallExpression' && !value.block ? this.evaluateTailCall(value) : this.evaluateNode(value);
+          }
+          this.evaluateNode(statement);
+        }
+        return null;
+      } catch (error) {
+        if (!(error instanceof TailCallException)) {
+          return this.completeCall(func, error);
+        }
+        ({ func, scope } = error);
+      } finally {
+        this.callStack.pop();
+        this.currentScope = previousScope;
+      }
+    }
+  }
+
+  callResumableFunction(func, args) {
+    if (func.async) {
+      return this.runResumable(this.callResumable(func, args));
+    }
+    const scope = this.createCallScope(func, args);
+    return new LumosIterator(this.runGenerator(this.callResumable(func, args, scope)), this.createFrame(func).name);
+  }
+
+  createCallScope(func, args, thisValue = func.thisValue) {
+    const scope = Object.create(func.scope);
+
+    if (thisValue !== undefined) {
+      scope.this = thisValue;
+      scope.super = {
+        type: 'super',
+        classObj: func.homeClass.superclass,
+        thisValue
+      };
+    }
+
+    let named = {};
+    const keywordIndex = args.findIndex(arg => arg instanceof KeywordArguments);
+    if (keywordIndex !== -1) {
+      named = args[keywordIndex].values;
+      args = [...args.slice(0, keywordIndex), ...args.slice(keywordIndex + 1)];
+    }
+
+    const { parameters, restParameter, blockParameter } = func;
+    // With one positional argument per parameter there is nothing to check
+    // and no default to fill in.
+    if (keywordIndex === -1 && !restParameter && !blockParameter && args.length === parameters.length) {
+      parameters.forEach((name, i) => {
+        scope[name] = this.copyValue(args[i]);
+      });
+      return scope;
+    }
+
+    const bound = new Set();
+    const bind = (name, value) => {
+      scope[name] = this.copyValue(value);
+      bound.add(name);
+    };
+
+    const restIndex = restParameter ? parameters.indexOf(restParameter) : -1;
+    if (restIndex === -1) {
+      if (args.length > parameters.length && !func.block) {
+        const count = parameters.length;
+        throw new TypeError(`${this.callableName(func)} takes ${count} argument${count === 1 ? '' : 's'} but ${args.length} ${args.length === 1 ? 'was' : 'were'} given`);
+      }
+      args.slice(0, parameters.length).forEach((arg, i) => bind(parameters[i], arg));
+    } else {
+      // A &block after the rest parameter takes the final argument when that
+      // is a function.
+      const last = args[args.length - 1];
+      const trailing = blockParameter && args.length > restIndex && this.isCallable(last) ? 1 : 0;
+      const restEnd = Math.max(restIndex, args.length - trailing);
+      args.slice(0, restIndex).forEach((arg, i) => bind(parameters[i], arg));
+      bind(restParameter, args.slice(restIndex, restEnd));
+      if (trailing) {
+        bind(blockParameter, last);
+      }
+    }
+
+    for (const [name, value] of Object.entries(named)) {
+      if (!parameters.includes(name) || name === restParameter || name === blockParameter) {
+        throw new TypeError(`${this.callableName(func)} got an unexpected keyword argument '${name}'`);
+      }
+      if (bound.has(name)) {
+        throw new TypeError(`${this.callableName(func)} got multiple values for argument '${name}'`);
+      }
+      bind(name, value);
+    }
+
+    this.bindDefaults(func, scope, bound);
+    return scope;
+  }
+
+  // Defaults are evaluated on every call, in the new scope, so they can use
+  // the parameters before them.
+  bindDefaults(func, scope, bound) {
+    const missing = [];
+    const previousScope = this.currentScope;
+    this.currentScope = scope;
+    try {
+      for (const name of func.parameters) {
+        if (bound.has(name) || name === func.restParameter) continue;
+        if (name in func.defaults) {
+          scope[name] = this.evaluateNode(func.defaults[name]);
+        } else if (name === func.blockParameter || func.block) {
+          scope[name] = name === func.blockParameter ? null : undefined;
+        } else {
+          missing.push(name);
+        }
+      }
+    } finally {
+      this.currentScope = previousScope;
+    }
+
+    if (missing.length > 0) {
+      const names = missing.map(name => `'${name}'`).join(', ');
+      throw new TypeError(`${this.callableName(func)} missing ${missing.length} required argument${missing.length === 1 ? '' : 's'}: ${names}`);
+    }
+  }
+
+  callableName(func) {
+    return `${this.createFrame(func).name}()`;
+  }
+
+  isCallable(value) {
+    return typeof value === 'function' || Boolean(value && value.type === 'function');
+  }
+
+  // `tailCalls` marks a frame whose `return f(...)` can reuse it.
+  createFrame(func, scope = null, tailCalls = false) {
+    return { name: functionName(func), line: null, column: null, module: func.module || null, scope, tailCalls };
+  }
+
+  // Every call of a Lumos function comes through here, in both
+  // interpreters, so this is where calls are counted against the limits.
+  pushFrame(func, scope, tailCalls = false) {
+    if (this.limits) {
+      this.limits.call();
+    }
+    if (this.callStack.length > this.maxCallDepth) {
+      throw this.recursionError(`Maximum call depth of ${this.maxCallDepth} exceeded`, func);
+    }
+    this.callStack.push(this.createFrame(func, scope, tailCalls));
+  }
+
+  // Names the function that went too deep: the one being called, or for a
+  // host stack overflow the innermost one running.
+  recursionError(message, func = null) {
+    const chain = this.callStack.map(frame => frame.name);
+    if (func) {
+      chain.push(this.createFrame(func).name);
+    }
+    const name = chain[chain.length - 1];
+    return new LumosRecursionError(`${message} in ${name}()`, name, chain);
+  }
+
+  completeCall(func, error) {
+    this.traceFrame(error);
+    if (error instanceof ReturnException) {
+      return error.value;
+    }
+    if (func.block && error instanceof ContinueException) {
+      return null;
+    }
+    if (func.block && error instanceof BreakException) {
+      throw new BlockBreakException(func);
+    }
+    if (error instanceof BreakException || error instanceof ContinueException) {
+      throw new Error(`'${error.message.toLowerCase()}' outside of a loop`);
+    }
+    throw error;
+  }
+
+  evaluateAsync(ast) {
+    return this.runResumable(this.evaluateResumableProgram(ast));
+  }
+
+  *evaluateResumableProgram(ast) {
+    try {
+      return yield* this.evaluateResumable(ast);
+    } catch (error) {
+      this.traceFrame(error);
+      throw error;
+    }
+  }
+
+  // Drives a resumable evaluation: every value it yields is awaited, and the
+  // scope it was suspended in is restored when it resumes. Time spent
+  // waiting counts against the run's time limit, so a timer rejects the
+  // run when it is up and the evaluation is never resumed after that.
+  runResumable(generator) {
+    return new Promise((resolve, reject) => {
+      let suspendedScope = null;
+      let suspendedStack = this.callStack.map(frame => ({ ...frame }));
+      const limits = this.limits;
+      let finished = false;
+      let timer = null;
+
+      const finish = (settle, value) => {
+        finished = true;
+        clearTimeout(timer);
+        settle(value);
+      };
+      if (limits && limits.timeoutMs !== Infinity) {
+        timer = setTimeout(() => finish(reject, limits.timeoutError()), Math.max(0, limits.timeLeft()));
+      }
+
+      const step = (method, value) => {
+        if (finished) return;
+        const outerScope = this.currentScope;
+        const outerStack = this.callStack;
+        if (suspendedScope) {
+          this.currentScope = suspendedScope;
+        }
+        this.callStack = suspendedStack;
+
+        let next;
+        this.running++;
+        try {
+          if (limits) {
+            limits.checkClock();
+          }
+          next = generator[method](value);
+        } catch (error) {
+          finish(reject, error);
+          return;
+        } finally {
+          this.running--;
+          suspendedScope = this.currentScope;
+          this.currentScope = outerScope;
+          suspendedStack = this.callStack;
+          this.callStack = outerStack;
+        }
+
+        if (next.done) {
+          finish(resolve, next.value);
+        } else {
+          Promise.resolve(next.value).then(
+            result => step('next', result),
+            error => step('throw', error)
+          );
+        }
+      };
+
+      step('next');
+    });
+  }
+
+  // Steps a generator's body one `yield` at a time, running each step in
+  // the scope it was suspended in, with its frames on top of the caller's.
+  *runGenerator(generator) {
+    let suspendedScope = null;
+    let suspendedFrames = [];
+    let sent;
+
+    while (true) {
+      const outerScope = this.currentScope;
+      const depth = this.callStack.length;
+      if (suspendedScope) {
+        this.currentScope = suspendedScope;
+      }
+      this.callStack.push(...suspendedFrames);
+
+      let next;
+      try {
+        next = generator.next(sent);
+      } finally {
+        suspendedScope = this.currentScope;
+        suspendedFrames = this.callStack.splice(depth);
+        this.currentScope = outerScope;
+      }
+
+      if (next.done) {
+        return next.value;
+      }
+      sent = yield next.value;
+    }
   }
 
-  evaluate(ast) {
-    return this.evaluateNode(ast);
+  // A generator's call scope is created when it is called, so arguments
+  // are checked then rather than when it first runs.
+  *callResumable(func, args, scope = null) {
+    const previousScope = this.currentScope;
+    const callScope = scope || this.createCallScope(func, args);
+    this.pushFrame(func, callScope);
+    this.currentScope = callScope;
+
+    try {
+      if (func.expression) {
+        return yield* this.evaluateResumable(func.body);
+      }
+      yield* this.evaluateResumableBlock(func.body);
+      return null;
+    } catch (error) {
+      return this.completeCall(func, error);
+    } finally {
+      this.callStack.pop();
+      this.currentScope = previousScope;
+    }
   }
 
-  evaluateNode(node) {
-    if (!node) return null;
+  // Nodes without an `await` or `yield` run on the ordinary evaluator; the
+  // rest are walked here so evaluation can pause at each one.
+  *evaluateResumable(node) {
+    if (!node || !this.canSuspend(node)) {
+      return this.evaluateNode(node);
+    }
 
+    try {
+      return yield* this.dispatchResumable(node);
+    } catch (error) {
+      throw this.locateError(error, node);
+    }
+  }
+
+  *dispatchResumable(node) {
     switch (node.type) {
       case 'Program':
-        return this.evaluateProgram(node);
-      case 'VariableDeclaration':
-        return this.evaluateVariableDeclaration(node);
-      case 'FunctionDeclaration':
-        return this.evaluateFunctionDeclaration(node);
-      case 'ClassDeclaration':
-        return this.evaluateClassDeclaration(node);
-      case 'ImportStatement':
-        return this.evaluateImportStatement(node);
-      case 'TryStatement':
-        return this.evaluateTryStatement(node);
+        return yield* this.evaluateResumableBlock(node.statements);
+      case 'AwaitExpression':
+        return yield (yield* this.evaluateResumable(node.argument));
+      case 'YieldExpression': {
+        const value = yield* this.evaluateResumable(node.argument);
+        if (!node.delegate) {
+          return yield value;
+        }
+        for (const item of this.iterate(value)) {
+          yield item;
+        }
+        return null;
+      }
       case 'IfStatement':
-        return this.evaluateIfStatement(node);
+        return yield* this.evaluateResumableIf(node);
+      case 'MatchStatement':
+      case 'MatchExpression':
+        return yield* this.evaluateResumableMatch(node);
       case 'WhileStatement':
-        return this.evaluateWhileStatement(node);
+        return yield* this.evaluateResumableWhile(node);
       case 'ForStatement':
-        return this.evaluateForStatement(node);
-      case 'ReturnStatement':
-        return this.evaluateReturnStatement(node);
-      case 'Break':
-        throw new BreakException();
-      case 'Continue':
-        throw new ContinueException();
-      case 'ExpressionStatement':
-        return this.evaluateNode(node.expression);
-      case 'Assignment':
-        return this.evaluateAssignment(node);
+      case 'ForInStatement':
+        return yield* this.evaluateResumableFor(node);
+      case 'TryStatement':
+        return yield* this.evaluateResumableTry(node);
+      case 'ListComprehension':
+      case 'DictComprehension': {
+        const result = node.type === 'ListComprehension' ? [] : {};
+        yield* this.evaluateResumableComprehension(node, 0, result);
+        return result;
+      }
       case 'BinaryExpression':
-        return this.evaluateBinaryExpression(node);
-      case 'UnaryExpression':
-        return this.evaluateUnaryExpression(node);
-      case 'CallExpression':
-        return this.evaluateCallExpression(node);
-      case 'IndexExpression':
-        return this.evaluateIndexExpression(node);
-      case 'MemberExpression':
-        return this.evaluateMemberExpression(node);
-      case 'Identifier':
-        return this.evaluateIdentifier(node);
-      case 'Literal':
-        return node.value;
-      case 'ArrayLiteral':
-        return this.evaluateArrayLiteral(node);
-      case 'ObjectLiteral':
-        return this.evaluateObjectLiteral(node);
+        if (['and', 'or', '&&', '||', '??'].includes(node.operator)) {
+          const left = yield* this.evaluateResumable(node.left);
+          if (node.operator === '??' ? left != null : ['and', '&&'].includes(node.operator) ? !left : left) {
+            return left;
+          }
+          return yield* this.evaluateResumable(node.right);
+        }
+        if (['is', 'is not'].includes(node.operator)) {
+          const left = yield* this.evaluateResumable(node.left);
+          return this.evaluateNode({ ...node, left: { type: 'Literal', value: left } });
+        }
+        return this.evaluateNode(yield* this.resolveChildren(node));
+      case 'ConditionalExpression': {
+        const test = yield* this.evaluateResumable(node.test);
+        return yield* this.evaluateResumable(test ? node.consequent : node.alternate);
+      }
+      case 'OptionalChain':
+        try {
+          return yield* this.evaluateResumable(node.expression);
+        } catch (error) {
+          if (error instanceof ShortCircuitException) {
+            return null;
+          }
+          throw error;
+        }
       default:
-        throw new Error(`Unknown node type: ${node.type}`);
-    }
-  }
-
-  evaluateProgram(node) {
-    let result = null;
-    for (const statement of node.statements) {
-      result = this.evaluateNode(statement);
+        return this.evaluateNode(yield* this.resolveChildren(node));
     }
-    return result;
-  }
-
-  evaluateVariableDeclaration(node) {
-    const value = node.initializer ? this.evaluateNode(node.initializer) : null;
-    this.currentScope[node.name] = value;
-    return value;
   }
 
-  evaluateFunctionDeclaration(node) {
-    const func = {
-      type: 'function',
-      parameters: node.parameters,
-      body: node.body,
-      scope: this.currentScope
-    };
-    this.currentScope[node.name] = func;
-    return func;
-  }
-
-  evaluateClassDeclaration(node) {
-    const classObj = {
-      type: 'class',
-      name: node.name,
-      superclass: node.superclass,
-      methods: {},
-      properties: {}
-    };
-
-    const previousScope = this.currentScope;
-    this.currentScope = {};
-
-    for (const method of node.methods) {
-      this.evaluateFunctionDeclaration(method);
-      classObj.methods[method.name] = this.currentScope[method.name];
-    }
+  // Evaluates a node's operands in order and returns a copy of the node with
+  // each operand replaced by a literal holding its value.
+  *resolveChildren(node) {
+    const resolved = { ...node };
+    const resolve = function* (child) {
+      if (child && child.type === 'SpreadElement') {
+        return { ...child, argument: yield* resolve(child.argument) };
+      }
+      if (child && child.type === 'NamedArgument') {
+        return { ...child, value: yield* resolve(child.value) };
+      }
+      return child ? { type: 'Literal', value: yield* this.evaluateResumable(child) } : child;
+    }.bind(this);
 
-    for (const property of node.properties) {
-      this.evaluateVariableDeclaration(property);
-      classObj.properties[property.name] = this.currentScope[property.name];
+    switch (node.type) {
+      case 'Assignment':
+      case 'UpdateExpression': {
+        const key = node.type === 'Assignment' ? 'target' : 'argument';
+        const target = node[key];
+        if (node.value) {
+          resolved.value = yield* resolve(node.value);
+        }
+        if (target.type === 'IndexExpression') {
+          resolved[key] = { ...target, object: yield* resolve(target.object), index: yield* resolve(target.index) };
+        } else if (target.type === 'MemberExpression') {
+          resolved[key] = { ...target, object: yield* resolve(target.object) };
+        }
+        break;
+      }
+      case 'CallExpression':
+        if (node.callee.type === 'MemberExpression') {
+          resolved.callee = { ...node.callee, object: yield* resolve(node.callee.object) };
+        } else {
+          resolved.callee = yield* resolve(node.callee);
+        }
+        resolved.arguments = [];
+        for (const arg of node.arguments) {
+          resolved.arguments.push(yield* resolve(arg));
+        }
+        break;
+      case 'ObjectLiteral':
+        resolved.properties = [];
+        for (const prop of node.properties) {
+          resolved.properties.push(prop.type === 'SpreadElement'
+            ? yield* resolve(prop)
+            : { ...prop, value: yield* resolve(prop.value) });
+        }
+        break;
+      default:
+        for (const key of RESUMABLE_OPERANDS[node.type] || []) {
+          if (Array.isArray(node[key])) {
+            resolved[key] = [];
+            for (const child of node[key]) {
+              resolved[key].push(yield* resolve(child));
+            }
+          } else {
+            resolved[key] = yield* resolve(node[key]);
+          }
+        }
     }
 
-    this.currentScope = previousScope;
-    this.currentScope[node.name] = classObj;
-    return classObj;
+    return resolved;
   }
 
-  evaluateImportStatement(node) {
-    const module = this.runtime.loadModule(node.source);
-    for (const spec of node.specifiers) {
-      if (spec.name === '*') {
-        Object.assign(this.currentScope, module);
-      } else {
-        this.currentScope[spec.alias] = module[spec.name];
-      }
+  *evaluateResumableBlock(statements) {
+    let result = null;
+    for (const statement of statements) {
+      this.step();
+      result = yield* this.evaluateResumable(statement);
     }
-    return module;
+    return result;
   }
 
-  evaluateTryStatement(node) {
+  *evaluateResumableScopedBlock(statements, bindings = {}) {
+    const previousScope = this.currentScope;
+    this.currentScope = Object.assign(Object.create(previousScope), bindings);
     try {
-      return this.evaluateBlock(node.tryBlock);
-    } catch (error) {
-      if (node.catchClause) {
-        const previousScope = this.currentScope;
-        this.currentScope = Object.create(this.currentScope);
-        if (node.catchClause.parameter) {
-          this.currentScope[node.catchClause.parameter] = error;
-        }
-        const result = this.evaluateBlock(node.catchClause.body);
-        this.currentScope = previousScope;
-        return result;
-      } else {
-        throw error;
-      }
+      return yield* this.evaluateResumableBlock(statements);
     } finally {
-      if (node.finallyBlock) {
-        this.evaluateBlock(node.finallyBlock);
-      }
+      this.currentScope = previousScope;
     }
   }
 
-  evaluateIfStatement(node) {
-    if (this.evaluateNode(node.condition)) {
-      return this.evaluateBlock(node.thenBranch);
+  *evaluateResumableIf(node) {
+    if (yield* this.evaluateResumable(node.condition)) {
+      return yield* this.evaluateResumableScopedBlock(node.thenBranch);
     }
 
     for (const elif of node.elifBranches || []) {
-      if (this.evaluateNode(elif.condition)) {
-        return this.evaluateBlock(elif.body);
+      if (yield* this.evaluateResumable(elif.condition)) {
+        return yield* this.evaluateResumableScopedBlock(elif.body);
       }
     }
 
     if (node.elseBranch) {
-      return this.evaluateBlock(node.elseBranch);
+      return yield* this.evaluateResumableScopedBlock(node.elseBranch);
     }
 
     return null;
   }
 
-  evaluateWhileStatement(node) {
-    let result = null;
-    let iterations = 0;
-    const maxIterations = 1000000;
+  *evaluateResumableMatch(node) {
+    const value = yield* this.evaluateResumable(node.subject);
 
-    while (this.evaluateNode(node.condition)) {
-      if (iterations++ > maxIterations) {
-        throw new Error('Infinite loop detected');
+    for (const matchCase of node.cases) {
+      const bindings = {};
+      if (!this.matchPattern(matchCase.pattern, value, bindings)) continue;
+
+      const previousScope = this.currentScope;
+      this.currentScope = Object.assign(Object.create(this.currentScope), bindings);
+
+      try {
+        if (matchCase.guard && !(yield* this.evaluateResumable(matchCase.guard))) continue;
+        return matchCase.expression
+          ? yield* this.evaluateResumable(matchCase.body)
+          : yield* this.evaluateResumableBlock(matchCase.body);
+      } finally {
+        this.currentScope = previousScope;
       }
+    }
+
+    if (node.type === 'MatchExpression') {
+      throw new Error(`No match case for value: ${JSON.stringify(value)}`);
+    }
+    return null;
+  }
+
+  *evaluateResumableWhile(node) {
+    let result = null;
+    while (yield* this.evaluateResumable(node.condition)) {
+      this.step();
 
       try {
-        result = this.evaluateBlock(node.body);
+        result = yield* this.evaluateResumableScopedBlock(node.body);
       } catch (error) {
         if (error instanceof BreakException) break;
         if (error instanceof ContinueException) continue;
@@ -213,161 +2227,267 @@ class Evaluator {
     return result;
   }
 
-  evaluateForStatement(node) {
-    const start = this.evaluateNode(node.start);
-    const end = this.evaluateNode(node.end);
-    const step = this.evaluateNode(node.step);
+  *evaluateResumableFor(node) {
+    let iterations;
+    let bind;
 
-    let result = null;
-    const previousScope = this.currentScope;
-    this.currentScope = Object.create(this.currentScope);
+    if (node.type === 'ForStatement') {
+      const start = yield* this.evaluateResumable(node.start);
+      const end = yield* this.evaluateResumable(node.end);
+      const step = yield* this.evaluateResumable(node.step);
+      iterations = this.countValues(start, end, step);
+      bind = value => ({ [node.iterator]: value });
+    } else {
+      const iterable = node.iterable.type === 'RangeExpression'
+        ? yield* this.resolveChildren(node.iterable)
+        : { type: 'Literal', value: yield* this.evaluateResumable(node.iterable) };
+      iterations = this.iterationValues(iterable, node.variables.length);
+      bind = values => this.loopBindings(node.variables, values);
+    }
 
-    for (let i = start; i <= end; i += step) {
-      this.currentScope[node.iterator] = i;
+    let result = null;
+    for (const value of iterations) {
+      this.step();
+      const previousScope = this.currentScope;
+      this.currentScope = Object.assign(Object.create(previousScope), bind(value));
 
       try {
-        result = this.evaluateBlock(node.body);
+        result = yield* this.evaluateResumableBlock(node.body);
       } catch (error) {
         if (error instanceof BreakException) break;
-        if (error instanceof ContinueException) continue;
-        throw error;
+        if (!(error instanceof ContinueException)) throw error;
+      } finally {
+        this.currentScope = previousScope;
       }
     }
 
-    this.currentScope = previousScope;
     return result;
   }
 
-  evaluateReturnStatement(node) {
-    const value = node.value ? this.evaluateNode(node.value) : null;
-    throw new ReturnException(value);
-  }
-
-  evaluateBlock(statements) {
-    let result = null;
-    for (const statement of statements) {
-      result = this.evaluateNode(statement);
+  // Counted one at a time, as the loop takes them, like the sync loop: a
+  // range of a billion, or a step that never reaches the end, is stopped by
+  // the step limit rather than filling memory first.
+  *countValues(start, end, step) {
+    for (let i = start; i <= end; i += step) {
+      yield i;
     }
-    return result;
   }
 
-  evaluateAssignment(node) {
-    const value = this.evaluateNode(node.value);
-
-    if (node.target.type === 'Identifier') {
-      const name = node.target.name;
-
-      if (node.operator === '=') {
-        this.currentScope[name] = value;
+  *evaluateResumableComprehension(node, index, result) {
+    if (index === node.clauses.length) {
+      if (node.type === 'ListComprehension') {
+        result.push(yield* this.evaluateResumable(node.element));
+        this.checkSize(result);
       } else {
-        const current = this.currentScope[name] || 0;
-        switch (node.operator) {
-          case '+=': this.currentScope[name] = current + value; break;
-          case '-=': this.currentScope[name] = current - value; break;
-          case '*=': this.currentScope[name] = current * value; break;
-          case '/=': this.currentScope[name] = current / value; break;
-        }
+        const key = yield* this.evaluateResumable(node.key);
+        result[key] = yield* this.evaluateResumable(node.value);
       }
-
-      return this.currentScope[name];
+      return;
     }
 
-    if (node.target.type === 'IndexExpression') {
-      const object = this.evaluateNode(node.target.object);
-      const index = this.evaluateNode(node.target.index);
-      object[index] = value;
-      return value;
+    const clause = node.clauses[index];
+    const iterable = clause.iterable.type === 'RangeExpression'
+      ? yield* this.resolveChildren(clause.iterable)
+      : { type: 'Literal', value: yield* this.evaluateResumable(clause.iterable) };
+    for (const values of this.iterationValues(iterable, clause.variables.length)) {
+      this.step();
+      const previousScope = this.currentScope;
+      this.currentScope = Object.assign(Object.create(previousScope), this.loopBindings(clause.variables, values));
+      try {
+        let included = true;
+        for (const condition of clause.conditions) {
+          if (!(yield* this.evaluateResumable(condition))) {
+            included = false;
+            break;
+          }
+        }
+        if (included) {
+          yield* this.evaluateResumableComprehension(node, index + 1, result);
+        }
+      } finally {
+        this.currentScope = previousScope;
+      }
     }
+  }
 
-    if (node.target.type === 'MemberExpression') {
-      const object = this.evaluateNode(node.target.object);
-      object[node.target.property] = value;
-      return value;
+  *evaluateResumableTry(node) {
+    try {
+      return yield* this.evaluateResumableScopedBlock(node.tryBlock);
+    } catch (error) {
+      const clause = this.findCatchClause(node, error);
+      if (!clause) {
+        throw error;
+      }
+      return yield* this.evaluateResumableScopedBlock(clause.body, this.catchBindings(clause, error));
+    } finally {
+      if (node.finallyBlock) {
+        yield* this.evaluateResumableScopedBlock(node.finallyBlock);
+      }
     }
-
-    throw new Error('Invalid assignment target');
   }
 
-  evaluateBinaryExpression(node) {
-    const left = this.evaluateNode(node.left);
-    const right = this.evaluateNode(node.right);
+  canSuspend(node) {
+    if (!node || typeof node !== 'object') return false;
+    if (Array.isArray(node)) {
+      return node.some(child => this.canSuspend(child));
+    }
+    if (['Literal', 'Lambda', 'FunctionDeclaration', 'ClassDeclaration', 'StructDeclaration', 'EnumDeclaration', 'InterfaceDeclaration'].includes(node.type)) {
+      return false;
+    }
+    if (node.type === 'AwaitExpression' || node.type === 'YieldExpression') return true;
 
-    switch (node.operator) {
-      case '+': return left + right;
-      case '-': return left - right;
-      case '*': return left * right;
-      case '/': return left / right;
-      case '%': return left % right;
-      case '==': return left == right;
-      case '!=': return left != right;
-      case '<': return left < right;
-      case '<=': return left <= right;
-      case '>': return left > right;
-      case '>=': return left >= right;
-      case 'and': case '&&': return left && right;
-      case 'or': case '||': return left || right;
-      default:
-        throw new Error(`Unknown binary operator: ${node.operator}`);
+    if (this.suspendCache.has(node)) {
+      return this.suspendCache.get(node);
     }
+    const result = Object.keys(node).some(key => key !== 'block' && this.canSuspend(node[key]));
+    this.suspendCache.set(node, result);
+    return result;
   }
 
-  evaluateUnaryExpression(node) {
-    const operand = this.evaluateNode(node.operand);
-
-    switch (node.operator) {
-      case '-': return -operand;
-      case '+': return +operand;
-      case 'not': case '!': return !operand;
-      default:
-        throw new Error(`Unknown unary operator: ${node.operator}`);
+  // A host function can grow the array it is called on or passed, as
+  // push() does, so those are checked along with its result.
+  callNative(func, thisArg, args) {
+    const result = func.apply(thisArg, this.nativeArguments(args));
+    if (this.limits) {
+      [thisArg, ...args].forEach(value => this.limits.checkSize(value));
+      this.limits.checkSize(result);
     }
+    return this.fromNative(result);
   }
 
-  evaluateCallExpression(node) {
-    const callee = this.evaluateNode(node.callee);
-    const args = node.arguments.map(arg => this.evaluateNode(arg));
+  // Host functions get keyword arguments as a trailing options object.
+  nativeArguments(args) {
+    return args.map(arg => {
+      if (!(arg instanceof KeywordArguments)) {
+        return this.toNative(arg);
+      }
+      const options = {};
+      for (const [name, value] of Object.entries(arg.values)) {
+        options[name] = this.toNative(value);
+      }
+      return options;
+    });
+  }
 
-    if (typeof callee === 'function') {
-      return callee(...args);
+  toNative(value) {
+    if (value && typeof value === 'object' && value.type === 'function') {
+      return this.wrapFunction(value);
     }
+    return value;
+  }
 
-    if (callee.type === 'function') {
-      const previousScope = this.currentScope;
-      this.currentScope = Object.create(callee.scope);
-
-      for (let i = 0; i < callee.parameters.length; i++) {
-        this.currentScope[callee.parameters[i]] = args[i];
-      }
+  fromNative(value) {
+    if (typeof value === 'function' && value.lumosFunction) {
+      return value.lumosFunction;
+    }
+    return value;
+  }
 
-      try {
-        this.evaluateBlock(callee.body);
-        this.currentScope = previousScope;
-        return null;
-      } catch (error) {
-        this.currentScope = previousScope;
-        if (error instanceof ReturnException) {
-          return error.value;
+  wrapFunction(func) {
+    let wrapper = this.nativeWrappers.get(func);
+    if (!wrapper) {
+      const evaluator = this;
+      // Hosts pass callbacks extra arguments (map passes the index and the
+      // array), which are dropped as JavaScript would.
+      wrapper = function (...args) {
+        const passed = (func.restParameter ? args : args.slice(0, func.parameters.length)).map(arg => evaluator.fromNative(arg));
+        if (evaluator.running === 0) {
+          return evaluator.runCallback(func, passed);
         }
-        throw error;
-      }
+        return evaluator.toNative(evaluator.callFunction(func, passed));
+      };
+      const label = inspectFunction.call(func);
+      Object.defineProperties(wrapper, {
+        lumosFunction: { value: func },
+        toString: { value: () => label },
+        [util.inspect.custom]: { value: () => label }
+      });
+      this.nativeWrappers.set(func, wrapper);
     }
+    return wrapper;
+  }
 
-    throw new Error('Not a function');
+  // A callback the host calls once the run has returned, from a timer or a
+  // promise, has no run to raise into. Its errors go to onCallbackError when
+  // a runner has set one, and to the host otherwise.
+  runCallback(func, args) {
+    const failed = error => {
+      if (!this.onCallbackError) throw error;
+      this.onCallbackError(error);
+      return null;
+    };
+
+    this.running++;
+    try {
+      const result = this.toNative(this.callFunction(func, args));
+      return result instanceof Promise ? result.catch(failed) : result;
+    } catch (error) {
+      return failed(error);
+    } finally {
+      this.running--;
+    }
   }
 
   evaluateIndexExpression(node) {
     const object = this.evaluateNode(node.object);
+    if (node.optional && object == null) {
+      throw new ShortCircuitException();
+    }
     const index = this.evaluateNode(node.index);
+    this.checkProperty(index);
     return object[index];
   }
 
   evaluateMemberExpression(node) {
     const object = this.evaluateNode(node.object);
-    return object[node.property];
+    if (node.optional && object == null) {
+      throw new ShortCircuitException();
+    }
+    return this.getMember(object, node.property);
+  }
+
+  getMember(object, property) {
+    this.checkProperty(property);
+    if (object === null || object === undefined) {
+      throw new TypeError(`Cannot read property '${property}' of ${object}`);
+    }
+
+    if (object.type === 'super') {
+      const method = object.classObj && this.findMethod(object.classObj, property);
+      if (!method) {
+        throw new Error(`Superclass has no method '${property}'`);
+      }
+      return this.bindMethod(method, object.thisValue);
+    }
+
+    if (object.type === 'class' && object.kind === 'enum') {
+      if (!Object.prototype.hasOwnProperty.call(object.variants, property)) {
+        throw new TypeError(`Enum ${object.name} has no variant '${property}'`);
+      }
+      return object.variants[property];
+    }
+
+    if (object.__class__ && !Object.prototype.hasOwnProperty.call(object, property)) {
+      const method = this.findMethod(object.__class__, property);
+      if (method) {
+        return this.bindMethod(method, object);
+      }
+    }
+
+    if (object[property] === undefined) {
+      const kind = Array.isArray(object) ? 'array' : typeof object;
+      const methods = INTRINSIC_METHODS[kind];
+      if (methods && Object.prototype.hasOwnProperty.call(methods, property)) {
+        return methods[property];
+      }
+    }
+
+    return object[property];
   }
 
   evaluateIdentifier(node) {
     const name = node.name;
+    this.checkName(name);
 
     if (name in this.currentScope) {
       return this.currentScope[name];
@@ -385,24 +2505,93 @@ class Evaluator {
       return this.globalScope[name];
     }
 
-    if (name in this.runtime.builtins) {
+    if (this.runtime.hasBuiltin(name)) {
       return this.runtime.builtins[name];
     }
 
     throw new Error(`Undefined variable: ${name}`);
   }
 
+  evaluateInterpolatedString(node) {
+    return this.checkSize(node.parts.map(part => this.stringify(this.evaluateNode(part))).join(''));
+  }
+
+  // Instances format through their class's toString method when it has one.
+  stringify(value) {
+    if (value && typeof value === 'object' && value.__class__) {
+      const method = this.findMethod(value.__class__, 'toString');
+      if (method) {
+        return String(this.callFunction(this.bindMethod(method, value), []));
+      }
+    }
+    if (value && typeof value === 'object' && value.__variant__) {
+      return this.formatVariant(value);
+    }
+    if (value && typeof value === 'object' && value.type === 'function') {
+      return `[Function ${value.name || 'anonymous'}]`;
+    }
+    return String(value);
+  }
+
   evaluateArrayLiteral(node) {
-    return node.elements.map(el => this.evaluateNode(el));
+    return this.evaluateElements(node.elements);
+  }
+
+  // Evaluates argument or element lists, expanding `...iterable` in place.
+  evaluateElements(nodes) {
+    const values = [];
+    for (const node of nodes) {
+      if (node.type === 'SpreadElement') {
+        values.push(...this.spreadValues(this.evaluateNode(node.argument)));
+      } else {
+        values.push(this.evaluateNode(node));
+      }
+    }
+    return this.checkSize(values);
+  }
+
+  evaluateArguments(nodes) {
+    const args = this.evaluateElements(nodes.filter(node => node.type !== 'NamedArgument'));
+    const named = nodes.filter(node => node.type === 'NamedArgument');
+    if (named.length > 0) {
+      const values = {};
+      for (const node of named) {
+        values[node.name] = this.evaluateNode(node.value);
+      }
+      args.push(new KeywordArguments(values));
+    }
+    return args;
+  }
+
+  spreadValues(value) {
+    const iterator = this.iteratorOf(value);
+    if (iterator) {
+      return Array.from(iterator);
+    }
+    if (value === null || value === undefined || typeof value[Symbol.iterator] !== 'function') {
+      throw new TypeError(`Cannot spread ${value === null ? 'null' : typeof value}, expected an array, string or other iterable`);
+    }
+    return Array.from(value);
   }
 
   evaluateObjectLiteral(node) {
     const obj = {};
     for (const prop of node.properties) {
-      obj[prop.key] = this.evaluateNode(prop.value);
+      if (prop.type === 'SpreadElement') {
+        const value = this.evaluateNode(prop.argument);
+        if (value !== null && value !== undefined) {
+          Object.assign(obj, value);
+        }
+      } else {
+        this.checkProperty(prop.key);
+        obj[prop.key] = this.evaluateNode(prop.value);
+      }
     }
     return obj;
   }
 }
 
 module.exports = Evaluator;
+// The VM jumps for its own loops and returns, but meets these when a node it
+// leaves to the tree walker breaks, continues or returns.
+Object.assign(module.exports, { BreakException, ContinueException, ReturnException, TailCallException });
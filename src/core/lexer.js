@@ -1,3 +1,5 @@
+const { LumosSyntaxError } = require('./errors');
+
 class Token {
   constructor(type, value, line, column) {
     this.type = type;
@@ -8,11 +10,11 @@ class Token {
 }
 
 class Lexer {
-  constructor(input) {
+  constructor(input, line = 1, column = 1) {
     this.input = input;
     this.position = 0;
-    this.line = 1;
-    this.column = 1;
+    this.line = line;
+    this.column = column;
     this.tokens = [];
   }
 
@@ -24,6 +26,12 @@ class Lexer {
 
       const char = this.current();
 
+      if (char === 'r' && ['"', "'"].includes(this.peek())) {
+        this.advance();
+        this.tokens.push(this.readString(this.current(), true));
+        continue;
+      }
+
       if (this.isLetter(char)) {
         this.tokens.push(this.readIdentifierOrKeyword());
         continue;
@@ -34,7 +42,7 @@ class Lexer {
         continue;
       }
 
-      if (char === '"' || char === "'") {
+      if (char === '"' || char === "'" || char === '`') {
         this.tokens.push(this.readString(char));
         continue;
       }
@@ -55,7 +63,7 @@ class Lexer {
         continue;
       }
 
-      throw new Error(`Unexpected character '${char}' at line ${this.line}, column ${this.column}`);
+      throw new LumosSyntaxError(`Unexpected character '${char}'`, this.line, this.column);
     }
 
     this.tokens.push(new Token('EOF', null, this.line, this.column));
@@ -133,7 +141,7 @@ class Lexer {
       'let', 'const', 'var', 'def', 'function', 'return',
       'if', 'else', 'elsif', 'elif', 'while', 'for', 'do', 'end',
       'break', 'continue', 'times', 'to', 'in', 'of',
-      'class', 'struct', 'interface', 'trait', 'module',
+      'class', 'struct', 'interface', 'trait', 'module', 'enum', 'implements',
       'import', 'export', 'from', 'as', 'with',
       'try', 'catch', 'finally', 'throw', 'raise',
       'true', 'false', 'null', 'nil', 'undefined',
@@ -173,41 +181,139 @@ class Lexer {
     }
 
     const value = this.input.substring(start, this.position);
-    return new Token('NUMBER', parseFloat(value), startLine, startColumn);
+    const token = new Token('NUMBER', parseFloat(value), startLine, startColumn);
+    token.raw = value;
+    return token;
   }
 
-  readString(quote) {
+  // Reads '...', "...", `...` and triple-quoted strings, raw when prefixed
+  // with r. Double-quoted, backtick and triple-quoted strings interpolate
+  // ${expr}; those produce a TEMPLATE token whose value lists the text and
+  // the tokens of each embedded expression.
+  readString(quote, raw = false) {
     const startLine = this.line;
-    const startColumn = this.column;
-    this.advance();
+    const startColumn = raw ? this.column - 1 : this.column;
+    const triple = quote !== '`' && this.peek() === quote && this.peek(2) === quote;
+    const interpolates = !raw && quote !== "'";
+    const delimiter = triple ? quote.repeat(3) : quote;
+    for (let i = 0; i < delimiter.length; i++) {
+      this.advance();
+    }
 
+    const parts = [];
     let value = '';
-    while (this.position < this.input.length && this.current() !== quote) {
-      if (this.current() === '\\') {
-        this.advance();
-        const escapeChar = this.current();
-        const escapeMap = {
-          'n': '\n',
-          't': '\t',
-          'r': '\r',
-          '\\': '\\',
-          '"': '"',
-          "'": "'"
-        };
-        value += escapeMap[escapeChar] || escapeChar;
-        this.advance();
+    while (this.position < this.input.length && !this.input.startsWith(delimiter, this.position)) {
+      if (this.current() === '\\' && !raw) {
+        value += this.readEscape();
+      } else if (interpolates && this.current() === '$' && this.peek() === '{') {
+        parts.push(value, this.readInterpolation());
+        value = '';
       } else {
-        value += this.current();
-        this.advance();
+        value += this.advance();
+      }
+    }
+
+    if (!this.input.startsWith(delimiter, this.position)) {
+      throw new LumosSyntaxError('Unterminated string', startLine, startColumn);
+    }
+    for (let i = 0; i < delimiter.length; i++) {
+      this.advance();
+    }
+
+    parts.push(value);
+    if (triple) {
+      this.dedent(parts);
+    }
+    if (parts.length === 1) {
+      return new Token('STRING', parts[0], startLine, startColumn);
+    }
+    return new Token('TEMPLATE', parts.filter(part => part !== ''), startLine, startColumn);
+  }
+
+  readEscape() {
+    const line = this.line;
+    const column = this.column;
+    this.advance();
+    const escapeChar = this.advance();
+
+    if (escapeChar === 'u' && this.current() === '{') {
+      this.advance();
+      let hex = '';
+      while (this.position < this.input.length && this.current() !== '}') {
+        hex += this.advance();
       }
+      this.advance();
+      const codePoint = parseInt(hex, 16);
+      if (!/^[0-9a-fA-F]{1,6}$/.test(hex) || codePoint > 0x10FFFF) {
+        throw new LumosSyntaxError(`Invalid unicode escape \\u{${hex}}`, line, column);
+      }
+      return String.fromCodePoint(codePoint);
     }
 
-    if (this.current() !== quote) {
-      throw new Error(`Unterminated string at line ${startLine}, column ${startColumn}`);
+    const escapeMap = {
+      'n': '\n',
+      't': '\t',
+      'r': '\r',
+      '0': '\0'
+    };
+    return escapeMap[escapeChar] || escapeChar;
+  }
+
+  // Lexes the expression inside ${...} with a nested lexer so its tokens
+  // keep their real line and column.
+  readInterpolation() {
+    this.advance();
+    this.advance();
+    const line = this.line;
+    const column = this.column;
+    const start = this.position;
+
+    let depth = 0;
+    while (this.position < this.input.length) {
+      const char = this.current();
+      if (char === '}' && depth === 0) break;
+      if (char === '{') depth++;
+      if (char === '}') depth--;
+      if (char === '"' || char === "'" || char === '`') {
+        this.readString(char);
+        continue;
+      }
+      this.advance();
     }
 
+    if (this.current() !== '}') {
+      throw new LumosSyntaxError('Unterminated ${ in string', line, column - 2);
+    }
+    const source = this.input.substring(start, this.position);
     this.advance();
-    return new Token('STRING', value, startLine, startColumn);
+
+    const tokens = new Lexer(source, line, column).tokenize();
+    if (tokens.length === 1) {
+      throw new LumosSyntaxError('Empty ${} in string', line, column - 2);
+    }
+    return { tokens };
+  }
+
+  // Triple-quoted strings drop the line break after the opening quotes and
+  // the indentation shared by every line.
+  dedent(parts) {
+    parts[0] = parts[0].replace(/^[ \t]*\r?\n/, '');
+    const last = parts.length - 1;
+    parts[last] = parts[last].replace(/\r?\n[ \t]*$/, '');
+
+    const text = parts.map(part => typeof part === 'string' ? part : '$').join('');
+    const indents = text.split('\n')
+      .filter(line => /\S/.test(line))
+      .map(line => line.match(/^[ \t]*/)[0].length);
+    const indent = indents.length > 0 ? Math.min(...indents) : 0;
+    if (indent === 0) return;
+
+    const pattern = new RegExp(`(^|\\n)[ \\t]{0,${indent}}`, 'g');
+    for (let i = 0; i < parts.length; i++) {
+      if (typeof parts[i] === 'string') {
+        parts[i] = parts[i].replace(pattern, (match, lineStart) => i > 0 && lineStart === '' ? match : lineStart);
+      }
+    }
   }
 
   readOperator() {
@@ -220,9 +326,25 @@ class Lexer {
       '==': 'EQ', '!=': 'NEQ', '<=': 'LTE', '>=': 'GTE',
       '&&': 'AND', '||': 'OR', '++': 'INCREMENT', '--': 'DECREMENT',
       '+=': 'PLUS_ASSIGN', '-=': 'MINUS_ASSIGN', '*=': 'MULT_ASSIGN', '/=': 'DIV_ASSIGN',
-      '=>': 'ARROW', '->': 'ARROW', '::': 'SCOPE', '..': 'RANGE'
+      '=>': 'ARROW', '->': 'ARROW', '::': 'SCOPE', '..': 'RANGE',
+      '??': 'NULLISH', '?.': 'OPTIONAL', '%=': 'MOD_ASSIGN', '**': 'POWER',
+      '<<': 'SHIFT_LEFT', '>>': 'SHIFT_RIGHT', '&=': 'AND_ASSIGN', '|=': 'OR_ASSIGN',
+      '^=': 'XOR_ASSIGN', '|>': 'PIPELINE'
     };
 
+    const threeCharOps = {
+      '...': 'SPREAD', '===': 'STRICT_EQ', '!==': 'STRICT_NEQ', '**=': 'POWER_ASSIGN',
+      '<<=': 'SHIFT_LEFT_ASSIGN', '>>=': 'SHIFT_RIGHT_ASSIGN'
+    };
+
+    const threeChar = this.input.slice(this.position, this.position + 3);
+    if (threeCharOps[threeChar]) {
+      this.advance();
+      this.advance();
+      this.advance();
+      return new Token(threeCharOps[threeChar], threeChar, startLine, startColumn);
+    }
+
     const twoChar = char + next;
     if (twoCharOps[twoChar]) {
       this.advance();
@@ -236,7 +358,7 @@ class Lexer {
       '(': 'LPAREN', ')': 'RPAREN', '{': 'LBRACE', '}': 'RBRACE',
       '[': 'LBRACKET', ']': 'RBRACKET', ',': 'COMMA', ';': 'SEMICOLON',
       ':': 'COLON', '.': 'DOT', '|': 'PIPE', '&': 'AMPERSAND',
-      '^': 'XOR', '~': 'TILDE', '?': 'QUESTION'
+      '^': 'XOR', '~': 'TILDE', '?': 'QUESTION', '@': 'AT'
     };
 
     if (oneCharOps[char]) {
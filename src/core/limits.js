@@ -0,0 +1,132 @@
+const { LimitExceeded } = require('./errors');
+
+const LIMIT_NAMES = ['maxSteps', 'timeoutMs', 'maxMemory', 'maxArrayLength', 'maxStringLength'];
+
+// The clock and the heap are read once every this many steps.
+const CHECK_INTERVAL = 1000;
+
+// What an array element or a string character is taken to cost, and the
+// size of value past which the heap is read as soon as one is built.
+const ELEMENT_BYTES = 8;
+const CHARACTER_BYTES = 2;
+const SAMPLE_BYTES = 64 * 1024;
+
+// The resources one run of a program may use. A step is a statement, a
+// loop iteration or a function call; the evaluator takes one at each, and
+// the clock and heap are checked along the way. Arrays and strings are
+// checked as the program builds them. A limit that is not set is not
+// enforced.
+class Limits {
+  // Null when none of the options sets a limit, so that an unlimited run
+  // does no counting at all.
+  static create(options = {}) {
+    const limits = {};
+    for (const [name, value] of Object.entries(options)) {
+      if (!LIMIT_NAMES.includes(name)) {
+        throw new Error(`Unknown limit '${name}'; the limits are ${LIMIT_NAMES.join(', ')}`);
+      }
+      if (value === undefined || value === null) continue;
+      if (typeof value !== 'number' || !(value > 0)) {
+        throw new Error(`The ${name} limit must be a positive number, not ${value}`);
+      }
+      limits[name] = value;
+    }
+    return Object.keys(limits).length > 0 ? new Limits(limits) : null;
+  }
+
+  constructor(options) {
+    this.maxSteps = options.maxSteps ?? Infinity;
+    this.timeoutMs = options.timeoutMs ?? Infinity;
+    this.maxMemory = options.maxMemory ?? Infinity;
+    this.maxArrayLength = options.maxArrayLength ?? Infinity;
+    this.maxStringLength = options.maxStringLength ?? Infinity;
+    this.steps = 0;
+    this.startedAt = Date.now();
+    this.heapBase = this.maxMemory === Infinity ? 0 : process.memoryUsage().heapUsed;
+    this.nextSample = SAMPLE_BYTES;
+  }
+
+  step() {
+    if (++this.steps > this.maxSteps) {
+      throw new LimitExceeded('maxSteps', this.maxSteps, `Step limit of ${this.maxSteps} exceeded`);
+    }
+    if (this.steps % CHECK_INTERVAL === 0) {
+      this.checkClock();
+    }
+  }
+
+  // A call is a step too. One call can stand for a lot of host work, as a
+  // builtin running a callback over a long list does, so the clock is read
+  // at every call rather than every CHECK_INTERVAL steps.
+  call() {
+    this.step();
+    if (this.timeoutMs !== Infinity && this.timeLeft() < 0) {
+      throw this.timeoutError();
+    }
+  }
+
+  checkClock() {
+    if (this.timeLeft() < 0) {
+      throw this.timeoutError();
+    }
+    this.checkMemory();
+  }
+
+  checkMemory() {
+    if (this.maxMemory !== Infinity && process.memoryUsage().heapUsed - this.heapBase > this.maxMemory) {
+      throw this.memoryError();
+    }
+  }
+
+  memoryError() {
+    return new LimitExceeded('maxMemory', this.maxMemory, `Memory limit of ${this.maxMemory} bytes exceeded`);
+  }
+
+  // Milliseconds until the time limit, which are Infinity without one.
+  timeLeft() {
+    return this.startedAt + this.timeoutMs - Date.now();
+  }
+
+  timeoutError() {
+    return new LimitExceeded('timeoutMs', this.timeoutMs, `Time limit of ${this.timeoutMs} ms exceeded`);
+  }
+
+  checkSize(value) {
+    if (typeof value === 'string') {
+      this.checkStringLength(value.length);
+      this.checkValueMemory(value.length * CHARACTER_BYTES);
+    } else if (Array.isArray(value)) {
+      this.checkArrayLength(value.length);
+      this.checkValueMemory(value.length * ELEMENT_BYTES);
+    }
+  }
+
+  // A value that alone is over the memory limit fails at once; the host
+  // may not even manage to build the next one, as doubling a string soon
+  // runs past the longest string it allows. Each time a value twice the
+  // size of the last one sampled is built, the heap is read too.
+  checkValueMemory(bytes) {
+    if (this.maxMemory === Infinity) return;
+    if (bytes > this.maxMemory) {
+      throw this.memoryError();
+    }
+    if (bytes >= this.nextSample) {
+      this.nextSample = bytes * 2;
+      this.checkMemory();
+    }
+  }
+
+  checkArrayLength(length) {
+    if (length > this.maxArrayLength) {
+      throw new LimitExceeded('maxArrayLength', this.maxArrayLength, `Array length limit of ${this.maxArrayLength} exceeded`);
+    }
+  }
+
+  checkStringLength(length) {
+    if (length > this.maxStringLength) {
+      throw new LimitExceeded('maxStringLength', this.maxStringLength, `String length limit of ${this.maxStringLength} exceeded`);
+    }
+  }
+}
+
+module.exports = Limits;
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const Lexer = require('./lexer');
+const Parser = require('./parser');
+const { LumosError } = require('./errors');
+
+const EXTENSION = '.lumos';
+const PACKAGE_DIRECTORY = 'lumos_modules';
+const ROOT_MARKER = 'lumos.json';
+
+// Turns import specifiers into Lumos source files. Relative specifiers are
+// resolved from the importing file. Bare ones are looked up in each
+// lumos_modules directory from the importer up to the project root, then in
+// the root itself; when none has the module it is left to the host.
+class ModuleResolver {
+  constructor(root) {
+    this.root = root;
+  }
+
+  // The nearest directory holding a lumos.json, or `start` itself.
+  static findRoot(start) {
+    for (let dir = path.resolve(start); ; dir = path.dirname(dir)) {
+      if (fs.existsSync(path.join(dir, ROOT_MARKER))) return dir;
+      if (path.dirname(dir) === dir) return path.resolve(start);
+    }
+  }
+
+  // The absolute path of a Lumos module, or null for a host module.
+  resolve(specifier, importer) {
+    const from = importer ? path.dirname(importer) : this.root;
+    if (this.isRelative(specifier)) {
+      const found = this.findFile(path.resolve(from, specifier));
+      if (found) return found;
+      const extension = path.extname(specifier);
+      if (extension && extension !== EXTENSION) return null;
+      throw new LumosError(`Cannot find module '${specifier}' imported from ${this.describe(importer)}`);
+    }
+
+    for (const dir of this.searchPath(from)) {
+      const found = this.findFile(path.join(dir, specifier));
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // Where the host should load a module that is not Lumos source.
+  hostPath(specifier, importer) {
+    if (!this.isRelative(specifier)) return specifier;
+    return path.resolve(importer ? path.dirname(importer) : this.root, specifier);
+  }
+
+  isRelative(specifier) {
+    return /^\.\.?(\/|$)/.test(specifier) || path.isAbsolute(specifier);
+  }
+
+  searchPath(from) {
+    const dirs = [];
+    for (let dir = from; ; dir = path.dirname(dir)) {
+      dirs.push(path.join(dir, PACKAGE_DIRECTORY));
+      if (dir === this.root || path.dirname(dir) === dir) break;
+    }
+    return [...dirs, this.root];
+  }
+
+  findFile(base) {
+    const candidates = [base, `${base}${EXTENSION}`, path.join(base, `index${EXTENSION}`)];
+    return candidates.find(file => file.endsWith(EXTENSION) && fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+  }
+
+  // A module's path from the project root, with forward slashes and no
+  // extension. Compiled modules are named after it.
+  moduleId(file) {
+    const relative = path.relative(this.root, file);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new LumosError(`Module ${file} is outside the project root ${this.root}`);
+    }
+    return relative.slice(0, -EXTENSION.length).split(path.sep).join('/');
+  }
+
+  describe(file) {
+    return file ? path.relative(this.root, file) || path.basename(file) : '<main>';
+  }
+
+  circularImport(stack) {
+    return new LumosError(`Circular import: ${stack.map(file => this.describe(file)).join(' -> ')}`);
+  }
+}
+
+// Errors raised while reading a module remember which file they came from.
+function parseModule(file) {
+  try {
+    const code = fs.readFileSync(file, 'utf8');
+    return new Parser(new Lexer(code).tokenize()).parse();
+  } catch (error) {
+    if (error && typeof error === 'object' && !error.modulePath) {
+      error.modulePath = file;
+    }
+    throw error;
+  }
+}
+
+// Parses an entry file and every Lumos module it imports, dependencies
+// first. Each top-level import of a Lumos module is tagged with that
+// module's id, so backends can name it in their own module system.
+function collectModules(entry, resolver) {
+  const modules = [];
+  const visited = new Set();
+
+  const visit = (file, stack) => {
+    if (stack.includes(file)) {
+      throw resolver.circularImport([...stack.slice(stack.indexOf(file)), file]);
+    }
+    if (visited.has(file)) return;
+
+    const ast = parseModule(file);
+    for (const statement of ast.statements) {
+      if (statement.type !== 'ImportStatement') continue;
+      const dependency = resolver.resolve(statement.source, file);
+      if (dependency) {
+        statement.module = resolver.moduleId(dependency);
+        visit(dependency, [...stack, file]);
+      }
+    }
+    visited.add(file);
+    modules.push({ file, id: resolver.moduleId(file), ast });
+  };
+
+  visit(path.resolve(entry), []);
+  return modules;
+}
+
+module.exports = { ModuleResolver, parseModule, collectModules };
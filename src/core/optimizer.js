@@ -0,0 +1,144 @@
+const { substitute, declaredBy, boundBy } = require('../backends/lowering');
+
+const SIMPLE_ARGUMENTS = ['Literal', 'Identifier'];
+const LOGICAL_OPERATORS = ['and', 'or', '&&', '||', '??'];
+
+// The names an expression reads, or null when it holds a function of its
+// own, whose parameters would shadow the ones substituted.
+function readNames(node, names = new Set()) {
+  if (!node || typeof node !== 'object') return names;
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      if (!readNames(child, names)) return null;
+    }
+    return names;
+  }
+  if (node.type === 'Lambda') return null;
+  if (node.type === 'Identifier') names.add(node.name);
+  for (const key of Object.keys(node)) {
+    if (!readNames(node[key], names)) return null;
+  }
+  return names;
+}
+
+function withNames(names, added) {
+  return added.length === 0 ? names : new Set([...names, ...added]);
+}
+
+// True when part of the expression may not be evaluated.
+function isConditional(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node)) return node.some(isConditional);
+  if (node.type === 'ConditionalExpression' || node.type === 'OptionalChain' ||
+      (node.type === 'BinaryExpression' && LOGICAL_OPERATORS.includes(node.operator))) {
+    return true;
+  }
+  return Object.keys(node).some(key => isConditional(node[key]));
+}
+
+function decoratedWith(node, name) {
+  return (node.decorators || []).some(decorator => decorator.metadata && decorator.name === name);
+}
+
+// Rewrites a program before a backend generates it, when compiling with
+// --optimize. A call to an @inline function is replaced by the expression
+// it returns, and a call to a @pure function whose value is not used is
+// dropped. Only top-level functions are considered, and a call is left as
+// it is when rewriting it could change what its arguments do, or where a
+// parameter, local or loop variable shadows the function or a name its
+// body reads.
+class Optimizer {
+  optimize(program) {
+    const functions = program.statements.filter(statement => statement.type === 'FunctionDeclaration');
+    const topLevel = new Set(functions.map(func => func.name));
+    this.inline = new Map();
+    this.pure = new Set();
+
+    for (const func of functions) {
+      if (decoratedWith(func, 'pure')) {
+        this.pure.add(func.name);
+      }
+      if (decoratedWith(func, 'inline') && this.canInline(func, topLevel)) {
+        this.inline.set(func.name, func);
+      }
+    }
+    return { ...program, statements: this.rewriteAll(program.statements, new Set()) };
+  }
+
+  // The body has to be a single `return` of an expression that reads only
+  // the parameters and other top-level functions.
+  canInline(func, topLevel) {
+    if (func.async || func.generator || func.restParameter || func.blockParameter ||
+        Object.keys(func.defaults || {}).length > 0) {
+      return false;
+    }
+    const [statement] = func.body;
+    if (func.body.length !== 1 || statement.type !== 'ReturnStatement' || !statement.value) {
+      return false;
+    }
+    const names = readNames(statement.value);
+    return names !== null && [...names].every(name => func.parameters.includes(name) || topLevel.has(name));
+  }
+
+  rewriteAll(nodes, shadowed) {
+    return nodes.map(child => this.rewrite(child, shadowed)).filter(child => child !== null);
+  }
+
+  // `shadowed` holds the names bound in the scopes around the node. A
+  // block's declarations shadow from its start, which only ever leaves
+  // more calls alone.
+  rewrite(node, shadowed) {
+    if (Array.isArray(node)) {
+      return this.rewriteAll(node, withNames(shadowed, node.flatMap(declaredBy)));
+    }
+    if (!node || typeof node !== 'object') return node;
+
+    if (node.type === 'ExpressionStatement' && this.isDroppable(node.expression, shadowed)) {
+      return null;
+    }
+    const inner = withNames(shadowed, boundBy(node));
+    const copy = {};
+    for (const key of Object.keys(node)) {
+      copy[key] = key === 'decorators' ? node[key] : this.rewrite(node[key], inner);
+    }
+    return copy.type === 'CallExpression' ? this.inlineCall(copy, inner) : copy;
+  }
+
+  isDroppable(node, shadowed) {
+    return node.type === 'CallExpression' && node.callee.type === 'Identifier' && this.pure.has(node.callee.name) &&
+      !shadowed.has(node.callee.name) && !node.block && node.arguments.every(arg => SIMPLE_ARGUMENTS.includes(arg.type));
+  }
+
+  // Names and literals can be substituted anywhere. Any other argument is
+  // substituted only when it is the only one, and the body uses it exactly
+  // once and unconditionally, so it is still evaluated once and in order.
+  inlineCall(node, shadowed) {
+    const func = node.callee.type === 'Identifier' && !shadowed.has(node.callee.name) && this.inline.get(node.callee.name);
+    if (!func || node.block || node.arguments.length !== func.parameters.length) {
+      return node;
+    }
+    const body = func.body[0].value;
+    if ([...readNames(body)].some(name => !func.parameters.includes(name) && shadowed.has(name))) {
+      return node;
+    }
+    const complex = func.parameters.filter((parameter, index) => !SIMPLE_ARGUMENTS.includes(node.arguments[index].type));
+    if (complex.length > 1 || node.arguments.some(arg => ['SpreadElement', 'NamedArgument'].includes(arg.type)) ||
+        (complex.length === 1 && (isConditional(body) || this.uses(body, complex[0]) !== 1))) {
+      return node;
+    }
+    const bindings = {};
+    func.parameters.forEach((parameter, index) => {
+      bindings[parameter] = node.arguments[index];
+    });
+    return { ...substitute(body, bindings), line: node.line, column: node.column };
+  }
+
+  uses(node, name) {
+    if (!node || typeof node !== 'object') return 0;
+    if (Array.isArray(node)) return node.reduce((count, child) => count + this.uses(child, name), 0);
+    if (node.type === 'Identifier' && node.name === name) return 1;
+    return Object.keys(node).reduce((count, key) => count + this.uses(node[key], name), 0);
+  }
+}
+
+module.exports = Optimizer;
@@ -1,3 +1,5 @@
+const { LumosSyntaxError } = require('./errors');
+
 class ASTNode {
   constructor(type, attributes = {}) {
     this.type = type;
@@ -5,24 +7,131 @@ class ASTNode {
   }
 }
 
+const DECLARATIONS = [
+  'VariableDeclaration', 'FunctionDeclaration', 'ClassDeclaration',
+  'StructDeclaration', 'EnumDeclaration', 'InterfaceDeclaration'
+];
+
+// Decorators that only annotate a declaration for the tools that read the
+// AST: framework integrators look for @route and @model, the optimizer for
+// @inline and @pure. They are never called, unless the program binds the
+// name itself.
+const METADATA_DECORATORS = ['route', 'model', 'inline', 'pure'];
+
+const NESTED_SCOPES = [
+  'FunctionDeclaration', 'Lambda', 'ClassDeclaration', 'StructDeclaration', 'EnumDeclaration', 'InterfaceDeclaration'
+];
+
+// The first node of `type` in `node` outside any nested function, lambda,
+// block or type declaration.
+function findInFunction(node, type) {
+  if (!node || typeof node !== 'object') return null;
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const found = findInFunction(child, type);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (node.type === type) return node;
+  if (NESTED_SCOPES.includes(node.type)) return null;
+  for (const key of Object.keys(node)) {
+    const found = findInFunction(node[key], type);
+    if (found) return found;
+  }
+  return null;
+}
+
+// The names a function body or the program binds, outside any nested
+// function, lambda or type declaration, whose own names it does bind.
+function boundNames(body) {
+  const names = new Set();
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (DECLARATIONS.includes(node.type) || node.type === 'IdentifierPattern') names.add(node.name);
+    if (node.rest) names.add(node.rest);
+    if (node.type === 'ImportStatement') node.specifiers.forEach(specifier => names.add(specifier.alias));
+    if (node.type === 'ForStatement') names.add(node.iterator);
+    if (node.type === 'ForInStatement') node.variables.forEach(name => names.add(name));
+    if (node.parameter) names.add(node.parameter);
+    if (NESTED_SCOPES.includes(node.type)) return;
+    Object.keys(node).forEach(key => visit(node[key]));
+  };
+  visit(body);
+  return names;
+}
+
+// Marks the decorators that are metadata: those named like one where no
+// enclosing scope binds the name, so a program's own `def model(c)` is
+// called as `@model`. Methods can only carry metadata.
+function resolveDecorators(body, outer = new Set()) {
+  const bound = new Set([...outer, ...boundNames(body)]);
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    for (const decorator of node.decorators || []) {
+      decorator.metadata = METADATA_DECORATORS.includes(decorator.name) && !bound.has(decorator.name);
+    }
+    if (node.type === 'FunctionDeclaration' || node.type === 'Lambda') {
+      const parameters = [...node.parameters, node.restParameter, node.blockParameter].filter(Boolean);
+      resolveDecorators(node.body, new Set([...bound, ...parameters]));
+      return;
+    }
+    Object.keys(node).forEach(key => visit(node[key]));
+    for (const method of node.methods || []) {
+      const wrapper = (method.decorators || []).find(decorator => !decorator.metadata);
+      if (wrapper) {
+        throw new LumosSyntaxError(`Decorator @${wrapper.name} cannot wrap a method; only metadata decorators apply to methods`, wrapper.line, wrapper.column);
+      }
+    }
+  };
+  visit(body);
+}
+
 class Parser {
   constructor(tokens) {
     this.tokens = tokens;
     this.position = 0;
+    this.caseArrow = -1;
   }
 
   parse() {
     const statements = [];
     while (!this.isAtEnd()) {
       if (this.match('EOF')) break;
-      statements.push(this.statement());
+      statements.push(this.check('EXPORT') ? this.exportDeclaration() : this.statement());
     }
+    const stray = findInFunction(statements, 'YieldExpression');
+    if (stray) {
+      throw new LumosSyntaxError("'yield' is only allowed inside a function", stray.line, stray.column);
+    }
+    resolveDecorators(statements);
     return new ASTNode('Program', { statements });
   }
 
+  // `export` makes a top-level declaration visible to modules importing
+  // this one.
+  exportDeclaration() {
+    const token = this.advance();
+    const declaration = this.statement();
+    if (!DECLARATIONS.includes(declaration.type)) {
+      throw new LumosSyntaxError('Expected a declaration after export', token.line, token.column);
+    }
+    declaration.exported = true;
+    return declaration;
+  }
+
   statement() {
+    const start = this.peek();
+    return this.located(this.declarationOrStatement(), start);
+  }
+
+  declarationOrStatement() {
+    if (this.check('AT')) return this.decoratedDeclaration();
     if (this.match('LET', 'CONST', 'VAR')) return this.variableDeclaration();
     if (this.match('DEF', 'FUNCTION')) return this.functionDeclaration();
+    if (this.check('ASYNC') && ['DEF', 'FUNCTION'].includes(this.peekNext().type)) return this.asyncFunctionDeclaration();
     if (this.match('IF')) return this.ifStatement();
     if (this.match('WHILE')) return this.whileStatement();
     if (this.match('FOR')) return this.forStatement();
@@ -30,42 +139,327 @@ class Parser {
     if (this.match('BREAK')) return new ASTNode('Break');
     if (this.match('CONTINUE')) return new ASTNode('Continue');
     if (this.match('CLASS')) return this.classDeclaration();
+    if (this.match('STRUCT')) return this.structDeclaration();
+    if (this.match('ENUM')) return this.enumDeclaration();
+    if (this.match('INTERFACE', 'TRAIT')) return this.interfaceDeclaration();
     if (this.match('IMPORT')) return this.importStatement();
+    if (this.check('EXPORT')) {
+      const token = this.peek();
+      throw new LumosSyntaxError('export is only allowed at the top level of a module', token.line, token.column);
+    }
     if (this.match('TRY')) return this.tryStatement();
+    if (this.match('THROW', 'RAISE')) return this.throwStatement();
+    if (this.match('MATCH')) return this.matchExpression('MatchStatement');
     
     return this.expressionStatement();
   }
 
+  decoratedDeclaration() {
+    const decorators = this.decorators();
+    const token = this.peek();
+    let declaration;
+    if (this.match('DEF', 'FUNCTION')) {
+      declaration = this.functionDeclaration();
+    } else if (this.check('ASYNC') && ['DEF', 'FUNCTION'].includes(this.peekNext().type)) {
+      declaration = this.asyncFunctionDeclaration();
+    } else if (this.match('CLASS')) {
+      declaration = this.classDeclaration();
+    } else {
+      throw new LumosSyntaxError('Decorators can only be applied to def and class', token.line, token.column);
+    }
+    declaration.decorators = decorators;
+    return declaration;
+  }
+
+  // `@name`, `@module.name` or `@name(args)`, one or more in a row.
+  decorators() {
+    const decorators = [];
+    while (this.match('AT')) {
+      const token = this.previous();
+      let name = this.consume('IDENTIFIER', 'Expected decorator name after @').value;
+      let expression = new ASTNode('Identifier', { name });
+      while (this.match('DOT')) {
+        const property = this.propertyName();
+        expression = new ASTNode('MemberExpression', { object: expression, property, optional: false });
+        name = `${name}.${property}`;
+      }
+      const args = this.match('LPAREN') ? this.callArguments() : null;
+      decorators.push(this.located(new ASTNode('Decorator', { name, expression, arguments: args, metadata: false }), token));
+    }
+    return decorators;
+  }
+
   variableDeclaration() {
     const keyword = this.previous().value;
-    const name = this.consume('IDENTIFIER', 'Expected variable name').value;
+    if (this.check('LBRACKET') || this.check('LBRACE')) {
+      return this.destructuringDeclaration(keyword);
+    }
+    const nameToken = this.consume('IDENTIFIER', 'Expected variable name');
+    const name = nameToken.value;
+    const typeAnnotation = this.match('COLON') ? this.typeAnnotation() : null;
     
     let initializer = null;
     if (this.match('ASSIGN')) {
       initializer = this.expression();
+    } else if (keyword === 'const') {
+      throw new LumosSyntaxError(`Missing initializer in const declaration of ${name}`, nameToken.line, nameToken.column);
     }
     
     this.consumeOptional('SEMICOLON');
-    return new ASTNode('VariableDeclaration', { keyword, name, initializer });
+    return new ASTNode('VariableDeclaration', { keyword, name, typeAnnotation, initializer });
   }
 
-  functionDeclaration() {
+  destructuringDeclaration(keyword) {
+    const start = this.peek();
+    const pattern = this.pattern();
+    this.checkBindingPattern(pattern, start);
+    this.consume('ASSIGN', 'Expected = after destructuring pattern');
+    const initializer = this.expression();
+    this.consumeOptional('SEMICOLON');
+    return new ASTNode('DestructuringDeclaration', { keyword, pattern, initializer });
+  }
+
+  checkBindingPattern(pattern, token) {
+    switch (pattern.type) {
+      case 'IdentifierPattern':
+      case 'WildcardPattern':
+        return;
+      case 'ArrayPattern':
+        pattern.elements.forEach(element => this.checkBindingPattern(element, token));
+        return;
+      case 'ObjectPattern':
+        pattern.properties.forEach(prop => this.checkBindingPattern(prop.pattern, token));
+        return;
+      default:
+        throw new LumosSyntaxError('Only names can be bound by destructuring', token.line, token.column);
+    }
+  }
+
+  // With `signature` set the body may be left out, as interface methods
+  // that implementers must provide do; their body is then null.
+  functionDeclaration(signature = false) {
     const name = this.consume('IDENTIFIER', 'Expected function name').value;
+    const typeParameters = this.typeParameters();
     this.consume('LPAREN', 'Expected ( after function name');
+    const { parameters, defaults, restParameter, blockParameter, parameterTypes } = this.functionParameters();
+    const returnType = this.match('ARROW') ? this.typeAnnotation() : null;
+    const types = { typeParameters, parameterTypes, returnType };
+    if (signature && !this.check('LBRACE')) {
+      this.consumeOptional('SEMICOLON');
+      return new ASTNode('FunctionDeclaration', { name, parameters, defaults, restParameter, blockParameter, ...types, body: null });
+    }
+    this.consume('LBRACE', 'Expected { before function body');
+    
+    const body = this.block();
     
+    return this.markGenerator(new ASTNode('FunctionDeclaration', { name, parameters, defaults, restParameter, blockParameter, ...types, body }));
+  }
+
+  // A function whose body yields is a generator. Blocks run inside the call
+  // they are passed to, so they cannot yield.
+  markGenerator(func) {
+    const found = findInFunction(func.body, 'YieldExpression');
+    if (!found) return func;
+    if (func.block) {
+      throw new LumosSyntaxError("'yield' cannot be used inside a block", found.line, found.column);
+    }
+    const awaited = findInFunction(func.body, 'AwaitExpression');
+    if (awaited) {
+      throw new LumosSyntaxError("'await' cannot be used inside a generator", awaited.line, awaited.column);
+    }
+    func.generator = true;
+    return func;
+  }
+
+  rejectAsyncGenerator(func, token) {
+    if (func.generator) {
+      throw new LumosSyntaxError('Async functions cannot be generators', token.line, token.column);
+    }
+  }
+
+  asyncFunctionDeclaration(signature = false) {
+    const token = this.consume('ASYNC', 'Expected async');
+    if (!this.match('DEF', 'FUNCTION')) {
+      const token = this.peek();
+      throw new LumosSyntaxError('Expected def after async', token.line, token.column);
+    }
+    const func = this.functionDeclaration(signature);
+    this.rejectAsyncGenerator(func, token);
+    func.async = true;
+    return func;
+  }
+
+  functionParameters() {
     const parameters = [];
+    const defaults = {};
+    const parameterTypes = {};
+    let restParameter = null;
+    let blockParameter = null;
+    const annotate = name => {
+      if (this.match('COLON')) {
+        parameterTypes[name] = this.typeAnnotation();
+      }
+    };
     if (!this.check('RPAREN')) {
       do {
-        parameters.push(this.consume('IDENTIFIER', 'Expected parameter name').value);
+        if (this.match('AMPERSAND')) {
+          blockParameter = this.consume('IDENTIFIER', 'Expected block parameter name').value;
+          annotate(blockParameter);
+          parameters.push(blockParameter);
+          break;
+        }
+        if (restParameter) {
+          const token = this.peek();
+          throw new LumosSyntaxError('Rest parameter must be the last parameter', token.line, token.column);
+        }
+        if (this.match('SPREAD')) {
+          restParameter = this.consume('IDENTIFIER', 'Expected rest parameter name').value;
+          annotate(restParameter);
+          parameters.push(restParameter);
+          continue;
+        }
+        const token = this.peek();
+        const name = this.consume('IDENTIFIER', 'Expected parameter name').value;
+        annotate(name);
+        if (this.match('ASSIGN')) {
+          defaults[name] = this.expression();
+        } else if (Object.keys(defaults).length > 0) {
+          throw new LumosSyntaxError(`Parameter ${name} without a default follows one with a default`, token.line, token.column);
+        }
+        parameters.push(name);
       } while (this.match('COMMA'));
     }
-    
     this.consume('RPAREN', 'Expected ) after parameters');
-    this.consume('LBRACE', 'Expected { before function body');
-    
-    const body = this.block();
-    
-    return new ASTNode('FunctionDeclaration', { name, parameters, body });
+    return { parameters, defaults, restParameter, blockParameter, parameterTypes };
+  }
+
+  parameterList() {
+    const { parameters, defaults, restParameter, blockParameter, parameterTypes } = this.functionParameters();
+    if (blockParameter) {
+      const token = this.previous();
+      throw new LumosSyntaxError('Block parameters are only allowed in def', token.line, token.column);
+    }
+    return { parameters, defaults, restParameter, parameterTypes };
+  }
+
+  // `<T, U>` after a function's name.
+  typeParameters() {
+    const names = [];
+    if (this.match('LT')) {
+      do {
+        names.push(this.consume('IDENTIFIER', 'Expected type parameter name').value);
+      } while (this.match('COMMA'));
+      this.closeTypeArguments();
+    }
+    return names;
+  }
+
+  // `int`, `list<string>`, `map<string, int>` or `(int, int) -> bool`, any
+  // of them followed by `?` to allow null as well.
+  typeAnnotation() {
+    const start = this.peek();
+    let type;
+    if (this.match('LPAREN')) {
+      const parameters = [];
+      if (!this.check('RPAREN')) {
+        do {
+          parameters.push(this.typeAnnotation());
+        } while (this.match('COMMA'));
+      }
+      this.consume('RPAREN', 'Expected ) after parameter types');
+      this.consume('ARROW', 'Expected -> after parameter types');
+      type = new ASTNode('FunctionType', { parameters, returns: this.typeAnnotation() });
+    } else {
+      const name = this.match('NULL') ? 'null' : this.consume('IDENTIFIER', 'Expected a type').value;
+      const args = [];
+      if (this.match('LT')) {
+        do {
+          args.push(this.typeAnnotation());
+        } while (this.match('COMMA'));
+        this.closeTypeArguments();
+      }
+      type = new ASTNode('TypeName', { name, arguments: args });
+    }
+    type.nullable = this.match('QUESTION');
+    return this.located(type, start);
+  }
+
+  // The lexer reads `>>` as one shift operator, so nested type arguments
+  // like `list<list<int>>` close by splitting the token in two.
+  closeTypeArguments() {
+    if (this.match('GT')) return;
+    const token = this.peek();
+    const rest = { SHIFT_RIGHT: ['GT', '>'], GTE: ['ASSIGN', '='], SHIFT_RIGHT_ASSIGN: ['GTE', '>='] }[token.type];
+    if (!rest) {
+      throw new LumosSyntaxError('Expected > after type arguments', token.line, token.column);
+    }
+    this.tokens[this.position] = { ...token, type: rest[0], value: rest[1], column: token.column + 1 };
+  }
+
+  newExpression() {
+    let callee = new ASTNode('Identifier', { name: this.consume('IDENTIFIER', 'Expected class name after new').value });
+    while (this.match('DOT')) {
+      const property = this.consume('IDENTIFIER', 'Expected property name').value;
+      callee = new ASTNode('MemberExpression', { object: callee, property });
+    }
+
+    const args = this.match('LPAREN') ? this.callArguments() : [];
+    return new ASTNode('NewExpression', { callee, arguments: args });
+  }
+
+  lambdaExpression() {
+    this.consume('LPAREN', 'Expected ( after lambda');
+    const { parameters, defaults, restParameter, parameterTypes } = this.parameterList();
+
+    if (this.isArrowAt(this.position) && this.match('ARROW')) {
+      return this.markGenerator(new ASTNode('Lambda', { parameters, defaults, restParameter, parameterTypes, body: this.expression(), expression: true }));
+    }
+
+    this.consume('LBRACE', 'Expected { before lambda body');
+    return this.markGenerator(new ASTNode('Lambda', { parameters, defaults, restParameter, parameterTypes, body: this.block(), expression: false }));
+  }
+
+  arrowFunction({ parameters, defaults = {}, restParameter = null, parameterTypes = {} }) {
+    this.consume('ARROW', 'Expected =>');
+
+    if (this.match('LBRACE')) {
+      return this.markGenerator(new ASTNode('Lambda', { parameters, defaults, restParameter, parameterTypes, body: this.block(), expression: false }));
+    }
+
+    return this.markGenerator(new ASTNode('Lambda', { parameters, defaults, restParameter, parameterTypes, body: this.expression(), expression: true }));
+  }
+
+  isArrowFunction() {
+    let depth = 0;
+    for (let i = this.position; i < this.tokens.length; i++) {
+      const type = this.tokens[i].type;
+      if (type === 'LPAREN') depth++;
+      if (type === 'RPAREN' && --depth === 0) {
+        return this.isArrowAt(i + 1);
+      }
+      if (type === 'EOF') return false;
+    }
+    return false;
+  }
+
+  // Whether the token at `index` is an arrow that can start a function
+  // body. The arrow that ends a case's guard cannot.
+  isArrowAt(index) {
+    return this.tokens[index] !== undefined && this.tokens[index].type === 'ARROW' && index !== this.caseArrow;
+  }
+
+  // The `=>` that ends the guard starting at the current token: the first
+  // one outside any brackets.
+  findCaseArrow() {
+    let depth = 0;
+    for (let i = this.position; i < this.tokens.length; i++) {
+      const type = this.tokens[i].type;
+      if (type === 'LPAREN' || type === 'LBRACKET' || type === 'LBRACE') depth++;
+      if (type === 'RPAREN' || type === 'RBRACKET' || type === 'RBRACE') depth--;
+      if (depth < 0 || type === 'EOF') return -1;
+      if (depth === 0 && type === 'ARROW') return i;
+    }
+    return -1;
   }
 
   classDeclaration() {
@@ -75,25 +469,137 @@ class Parser {
     if (this.match('LT')) {
       superclass = this.consume('IDENTIFIER', 'Expected superclass name').value;
     }
+    const interfaces = this.implementsClause();
     
     this.consume('LBRACE', 'Expected { before class body');
+    const { methods, properties } = this.typeBody('class');
+    this.consume('RBRACE', 'Expected } after class body');
     
+    return new ASTNode('ClassDeclaration', { name, superclass, interfaces, methods, properties });
+  }
+
+  // A struct is built from its fields, so it has no constructor.
+  structDeclaration() {
+    const name = this.consume('IDENTIFIER', 'Expected struct name').value;
+    const interfaces = this.implementsClause();
+
+    this.consume('LBRACE', 'Expected { before struct body');
+    const { methods, properties } = this.typeBody('struct');
+    const constructor = methods.find(method => method.name === 'constructor');
+    if (constructor) {
+      const token = this.previous();
+      throw new LumosSyntaxError(`Struct ${name} cannot declare a constructor`, token.line, token.column);
+    }
+    this.consume('RBRACE', 'Expected } after struct body');
+
+    return new ASTNode('StructDeclaration', { name, interfaces, methods, properties });
+  }
+
+  // Variants come first, separated by commas or newlines, and may carry
+  // named values: `enum Shape { Circle(radius), Square(side) }`. Methods
+  // follow them.
+  enumDeclaration() {
+    const name = this.consume('IDENTIFIER', 'Expected enum name').value;
+    const interfaces = this.implementsClause();
+    this.consume('LBRACE', 'Expected { before enum body');
+
+    const variants = [];
+    while (this.check('IDENTIFIER')) {
+      const token = this.advance();
+      if (variants.some(variant => variant.name === token.value)) {
+        throw new LumosSyntaxError(`Duplicate variant ${token.value} in enum ${name}`, token.line, token.column);
+      }
+      const fields = [];
+      const fieldTypes = {};
+      if (this.match('LPAREN')) {
+        if (!this.check('RPAREN')) {
+          do {
+            const field = this.consume('IDENTIFIER', 'Expected variant field name').value;
+            if (this.match('COLON')) {
+              fieldTypes[field] = this.typeAnnotation();
+            }
+            fields.push(field);
+          } while (this.match('COMMA'));
+        }
+        this.consume('RPAREN', 'Expected ) after variant fields');
+      }
+      variants.push({ name: token.value, fields, fieldTypes });
+      if (!this.match('COMMA')) this.consumeOptional('SEMICOLON');
+    }
+    if (variants.length === 0) {
+      const token = this.peek();
+      throw new LumosSyntaxError(`Enum ${name} needs at least one variant`, token.line, token.column);
+    }
+
+    const { methods } = this.typeBody('enum');
+    this.consume('RBRACE', 'Expected } after enum body');
+    return new ASTNode('EnumDeclaration', { name, interfaces, variants, methods });
+  }
+
+  // `interface` and `trait` are the same thing. Methods without a body are
+  // required; those with one are defaults for types that lack them.
+  interfaceDeclaration() {
+    const keyword = this.previous().value;
+    const name = this.consume('IDENTIFIER', `Expected ${keyword} name`).value;
+    this.consume('LBRACE', `Expected { before ${keyword} body`);
+    const { methods } = this.typeBody(keyword);
+    this.consume('RBRACE', `Expected } after ${keyword} body`);
+    return new ASTNode('InterfaceDeclaration', { keyword, name, methods });
+  }
+
+  implementsClause() {
+    const interfaces = [];
+    if (this.match('IMPLEMENTS')) {
+      do {
+        interfaces.push(this.consume('IDENTIFIER', 'Expected interface name after implements').value);
+      } while (this.match('COMMA'));
+    }
+    return interfaces;
+  }
+
+  // The members of a class, struct, enum or interface body. Only classes
+  // and structs have properties, and only interfaces method signatures.
+  typeBody(kind) {
+    const signature = kind === 'interface' || kind === 'trait';
     const methods = [];
     const properties = [];
-    
+
     while (!this.check('RBRACE') && !this.isAtEnd()) {
+      if (this.check('AT')) {
+        methods.push(this.decoratedMethod(signature));
+        continue;
+      }
+      const token = this.peek();
+      if (this.match('SEMICOLON')) continue;
       if (this.match('DEF', 'FUNCTION')) {
-        methods.push(this.functionDeclaration());
-      } else if (this.match('LET', 'CONST', 'VAR')) {
-        properties.push(this.variableDeclaration());
+        methods.push(this.located(this.functionDeclaration(signature), token));
+      } else if (this.check('ASYNC')) {
+        methods.push(this.located(this.asyncFunctionDeclaration(signature), token));
+      } else if ((kind === 'class' || kind === 'struct') && this.match('LET', 'CONST', 'VAR')) {
+        properties.push(this.located(this.variableDeclaration(), token));
       } else {
-        this.advance();
+        throw new LumosSyntaxError(`Unexpected ${token.value || token.type} in ${kind} body`, token.line, token.column);
       }
     }
-    
-    this.consume('RBRACE', 'Expected } after class body');
-    
-    return new ASTNode('ClassDeclaration', { name, superclass, methods, properties });
+
+    return { methods, properties };
+  }
+
+  // Methods are looked up on their class when called, so they can carry
+  // metadata but not be wrapped; resolveDecorators checks that.
+  decoratedMethod(signature) {
+    const decorators = this.decorators();
+    const token = this.peek();
+    let method;
+    if (this.match('DEF', 'FUNCTION')) {
+      method = this.functionDeclaration(signature);
+    } else if (this.check('ASYNC')) {
+      method = this.asyncFunctionDeclaration(signature);
+    } else {
+      throw new LumosSyntaxError('Decorators can only be applied to def and class', token.line, token.column);
+    }
+    method.decorators = decorators;
+    return this.located(method, token);
   }
 
   importStatement() {
@@ -129,16 +635,20 @@ class Parser {
     this.consume('LBRACE', 'Expected { after try');
     const tryBlock = this.block();
     
-    let catchClause = null;
-    if (this.match('CATCH')) {
+    const catchClauses = [];
+    while (this.match('CATCH')) {
       let parameter = null;
+      let errorType = null;
       if (this.match('LPAREN')) {
         parameter = this.consume('IDENTIFIER', 'Expected parameter name').value;
+        if (this.match('COLON')) {
+          errorType = this.consume('IDENTIFIER', 'Expected error type after :').value;
+        }
         this.consume('RPAREN', 'Expected )');
       }
       this.consume('LBRACE', 'Expected {');
       const catchBlock = this.block();
-      catchClause = { parameter, body: catchBlock };
+      catchClauses.push({ parameter, errorType, body: catchBlock });
     }
     
     let finallyBlock = null;
@@ -147,7 +657,134 @@ class Parser {
       finallyBlock = this.block();
     }
     
-    return new ASTNode('TryStatement', { tryBlock, catchClause, finallyBlock });
+    return new ASTNode('TryStatement', { tryBlock, catchClauses, finallyBlock });
+  }
+
+  matchExpression(type) {
+    this.consume('LPAREN', 'Expected ( after match');
+    const subject = this.expression();
+    this.consume('RPAREN', 'Expected ) after match subject');
+    this.consume('LBRACE', 'Expected { before match cases');
+
+    const cases = [];
+    while (!this.check('RBRACE') && !this.isAtEnd()) {
+      this.consume('CASE', 'Expected case');
+      const pattern = this.pattern();
+
+      let guard = null;
+      if (this.match('IF')) {
+        const outerArrow = this.caseArrow;
+        this.caseArrow = this.findCaseArrow();
+        try {
+          guard = this.expression();
+        } finally {
+          this.caseArrow = outerArrow;
+        }
+      }
+
+      this.consume('ARROW', 'Expected => after case pattern');
+      if (this.match('LBRACE')) {
+        cases.push({ pattern, guard, body: this.block(), expression: false });
+      } else {
+        cases.push({ pattern, guard, body: this.expression(), expression: true });
+      }
+      this.consumeOptional('COMMA');
+      this.consumeOptional('SEMICOLON');
+    }
+
+    this.consume('RBRACE', 'Expected } after match cases');
+    return new ASTNode(type, { subject, cases });
+  }
+
+  pattern() {
+    if (this.match('LBRACKET')) {
+      const elements = [];
+      let rest = null;
+      if (!this.check('RBRACKET')) {
+        do {
+          if (this.match('SPREAD')) {
+            rest = this.consume('IDENTIFIER', 'Expected name after ...').value;
+            break;
+          }
+          elements.push(this.pattern());
+        } while (this.match('COMMA'));
+      }
+      this.consume('RBRACKET', 'Expected ] after array pattern');
+      return new ASTNode('ArrayPattern', { elements, rest });
+    }
+
+    if (this.match('LBRACE')) {
+      const properties = [];
+      let rest = null;
+      if (!this.check('RBRACE')) {
+        do {
+          if (this.match('SPREAD')) {
+            rest = this.consume('IDENTIFIER', 'Expected name after ...').value;
+            break;
+          }
+          const key = this.consume('IDENTIFIER', 'Expected property name in pattern').value;
+          const pattern = this.match('COLON')
+            ? this.pattern()
+            : new ASTNode('IdentifierPattern', { name: key });
+          properties.push({ key, pattern });
+        } while (this.match('COMMA'));
+      }
+      this.consume('RBRACE', 'Expected } after object pattern');
+      return new ASTNode('ObjectPattern', { properties, rest });
+    }
+
+    if (this.match('IDENTIFIER')) {
+      const name = this.previous().value;
+      if (this.check('DOT') || this.check('LPAREN')) {
+        return this.variantPattern(name);
+      }
+      if (name === '_') {
+        return new ASTNode('WildcardPattern');
+      }
+      return new ASTNode('IdentifierPattern', { name });
+    }
+
+    const value = this.literalPatternValue();
+    if (this.match('RANGE')) {
+      return new ASTNode('RangePattern', { start: value, end: this.literalPatternValue() });
+    }
+    return new ASTNode('LiteralPattern', { value });
+  }
+
+  // `Shape.Circle(r)` or `Circle(r)` matches an enum variant, and its values
+  // against the patterns in parentheses. Without them any values match.
+  variantPattern(name) {
+    let enumName = null;
+    let variant = name;
+    if (this.match('DOT')) {
+      enumName = name;
+      variant = this.consume('IDENTIFIER', 'Expected variant name').value;
+    }
+
+    let elements = null;
+    if (this.match('LPAREN')) {
+      elements = [];
+      if (!this.check('RPAREN')) {
+        do {
+          elements.push(this.pattern());
+        } while (this.match('COMMA'));
+      }
+      this.consume('RPAREN', 'Expected ) after variant pattern');
+    }
+    return new ASTNode('VariantPattern', { enumName, variant, elements });
+  }
+
+  literalPatternValue() {
+    if (this.match('MINUS')) {
+      return -this.consume('NUMBER', 'Expected number after -').value;
+    }
+    if (this.match('NUMBER', 'STRING')) return this.previous().value;
+    if (this.match('TRUE')) return true;
+    if (this.match('FALSE')) return false;
+    if (this.match('NULL', 'NIL')) return null;
+
+    const token = this.peek();
+    throw new LumosSyntaxError(`Unexpected token in pattern: ${token.type}`, token.line, token.column);
   }
 
   ifStatement() {
@@ -189,6 +826,10 @@ class Parser {
 
   forStatement() {
     const iterator = this.consume('IDENTIFIER', 'Expected iterator variable').value;
+    if (this.check('COMMA') || this.check('IN') || this.check('OF')) {
+      return this.forInStatement(iterator);
+    }
+
     this.consume('ASSIGN', 'Expected =');
     const start = this.expression();
     this.consume('TO', 'Expected to');
@@ -205,6 +846,30 @@ class Parser {
     return new ASTNode('ForStatement', { iterator, start, end, step, body });
   }
 
+  forInStatement(first) {
+    const variables = [first];
+    if (this.match('COMMA')) {
+      variables.push(this.consume('IDENTIFIER', 'Expected second loop variable').value);
+    }
+
+    if (!this.match('OF')) {
+      this.consume('IN', 'Expected in after loop variable');
+    }
+    const iterable = this.expression();
+
+    this.consume('LBRACE', 'Expected {');
+    const body = this.block();
+
+    return new ASTNode('ForInStatement', { variables, iterable, body });
+  }
+
+  throwStatement() {
+    const keyword = this.previous().value;
+    const argument = this.expression();
+    this.consumeOptional('SEMICOLON');
+    return new ASTNode('ThrowStatement', { keyword, argument });
+  }
+
   returnStatement() {
     let value = null;
     if (!this.check('SEMICOLON') && !this.check('RBRACE')) {
@@ -234,9 +899,11 @@ class Parser {
   }
 
   assignment() {
-    const expr = this.logicalOr();
+    if (this.match('YIELD')) return this.yieldExpression();
+    const expr = this.conditional();
     
-    if (this.match('ASSIGN', 'PLUS_ASSIGN', 'MINUS_ASSIGN', 'MULT_ASSIGN', 'DIV_ASSIGN')) {
+    if (this.match('ASSIGN', 'PLUS_ASSIGN', 'MINUS_ASSIGN', 'MULT_ASSIGN', 'DIV_ASSIGN', 'MOD_ASSIGN',
+      'POWER_ASSIGN', 'AND_ASSIGN', 'OR_ASSIGN', 'XOR_ASSIGN', 'SHIFT_LEFT_ASSIGN', 'SHIFT_RIGHT_ASSIGN')) {
       const operator = this.previous().value;
       const value = this.assignment();
       return new ASTNode('Assignment', { target: expr, operator, value });
@@ -245,6 +912,59 @@ class Parser {
     return expr;
   }
 
+  // `yield` hands a value to the code iterating the generator and evaluates
+  // to the value passed to its next(). `yield from` hands over every value
+  // of another iterable.
+  yieldExpression() {
+    const token = this.previous();
+    const delegate = this.match('FROM');
+    let argument = null;
+    if (delegate || !['SEMICOLON', 'RBRACE', 'RPAREN', 'RBRACKET', 'COMMA', 'EOF'].some(type => this.check(type))) {
+      argument = this.assignment();
+    }
+    return this.located(new ASTNode('YieldExpression', { argument, delegate }), token);
+  }
+
+  conditional() {
+    const test = this.pipeline();
+
+    if (this.match('QUESTION')) {
+      const consequent = this.conditional();
+      this.consume('COLON', 'Expected : in conditional expression');
+      const alternate = this.conditional();
+      return new ASTNode('ConditionalExpression', { test, consequent, alternate });
+    }
+
+    return test;
+  }
+
+  // `x |> f` calls f(x), and `x |> f(a)` calls f(x, a). The result is an
+  // ordinary call marked as a pipeline step.
+  pipeline() {
+    let expr = this.nullish();
+
+    while (this.match('PIPELINE')) {
+      const token = this.previous();
+      const target = this.nullish();
+      expr = target.type === 'CallExpression' && !target.optional
+        ? new ASTNode('CallExpression', { ...target, arguments: [expr, ...target.arguments], pipeline: true })
+        : this.located(new ASTNode('CallExpression', { callee: target, arguments: [expr], pipeline: true }), token);
+    }
+
+    return expr;
+  }
+
+  nullish() {
+    let expr = this.logicalOr();
+
+    while (this.match('NULLISH')) {
+      const right = this.logicalOr();
+      expr = new ASTNode('BinaryExpression', { left: expr, operator: '??', right });
+    }
+
+    return expr;
+  }
+
   logicalOr() {
     let expr = this.logicalAnd();
     
@@ -272,7 +992,7 @@ class Parser {
   equality() {
     let expr = this.comparison();
     
-    while (this.match('EQ', 'NEQ')) {
+    while (this.match('EQ', 'NEQ', 'STRICT_EQ', 'STRICT_NEQ')) {
       const operator = this.previous().value;
       const right = this.comparison();
       expr = new ASTNode('BinaryExpression', { left: expr, operator, right });
@@ -281,15 +1001,96 @@ class Parser {
     return expr;
   }
 
+  // `in` and `is` sit with the relational operators; each may be negated
+  // as `not in` and `is not`.
   comparison() {
-    let expr = this.term();
+    let expr = this.range();
     
-    while (this.match('GT', 'GTE', 'LT', 'LTE')) {
+    while (true) {
+      let operator;
+      if (this.match('GT', 'GTE', 'LT', 'LTE', 'IN')) {
+        operator = this.previous().value;
+      } else if (this.check('NOT') && this.peekNext().type === 'IN') {
+        this.advance();
+        this.advance();
+        operator = 'not in';
+      } else if (this.match('IS')) {
+        operator = this.match('NOT') ? 'is not' : 'is';
+      } else {
+        break;
+      }
+
+      const token = this.peek();
+      const right = this.range();
+      if (operator.startsWith('is') && !this.isTypeExpression(right)) {
+        throw new LumosSyntaxError(`Expected a type after ${operator}`, token.line, token.column);
+      }
+      expr = new ASTNode('BinaryExpression', { left: expr, operator, right });
+    }
+    
+    return expr;
+  }
+
+  isTypeExpression(node) {
+    if (node.type === 'Literal') return node.value === null;
+    if (node.type === 'MemberExpression') return !node.optional && this.isTypeExpression(node.object);
+    return node.type === 'Identifier';
+  }
+
+  range() {
+    const expr = this.bitwiseOr();
+
+    if (this.match('RANGE')) {
+      return new ASTNode('RangeExpression', { start: expr, end: this.bitwiseOr() });
+    }
+
+    return expr;
+  }
+
+  // The bitwise operators bind tighter than comparisons, as in Python, so
+  // `flags & MASK == 0` tests the masked value.
+  bitwiseOr() {
+    let expr = this.bitwiseXor();
+
+    while (this.match('PIPE')) {
+      const right = this.bitwiseXor();
+      expr = new ASTNode('BinaryExpression', { left: expr, operator: '|', right });
+    }
+
+    return expr;
+  }
+
+  bitwiseXor() {
+    let expr = this.bitwiseAnd();
+
+    while (this.match('XOR')) {
+      const right = this.bitwiseAnd();
+      expr = new ASTNode('BinaryExpression', { left: expr, operator: '^', right });
+    }
+
+    return expr;
+  }
+
+  bitwiseAnd() {
+    let expr = this.shift();
+
+    while (this.match('AMPERSAND')) {
+      const right = this.shift();
+      expr = new ASTNode('BinaryExpression', { left: expr, operator: '&', right });
+    }
+
+    return expr;
+  }
+
+  shift() {
+    let expr = this.term();
+
+    while (this.match('SHIFT_LEFT', 'SHIFT_RIGHT')) {
       const operator = this.previous().value;
       const right = this.term();
       expr = new ASTNode('BinaryExpression', { left: expr, operator, right });
     }
-    
+
     return expr;
   }
 
@@ -318,41 +1119,130 @@ class Parser {
   }
 
   unary() {
-    if (this.match('NOT', 'MINUS', 'PLUS')) {
+    if (this.match('AWAIT')) {
+      const token = this.previous();
+      return this.located(new ASTNode('AwaitExpression', { argument: this.unary() }), token);
+    }
+
+    if (this.match('NOT', 'MINUS', 'PLUS', 'TILDE')) {
       const operator = this.previous().value;
       const operand = this.unary();
       return new ASTNode('UnaryExpression', { operator, operand });
     }
+
+    if (this.match('INCREMENT', 'DECREMENT')) {
+      const token = this.previous();
+      return this.updateExpression(token, this.unary(), true);
+    }
     
-    return this.postfix();
+    return this.power();
+  }
+
+  // `**` is right-associative and binds tighter than a unary minus on its
+  // left, so `-2 ** 2` is -4 while `2 ** -1` is 0.5.
+  power() {
+    const expr = this.postfix();
+
+    if (this.match('POWER')) {
+      return new ASTNode('BinaryExpression', { left: expr, operator: '**', right: this.unary() });
+    }
+
+    return expr;
+  }
+
+  updateExpression(token, argument, prefix) {
+    if (!['Identifier', 'MemberExpression', 'IndexExpression'].includes(argument.type)) {
+      throw new LumosSyntaxError(`Invalid ${token.value} target`, token.line, token.column);
+    }
+    return this.located(new ASTNode('UpdateExpression', { operator: token.value, argument, prefix }), token);
   }
 
+  // A `?.` link ends the whole chain with null when its left side is null,
+  // so a chain holding one is wrapped in an OptionalChain node.
   postfix() {
-    let expr = this.primary();
+    const start = this.peek();
+    let expr = this.located(this.primary(), start);
+    let chained = false;
     
     while (true) {
+      const optional = this.match('OPTIONAL');
+      chained = chained || optional;
       if (this.match('LPAREN')) {
-        const args = [];
-        if (!this.check('RPAREN')) {
-          do {
-            args.push(this.expression());
-          } while (this.match('COMMA'));
-        }
-        this.consume('RPAREN', 'Expected ) after arguments');
-        expr = new ASTNode('CallExpression', { callee: expr, arguments: args });
+        const args = this.callArguments();
+        expr = this.located(new ASTNode('CallExpression', { callee: expr, arguments: args, optional }), start);
       } else if (this.match('LBRACKET')) {
         const index = this.expression();
         this.consume('RBRACKET', 'Expected ]');
-        expr = new ASTNode('IndexExpression', { object: expr, index });
-      } else if (this.match('DOT')) {
-        const property = this.consume('IDENTIFIER', 'Expected property name').value;
-        expr = new ASTNode('MemberExpression', { object: expr, property });
+        expr = new ASTNode('IndexExpression', { object: expr, index, optional });
+      } else if (optional || this.match('DOT')) {
+        const property = this.propertyName();
+        expr = new ASTNode('MemberExpression', { object: expr, property, optional });
+      } else if (!chained && (this.check('INCREMENT') || this.check('DECREMENT')) && this.peek().line === this.previous().line) {
+        return this.updateExpression(this.advance(), expr, false);
+      } else if (this.isBlockStart(expr)) {
+        const block = this.blockArgument();
+        if (expr.type === 'CallExpression' && !expr.block) {
+          expr.block = block;
+        } else {
+          expr = this.located(new ASTNode('CallExpression', { callee: expr, arguments: [], block }), start);
+        }
       } else {
         break;
       }
     }
     
-    return expr;
+    return chained ? this.located(new ASTNode('OptionalChain', { expression: expr }), start) : expr;
+  }
+
+  propertyName() {
+    const token = this.peek();
+    if (token.type !== 'STRING' && typeof token.value === 'string' && /^[A-Za-z_]\w*$/.test(token.value)) {
+      return this.advance().value;
+    }
+    throw new LumosSyntaxError('Expected property name', token.line, token.column);
+  }
+
+  isBlockStart(expr) {
+    if (!['Identifier', 'MemberExpression', 'CallExpression'].includes(expr.type)) {
+      return false;
+    }
+    if (this.check('DO')) return true;
+    return this.check('LBRACE') && ['PIPE', 'OR'].includes(this.peekNext().type);
+  }
+
+  blockArgument() {
+    const braced = !this.match('DO');
+    if (braced) {
+      this.consume('LBRACE', 'Expected block');
+    }
+
+    const parameters = [];
+    if (this.match('PIPE')) {
+      if (!this.check('PIPE')) {
+        do {
+          parameters.push(this.consume('IDENTIFIER', 'Expected block parameter name').value);
+        } while (this.match('COMMA'));
+      }
+      this.consume('PIPE', 'Expected | after block parameters');
+    } else if (braced) {
+      this.consume('OR', 'Expected | before block');
+    }
+
+    let body;
+    if (braced) {
+      body = this.block();
+    } else if (this.match('LBRACE')) {
+      body = this.block();
+      this.match('END');
+    } else {
+      body = [];
+      while (!this.check('END') && !this.isAtEnd()) {
+        body.push(this.statement());
+      }
+      this.consume('END', 'Expected end after block');
+    }
+
+    return this.markGenerator(new ASTNode('Lambda', { parameters, body, expression: false, block: true }));
   }
 
   primary() {
@@ -361,17 +1251,55 @@ class Parser {
     if (this.match('NULL', 'NIL')) return new ASTNode('Literal', { value: null });
     
     if (this.match('NUMBER')) {
-      return new ASTNode('Literal', { value: this.previous().value });
+      const { value, raw } = this.previous();
+      return new ASTNode('Literal', { value, raw });
     }
     
     if (this.match('STRING')) {
       return new ASTNode('Literal', { value: this.previous().value });
     }
+
+    if (this.match('TEMPLATE')) {
+      return this.interpolatedString(this.previous());
+    }
+    
+    if (this.match('NEW')) {
+      return this.newExpression();
+    }
+    
+    if (this.match('MATCH')) {
+      return this.matchExpression('MatchExpression');
+    }
+    
+    if (this.match('LAMBDA')) {
+      return this.lambdaExpression();
+    }
+
+    if (this.match('ASYNC')) {
+      const token = this.peek();
+      const func = this.primary();
+      if (func.type !== 'Lambda') {
+        throw new LumosSyntaxError('Expected lambda after async', token.line, token.column);
+      }
+      this.rejectAsyncGenerator(func, token);
+      func.async = true;
+      return func;
+    }
+    
+    if (this.check('IDENTIFIER') && this.isArrowAt(this.position + 1)) {
+      const parameter = this.advance().value;
+      return this.arrowFunction({ parameters: [parameter] });
+    }
     
     if (this.match('IDENTIFIER')) {
       return new ASTNode('Identifier', { name: this.previous().value });
     }
     
+    if (this.check('LPAREN') && this.isArrowFunction()) {
+      this.advance();
+      return this.arrowFunction(this.parameterList());
+    }
+    
     if (this.match('LPAREN')) {
       const expr = this.expression();
       this.consume('RPAREN', 'Expected ) after expression');
@@ -382,7 +1310,12 @@ class Parser {
       const elements = [];
       if (!this.check('RBRACKET')) {
         do {
-          elements.push(this.expression());
+          elements.push(this.elementOrSpread());
+          if (elements.length === 1 && elements[0].type !== 'SpreadElement' && this.check('FOR')) {
+            const clauses = this.comprehensionClauses();
+            this.consume('RBRACKET', 'Expected ] after list comprehension');
+            return new ASTNode('ListComprehension', { element: elements[0], clauses });
+          }
         } while (this.match('COMMA'));
       }
       this.consume('RBRACKET', 'Expected ]');
@@ -393,17 +1326,122 @@ class Parser {
       const properties = [];
       if (!this.check('RBRACE')) {
         do {
-          const key = this.consume('IDENTIFIER', 'Expected property name').value;
+          if (this.check('SPREAD')) {
+            properties.push(this.elementOrSpread());
+            continue;
+          }
+          if (properties.length === 0 && !(this.check('IDENTIFIER') && this.peekNext().type === 'COLON')) {
+            const token = this.peek();
+            const key = this.expression();
+            this.consume('COLON', 'Expected :');
+            const value = this.expression();
+            if (!this.check('FOR')) {
+              throw new LumosSyntaxError('Expected property name', token.line, token.column);
+            }
+            return this.dictComprehension(key, value);
+          }
+          const name = this.consume('IDENTIFIER', 'Expected property name');
           this.consume('COLON', 'Expected :');
           const value = this.expression();
-          properties.push({ key, value });
+          if (properties.length === 0 && this.check('FOR')) {
+            return this.dictComprehension(new ASTNode('Identifier', { name: name.value }), value);
+          }
+          properties.push({ key: name.value, value });
         } while (this.match('COMMA'));
       }
       this.consume('RBRACE', 'Expected }');
       return new ASTNode('ObjectLiteral', { properties });
     }
     
-    throw new Error(`Unexpected token: ${this.peek().type} at line ${this.peek().line}`);
+    const token = this.peek();
+    throw new LumosSyntaxError(`Unexpected token: ${token.type}`, token.line, token.column);
+  }
+
+  // In `{key: value for ...}` the key is an expression, so `{x: x * x for x in xs}`
+  // is keyed by each x. Only a comprehension may have a key other than a
+  // plain name.
+  dictComprehension(key, value) {
+    const clauses = this.comprehensionClauses();
+    this.consume('RBRACE', 'Expected } after dictionary comprehension');
+    return new ASTNode('DictComprehension', { key, value, clauses });
+  }
+
+  // One or more `for a[, b] in iterable` clauses, each followed by any
+  // number of `if` conditions. Later clauses are nested in earlier ones.
+  comprehensionClauses() {
+    const clauses = [];
+    while (this.match('FOR')) {
+      const variables = [this.consume('IDENTIFIER', 'Expected comprehension variable').value];
+      if (this.match('COMMA')) {
+        variables.push(this.consume('IDENTIFIER', 'Expected second comprehension variable').value);
+      }
+      if (!this.match('OF')) {
+        this.consume('IN', 'Expected in after comprehension variable');
+      }
+      const iterable = this.pipeline();
+      const conditions = [];
+      while (this.match('IF')) {
+        conditions.push(this.pipeline());
+      }
+      clauses.push({ variables, iterable, conditions });
+    }
+    return clauses;
+  }
+
+  // Arguments after the opening paren. `name: value` passes an argument by
+  // name; those come after every positional argument.
+  callArguments() {
+    const args = [];
+    if (!this.check('RPAREN')) {
+      do {
+        const token = this.peek();
+        if (this.check('IDENTIFIER') && this.peekNext().type === 'COLON') {
+          const name = this.advance().value;
+          this.advance();
+          if (args.some(arg => arg.type === 'NamedArgument' && arg.name === name)) {
+            throw new LumosSyntaxError(`Argument ${name} is passed more than once`, token.line, token.column);
+          }
+          args.push(new ASTNode('NamedArgument', { name, value: this.expression() }));
+        } else if (args.some(arg => arg.type === 'NamedArgument')) {
+          throw new LumosSyntaxError('Positional arguments must come before keyword arguments', token.line, token.column);
+        } else {
+          args.push(this.elementOrSpread());
+        }
+      } while (this.match('COMMA'));
+    }
+    this.consume('RPAREN', 'Expected ) after arguments');
+    return args;
+  }
+
+  elementOrSpread() {
+    if (this.match('SPREAD')) {
+      return new ASTNode('SpreadElement', { argument: this.expression() });
+    }
+    return this.expression();
+  }
+
+  interpolatedString(token) {
+    const parts = token.value.map(part => {
+      if (typeof part === 'string') {
+        return new ASTNode('Literal', { value: part });
+      }
+      const parser = new Parser(part.tokens);
+      const expression = parser.expression();
+      if (!parser.check('EOF')) {
+        const extra = parser.peek();
+        throw new LumosSyntaxError(`Unexpected token in string interpolation: ${extra.type}`, extra.line, extra.column);
+      }
+      return expression;
+    });
+    return new ASTNode('InterpolatedString', { parts });
+  }
+
+  located(node, token) {
+    if (node && token && node.line === undefined) {
+      node.line = token.line;
+      node.column = token.column;
+    }
+    return node;
   }
 
   match(...types) {
@@ -434,6 +1472,10 @@ class Parser {
     return this.tokens[this.position];
   }
 
+  peekNext() {
+    return this.tokens[this.position + 1] || this.tokens[this.tokens.length - 1];
+  }
+
   previous() {
     return this.tokens[this.position - 1];
   }
@@ -441,7 +1483,7 @@ class Parser {
   consume(type, message) {
     if (this.check(type)) return this.advance();
     const token = this.peek();
-    throw new Error(`${message} at line ${token.line}, column ${token.column}`);
+    throw new LumosSyntaxError(message, token.line, token.column);
   }
 
   consumeOptional(type) {
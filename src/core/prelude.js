@@ -0,0 +1,28 @@
+// Classes every program starts with, written in Lumos itself.
+module.exports = `
+class Error {
+  let message = ""
+  let stack = []
+
+  def constructor(message = null) {
+    if (message != null) {
+      this.message = str(message)
+    }
+  }
+
+  def toString() {
+    return this.__class__.name + ": " + this.message
+  }
+}
+
+class TypeError < Error {}
+class ValueError < Error {}
+class IndexError < Error {}
+
+class PermissionError < Error {}
+
+class RecursionError < Error {
+  let functionName = null
+  let chain = []
+}
+`;
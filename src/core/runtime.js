@@ -1,5 +1,20 @@
+const fs = require('fs');
+
+// The values of a list or of any other iterable, such as a generator, for
+// the builtins that work through a whole sequence.
+function listOf(value, builtin) {
+  if (Array.isArray(value)) return value;
+  if (value !== null && value !== undefined && typeof value[Symbol.iterator] === 'function') {
+    return Array.from(value);
+  }
+  throw new TypeError(`${builtin}() needs a list or an iterable, not ${value === null || value === undefined ? 'null' : typeof value}`);
+}
+
+// With a sandbox, the builtins that reach files, the network or the
+// environment check its grants, and host modules cannot be loaded.
 class Runtime {
-  constructor() {
+  constructor(sandbox = null) {
+    this.sandbox = sandbox;
     this.builtins = this.initializeBuiltins();
     this.modules = {};
   }
@@ -51,11 +66,11 @@ class Runtime {
         return result;
       },
       
-      map: (arr, func) => arr.map(func),
+      map: (arr, func) => listOf(arr, 'map').map(func),
       
-      filter: (arr, func) => arr.filter(func),
+      filter: (arr, func) => listOf(arr, 'filter').filter(func),
       
-      reduce: (arr, func, initial) => arr.reduce(func, initial),
+      reduce: (arr, func, initial) => initial === undefined ? listOf(arr, 'reduce').reduce(func) : listOf(arr, 'reduce').reduce(func, initial),
       
       sort: (arr, compareFn) => arr.slice().sort(compareFn),
       
@@ -96,6 +111,20 @@ class Runtime {
       freeze: (obj) => Object.freeze(obj),
       
       seal: (obj) => Object.seal(obj),
+
+      readFile: (file) => fs.readFileSync(this.sandbox ? this.sandbox.checkFile(file, 'Reading') : String(file), 'utf8'),
+
+      writeFile: (file, text) => {
+        fs.writeFileSync(this.sandbox ? this.sandbox.checkFile(file, 'Writing') : String(file), String(text));
+        return null;
+      },
+
+      env: (name) => {
+        if (this.sandbox) {
+          this.sandbox.checkEnv(name);
+        }
+        return process.env[name] ?? null;
+      },
       
       Math: {
         abs: Math.abs,
@@ -139,11 +168,19 @@ class Runtime {
       
       Promise: typeof Promise !== 'undefined' ? Promise : class {},
       
-      fetch: typeof fetch !== 'undefined' ? fetch : async () => ({})
+      fetch: (url, options) => {
+        if (this.sandbox) {
+          this.sandbox.checkNet(url);
+        }
+        return typeof fetch !== 'undefined' ? fetch(url, options) : Promise.resolve({});
+      }
     };
   }
 
   loadModule(modulePath) {
+    if (this.sandbox) {
+      this.sandbox.checkHostModule(modulePath);
+    }
     if (this.modules[modulePath]) {
       return this.modules[modulePath];
     }
@@ -166,7 +203,7 @@ class Runtime {
   }
 
   hasBuiltin(name) {
-    return name in this.builtins;
+    return Object.prototype.hasOwnProperty.call(this.builtins, name);
   }
 }
 
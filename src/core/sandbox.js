@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { LumosPermissionError } = require('./errors');
+
+// Properties through which a host object leads to its prototype or its
+// constructor, and from there to the host's Function constructor.
+const BLOCKED_PROPERTIES = new Set([
+  '__proto__', 'constructor', 'prototype',
+  '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+]);
+
+const SANDBOX_OPTIONS = ['allowFs', 'allowNet', 'allowEnv'];
+
+// The limits every sandboxed run starts with, so that a runaway program
+// typed into a playground is stopped even when nobody asked for limits.
+const DEFAULT_LIMITS = {
+  maxSteps: 10000000,
+  timeoutMs: 5000,
+  maxMemory: 256 * 1024 * 1024
+};
+
+// What a sandboxed program may do. Each capability is either granted
+// outright with `true` or for a list of directories (fs), host names (net)
+// or variable names (env), and nothing is granted unless asked for. Host
+// modules cannot be imported at all. An option it does not know is an
+// error rather than a grant or a quota that silently does nothing.
+class Sandbox {
+  constructor(options = {}) {
+    for (const name of Object.keys(options)) {
+      if (!SANDBOX_OPTIONS.includes(name)) {
+        throw new Error(`Unknown sandbox option '${name}'`);
+      }
+    }
+    const fsGrant = this.grant(options.allowFs);
+    this.fs = fsGrant === true ? true : fsGrant.map(dir => this.realPath(dir));
+    this.net = this.grant(options.allowNet);
+    this.env = this.grant(options.allowEnv);
+  }
+
+  grant(value) {
+    if (value === true) return true;
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  // Returns the path to open. Links are followed first, so one inside a
+  // granted directory cannot lead out of it.
+  checkFile(file, access) {
+    const target = this.realPath(String(file));
+    const inside = dir => target === dir || target.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep);
+    if (this.fs !== true && !this.fs.some(inside)) {
+      throw new LumosPermissionError(`${access} ${file} needs an fs grant for it`);
+    }
+    return target;
+  }
+
+  checkNet(url) {
+    const host = new URL(String(url)).hostname;
+    if (this.net !== true && !this.net.includes(host)) {
+      throw new LumosPermissionError(`Connecting to ${host} needs a net grant for it`);
+    }
+  }
+
+  checkEnv(name) {
+    if (this.env !== true && !this.env.includes(name)) {
+      throw new LumosPermissionError(`Reading the environment variable ${name} needs an env grant for it`);
+    }
+  }
+
+  checkHostModule(specifier) {
+    throw new LumosPermissionError(`Host module '${specifier}' cannot be imported in the sandbox`);
+  }
+
+  checkProperty(property) {
+    if (BLOCKED_PROPERTIES.has(property)) {
+      throw new LumosPermissionError(`Property '${property}' cannot be accessed in the sandbox`);
+    }
+  }
+
+  // Nor can their names be used as variables.
+  checkName(name) {
+    if (BLOCKED_PROPERTIES.has(name)) {
+      throw new LumosPermissionError(`Name '${name}' cannot be used in the sandbox`);
+    }
+  }
+
+  // The real path of a file that may not exist yet: that of its nearest
+  // existing ancestor, with the rest of the path added back.
+  realPath(file) {
+    const rest = [];
+    let existing = path.resolve(file);
+    while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+      rest.unshift(path.basename(existing));
+      existing = path.dirname(existing);
+    }
+    return path.join(fs.realpathSync(existing), ...rest);
+  }
+}
+
+module.exports = Sandbox;
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
@@ -0,0 +1,1142 @@
+// Checks the optional type annotations of a program before it runs. Types
+// the program leaves out are inferred locally, from literals, operators and
+// the signatures of what is called, and anything that cannot be inferred is
+// `any`, which is compatible with every type.
+//
+// Types are plain objects: `{ name: 'list', args: [INT] }`, or for functions
+// `{ name: 'fn', params, returns }`. `nullable` also admits null, `variable`
+// marks a function's type parameter, and `of` names the type behind a class
+// used as a value.
+
+const path = require('path');
+const Lexer = require('./lexer');
+const Parser = require('./parser');
+const PRELUDE = require('./prelude');
+const { ModuleResolver, collectModules } = require('./modules');
+
+const PRIMITIVES = ['int', 'float', 'string', 'bool', 'any', 'void', 'null'];
+const GENERICS = { list: 1, map: 2 };
+const NUMERIC = ['int', 'float'];
+const DECLARATION_KINDS = {
+  ClassDeclaration: 'class',
+  StructDeclaration: 'struct',
+  EnumDeclaration: 'enum',
+  InterfaceDeclaration: 'interface'
+};
+
+const named = (name, args = []) => ({ name, args, nullable: false });
+const variable = name => ({ name, args: [], nullable: false, variable: true });
+const list = element => named('list', [element]);
+const fn = (params, returns, extra = {}) => ({
+  name: 'fn', args: [], nullable: false, params, returns,
+  names: null, required: params ? params.length : 0, rest: null, ...extra
+});
+
+const ANY = named('any');
+const INT = named('int');
+const FLOAT = named('float');
+const STRING = named('string');
+const BOOL = named('bool');
+const VOID = named('void');
+const NULL = named('null');
+
+const T = variable('T');
+const U = variable('U');
+
+const BUILTINS = {
+  print: fn(null, VOID),
+  println: fn(null, VOID),
+  input: fn([STRING], STRING, { required: 0 }),
+  len: fn([ANY], INT),
+  str: fn([ANY], STRING),
+  int: fn([ANY], INT),
+  float: fn([ANY], FLOAT),
+  bool: fn([ANY], BOOL),
+  type: fn([ANY], STRING),
+  range: fn([INT, INT, INT], list(INT), { required: 2 }),
+  map: fn([list(T), fn([T], U)], list(U)),
+  filter: fn([list(T), fn([T], BOOL)], list(T)),
+  sort: fn([list(T), ANY], list(T), { required: 1 })
+};
+
+let preludeAst = null;
+
+// Declarations passed through a decorator that is called at runtime.
+function isWrapped(node) {
+  return (node.decorators || []).some(decorator => !decorator.metadata);
+}
+
+function typeToString(type) {
+  let text;
+  if (type.name === 'fn') {
+    text = type.params ? `(${type.params.map(typeToString).join(', ')}) -> ${typeToString(type.returns)}` : 'function';
+  } else if (type.name === 'class') {
+    text = `class ${type.of}`;
+  } else {
+    text = type.args.length ? `${type.name}<${type.args.map(typeToString).join(', ')}>` : type.name;
+  }
+  return type.nullable && type.name !== 'null' && type.name !== 'any' ? `${text}?` : text;
+}
+
+class TypeChecker {
+  // `modules` maps the id of each module checked so far to its exports.
+  constructor(modules = {}) {
+    this.modules = modules;
+  }
+
+  // Returns the problems found, each with the line and column of the code
+  // at fault. The module's exports are left in `this.exports`.
+  check(ast) {
+    this.errors = [];
+    this.types = new Map();
+    this.scopes = [new Map(Object.entries(BUILTINS).map(([name, type]) => [name, { type, fixed: true }]))];
+    this.functions = [];
+    this.typeParameters = [];
+    this.thisType = ANY;
+    this.statement = null;
+    this.exports = { values: new Map(), types: new Map() };
+    this.signatures = new Map();
+    this.argumentTypes = new Map();
+    this.returnTypes = new Map();
+
+    // The prelude's error classes are declared like the program's own, so
+    // calling or extending them is checked against their constructors.
+    if (!preludeAst) {
+      preludeAst = new Parser(new Lexer(PRELUDE).tokenize()).parse();
+    }
+    this.declareTypes(preludeAst.statements);
+    this.hoist(preludeAst.statements);
+    this.declareTypes(ast.statements);
+    this.hoist(ast.statements);
+    for (const statement of ast.statements) {
+      this.checkStatement(statement);
+      if (statement.exported) this.exportDeclaration(statement);
+    }
+    return this.errors;
+  }
+
+  error(node, message) {
+    const at = this.locate(node) || {};
+    this.errors.push({ message, line: at.line ?? null, column: at.column ?? null });
+  }
+
+  // Binary and unary expressions carry no position, so errors about them
+  // point at their leftmost operand, or else at the enclosing statement.
+  locate(node) {
+    for (let current = node; current && typeof current === 'object';
+      current = current.left || current.object || current.callee || current.target || current.operand || current.argument || current.test || current.start) {
+      if (current.line !== undefined) return current;
+    }
+    return this.statement;
+  }
+
+  // Scopes
+
+  lookup(name) {
+    const binding = this.binding(name);
+    return binding ? binding.type : ANY;
+  }
+
+  binding(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+    }
+    return null;
+  }
+
+  // Only names declared with a type keep it; the others take whatever is
+  // assigned to them later.
+  declare(name, type, fixed = true) {
+    this.scopes[this.scopes.length - 1].set(name, { type, fixed });
+  }
+
+  withScope(callback) {
+    this.scopes.push(new Map());
+    try {
+      return callback();
+    } finally {
+      this.scopes.pop();
+    }
+  }
+
+  checkBlock(statements) {
+    this.withScope(() => {
+      this.hoist(statements);
+      statements.forEach(statement => this.checkStatement(statement));
+    });
+  }
+
+  // Functions can be called before their declaration, so their signatures
+  // are known from the start of the block.
+  hoist(statements) {
+    for (const statement of statements) {
+      if (isWrapped(statement)) {
+        this.declare(statement.name, ANY);
+      } else if (statement.type === 'FunctionDeclaration') {
+        const signature = this.signature(statement);
+        this.signatures.set(statement, signature);
+        this.declare(statement.name, signature);
+      } else if (DECLARATION_KINDS[statement.type] && this.types.has(statement.name)) {
+        this.declare(statement.name, { ...named('class'), of: statement.name });
+      }
+    }
+  }
+
+  // Declared types
+
+  // Type names are registered before any member is resolved, so members can
+  // refer to types declared further down.
+  declareTypes(statements) {
+    const declared = statements.filter(statement => DECLARATION_KINDS[statement.type]);
+    for (const node of declared) {
+      this.types.set(node.name, {
+        kind: DECLARATION_KINDS[node.type],
+        name: node.name,
+        node,
+        superclass: node.superclass || null,
+        interfaces: node.interfaces || [],
+        fields: new Map(),
+        methods: new Map(),
+        variants: new Map()
+      });
+    }
+    for (const node of declared) {
+      const info = this.types.get(node.name);
+      for (const property of node.properties || []) {
+        const declared = property.typeAnnotation && this.resolveType(property.typeAnnotation);
+        info.fields.set(property.name, { type: declared || ANY, fixed: Boolean(declared) });
+      }
+      for (const variant of node.variants || []) {
+        info.variants.set(variant.name, {
+          fields: variant.fields,
+          types: variant.fields.map(field => variant.fieldTypes[field] ? this.resolveType(variant.fieldTypes[field]) : ANY)
+        });
+      }
+      for (const method of node.methods) {
+        const signature = this.signature(method);
+        this.signatures.set(method, signature);
+        info.methods.set(method.name, signature);
+      }
+    }
+  }
+
+  subtype(source, target) {
+    if (source === target) return true;
+    const info = this.types.get(source);
+    if (!info) return false;
+    return info.interfaces.some(name => this.subtype(name, target)) ||
+      (info.superclass !== null && this.subtype(info.superclass, target));
+  }
+
+  findMember(name, member) {
+    const field = this.findField(name, member);
+    if (field) return field.type;
+    const info = this.types.get(name);
+    if (!info) return null;
+    if (info.methods.has(member)) return info.methods.get(member);
+    for (const parent of [info.superclass, ...info.interfaces]) {
+      const found = parent && this.findMember(parent, member);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  findField(name, member) {
+    for (let info = this.types.get(name); info; info = this.types.get(info.superclass)) {
+      if (info.fields.has(member)) return info.fields.get(member);
+    }
+    return null;
+  }
+
+  // Annotations
+
+  resolveType(node) {
+    if (node.type === 'FunctionType') {
+      const type = fn(node.parameters.map(parameter => this.resolveType(parameter)), this.resolveType(node.returns));
+      return node.nullable ? { ...type, nullable: true } : type;
+    }
+
+    const { name } = node;
+    const args = node.arguments.map(arg => this.resolveType(arg));
+    let type;
+    if (this.typeParameters.some(scope => scope.includes(name))) {
+      type = variable(name);
+    } else if (PRIMITIVES.includes(name) || GENERICS[name] !== undefined) {
+      const arity = GENERICS[name] || 0;
+      if (args.length && args.length !== arity) {
+        this.error(node, arity
+          ? `${name} expects ${arity} type argument${arity === 1 ? '' : 's'} but got ${args.length}`
+          : `${name} does not take type arguments`);
+        return ANY;
+      }
+      type = named(name, args.length ? args : Array(arity).fill(ANY));
+    } else if (this.types.has(name)) {
+      type = named(name);
+    } else {
+      this.error(node, `Unknown type ${name}`);
+      return ANY;
+    }
+    return node.nullable ? { ...type, nullable: true } : type;
+  }
+
+  // The type of a function or method from its annotations. A return type
+  // left out is inferred once the body has been checked. Arguments past the
+  // parameters go to the rest parameter, and a block parameter is optional;
+  // a block passed with `do` may take any number of arguments.
+  signature(node) {
+    this.typeParameters.push(node.typeParameters || []);
+    try {
+      const annotations = node.parameterTypes || {};
+      const annotated = name => annotations[name] ? this.resolveType(annotations[name]) : ANY;
+      const defaults = node.defaults || {};
+      const names = node.parameters.filter(name => name !== node.restParameter && (name !== node.blockParameter || !node.restParameter));
+      const required = names.findIndex(name => defaults[name] !== undefined || name === node.blockParameter);
+      const returns = node.returnType ? this.resolveType(node.returnType) : ANY;
+      // A generator's return type is the type of the values it yields.
+      return fn(names.map(annotated), node.generator ? ANY : returns, {
+        names,
+        required: node.block ? 0 : required === -1 ? names.length : required,
+        rest: node.restParameter ? this.elementType(annotated(node.restParameter)) : node.block ? ANY : null,
+        block: node.blockParameter ? annotated(node.blockParameter) : null,
+        declared: Boolean(node.returnType) && !node.generator,
+        async: Boolean(node.async),
+        yields: node.generator && node.returnType ? returns : null
+      });
+    } finally {
+      this.typeParameters.pop();
+    }
+  }
+
+  // Compatibility
+
+  assignable(target, source, bindings = null) {
+    if (bindings && target.variable) return this.bind(target, source, bindings);
+    if (bindings && source.variable) return this.bind(source, target, bindings);
+    if (target.name === 'any' || source.name === 'any') return true;
+    if (target.variable || source.variable) return target.name === source.name;
+    if (source.name === 'null') return target.nullable || target.name === 'null';
+    if (source.nullable && !target.nullable) return false;
+    if (target.name === 'float' && source.name === 'int') return true;
+
+    if (target.name === 'fn' && source.name === 'fn') {
+      if (!target.params || !source.params) return true;
+      if (source.required > target.params.length) return false;
+      const paramsMatch = target.params.every((param, i) =>
+        i >= source.params.length || this.assignable(source.params[i], param, bindings));
+      return paramsMatch && (target.returns.name === 'void' || this.assignable(target.returns, source.returns, bindings));
+    }
+    if (target.name === 'class' || source.name === 'class') {
+      return target.name === source.name && target.of === source.of;
+    }
+    if (target.name === source.name) {
+      return target.args.every((arg, i) => this.assignable(arg, source.args[i] || ANY, bindings));
+    }
+    return this.subtype(source.name, target.name);
+  }
+
+  bind(type, other, bindings) {
+    if (bindings.has(type.name)) {
+      const bound = bindings.get(type.name);
+      if (this.assignable(bound, other)) return true;
+      if (!this.assignable(other, bound)) return false;
+      bindings.set(type.name, other);
+      return true;
+    }
+    if (!other.variable) bindings.set(type.name, other.name === 'null' ? ANY : other);
+    return true;
+  }
+
+  substitute(type, bindings) {
+    if (type.variable) return bindings.get(type.name) || type;
+    if (type.name === 'fn') {
+      return {
+        ...type,
+        params: type.params && type.params.map(param => this.substitute(param, bindings)),
+        returns: this.substitute(type.returns, bindings),
+        rest: type.rest && this.substitute(type.rest, bindings)
+      };
+    }
+    return type.args.length ? { ...type, args: type.args.map(arg => this.substitute(arg, bindings)) } : type;
+  }
+
+  // Type parameters left unbound by a call are unknown to its caller.
+  concrete(type) {
+    if (type.variable) return ANY;
+    return this.substitute(type, { get: () => ANY });
+  }
+
+  // The narrowest type both values fit in.
+  join(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    if (typeToString(a) === typeToString(b)) return a;
+    if (a.name === 'any' || b.name === 'any') return ANY;
+    if (a.name === 'null') return { ...b, nullable: true };
+    if (b.name === 'null') return { ...a, nullable: true };
+    if (NUMERIC.includes(a.name) && NUMERIC.includes(b.name)) {
+      return { ...FLOAT, nullable: a.nullable || b.nullable };
+    }
+    if (this.assignable(a, b)) return a;
+    if (this.assignable(b, a)) return b;
+    return ANY;
+  }
+
+  // A variable declared without a type keeps what it was given, but an
+  // empty list or a null can still hold anything.
+  widen(type) {
+    return type.name === 'null' || type.name === 'void' ? ANY : type;
+  }
+
+  elementType(type) {
+    if (type.name === 'list') return type.args[0];
+    if (type.name === 'string') return STRING;
+    return ANY;
+  }
+
+  nonNull(type) {
+    return type.nullable ? { ...type, nullable: false } : type;
+  }
+
+  expect(target, source, node, describe) {
+    if (!this.assignable(target, source)) {
+      this.error(node, describe(typeToString(source), typeToString(target)));
+    }
+  }
+
+  // Statements
+
+  checkStatement(node) {
+    if (node.line !== undefined) this.statement = node;
+
+    switch (node.type) {
+      case 'VariableDeclaration':
+        return this.checkVariableDeclaration(node);
+      case 'DestructuringDeclaration':
+        return this.bindPattern(node.pattern, this.infer(node.initializer));
+      case 'FunctionDeclaration':
+        return this.checkFunctionDeclaration(node);
+      case 'ClassDeclaration':
+      case 'StructDeclaration':
+      case 'EnumDeclaration':
+      case 'InterfaceDeclaration':
+        return this.checkTypeDeclaration(node);
+      case 'ImportStatement':
+        return this.checkImport(node);
+      case 'IfStatement':
+        this.infer(node.condition);
+        this.checkBlock(node.thenBranch);
+        for (const branch of node.elifBranches) {
+          this.infer(branch.condition);
+          this.checkBlock(branch.body);
+        }
+        if (node.elseBranch) this.checkBlock(node.elseBranch);
+        return;
+      case 'WhileStatement':
+        this.infer(node.condition);
+        return this.checkBlock(node.body);
+      case 'ForStatement': {
+        const bounds = [node.start, node.end, node.step].map(bound => {
+          const type = this.infer(bound);
+          this.expect(FLOAT, type, bound, actual => `Loop bounds must be numbers, not ${actual}`);
+          return type;
+        });
+        const iterator = bounds.reduce((a, b) => this.join(a, b));
+        return this.withScope(() => {
+          this.declare(node.iterator, NUMERIC.includes(iterator.name) ? iterator : ANY);
+          this.checkBlock(node.body);
+        });
+      }
+      case 'ForInStatement':
+        return this.checkForIn(node);
+      case 'TryStatement':
+        this.checkBlock(node.tryBlock);
+        for (const clause of node.catchClauses) {
+          this.withScope(() => {
+            if (clause.parameter) {
+              this.declare(clause.parameter, clause.errorType && this.types.has(clause.errorType) ? named(clause.errorType) : ANY);
+            }
+            this.checkBlock(clause.body);
+          });
+        }
+        if (node.finallyBlock) this.checkBlock(node.finallyBlock);
+        return;
+      case 'MatchStatement':
+        this.checkMatch(node);
+        return;
+      case 'ReturnStatement':
+        return this.checkReturn(node);
+      case 'ThrowStatement':
+        this.infer(node.argument);
+        return;
+      case 'ExpressionStatement':
+        this.infer(node.expression);
+        return;
+      default:
+        return;
+    }
+  }
+
+  checkVariableDeclaration(node) {
+    const declared = node.typeAnnotation ? this.resolveType(node.typeAnnotation) : null;
+    const value = node.initializer ? this.infer(node.initializer, declared) : NULL;
+    if (declared && node.initializer) {
+      this.expect(declared, value, node.initializer, (actual, expected) => `Cannot assign ${actual} to ${node.name} of type ${expected}`);
+    }
+    this.declare(node.name, declared || this.widen(value), Boolean(declared));
+  }
+
+  // A decorator can return anything, so a wrapped function is typed as any.
+  checkFunctionDeclaration(node) {
+    this.checkDecorators(node);
+    const wrapped = isWrapped(node);
+    const type = this.checkFunction(node, wrapped ? this.signature(node) : this.lookup(node.name));
+    this.declare(node.name, wrapped ? ANY : type);
+  }
+
+  checkDecorators(node) {
+    for (const decorator of node.decorators || []) {
+      if (decorator.metadata) continue;
+      const { line, column } = decorator;
+      this.infer(decorator.arguments
+        ? { type: 'CallExpression', callee: decorator.expression, arguments: decorator.arguments, line, column }
+        : decorator.expression);
+    }
+  }
+
+  // Checks a function's body against its signature, and gives the
+  // signature the return type inferred from the body if it declared none.
+  checkFunction(node, signature, thisType = this.thisType) {
+    const outer = this.thisType;
+    this.thisType = thisType;
+    this.typeParameters.push(node.typeParameters || []);
+    const context = { name: node.name || 'lambda', signature, returns: [] };
+    this.functions.push(context);
+
+    try {
+      return this.withScope(() => {
+        signature.names.forEach((name, i) => {
+          const param = signature.params[i];
+          const fallback = node.defaults && node.defaults[name];
+          if (fallback) {
+            this.expect(param, this.infer(fallback, param), fallback,
+              (actual, expected) => `Cannot assign ${actual} to parameter ${name} of type ${expected}`);
+          }
+          this.declare(name, param);
+        });
+        if (node.restParameter) this.declare(node.restParameter, list(signature.rest || ANY));
+        if (node.blockParameter && !signature.names.includes(node.blockParameter)) {
+          this.declare(node.blockParameter, signature.block);
+        }
+
+        if (node.body === null) return signature;
+        let returns;
+        if (node.expression) {
+          returns = this.infer(node.body, signature.declared ? signature.returns : null);
+          if (signature.declared) {
+            this.expect(signature.returns, returns, node.body,
+              (actual, expected) => `Cannot return ${actual} from ${context.name}, which returns ${expected}`);
+          }
+        } else {
+          this.hoist(node.body);
+          node.body.forEach(statement => this.checkStatement(statement));
+          returns = context.returns.reduce((a, b) => this.join(a, b), null) || (node.block ? ANY : VOID);
+        }
+        if (signature.declared) return signature;
+        if (node.async || node.generator) returns = ANY;
+        this.returnTypes.set(signature, context.returns);
+        signature.returns = returns;
+        return signature;
+      });
+    } finally {
+      this.functions.pop();
+      this.typeParameters.pop();
+      this.thisType = outer;
+    }
+  }
+
+  checkReturn(node) {
+    const context = this.functions[this.functions.length - 1];
+    if (!context) {
+      if (node.value) this.infer(node.value);
+      return;
+    }
+    const { signature } = context;
+    const expected = signature.declared && !signature.async ? signature.returns : null;
+    const value = node.value ? this.infer(node.value, expected) : NULL;
+    if (expected) {
+      if (!node.value && expected.name !== 'void' && !expected.nullable && expected.name !== 'any') {
+        this.error(node, `${context.name} must return ${typeToString(expected)}`);
+      } else if (node.value && expected.name === 'void') {
+        this.error(node.value, `${context.name} returns void and cannot return a value`);
+      } else if (node.value) {
+        this.expect(expected, value, node.value,
+          (actual, wanted) => `Cannot return ${actual} from ${context.name}, which returns ${wanted}`);
+      }
+    }
+    context.returns.push(value);
+  }
+
+  checkYield(node) {
+    const context = this.functions[this.functions.length - 1];
+    const yields = context && !node.delegate ? context.signature.yields : null;
+    if (!node.argument) return;
+    const value = this.infer(node.argument, yields);
+    if (yields) {
+      this.expect(yields, value, node.argument,
+        (actual, expected) => `Cannot yield ${actual} from ${context.name}, which yields ${expected}`);
+    }
+  }
+
+  checkTypeDeclaration(node) {
+    this.checkDecorators(node);
+    if (!this.types.has(node.name)) {
+      this.declareTypes([node]);
+      this.hoist([node]);
+    }
+    const info = this.types.get(node.name);
+    const instance = named(node.name);
+    for (const property of node.properties || []) {
+      if (!property.initializer) continue;
+      this.statement = property;
+      const field = info.fields.get(property.name);
+      const value = this.infer(property.initializer, property.typeAnnotation ? field.type : null);
+      if (property.typeAnnotation) {
+        this.expect(field.type, value, property.initializer,
+          (actual, expected) => `Cannot assign ${actual} to ${node.name}.${property.name} of type ${expected}`);
+      } else {
+        field.type = this.join(field.type === ANY ? null : field.type, this.widen(value));
+      }
+    }
+    for (const method of node.methods) {
+      this.statement = method;
+      this.checkFunction(method, info.methods.get(method.name), instance);
+    }
+  }
+
+  checkImport(node) {
+    const exports = node.module !== undefined ? this.modules[node.module] : null;
+    for (const { name, alias } of node.specifiers) {
+      if (!exports) {
+        this.declare(alias, ANY);
+      } else if (name === '*') {
+        this.declare(alias, { ...named('module'), exports });
+      } else {
+        if (exports.types.has(name)) this.types.set(alias, exports.types.get(name));
+        this.declare(alias, exports.values.get(name) || ANY);
+      }
+    }
+  }
+
+  exportDeclaration(node) {
+    if (this.types.has(node.name)) this.exports.types.set(node.name, this.types.get(node.name));
+    this.exports.values.set(node.name, this.lookup(node.name));
+  }
+
+  checkForIn(node) {
+    this.withScope(() => {
+      this.declareLoopVariables(node);
+      this.checkBlock(node.body);
+    });
+  }
+
+  declareLoopVariables(node) {
+    const iterable = this.infer(node.iterable);
+    let values = [ANY, ANY];
+    if (node.iterable.type === 'RangeExpression' || ['list', 'string'].includes(iterable.name)) {
+      const element = node.iterable.type === 'RangeExpression' ? INT : this.elementType(iterable);
+      values = node.variables.length === 1 ? [element] : [INT, element];
+    } else if (iterable.name === 'map') {
+      values = iterable.args;
+    } else if (!['any', 'fn'].includes(iterable.name) && !iterable.variable && !this.types.has(iterable.name)) {
+      this.error(node.iterable, `Cannot iterate over ${typeToString(iterable)}`);
+    }
+    node.variables.forEach((name, i) => this.declare(name, values[i] || ANY));
+  }
+
+  inferComprehension(node) {
+    return this.withScope(() => {
+      for (const clause of node.clauses) {
+        this.declareLoopVariables(clause);
+        clause.conditions.forEach(condition => this.infer(condition));
+      }
+      if (node.type === 'ListComprehension') return list(this.infer(node.element));
+      this.infer(node.key);
+      return named('map', [STRING, this.infer(node.value)]);
+    });
+  }
+
+  checkMatch(node) {
+    const subject = this.infer(node.subject);
+    let result = null;
+    for (const matchCase of node.cases) {
+      this.withScope(() => {
+        this.bindPattern(matchCase.pattern, subject);
+        if (matchCase.guard) this.infer(matchCase.guard);
+        if (matchCase.expression) {
+          result = this.join(result, this.infer(matchCase.body));
+        } else {
+          this.checkBlock(matchCase.body);
+          result = ANY;
+        }
+      });
+    }
+    return result || ANY;
+  }
+
+  bindPattern(pattern, type) {
+    switch (pattern.type) {
+      case 'IdentifierPattern':
+        this.declare(pattern.name, this.widen(type), false);
+        return;
+      case 'ArrayPattern': {
+        const element = type.name === 'list' ? type.args[0] : ANY;
+        pattern.elements.forEach(element_ => this.bindPattern(element_, element));
+        if (pattern.rest) this.declare(pattern.rest, list(element), false);
+        return;
+      }
+      case 'ObjectPattern':
+        for (const prop of pattern.properties) {
+          this.bindPattern(prop.pattern, this.memberType(type, prop.key));
+        }
+        if (pattern.rest) this.declare(pattern.rest, ANY, false);
+        return;
+      case 'VariantPattern': {
+        const info = this.types.get(pattern.enumName || type.name);
+        const variant = info && info.variants.get(pattern.variant);
+        (pattern.elements || []).forEach((element, i) =>
+          this.bindPattern(element, variant ? variant.types[i] || ANY : ANY));
+        return;
+      }
+      default:
+        return;
+    }
+  }
+
+  // Expressions
+
+  // The type of an expression. `expected` is the type its context wants,
+  // which lets a lambda's parameters and an empty list take their types
+  // from where they are used.
+  infer(node, expected = null) {
+    switch (node.type) {
+      case 'Literal':
+        return this.inferLiteral(node);
+      case 'InterpolatedString':
+        node.parts.forEach(part => typeof part === 'object' && part !== null && this.infer(part));
+        return STRING;
+      case 'Identifier':
+        return node.name === 'this' ? this.thisType : this.lookup(node.name);
+      case 'ArrayLiteral':
+        return this.inferArray(node, expected);
+      case 'ObjectLiteral': {
+        const wanted = expected && expected.name === 'map' && !expected.args[1].variable ? expected.args[1] : null;
+        let value = null;
+        for (const prop of node.properties) {
+          const spread = prop.type === 'SpreadElement';
+          const inferred = this.infer(spread ? prop.argument : prop.value, spread ? null : wanted);
+          const type = spread ? (inferred.name === 'map' ? inferred.args[1] : ANY) : inferred;
+          if (wanted) {
+            this.expect(wanted, type, spread ? prop.argument : prop.value, (actual, expected) => `Map value must be ${expected}, not ${actual}`);
+          }
+          value = this.join(value, type);
+        }
+        return named('map', [STRING, wanted || value || (expected && expected.name === 'map' ? expected.args[1] : ANY)]);
+      }
+      case 'ListComprehension':
+      case 'DictComprehension':
+        return this.inferComprehension(node);
+      case 'RangeExpression':
+        [node.start, node.end].forEach(bound =>
+          this.expect(INT, this.infer(bound), bound, actual => `Range bounds must be int, not ${actual}`));
+        return list(INT);
+      case 'BinaryExpression':
+        return this.inferBinary(node);
+      case 'UnaryExpression':
+        return this.inferUnary(node);
+      case 'UpdateExpression': {
+        const type = this.infer(node.argument);
+        this.expect(FLOAT, type, node, actual => `Operator ${node.operator} cannot be applied to ${actual}`);
+        return type;
+      }
+      case 'Assignment':
+        return this.inferAssignment(node);
+      case 'ConditionalExpression':
+        this.infer(node.test);
+        return this.join(this.infer(node.consequent, expected), this.infer(node.alternate, expected));
+      case 'OptionalChain': {
+        const type = this.infer(node.expression);
+        return type.name === 'any' ? type : { ...type, nullable: true };
+      }
+      case 'MemberExpression':
+        return this.memberType(this.infer(node.object), node.property);
+      case 'IndexExpression':
+        return this.inferIndex(node);
+      case 'CallExpression':
+      case 'NewExpression':
+        return this.inferCall(node);
+      case 'Lambda':
+        return this.inferLambda(node, expected);
+      case 'MatchExpression':
+        return this.checkMatch(node);
+      case 'AwaitExpression':
+        this.infer(node.argument);
+        return ANY;
+      case 'YieldExpression':
+        this.checkYield(node);
+        return ANY;
+      case 'SpreadElement':
+        return this.infer(node.argument);
+      default:
+        return ANY;
+    }
+  }
+
+  inferLiteral(node) {
+    const { value } = node;
+    if (value === null || value === undefined) return NULL;
+    if (typeof value === 'boolean') return BOOL;
+    if (typeof value === 'string') return STRING;
+    if (typeof value === 'number') {
+      const raw = node.raw !== undefined ? String(node.raw) : String(value);
+      return Number.isInteger(value) && !/[.eE]/.test(raw) ? INT : FLOAT;
+    }
+    return ANY;
+  }
+
+  // Against an expected list type each element is checked on its own, since
+  // the join of elements that do not fit it can be `any`.
+  inferArray(node, expected) {
+    const wanted = expected && expected.name === 'list' && !expected.args[0].variable ? expected.args[0] : null;
+    let element = null;
+    for (const item of node.elements) {
+      const type = item.type === 'SpreadElement' ? this.elementType(this.infer(item.argument)) : this.infer(item, wanted);
+      if (wanted) {
+        this.expect(wanted, type, item, (actual, expected) => `List element must be ${expected}, not ${actual}`);
+      }
+      element = this.join(element, type);
+    }
+    if (wanted) return list(wanted);
+    if (!element) return expected && expected.name === 'list' ? expected : list(ANY);
+    return list(element);
+  }
+
+  inferBinary(node) {
+    const { operator } = node;
+    const left = this.infer(node.left);
+    if (operator === 'is' || operator === 'is not') return BOOL;
+    const right = this.infer(node.right);
+    const [l, r] = [left, right].map(type => type.name);
+    const unknown = l === 'any' || r === 'any' || left.variable || right.variable;
+    const numeric = NUMERIC.includes(l) && NUMERIC.includes(r) && !left.nullable && !right.nullable;
+    const mismatch = () => {
+      this.error(node, `Operator ${operator} cannot be applied to ${typeToString(left)} and ${typeToString(right)}`);
+      return ANY;
+    };
+
+    switch (operator) {
+      case '+':
+        if (l === 'string' || r === 'string') return STRING;
+        if (numeric) return l === 'float' || r === 'float' ? FLOAT : INT;
+        return unknown ? ANY : mismatch();
+      case '-': case '*': case '%': case '**':
+        if (numeric) return l === 'float' || r === 'float' ? FLOAT : INT;
+        return unknown ? ANY : mismatch();
+      case '/':
+        return numeric || unknown ? FLOAT : mismatch();
+      case '&': case '|': case '^': case '<<': case '>>':
+        return numeric || unknown ? INT : mismatch();
+      case '<': case '<=': case '>': case '>=':
+        return numeric || unknown || (l === 'string' && r === 'string') ? BOOL : mismatch();
+      case '==': case '!=': case '===': case '!==':
+      case 'in': case 'not in':
+        return BOOL;
+      case '??':
+        return this.join(this.nonNull(left), right);
+      case 'and': case '&&': case 'or': case '||':
+        return this.join(left, right);
+      default:
+        return ANY;
+    }
+  }
+
+  inferUnary(node) {
+    const operand = this.infer(node.operand);
+    if (node.operator === 'not' || node.operator === '!') return BOOL;
+    const wanted = node.operator === '~' ? INT : FLOAT;
+    this.expect(wanted, operand, node.operand, actual => `Operator ${node.operator} cannot be applied to ${actual}`);
+    if (node.operator === '~') return INT;
+    return NUMERIC.includes(operand.name) ? operand : ANY;
+  }
+
+  inferAssignment(node) {
+    const { target } = node;
+    const current = this.infer(target);
+    let value;
+    if (node.operator === '=') {
+      value = this.infer(node.value, current);
+    } else {
+      value = this.inferBinary({ ...node, left: target, right: node.value, operator: node.operator.slice(0, -1) });
+    }
+
+    const binding = this.assignedBinding(target);
+    if (binding && !binding.fixed) {
+      binding.type = this.join(binding.type, this.widen(value));
+    } else {
+      const name = this.describeTarget(target);
+      this.expect(current, value, node.value, (actual, expected) => `Cannot assign ${actual} to ${name} of type ${expected}`);
+    }
+    return value;
+  }
+
+  // The variable or field an assignment writes, if it has one.
+  assignedBinding(target) {
+    if (target.type === 'Identifier') return this.binding(target.name);
+    if (target.type === 'MemberExpression') {
+      const object = this.nonNull(this.infer(target.object));
+      return this.findField(object.name, target.property);
+    }
+    return null;
+  }
+
+  describeTarget(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression') return `${this.describeTarget(node.object)}.${node.property}`;
+    if (node.type === 'IndexExpression') return `${this.describeTarget(node.object)}[...]`;
+    return 'expression';
+  }
+
+  inferIndex(node) {
+    const object = this.infer(node.object);
+    const index = this.infer(node.index);
+    const optional = node.optional ? { nullable: true } : {};
+    switch (object.name) {
+      case 'list':
+      case 'string':
+        this.expect(INT, index, node.index, actual => `${object.name === 'list' ? 'List' : 'String'} index must be int, not ${actual}`);
+        return { ...this.elementType(object), ...optional };
+      case 'map':
+        this.expect(object.args[0], index, node.index, (actual, expected) => `Map key must be ${expected}, not ${actual}`);
+        return { ...object.args[1], ...optional };
+      case 'int': case 'float': case 'bool': case 'void': case 'null': case 'fn':
+        this.error(node, `${typeToString(object)} cannot be indexed`);
+        return ANY;
+      default:
+        return ANY;
+    }
+  }
+
+  memberType(object, property) {
+    const type = this.nonNull(object);
+    switch (type.name) {
+      case 'string':
+      case 'list':
+        return property === 'length' ? INT : ANY;
+      case 'module':
+        return type.exports.values.get(property) || ANY;
+      case 'class': {
+        const info = this.types.get(type.of);
+        const variant = info && info.variants.get(property);
+        if (!variant) return ANY;
+        if (!variant.fields.length) return named(type.of);
+        return fn(variant.types, named(type.of), { names: variant.fields });
+      }
+      default:
+        return this.findMember(type.name, property) || ANY;
+    }
+  }
+
+  inferCall(node) {
+    const { callee } = node;
+    let type = this.infer(callee);
+    const name = callee.type === 'Identifier' ? callee.name : callee.type === 'MemberExpression' ? callee.property : 'function';
+    const args = node.arguments;
+
+    if (type.name === 'class') {
+      type = this.constructorType(type.of);
+    } else if (node.type === 'NewExpression') {
+      type = fn(null, ANY);
+    }
+    if (type.name !== 'fn') {
+      if (type.name !== 'any' && !type.variable) this.error(node, `${typeToString(type)} is not callable`);
+      args.forEach(arg => this.infer(arg.type === 'NamedArgument' ? arg.value : arg));
+      if (node.block) this.infer(node.block);
+      return ANY;
+    }
+    if (node.block) {
+      const block = type.block || ANY;
+      this.expect(block, this.infer(node.block, block), node.block,
+        (actual, expected) => `The block of ${name} must be ${expected}, not ${actual}`);
+    }
+    return this.checkArguments(type, args, node, name);
+  }
+
+  // Calling a class, struct or enum builds an instance: a class from its
+  // constructor's parameters, a struct from its fields in order.
+  constructorType(name) {
+    const info = this.types.get(name);
+    const instance = named(name);
+    if (info.kind === 'struct') {
+      const fields = [...info.fields.keys()];
+      return fn(fields.map(field => info.fields.get(field).type), instance, { names: fields, required: 0 });
+    }
+    for (let current = info; current; current = this.types.get(current.superclass)) {
+      if (current.methods.has('constructor')) return { ...current.methods.get('constructor'), returns: instance };
+    }
+    return fn([], instance);
+  }
+
+  checkArguments(type, args, node, name) {
+    if (!type.params) {
+      args.forEach(arg => this.infer(arg.type === 'NamedArgument' ? arg.value : arg));
+      return type.returns;
+    }
+
+    const bindings = new Map();
+    let positional = 0;
+    let supplied = 0;
+    let spread = false;
+    for (const arg of args) {
+      if (arg.type === 'SpreadElement') {
+        this.infer(arg.argument);
+        spread = true;
+        continue;
+      }
+
+      let param;
+      let index;
+      let label;
+      let value = arg;
+      if (arg.type === 'NamedArgument') {
+        index = type.names ? type.names.indexOf(arg.name) : -1;
+        value = arg.value;
+        label = `Argument ${arg.name}`;
+        if (index === -1) {
+          if (type.names && !type.rest) this.error(arg.value, `${name} has no parameter named ${arg.name}`);
+          this.infer(value);
+          continue;
+        }
+        param = type.params[index];
+      } else {
+        index = positional++;
+        label = `Argument ${index + 1}`;
+        param = index < type.params.length ? type.params[index] : type.rest;
+        if (!param) {
+          if (!spread) this.error(arg, `${name} expects at most ${type.params.length} argument${type.params.length === 1 ? '' : 's'} but got ${args.length}`);
+          this.infer(value);
+          spread = true;
+          continue;
+        }
+      }
+      supplied++;
+
+      const actual = this.infer(value, this.substitute(param, bindings));
+      this.recordArgument(type, index, actual);
+      if (!this.assignable(param, actual, bindings)) {
+        this.error(value, `${label} of ${name} expects ${typeToString(this.concrete(this.substitute(param, bindings)))} but got ${typeToString(actual)}`);
+      }
+    }
+
+    if (!spread && supplied < type.required) {
+      this.error(node, `${name} expects ${type.required === type.params.length && !type.rest ? '' : 'at least '}${type.required} argument${type.required === 1 ? '' : 's'} but got ${supplied}`);
+    }
+    return this.concrete(this.substitute(type.returns, bindings));
+  }
+
+  // Joins the type of each argument passed to a parameter of a declared
+  // function, for inferTypes(). An argument the checker knows nothing about,
+  // like a parameter passed on in a recursive call, says nothing either way.
+  // They are kept by the signature's parameter list, which a constructor's
+  // type shares with the constructor it is copied from.
+  recordArgument(type, index, actual) {
+    if (index >= type.params.length || actual.name === 'any') return;
+    const seen = this.argumentTypes.get(type.params) || [];
+    seen[index] = this.join(seen[index] || null, this.widen(actual));
+    this.argumentTypes.set(type.params, seen);
+  }
+
+  // A lambda's parameters without annotations take the types of the
+  // function type expected of it, as `map(xs, x => x * 2)` gives `x` the
+  // element type of `xs`.
+  inferLambda(node, expected) {
+    const signature = this.signature(node);
+    const context = expected && expected.name === 'fn' && expected.params ? expected : null;
+    if (context) {
+      signature.params = signature.params.map((param, i) => {
+        const annotated = node.parameterTypes && node.parameterTypes[node.parameters[i]];
+        return annotated || !context.params[i] || context.params[i].variable ? param : context.params[i];
+      });
+    }
+    return this.checkFunction(node, signature);
+  }
+}
+
+// Whether a type can be written into the program as an annotation.
+function isWritable(type) {
+  if (!type || type.variable || ['any', 'void', 'null', 'class'].includes(type.name)) return false;
+  if (type.name === 'fn') return Boolean(type.params) && type.params.every(isWritable) && (type.returns.name === 'void' || isWritable(type.returns));
+  return type.args.every(isWritable);
+}
+
+function typeAnnotation(type) {
+  if (type.name === 'fn') {
+    return { type: 'FunctionType', parameters: type.params.map(typeAnnotation), returns: typeAnnotation(type.returns), nullable: type.nullable };
+  }
+  return { type: 'TypeName', name: type.name, arguments: type.args.map(typeAnnotation), nullable: type.nullable };
+}
+
+// A copy of the program with each function and method found in `signatures`
+// replaced by what `annotate` makes of it.
+function annotateFunctions(node, signatures, annotate) {
+  if (Array.isArray(node)) return node.map(child => annotateFunctions(child, signatures, annotate));
+  if (!node || typeof node !== 'object') return node;
+  const copy = {};
+  for (const key of Object.keys(node)) {
+    copy[key] = annotateFunctions(node[key], signatures, annotate);
+  }
+  return signatures.has(node) ? annotate(copy, signatures.get(node)) : copy;
+}
+
+// A copy of the program in which functions and methods have the types the
+// checker infers where they leave them out: a parameter the type of every
+// argument passed to it, and a function the type of what it returns. The
+// typed backends write these rather than falling back to a type that fits
+// any value. Parameters come first, so the return types can build on them.
+// Returns of unknown type are passed over, so a recursive function takes
+// the type of its base case.
+function inferTypes(ast) {
+  const calls = new TypeChecker();
+  calls.check(ast);
+  const withParameters = annotateFunctions(ast, calls.signatures, (node, signature) => {
+    const seen = calls.argumentTypes.get(signature.params) || [];
+    const parameterTypes = { ...node.parameterTypes };
+    signature.names.forEach((name, i) => {
+      if (!parameterTypes[name] && isWritable(seen[i])) parameterTypes[name] = typeAnnotation(seen[i]);
+    });
+    return { ...node, parameterTypes };
+  });
+
+  const bodies = new TypeChecker();
+  bodies.check(withParameters);
+  return annotateFunctions(withParameters, bodies.signatures, (node, signature) => {
+    if (node.returnType || node.async || node.generator) return node;
+    const known = (bodies.returnTypes.get(signature) || []).filter(type => type.name !== 'any');
+    const returns = isWritable(signature.returns) ? signature.returns : known.reduce((a, b) => bodies.join(a, b), null);
+    return isWritable(returns) ? { ...node, returnType: typeAnnotation(returns) } : node;
+  });
+}
+
+// Checks a program and every Lumos module it imports, dependencies first,
+// so names a module imports have the types its dependency exported.
+function checkProject(entry) {
+  const resolver = new ModuleResolver(ModuleResolver.findRoot(path.dirname(path.resolve(entry))));
+  const exports = {};
+  const errors = [];
+  for (const { file, id, ast } of collectModules(entry, resolver)) {
+    const checker = new TypeChecker(exports);
+    errors.push(...checker.check(ast).map(error => ({ file, ...error })));
+    exports[id] = checker.exports;
+  }
+  return errors;
+}
+
+module.exports = { TypeChecker, checkProject, inferTypes, typeToString };
@@ -0,0 +1,392 @@
+const Evaluator = require('./evaluator');
+const { OP, BytecodeCompiler } = require('./bytecode');
+
+const { BreakException, ContinueException, ReturnException, TailCallException } = Evaluator;
+
+// Calls between Lumos functions do not nest on the host stack here.
+const DEFAULT_MAX_CALL_DEPTH = 10000;
+
+// An iterator over start..end, or over [index, value] pairs for two loop
+// variables, as the tree walker's ranges give.
+function rangeIterator(start, end, step, arity) {
+  let value = start;
+  return {
+    next() {
+      if (value > end) return { done: true };
+      const current = value;
+      value += step;
+      return { done: false, value: arity === 1 ? current : [current - start, current] };
+    }
+  };
+}
+
+// Runs programs as bytecode. Loops and conditionals become jumps, so break,
+// continue and return cost nothing, and calls between Lumos functions push
+// a frame instead of recursing through the host, or for a tail call reuse
+// the caller's. Variables still live in
+// the tree walker's scopes, so everything the compiler leaves to EVAL,
+// closures included, behaves exactly as it does there.
+class VirtualMachine extends Evaluator {
+  constructor(runtime, options = {}) {
+    super(runtime, options);
+    this.maxCallDepth = options.maxCallDepth || DEFAULT_MAX_CALL_DEPTH;
+    this.compiler = new BytecodeCompiler();
+    this.chunks = new WeakMap();
+  }
+
+  evaluate(ast) {
+    this.running++;
+    try {
+      return this.run(this.programChunk(ast), this.currentScope, null);
+    } catch (error) {
+      this.traceFrame(error);
+      throw error;
+    } finally {
+      this.running--;
+    }
+  }
+
+  // A program with a top-level await runs on the resumable tree walker;
+  // the functions it calls still run here.
+  evaluateAsync(ast) {
+    if (this.canSuspend(ast)) {
+      return super.evaluateAsync(ast);
+    }
+    try {
+      return Promise.resolve(this.evaluate(ast));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  callFunction(func, args) {
+    if (!this.isCompilable(func)) {
+      return super.callFunction(func, args);
+    }
+    return this.run(this.functionChunk(func), this.createCallScope(func, args), func);
+  }
+
+  // Async functions, generators and blocks need the tree walker's ability
+  // to suspend or to break out of their caller.
+  isCompilable(func) {
+    return !func.async && !func.generator && !func.block;
+  }
+
+  // A method called straight away on an instance is called with the
+  // instance as `this`, rather than through a bound copy of the method.
+  instanceMethod(object, property) {
+    this.checkProperty(property);
+    if (!object || !object.__class__ || object.type === 'super' || object.type === 'class' ||
+        Object.prototype.hasOwnProperty.call(object, property)) {
+      return null;
+    }
+    const method = this.findMethod(object.__class__, property);
+    return method && this.isCompilable(method) ? method : null;
+  }
+
+  programChunk(ast) {
+    if (!this.chunks.has(ast)) {
+      this.chunks.set(ast, this.compiler.compileProgram(ast.type === 'Program' ? ast.statements : [ast]));
+    }
+    return this.chunks.get(ast);
+  }
+
+  // Bound methods are copies of the method, but share its body.
+  functionChunk(func) {
+    if (!this.chunks.has(func.body)) {
+      this.chunks.set(func.body, this.compiler.compileFunction(func));
+    }
+    return this.chunks.get(func.body);
+  }
+
+  run(code, scope, func) {
+    const stack = [];
+    if (func) {
+      this.pushFrame(func, scope, true);
+    }
+    const entry = { code, pc: 0, base: 0, func, previousScope: this.currentScope, completion: null };
+    const frames = [entry];
+    this.currentScope = scope;
+
+    let frame = entry;
+    let instruction = null;
+    while (true) {
+      try {
+        while (true) {
+          instruction = frame.code[frame.pc++];
+          switch (instruction.op) {
+            case OP.CONST:
+              stack.push(instruction.a);
+              break;
+            case OP.LOAD: {
+              const name = instruction.a;
+              // In the sandbox every name is looked up the slow way, which
+              // checks it.
+              stack.push(name in this.currentScope && !this.sandbox ? this.currentScope[name] : this.evaluateIdentifier({ name }));
+              break;
+            }
+            case OP.STORE: {
+              const value = this.copyValue(stack[stack.length - 1]);
+              this.assignableScope(instruction.a)[instruction.a] = value;
+              stack[stack.length - 1] = value;
+              break;
+            }
+            case OP.DECLARE: {
+              const value = this.copyValue(stack[stack.length - 1]);
+              this.declare(instruction.a, value, instruction.b);
+              stack[stack.length - 1] = value;
+              break;
+            }
+            case OP.UPDATE_VAR: {
+              const name = instruction.a;
+              const scope = this.assignableScope(name);
+              const value = this.applyOperator(instruction.b, this.evaluateIdentifier({ name }), stack.pop());
+              scope[name] = value;
+              stack.push(value);
+              break;
+            }
+            case OP.STEP_VAR: {
+              const name = instruction.a;
+              const { operator, prefix } = instruction.b;
+              const scope = this.assignableScope(name);
+              const current = this.evaluateIdentifier({ name });
+              if (typeof current !== 'number') {
+                throw new TypeError(`Cannot apply ${operator} to ${this.typeName(current)}`);
+              }
+              scope[name] = operator === '++' ? current + 1 : current - 1;
+              stack.push(prefix ? scope[name] : current);
+              break;
+            }
+            case OP.GET_MEMBER:
+              stack.push(this.getMember(stack.pop(), instruction.a));
+              break;
+            case OP.GET_METHOD: {
+              const object = stack[stack.length - 1];
+              stack.push(this.instanceMethod(object, instruction.a) || this.getMember(object, instruction.a));
+              break;
+            }
+            case OP.GET_INDEX: {
+              const index = stack.pop();
+              this.checkProperty(index);
+              stack.push(stack.pop()[index]);
+              break;
+            }
+            case OP.SET_MEMBER: {
+              const key = stack.pop();
+              const object = stack.pop();
+              const value = stack.pop();
+              this.checkProperty(key);
+              object[key] = instruction.a === null ? this.copyValue(value) : this.applyOperator(instruction.a, object[key], value);
+              this.checkSize(object);
+              stack.push(object[key]);
+              break;
+            }
+            case OP.BINARY: {
+              const right = stack.pop();
+              stack.push(this.applyOperator(instruction.a, stack.pop(), right));
+              break;
+            }
+            case OP.UNARY:
+              stack.push(this.applyUnary(instruction.a, stack.pop()));
+              break;
+            case OP.IS: {
+              const matches = this.isOfType(stack.pop(), instruction.a);
+              stack.push(instruction.b ? !matches : matches);
+              break;
+            }
+            case OP.ARRAY:
+              stack.push(this.checkSize(stack.splice(stack.length - instruction.a, instruction.a)));
+              break;
+            case OP.INTERPOLATE:
+              stack.push(this.checkSize(stack.splice(stack.length - instruction.a).map(value => this.stringify(value)).join('')));
+              break;
+            case OP.CALL: {
+              const args = stack.splice(stack.length - instruction.a, instruction.a);
+              const callee = stack.pop();
+              const thisArg = stack.pop();
+              if (instruction.node) this.markCallSite(instruction.node);
+              if (callee && callee.type === 'function' && this.isCompilable(callee)) {
+                const scope = this.methodScope(callee, thisArg, args);
+                this.pushFrame(callee, scope, true);
+                frame = { code: this.functionChunk(callee), pc: 0, base: stack.length, func: callee, previousScope: this.currentScope, completion: null };
+                frames.push(frame);
+                this.currentScope = scope;
+              } else {
+                stack.push(this.invoke(callee, thisArg, args));
+              }
+              break;
+            }
+            case OP.TAIL_CALL: {
+              const args = stack.splice(stack.length - instruction.a, instruction.a);
+              const callee = stack.pop();
+              const thisArg = stack.pop();
+              if (instruction.node) this.markCallSite(instruction.node);
+              if (callee && callee.type === 'function' && this.isCompilable(callee)) {
+                this.tailCall(frame, callee, this.methodScope(callee, thisArg, args), stack);
+              } else {
+                stack.push(this.invoke(callee, thisArg, args));
+              }
+              break;
+            }
+            case OP.RETURN: {
+              // A program returns the value of its last statement.
+              const value = frame.func ? stack.pop() : frame.completion;
+              this.leaveFrame(frames, stack);
+              if (frames.length === 0) return value;
+              frame = frames[frames.length - 1];
+              stack.push(value);
+              break;
+            }
+            case OP.POP:
+              stack.pop();
+              break;
+            case OP.COMPLETE:
+              frame.completion = stack.pop();
+              break;
+            case OP.JUMP:
+              frame.pc = instruction.a;
+              break;
+            case OP.JUMP_IF_FALSE:
+              if (!stack.pop()) frame.pc = instruction.a;
+              break;
+            case OP.JUMP_IF_FALSE_KEEP:
+              if (!stack[stack.length - 1]) frame.pc = instruction.a;
+              else stack.pop();
+              break;
+            case OP.JUMP_IF_TRUE_KEEP:
+              if (stack[stack.length - 1]) frame.pc = instruction.a;
+              else stack.pop();
+              break;
+            case OP.JUMP_IF_SET_KEEP:
+              if (stack[stack.length - 1] != null) frame.pc = instruction.a;
+              else stack.pop();
+              break;
+            case OP.ENTER_SCOPE:
+              this.currentScope = Object.create(this.currentScope);
+              break;
+            case OP.EXIT_SCOPE:
+              this.currentScope = Object.getPrototypeOf(this.currentScope);
+              break;
+            case OP.RANGE: {
+              const end = stack.pop();
+              const start = stack.pop();
+              if (typeof start !== 'number' || typeof end !== 'number') {
+                throw new Error('Range bounds must be numbers');
+              }
+              stack.push(rangeIterator(start, end, 1, instruction.a));
+              break;
+            }
+            case OP.STEP_RANGE: {
+              const step = stack.pop();
+              const end = stack.pop();
+              stack.push(rangeIterator(stack.pop(), end, step, 1));
+              break;
+            }
+            case OP.ITERATE:
+              stack.push(this.iterate(stack.pop(), instruction.a));
+              break;
+            case OP.NEXT: {
+              const next = stack[stack.length - 1].next();
+              if (next.done) frame.pc = instruction.a;
+              else stack.push(next.value);
+              break;
+            }
+            case OP.BIND: {
+              const values = stack.pop();
+              const bindings = instruction.a.length === 1 ? { [instruction.a[0]]: values } : this.loopBindings(instruction.a, values);
+              this.currentScope = Object.assign(Object.create(this.currentScope), bindings);
+              break;
+            }
+            case OP.EVAL:
+              stack.push(this.evaluateNode(instruction.a));
+              break;
+            case OP.STEP:
+              if (this.limits) this.limits.step();
+              break;
+            default:
+              throw new Error(`Unknown instruction: ${instruction.op}`);
+          }
+        }
+      } catch (error) {
+        frame = this.recover(error, instruction, frames, stack);
+      }
+    }
+  }
+
+  // A method read with GET_METHOD is called with the object it was read
+  // from as `this`.
+  methodScope(callee, thisArg, args) {
+    const unbound = callee.homeClass && callee.thisValue === undefined && thisArg && thisArg.__class__;
+    return this.createCallScope(callee, args, unbound ? thisArg : callee.thisValue);
+  }
+
+  // Starts the callee over in the frame that called it.
+  tailCall(frame, func, scope, stack) {
+    this.callStack.pop();
+    this.pushFrame(func, scope, true);
+    stack.length = frame.base;
+    this.currentScope = scope;
+    frame.code = this.functionChunk(func);
+    frame.pc = 0;
+    frame.func = func;
+  }
+
+  // A frame's scope is restored when it returns or unwinds.
+  leaveFrame(frames, stack) {
+    const frame = frames.pop();
+    stack.length = frame.base;
+    this.currentScope = frame.previousScope;
+    if (frame.func) {
+      this.callStack.pop();
+    }
+  }
+
+  // Resumes after a break, continue or return that a node run by the tree
+  // walker raised, or unwinds the frame an error was raised in, as far as
+  // the frame that catches it. Returns the frame to carry on in.
+  recover(error, instruction, frames, stack) {
+    let frame = frames[frames.length - 1];
+    const context = instruction.op === OP.EVAL ? instruction.b : null;
+    if (context && (error instanceof BreakException || error instanceof ContinueException)) {
+      for (let depth = context.depth; depth > context.loop.depth; depth--) {
+        this.currentScope = Object.getPrototypeOf(this.currentScope);
+      }
+      stack.length = frame.base + context.loop.slots;
+      frame.pc = error instanceof BreakException ? context.loop.end : context.loop.start;
+      return frame;
+    }
+    if (error instanceof ReturnException && frame.func) {
+      frame.pc = frame.code.length - 1;
+      stack.length = frame.base;
+      stack.push(error.value);
+      return frame;
+    }
+    if (error instanceof TailCallException && frame.func) {
+      this.tailCall(frame, error.func, error.scope, stack);
+      return frame;
+    }
+
+    error = this.locateError(error, instruction.node || {});
+    while (true) {
+      frame = frames[frames.length - 1];
+      let raised = error;
+      if (frame.func) {
+        try {
+          this.completeCall(frame.func, error);
+        } catch (converted) {
+          raised = converted;
+        }
+      }
+      this.leaveFrame(frames, stack);
+      if (frames.length === 0) {
+        throw raised;
+      }
+      frame = frames[frames.length - 1];
+      // The call that the frame was running for is where the caller sees
+      // the error.
+      error = this.locateError(raised, frame.code[frame.pc - 1].node || {});
+    }
+  }
+}
+
+module.exports = VirtualMachine;
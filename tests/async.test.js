@@ -0,0 +1,40 @@
+// Async functions, await and callbacks run by the host's event loop.
+module.exports = runner => {
+  runner.language("await pauses until a promise settles", async interpreter => {
+    const output = await runner.lumosAsync(`
+async def slow(x) {
+  await new Promise(resolve => setTimeout(resolve, 5))
+  return x * 2
+}
+let value = await slow(21)
+print(value)
+let failed = await Promise.reject("boom").catch(e => "caught " + e)
+print(failed)
+`, { interpreter });
+    runner.assertEqual(output, "42\ncaught boom");
+  });
+
+  runner.language("an awaited rejection is caught by try", async interpreter => {
+    const output = await runner.lumosAsync(`
+async def fail() {
+  throw new ValueError("bad")
+}
+try {
+  await fail()
+} catch (e: ValueError) {
+  print("caught", e.message)
+}
+`, { interpreter });
+    runner.assertEqual(output, "caught bad");
+  });
+
+  runner.language("Lumos functions run as promise and timer callbacks", async interpreter => {
+    const engine = runner.engine({ interpreter });
+    await engine.executeAsync(`
+Promise.resolve(20).then(lambda(v) { print("total:", v + 1) })
+setTimeout(() => print("later"), 1)
+`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    runner.assertEqual(engine.output.join("\n"), "total: 21\nlater");
+  });
+};
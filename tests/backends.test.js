@@ -0,0 +1,247 @@
+// What the backends emit for the language's constructs.
+const { FrameworkIntegrator } = require("../src/compiler/framework-integrator");
+
+// A program whose output must come out the same when compiled and run.
+const PROGRAM = `
+def fib(n) {
+  if (n < 2) {
+    return n
+  }
+  return fib(n - 1) + fib(n - 2)
+}
+class Counter {
+  def constructor(start) {
+    this.count = start
+  }
+  def step(by = 1) {
+    this.count += by
+    return this.count
+  }
+}
+let c = Counter(10)
+c.step()
+print(c.step(5))
+let total = 0
+for i in 1..5 {
+  total += i * i
+}
+print("total", total)
+let squares = [x * x for x in [1, 2, 3, 4] if x % 2 == 0]
+print(len(squares), squares[1], str(7) + "!")
+let words = ["a", "b", "c"]
+print(words[0] + words[2], fib(10))
+let n = 0
+while (n < 3) {
+  n++
+}
+print(n > 2 ? "done" : "not yet", 7 % 3)
+`;
+
+module.exports = runner => {
+  for (const target of ["python", "ruby", "javascript"]) {
+    runner.test(`the ${target} output prints what the program prints when run`, () => {
+      runner.assertEqual(runner.runCompiled(PROGRAM, target), `${runner.lumos(PROGRAM)}\n`);
+    });
+  }
+
+  runner.test("lambdas compile to each target's closures", () => {
+    runner.assertContains(runner.compile("let add = (a, b) => a + b", "javascript"), "let add = (a, b) => (a + b);");
+    runner.assertContains(runner.compile("let add = (a, b) => a + b", "python"), "add = lambda a, b: (a + b)");
+    runner.assertContains(runner.compile("let add = (a, b) => a + b", "ruby"), "add = ->(a, b) { (a + b) }");
+  });
+
+  runner.test("Python closures declare the captured names they assign nonlocal", () => {
+    const code = "def mk() {\n  let c = 0\n  return () => {\n    c = c + 1\n    return c\n  }\n}";
+    runner.assertContains(runner.compile(code, "python"), "    def _lambda_0():\n        nonlocal c\n        c = (c + 1)");
+  });
+
+  runner.test("match compiles to native matching where the target has it", () => {
+    const code = 'let m = match (x) { case 0 => "zero" case _ => "other" }';
+    runner.assertContains(runner.compile(code, "python"), "match _subject:");
+    runner.assertContains(runner.compile(code, "rust"), "match x {");
+    runner.assertContains(runner.compile(code, "javascript"), "if (_match0 === 0) {");
+  });
+
+  runner.test("match compiles to an if-chain in Go, Java and C", () => {
+    const code = 'let x = 5\nmatch (x) {\n  case 0 => print("zero")\n  case n if n > 3 => print(n)\n  case _ => print("other")\n}\nlet m = match (x) { case 1..9 => "small" case _ => "big" }';
+    const go = runner.compile(code, "go");
+    runner.assertContains(go, "if x == 0 {");
+    runner.assertContains(go, "} else if x > 3 {\n\t\tn := x");
+    runner.assertContains(go, "m := func() string {");
+    const java = runner.compile(code, "java");
+    runner.assertContains(java, "} else if (x > 3) {");
+    runner.assertContains(java, "var m = ((Supplier<String>) () -> {");
+    const c = runner.compile(code, "c");
+    runner.assertContains(c, "if ((x >= 1) && (x <= 9)) {\n        match1 = \"small\";");
+    runner.assertThrows(() => runner.compile('let m = match (1) { case 0 => "zero" }', "c"), "need a case that matches every value");
+    runner.assertContains(runner.compile('let m = match (1) { case 0 => "zero" }', "go"), 'panic("No match case for value")');
+  });
+
+  runner.test("break and continue in a block passed as a closure leave the block, not a loop", () => {
+    const code = "let r = each2(xs) do |x|\n  if (x == 2) {\n    continue\n  }\n  for i in xs {\n    break\n  }\n  break\nend";
+    const js = runner.compile(code, "javascript");
+    runner.assertContains(js, "let r = breakable((_stop0) => each2(xs, (x) => {");
+    runner.assertContains(js, "    return null;");
+    runner.assertContains(js, "  for (const i of xs) {\n    break;\n  }");
+    runner.assertContains(js, "  throw _stop0;");
+    const python = runner.compile(code, "python");
+    runner.assertContains(python, "_stop_0 = _BlockBreak()");
+    runner.assertContains(python, "        return None");
+    runner.assertContains(python, "    raise _stop_0");
+    runner.assertContains(python, "r = _breakable(_stop_0, lambda: each2(xs, _lambda_0))");
+  });
+
+  runner.test("calling an error type in JavaScript creates it with new", () => {
+    const js = runner.compile('throw ValueError("bad")', "javascript");
+    runner.assertContains(js, "class ValueError extends Error {}");
+    runner.assertContains(js, 'throw new ValueError("bad");');
+  });
+
+  runner.test("calling an error type in Ruby creates its exception class with new", () => {
+    const ruby = runner.compile('throw IndexError("i")\nraise ValueError("v")\nraise new TypeError("t")', "ruby");
+    runner.assertEqual(ruby, '#!/usr/bin/env ruby\n\nraise IndexError.new("i")\nraise ArgumentError.new("v")\nraise TypeError.new("t")');
+  });
+
+  runner.test("the optimizer inlines @inline functions and drops unused @pure calls", () => {
+    const code = "@inline\ndef sq(x) {\n  return x * x\n}\n@pure\ndef area(w, h) {\n  return w * h\n}\nlet n = 4\nprint(sq(n) + sq(n + 1))\narea(2, 3)\nlet a = area(2, 3)";
+    const js = runner.compile(code, "javascript", { optimize: true });
+    runner.assertContains(js, "console.log(((n * n) + sq((n + 1))));");
+    runner.assertEqual(js.includes("\narea(2, 3);"), false);
+    runner.assertContains(js, "let a = area(2, 3);");
+    runner.assertContains(runner.compile(code, "javascript"), "\narea(2, 3);");
+  });
+
+  runner.test("the optimizer leaves calls alone where a parameter or local shadows the function", () => {
+    const code = "@inline\ndef sq(x) {\n  return x * x\n}\n@pure\ndef area(w, h) {\n  return w * h\n}\ndef apply(sq, v) {\n  return sq(v)\n}\ndef other(v) {\n  let area = (a, b) => print(a)\n  area(1, 2)\n  return [sq(v), ((sq) => sq(v))(print)]\n}";
+    const js = runner.compile(code, "javascript", { optimize: true });
+    runner.assertContains(js, "function apply(sq, v) {\n  return sq(v);\n}");
+    runner.assertContains(js, "  area(1, 2);\n  return [(v * v), ((sq) => sq(v))(print)];");
+    runner.assertEqual(runner.lumos(code + "\nprint(apply((n) => n + 1, 3))"), "4");
+  });
+
+  runner.test("Express and FastAPI serve the program's @route handlers and @model schemas", () => {
+    const code = '@model\nclass Item {\n  let name: string\n  let price: float = 0\n}\n@route("GET", "/items/{id}")\ndef getItem(id: int) {\n  return { id: id }\n}';
+    const integrator = new FrameworkIntegrator();
+    const server = integrator.integrate(code, "express").get("server.js");
+    runner.assertContains(server, "function getItem(id) {");
+    runner.assertContains(server, "app.get('/items/:id', async (req, res, next) => {");
+    runner.assertContains(server, "res.json(await getItem(args.id));");
+    const fastapi = integrator.integrate(code, "fastapi");
+    runner.assertContains(fastapi.get("main.py"), '@app.get("/items/{id}")\ndef getItem_route(id: int):\n    return getItem(id)');
+    runner.assertContains(fastapi.get("schemas.py"), "class Item(BaseModel):\n    name: str\n    price: float = 0");
+    runner.assertContains(integrator.integrate("print(1)", "express").get("server.js"), "app.get('/api/items'");
+  });
+
+  runner.test("interpolation compiles to each target's native form", () => {
+    const code = 'let s = "hi ${name}"';
+    runner.assertContains(runner.compile(code, "javascript"), "`hi ${name}`");
+    runner.assertContains(runner.compile(code, "python"), 'f"hi {name}"');
+    runner.assertContains(runner.compile(code, "ruby"), '"hi #{name}"');
+    runner.assertContains(runner.compile(code, "rust"), 'format!("hi {}", name)');
+  });
+
+  runner.test("Lua, Fortran and COBOL write the operators their own way", () => {
+    const code = "let n = 7\nn **= 2\nn %= 10\nn++\nlet b = n ^ 5 | ~n >> 1\nlet s = \"n\" + \"=\"\nprint(s, n, n / 4 == 2.5 and not (b > 3))";
+    runner.assertEqual(runner.compile(code, "lua"), "local function power(base, exponent)\n  local result = base ^ exponent\n  return math.tointeger(result) or result\nend\n\nlocal n = 7\nn = power(n, 2)\nn = math.fmod(n, 10)\nn = n + 1\nlocal b = ((n ~ 5) | ((~n) // (1 << 1)))\nlocal s = (\"n\" .. \"=\")\nio.write(tostring(s), \" \", tostring(n), \" \", tostring((((n / 4) == 2.5) and (not (b > 3)))), \"\\n\")");
+    runner.assertEqual(runner.compile(code, "fortran"), "program main\n  implicit none\n  integer :: n\n  integer :: b\n  character(len=:), allocatable :: s\n  n = 7\n  n = (n ** 2)\n  n = mod(n, 10)\n  n = n + 1\n  b = ior(ieor(n, 5), shifta(not(n), 1))\n  s = (\"n\" // \"=\")\n  print '(*(g0, :, 1x))', s, n, trim(merge('true ', 'false', (((dble(n) / 4) == 2.5d0) .and. (.not. (b > 3)))))\nend program main");
+    const cobol = "let n = 7\nn **= 2\nn %= 10\nn--\nlet s = \"n\" + \"=\"\nlet ok = n / 4 == 2.25 and not false\nprint(s, n, ok)";
+    runner.assertEqual(runner.compile(cobol, "cobol"), ">>SOURCE FORMAT IS FREE\nIDENTIFICATION DIVISION.\nPROGRAM-ID. MAIN.\nDATA DIVISION.\nWORKING-STORAGE SECTION.\n01 N PIC S9(18).\n01 S PIC X(256).\n01 OK PIC 9.\nPROCEDURE DIVISION.\n    COMPUTE N = 7.\n    COMPUTE N = (N ** 2).\n    COMPUTE N = FUNCTION REM(N, 10).\n    SUBTRACT 1 FROM N.\n    MOVE FUNCTION CONCATENATE(\"n\", \"=\") TO S.\n    IF ((N / 4) = 2.25) AND (NOT (1 = 0))\n        MOVE 1 TO OK\n    ELSE\n        MOVE 0 TO OK\n    END-IF.\n    DISPLAY FUNCTION TRIM(S TRAILING) \" \" N \" \" OK.\n    STOP RUN.");
+    runner.assertThrows(() => runner.compile("let b = 1 ^ 2", "cobol"), "The ^ operator is not supported by the COBOL backend");
+    runner.assertThrows(() => runner.compile("let f = () => 1", "fortran"), "cannot tell the type of f");
+  });
+
+  runner.test("default and rest parameters compile to the target's own", () => {
+    const code = "def f(x = 1, ...r) { return x ** 2 }";
+    runner.assertContains(runner.compile(code, "javascript"), "function f(x = 1, ...r) {");
+    runner.assertContains(runner.compile(code, "python"), "def f(x=1, *r):");
+    runner.assertContains(runner.compile(code, "rust"), "impl Default for FOptions");
+  });
+
+  runner.test("comprehensions compile to comprehensions or method chains", () => {
+    const code = "let sq = [x * x for x in xs if x > 0]";
+    runner.assertContains(runner.compile(code, "python"), "sq = [(x * x) for x in xs if (x > 0)]");
+    runner.assertContains(runner.compile(code, "javascript"), "xs.filter((x) => (x > 0)).map((x) => (x * x))");
+    runner.assertEqual(runner.compile(code, "ruby"), "#!/usr/bin/env ruby\n\nsq = xs.select { |x| (x > 0) }.map { |x| (x * x) }");
+    runner.assertEqual(
+      runner.compile("let m = {a: 2}\nlet d = {k: [a, b] for k, v in m for a in 1..v if a > 1 for b in \"xy\"}", "ruby"),
+      "#!/usr/bin/env ruby\n\nm = {a: 2}\nd = m.flat_map { |k, v| (1..v).select { |a| (a > 1) }.flat_map { |a| \"xy\".chars.map { |b| [k, [a, b]] } } }.to_h"
+    );
+  });
+
+  runner.test("async functions compile to async and await", () => {
+    const code = "async def load(id) {\n  return await fetch(id)\n}";
+    runner.assertContains(runner.compile(code, "javascript"), "async function load(id) {");
+    runner.assertContains(runner.compile(code, "python"), "async def load(id):");
+  });
+
+  runner.test("a program's own main does not clash with the generated entry point", () => {
+    runner.assertEqual(
+      runner.compile("async def main() {\n  return 3\n}\nprint(await main())", "python"),
+      "#!/usr/bin/env python3\n\nimport asyncio\n\nasync def main():\n    return 3\n\nasync def main_1():\n    print(await main())\n\nasyncio.run(main_1())"
+    );
+    runner.assertEqual(
+      runner.compile("def main() {\n  return 3\n}\nprint(main())", "go"),
+      "package main\n\nimport \"fmt\"\n\nfunc main_1() int {\n\treturn 3\n}\n\nfunc main() {\n\tfmt.Println(main_1())\n}"
+    );
+    const rust = runner.compile("async def main() {\n  return 3\n}\nprint(await main())", "rust");
+    runner.assertContains(rust, "async fn main_1() -> impl std::fmt::Display {");
+    runner.assertContains(rust, "println!(\"{}\", main_1().await);");
+  });
+
+  runner.test("generators compile to native generators", () => {
+    const code = "def count() {\n  yield 1\n}";
+    runner.assertContains(runner.compile(code, "javascript"), "function* count() {");
+    runner.assertContains(runner.compile(code, "python"), "yield 1");
+  });
+
+  runner.test("C# generators are iterator methods, or a compile error where the body needs statements", () => {
+    runner.assertEqual(
+      runner.compile("def count() {\n  yield 1\n  yield from xs\n}", "csharp"),
+      "static IEnumerable<object> count() {\n  yield return 1;\n  foreach (var item in xs) yield return item;\n  yield break;\n}"
+    );
+    const loop = "def count() {\n  let i = 0\n  while (true) {\n    yield i\n    i = i + 1\n  }\n}";
+    runner.assertThrows(() => runner.compile(loop, "csharp"), "VariableDeclaration in generator count is not supported by the C# backend");
+  });
+
+  runner.test("declarations compile to traits, dataclasses and interfaces", () => {
+    const code = "interface Shape {\n  def area()\n}\nstruct Point {\n  let x = 0\n}";
+    runner.assertContains(runner.compile(code, "rust"), "trait Shape");
+    runner.assertContains(runner.compile(code, "python"), "@dataclass");
+    runner.assertContains(runner.compile(code, "java"), "interface Shape");
+  });
+
+  runner.test("type annotations appear in typed targets", () => {
+    const code = "def add(a: int, b: int) -> int {\n  return a + b\n}";
+    runner.assertContains(runner.compile(code, "typescript"), "a: number");
+    runner.assertContains(runner.compile(code, "rust"), "fn add(a: i64, b: i64) -> i64");
+  });
+
+  runner.test("typed targets give unannotated parameters and returns the types the checker infers", () => {
+    const code = "def greet(n) {\n  return \"hi \" + str(n)\n}\nprint(greet(3))\ndef show(x) {\n  print(x)\n}";
+    const rust = runner.compile(code, "rust");
+    runner.assertContains(rust, "fn greet(n: i64) -> String {");
+    runner.assertContains(rust, "fn show(x: impl std::fmt::Display) {");
+    const go = runner.compile(code, "go");
+    runner.assertContains(go, "func greet(n int) string {");
+    runner.assertContains(go, "func show(x any) {");
+    const java = runner.compile(code, "java");
+    runner.assertContains(java, "static String greet(int n) {");
+    runner.assertContains(java, "static void show(Object x) {");
+    runner.assertThrows(() => runner.compile(code, "c"), "cannot tell the type of parameter x of show");
+    const recursive = "def depth(n) {\n  if (n == 0) {\n    return 0\n  }\n  return depth(n - 1) + 1\n}\nprint(depth(3))";
+    runner.assertContains(runner.compile(recursive, "c"), "int depth(int n) {");
+  });
+
+  runner.test("pipelines become nested calls, or stay pipes in Elixir", () => {
+    const code = "let r = xs |> filter(isEven) |> map(square)";
+    runner.assertContains(runner.compile(code, "elixir"), "|>");
+    runner.assertContains(runner.compile(code, "python"), "map(square, list(filter(isEven, xs)))");
+    runner.assertContains(runner.compile(code, "haskell"), "map square (filter isEven xs)");
+  });
+
+  runner.test("decorators compile to decorated bindings", () => {
+    const code = "@memo\ndef fib(n) {\n  return n\n}";
+    runner.assertContains(runner.compile(code, "python"), "@memo");
+    runner.assertContains(runner.compile(code, "javascript"), "const fib = memo(");
+  });
+};
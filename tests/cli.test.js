@@ -0,0 +1,50 @@
+// Running files from the command line.
+module.exports = runner => {
+  runner.test("a file runs as a single program", () => {
+    const result = runner.cli(["main.lumos"], {
+      "main.lumos": 'def greet(name) {\n  return "Hello, " + name\n}\nprint(greet("Ann"))\n'
+    });
+    runner.assertEqual(result.stdout, "Hello, Ann\n");
+    runner.assertEqual(result.status, 0);
+  });
+
+  runner.test("--echo prints the value of each top-level statement", () => {
+    const result = runner.cli(["main.lumos", "--echo"], { "main.lumos": "let x = 2\nx * 21\n" });
+    runner.assertContains(result.stdout, "Line 2: 42");
+  });
+
+  runner.test("--vm runs a file on the bytecode VM", () => {
+    const result = runner.cli(["main.lumos", "--vm"], { "main.lumos": "let t = 0\nfor i in 1..4 { t += i }\nprint(t)\n" });
+    runner.assertEqual(result.stdout, "10\n");
+  });
+
+  runner.test("an uncaught error shows its source line and call frames", () => {
+    const result = runner.cli(["main.lumos"], {
+      "main.lumos": 'def fail() {\n  throw new ValueError("bad")\n}\nfail()\n'
+    });
+    runner.assertEqual(result.status, 1);
+    runner.assertContains(result.stderr, "Error in main.lumos on line 2, column 3:");
+    runner.assertContains(result.stderr, '  throw new ValueError("bad")');
+    runner.assertContains(result.stderr, "at fail");
+    runner.assertContains(result.stderr, "at <main> (line 4, column 1)");
+  });
+
+  runner.test("an error in a timer callback is reported like an uncaught one", () => {
+    const result = runner.cli(["main.lumos"], {
+      "main.lumos": 'def fail() {\n  throw new ValueError("late")\n}\nsetTimeout(() => fail(), 1)\nprint("ran")\n'
+    });
+    runner.assertEqual(result.status, 1);
+    runner.assertEqual(result.stdout, "ran\n");
+    runner.assertContains(result.stderr, "Error in main.lumos on line 2, column 3:");
+    runner.assertContains(result.stderr, "Runtime Error: ValueError: late at line 2, column 3");
+    runner.assertEqual(result.stderr.includes("node:internal"), false);
+  });
+
+  runner.test("--sandbox denies what is not granted", () => {
+    const result = runner.cli(["main.lumos", "--sandbox"], { "main.lumos": 'print(readFile("main.lumos"))\n' });
+    runner.assertEqual(result.status, 1);
+    runner.assertContains(result.stderr, "needs an fs grant");
+    const granted = runner.cli(["main.lumos", "--allow-fs=."], { "main.lumos": 'print(len(readFile("main.lumos")) > 0)\n' });
+    runner.assertEqual(granted.stdout, "true\n");
+  });
+};
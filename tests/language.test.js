@@ -0,0 +1,494 @@
+// The core language, run on both interpreters.
+module.exports = runner => {
+  const lumos = (code, interpreter) => runner.lumos(code, { interpreter });
+
+  runner.language("a program runs as a whole, with definitions spanning lines", interpreter => {
+    const output = lumos(`
+def greet(name) {
+  let greeting = "Hello, " + name
+  return greeting
+}
+print(greet("Ann"))
+`, interpreter);
+    runner.assertEqual(output, "Hello, Ann");
+  });
+
+  runner.language("runtime errors carry the line and column they occurred at", interpreter => {
+    const engine = runner.engine({ interpreter });
+    const error = runner.assertThrows(() => engine.evaluator.evaluate(engine.parse("let a = 1\nprint(missing)")), "Undefined variable: missing");
+    runner.assertEqual(error.line, 2);
+    runner.assertEqual(error.column, 7);
+  });
+
+  runner.language("lambdas and arrow functions close over their scope", interpreter => {
+    const output = lumos(`
+def makeAdder(n) {
+  return lambda(x) => x + n
+}
+let add5 = makeAdder(5)
+let double = lambda(x) { return x * 2 }
+let inc = x -> x + 1
+let add = (a, b) => a + b
+print(add5(10), double(4), inc(1), add(2, 3))
+
+def counter() {
+  let c = 0
+  return () => {
+    c = c + 1
+    return c
+  }
+}
+let next = counter()
+next()
+print(next())
+`, interpreter);
+    runner.assertEqual(output, "15 8 2 5\n2");
+  });
+
+  runner.language("Lumos functions are callable from map, filter, reduce and sort", interpreter => {
+    const output = lumos(`
+let evens = filter([1, 2, 3, 4], x => x % 2 == 0)
+print(map(evens, x => x * 10))
+print(reduce([1, 2, 3], (acc, x) => acc + x, 0))
+print(sort([3, 1, 2], (a, b) => b - a))
+print([1, 2, 3].map(x => x + 1))
+`, interpreter);
+    runner.assertEqual(output, "[ 20, 40 ]\n6\n[ 3, 2, 1 ]\n[ 2, 3, 4 ]");
+  });
+
+  runner.language("classes have constructors, this, inheritance and super", interpreter => {
+    const output = lumos(`
+class Person {
+  let name
+  def constructor(name) {
+    this.name = name
+  }
+  def greet() {
+    return "Hello, I'm " + this.name
+  }
+}
+class Student < Person {
+  let school = "unknown"
+  def constructor(name, school) {
+    super(name)
+    this.school = school
+  }
+  def greet() {
+    return super.greet() + " from " + this.school
+  }
+}
+let bob = new Student("Bob", "Oxford")
+print(bob.greet())
+print(new Person("Ann").school)
+print(bob is Person)
+`, interpreter);
+    runner.assertEqual(output, "Hello, I'm Bob from Oxford\nundefined\ntrue");
+  });
+
+  runner.language("match picks the first case that fits, with bindings and guards", interpreter => {
+    const output = lumos(`
+def describe(x) {
+  return match (x) {
+    case 0 => "zero"
+    case 1..9 => "digit"
+    case [a, b] => "pair " + str(a + b)
+    case {name, age: years} if years >= 18 => name + " is an adult"
+    case {name} => name + " is a minor"
+    case _ => "other"
+  }
+}
+print(describe(0), describe(5), describe([1, 2]))
+print(describe({name: "Ann", age: 30}), describe({name: "Tim", age: 3}), describe("x"))
+match ("quit") {
+  case "quit" => {
+    print("Bye")
+  }
+  case _ => print("Unknown")
+}
+`, interpreter);
+    runner.assertEqual(output, "zero digit pair 3\nAnn is an adult Tim is a minor other\nBye");
+  });
+
+  runner.language("a guard ends at the case's arrow, and may hold lambdas in brackets", interpreter => {
+    const output = lumos(`
+let limit = 10
+def any(xs, p) { return len(filter(xs, p)) > 0 }
+def f(x) {
+  return match (x) {
+    case x if x > limit => "big"
+    case x if (x > 0) => "pos"
+    case x if any([x], (y) => y < -5) => "very negative"
+    case _ => "other"
+  }
+}
+print(f(20), f(3), f(-9), f(-1))
+`, interpreter);
+    runner.assertEqual(output, "big pos very negative other");
+  });
+
+  runner.language("a match expression with no matching case is an error", interpreter => {
+    runner.assertThrows(() => lumos('let x = match (3) { case 1 => "one" }', interpreter), "No match");
+  });
+
+  runner.language("for-in walks arrays, strings, objects and ranges", interpreter => {
+    const output = lumos(`
+let out = []
+for x in [1, 2] { out.push(x) }
+for c of "ab" { out.push(c) }
+for i, x in ["p", "q"] { out.push(i + x) }
+for key, value in {a: 1} { out.push(key + value) }
+for i in 3..5 { out.push(i) }
+print(join(out, " "))
+let fs = []
+for i in 1..3 { fs.push(() => i) }
+print(fs[0](), fs[2]())
+`, interpreter);
+    runner.assertEqual(output, "1 2 a b 0p 1q a1 3 4 5\n1 3");
+  });
+
+  runner.language("blocks are passed as trailing do and brace arguments", interpreter => {
+    const output = lumos(`
+let ticks = []
+3.times do |i|
+  ticks.push(i)
+end
+print(ticks)
+print([1, 2, 3].map { |x| x * 2 })
+
+def twice(value, &block) {
+  block(value)
+  return block(value + 1)
+}
+print(twice(10) do |n|
+  n * 2
+end)
+
+let seen = []
+let xs = [1, 2, 3, 4]
+xs.each do |x|
+  if (x == 2) { continue }
+  if (x == 4) { break }
+  seen.push(x)
+end
+print(seen)
+`, interpreter);
+    runner.assertEqual(output, "[ 0, 1, 2 ]\n[ 2, 4, 6 ]\n22\n[ 1, 3 ]");
+  });
+
+  runner.language("throw and typed catch clauses use the Error hierarchy", interpreter => {
+    const output = lumos(`
+class NegativeAmount < ValueError {
+  def constructor(amount) {
+    super("negative amount: " + str(amount))
+  }
+}
+def withdraw(amount) {
+  if (amount < 0) {
+    throw new NegativeAmount(amount)
+  }
+  raise Error("limit exceeded")
+}
+try {
+  withdraw(-5)
+} catch (e: TypeError) {
+  print("wrong type")
+} catch (e: ValueError) {
+  print(e.toString())
+}
+try {
+  withdraw(5)
+} catch (e) {
+  print(e.message, e is Error)
+} finally {
+  print("done")
+}
+try {
+  let f = 1
+  f()
+} catch (e: TypeError) {
+  print("host", e is TypeError)
+}
+for value in ["s", 5] {
+  try {
+    throw value
+  } catch (e) {
+    print(e.toString())
+  }
+}
+`, interpreter);
+    runner.assertEqual(output, "NegativeAmount: negative amount: -5\nlimit exceeded true\ndone\nhost true\n" +
+      "TypeError: Can only throw Error instances, not string; use throw Error(message) to raise a message\n" +
+      "TypeError: Can only throw Error instances, not number");
+  });
+
+  runner.language("a caught error's message is what was raised, and an uncaught one adds its location", interpreter => {
+    const output = lumos('try {\n  print(missing)\n} catch (e) {\n  print(e.message)\n}', interpreter);
+    runner.assertEqual(output, "Undefined variable: missing");
+    runner.assertThrows(() => lumos("let a = 1\nprint(missing)", interpreter), "Undefined variable: missing at line 2, column 7");
+  });
+
+  runner.language("functions print by name", interpreter => {
+    const output = lumos("def square(x) {\n  return x * x\n}\nclass A {\n  def go() {}\n}\nlet f = (x) => x\nprint(square, [f], new A().go)", interpreter);
+    runner.assertEqual(output, "[Function square] [ [Function <lambda>] ] [Function A.go]");
+  });
+
+  runner.language("strings interpolate, span lines and can be raw", interpreter => {
+    const output = lumos(`
+let name = "Ann"
+print("Hello, \${name}! \${1 + 2}")
+print(\`Total: \${2 * 3}\`)
+print('single \${name}')
+print(r"\\d+\${x}")
+let letter = """
+    Dear \${name},
+      thanks.
+    """
+print(letter)
+print("\\u{1F600}" == "😀")
+`, interpreter);
+    runner.assertEqual(output, "Hello, Ann! 3\nTotal: 6\nsingle ${name}\n\\d+${x}\nDear Ann,\n  thanks.\ntrue");
+  });
+
+  runner.language("destructuring, rest parameters and spread", interpreter => {
+    const output = lumos(`
+let [first, second, ...rest] = [1, 2, 3, 4]
+let {name, age: years, ...others} = {name: "Ann", age: 30, city: "Oslo"}
+let [x, [y, z], _] = [1, [2, 3], 4]
+print(first, second, rest, name, years, others.city, x + y + z)
+def total(first, ...others) {
+  return first + len(others)
+}
+let numbers = [1, 2, 3]
+print(total(1, 2, 3), total(...numbers), [0, ...numbers, 5])
+print({...{a: 1}, b: 2})
+`, interpreter);
+    runner.assertEqual(output, "1 2 [ 3, 4 ] Ann 30 Oslo 6\n3 3 [ 0, 1, 2, 3, 5 ]\n{ a: 1, b: 2 }");
+  });
+
+  runner.language("default and keyword arguments are bound and checked", interpreter => {
+    const output = lumos(`
+def area(width, height = 10, scale = 1) {
+  return width * height * scale
+}
+def scaled(x, factor = x * 2) {
+  return x + factor
+}
+print(area(2), area(2, scale: 5), area(height: 4, width: 3), scaled(3))
+`, interpreter);
+    runner.assertEqual(output, "20 100 12 9");
+    runner.assertThrows(() => lumos("def area(width) { return width }\narea()", interpreter), "area() missing 1 required argument: 'width'");
+    runner.assertThrows(() => lumos("def f(a) { return a }\nf(1, 2)", interpreter), "f() takes 1 argument but 2 were given");
+  });
+
+  runner.language("conditional, null-coalescing, optional chaining, in and is", interpreter => {
+    const output = lumos(`
+let user = {address: null}
+print(2 > 1 ? "yes" : "no", null ?? "anon", 0 ?? 1)
+print(user?.address?.city, user.missing?.[0])
+print(3 in [1, 2, 3], "ell" in "hello", "age" not in {name: "Ada"})
+print(42 is Number, "x" is not String, null is Null)
+`, interpreter);
+    runner.assertEqual(output, "yes anon 0\nnull null\ntrue true true\ntrue false true");
+  });
+
+  runner.language("is accepts the annotation types unless the program declares their names", interpreter => {
+    const output = lumos(`
+print(3 is int, 3.5 is int, 3.5 is float, 3 is float, "x" is string, 1 is string, true is bool, 0 is bool)
+class Box {}
+def check(int) {
+  return 3 is int
+}
+print(check(Box))
+`, interpreter);
+    runner.assertEqual(output, "true false true true true false true false\nfalse");
+  });
+
+  runner.language("exponent, bitwise, shift, compound, update and strict operators", interpreter => {
+    const output = lumos(`
+print(2 ** 10, 2 ** 3 ** 2, -2 ** 2)
+print(6 & 3, 6 | 3, 6 ^ 3, ~5, 1 << 4, -16 >> 2)
+let n = 10
+n %= 4
+n **= 3
+n <<= 1
+print(n++, ++n)
+print(1 == "1", 1 === "1", 1 !== 1)
+let xs = [1]
+xs[0]++
+print(xs[0], 1 & 1 == 1)
+`, interpreter);
+    runner.assertEqual(output, "1024 512 -4\n2 7 5 -6 16 -4\n16 18\ntrue false false\n2 true");
+  });
+
+  runner.language("enums, structs and interfaces", interpreter => {
+    const output = lumos(`
+interface Shape {
+  def area()
+  def describe() {
+    return "shape with area " + str(this.area())
+  }
+}
+enum Figure implements Shape {
+  Circle(radius)
+  Rect(width, height)
+  def area() {
+    return match (this) {
+      case Circle(r) => 3 * r * r
+      case Figure.Rect(w, h) => w * h
+    }
+  }
+}
+enum Color { Red, Green, Blue }
+struct Point {
+  let x = 0
+  let y = 0
+}
+let r = Figure.Rect(width: 2, height: 5)
+print(r, r.describe())
+print(Color.Green == Color.Green, r is Figure.Rect, r is Shape)
+let p = Point(1, 2)
+let q = p
+q.x = 10
+print(p.x, p == Point(1, 2))
+`, interpreter);
+    runner.assertEqual(output, "Figure.Rect(2, 5) shape with area 10\ntrue true true\n1 true");
+    runner.assertThrows(() => lumos("interface Shape { def area() }\nclass Square implements Shape {}", interpreter),
+      "Square does not implement area() required by interface Shape");
+  });
+
+  runner.language("generators yield lazily and the iteration builtins are lazy", interpreter => {
+    const output = lumos(`
+def naturals() {
+  let n = 0
+  while (true) {
+    yield n
+    n += 1
+  }
+}
+let out = []
+for n in take(naturals(), 3) { out.push(n) }
+print(out)
+let it = naturals()
+it.next()
+print(it.next().value)
+def flatten(lists) {
+  for l in lists {
+    yield from l
+  }
+}
+print([...flatten([[1], [2, 3]])])
+for i, x in enumerate(["a", "b"], 1) { print(i, x) }
+`, interpreter);
+    runner.assertEqual(output, "[ 0, 1, 2 ]\n1\n[ 1, 2, 3 ]\n1 a\n2 b");
+  });
+
+  runner.language("map, filter and reduce take any iterable, and anything else is a TypeError", interpreter => {
+    const output = lumos(`
+def naturals() {
+  let n = 0
+  while (true) {
+    yield n
+    n += 1
+  }
+}
+print(map(take(naturals(), 3), (x) => x * 2))
+print(filter(take(naturals(), 5), (x) => x % 2 == 0))
+print(reduce(take(naturals(), 4), (a, b) => a + b, 0))
+try {
+  map(5, (x) => x)
+} catch (e) {
+  print(e is TypeError, e.message)
+}
+`, interpreter);
+    runner.assertEqual(output, "[ 0, 2, 4 ]\n[ 0, 2, 4 ]\n6\ntrue map() needs a list or an iterable, not number");
+  });
+
+  runner.language("pipelines and list and dictionary comprehensions", interpreter => {
+    const output = lumos(`
+def isEven(x) { return x % 2 == 0 }
+def square(x) { return x * x }
+print([1, 2, 3, 4] |> filter(isEven) |> map(square))
+print(5 |> ((n) => n * 10) |> str)
+print([x * x for x in [1, -2, 3] if x > 0])
+print([[a, b] for a in 1..2 for b in "xy"])
+print({k: v * 2 for k, v in {a: 1, b: 20} if v > 10})
+`, interpreter);
+    runner.assertEqual(output, "[ 4, 16 ]\n50\n[ 1, 9 ]\n[ [ 1, 'x' ], [ 1, 'y' ], [ 2, 'x' ], [ 2, 'y' ] ]\n{ b: 40 }");
+  });
+
+  runner.language("decorators apply from the bottom up", interpreter => {
+    const output = lumos(`
+def memo(f) {
+  let cache = {}
+  return (n) => {
+    let key = str(n)
+    if (!(key in cache)) { cache[key] = f(n) }
+    return cache[key]
+  }
+}
+def scaled(factor) {
+  return (f) => (x) => f(x) * factor
+}
+@memo
+def fib(n) {
+  if (n < 2) { return n }
+  return fib(n - 1) + fib(n - 2)
+}
+@memo
+@scaled(10)
+def inc(x) { return x + 1 }
+print(fib(40), inc(1))
+`, interpreter);
+    runner.assertEqual(output, "102334155 20");
+  });
+
+  runner.language("a decorator the program binds is called even when its name is a metadata one", interpreter => {
+    const output = lumos(`
+def model(c) {
+  print("model", c.name)
+  return c
+}
+@model
+class Item {}
+@pure
+def area(w, h) { return w * h }
+print(area(2, 3))
+`, interpreter);
+    runner.assertEqual(output, "model Item\n6");
+    runner.assertThrows(() => lumos('def route(m, p) { return (f) => f }\nclass A {\n  @route("GET", "/")\n  def f() {}\n}', interpreter), "Decorator @route cannot wrap a method");
+  });
+
+  runner.language("let and const are block scoped and const cannot be reassigned", interpreter => {
+    const output = lumos(`
+let x = 1
+if (true) {
+  let x = 2
+  var v = 3
+}
+print(x, v)
+const PI = 3
+const box = {n: 1}
+box.n = 2
+print(box.n)
+`, interpreter);
+    runner.assertEqual(output, "1 3\n2");
+    runner.assertThrows(() => lumos("const PI = 3\nPI = 4", interpreter), "Cannot assign to constant PI");
+    runner.assertThrows(() => lumos("let a = 1\nlet a = 2", interpreter), "a has already been declared");
+  });
+
+  runner.language("functions and types cannot redeclare a name in the same scope", interpreter => {
+    runner.assertThrows(() => lumos("const k = 1\ndef k() { return 2 }", interpreter), "k has already been declared");
+    runner.assertThrows(() => lumos("def f() {}\nclass f {}", interpreter), "f has already been declared");
+    runner.assertThrows(() => lumos("struct P {}\nenum P { A }", interpreter), "P has already been declared");
+    runner.assertThrows(() => lumos("interface I {}\nlet I = 2", interpreter), "I has already been declared");
+    runner.assertEqual(lumos("def f() { return 1 }\nif (true) {\n  def f() { return 2 }\n  print(f())\n}\nprint(f())", interpreter), "2\n1");
+  });
+
+  runner.language("each run can declare again what an earlier run declared, as REPL lines do", interpreter => {
+    const engine = runner.engine({ interpreter });
+    engine.execute("let x = 1\nconst c = 1\ndef f() { return x }");
+    runner.assertEqual(engine.execute("let x = 2\ndef f() { return x * 10 }\nf()"), 20);
+    runner.assertThrows(() => engine.execute("c = 2"), "Cannot assign to constant c");
+    runner.assertThrows(() => engine.execute("let y = 1\nlet y = 2"), "y has already been declared");
+  });
+};
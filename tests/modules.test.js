@@ -0,0 +1,37 @@
+// Imports between .lumos files and multi-file compilation.
+module.exports = runner => {
+  const project = {
+    "lib/geometry.lumos": `export const PI = 3
+export def area(r) {
+  return PI * r ** 2
+}
+let scale = 2
+`,
+    "main.lumos": `import { area } from "./lib/geometry"
+import * as geometry from "./lib/geometry.lumos"
+print(area(2), geometry.PI, geometry.scale)
+`
+  };
+
+  runner.test("modules export names to the files that import them", () => {
+    const result = runner.cli(["main.lumos"], project);
+    runner.assertEqual(result.stdout, "12 3 undefined\n");
+    runner.assertEqual(result.status, 0);
+  });
+
+  runner.test("an import cycle is reported with the whole cycle", () => {
+    const result = runner.cli(["main.lumos"], {
+      "main.lumos": 'import { a } from "./lib/a"\n',
+      "lib/a.lumos": 'import { b } from "../main"\nexport let a = 1\n'
+    });
+    runner.assertContains(result.stderr, "Circular import: main.lumos -> lib/a.lumos -> main.lumos");
+  });
+
+  runner.test("a program and its imports compile to a JavaScript project", () => {
+    const result = runner.cli(["compile", "main.lumos", "javascript", "--out", "build"], project);
+    runner.assertEqual(result.status, 0);
+    runner.assertContains(result.files["build/main.js"], "./lib/geometry.js");
+    runner.assertContains(result.files["build/lib/geometry.js"], "export");
+    runner.assertContains(result.files["build/package.json"], "module");
+  });
+};
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+// Runs every *.test.js file in this directory. Each exports a function that
+// registers its tests on the runner. Tests of the language run once on the
+// tree walker and once on the bytecode VM, which must behave the same.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const util = require("util");
+const { spawnSync } = require("child_process");
+const LumosEngine = require("../index.cjs");
+
+const INTERPRETERS = ["tree", "vm"];
+const CLI = path.join(__dirname, "..", "index.cjs");
+
+// How runCompiled() runs a target's output.
+const TOOLCHAINS = {
+  python: { command: "python3", extension: ".py" },
+  ruby: { command: "ruby", extension: ".rb" },
+  javascript: { command: process.execPath, extension: ".js" }
+};
+
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+    this.skipped = 0;
+  }
+
+  test(description, testFn) {
+    this.tests.push({ description, testFn });
+  }
+
+  // Registers a test once for each interpreter, which it is passed.
+  language(description, testFn) {
+    for (const interpreter of INTERPRETERS) {
+      this.test(`${description} [${interpreter}]`, () => testFn(interpreter));
+    }
+  }
+
+  assertEqual(actual, expected, message = "Values differ") {
+    if (actual !== expected) {
+      throw new Error(`${message}\nExpected: ${expected}\nActual: ${actual}`);
+    }
+  }
+
+  assertContains(actual, substring, message = "Missing text") {
+    if (!String(actual).includes(substring)) {
+      throw new Error(`${message}\nExpected to contain: ${substring}\nActual: ${actual}`);
+    }
+  }
+
+  assertNotContains(actual, substring, message = "Unexpected text") {
+    if (String(actual).includes(substring)) {
+      throw new Error(`${message}\nExpected not to contain: ${substring}\nActual: ${actual}`);
+    }
+  }
+
+  // Returns the error fn threw, whose message must contain `substring`.
+  assertThrows(fn, substring, message = "Expected an error") {
+    try {
+      fn();
+    } catch (error) {
+      this.assertContains(error.message, substring, message);
+      return error;
+    }
+    throw new Error(`${message}\nExpected function to throw but it did not`);
+  }
+
+  async assertRejects(promise, substring, message = "Expected an error") {
+    try {
+      await promise;
+    } catch (error) {
+      this.assertContains(error.message, substring, message);
+      return error;
+    }
+    throw new Error(`${message}\nExpected promise to reject but it resolved`);
+  }
+
+  // An engine whose print() writes to `output` instead of the console.
+  engine(options = {}) {
+    const engine = new LumosEngine(options);
+    engine.output = [];
+    engine.runtime.builtins.print = (...args) => {
+      engine.output.push(util.format(...args));
+      return null;
+    };
+    return engine;
+  }
+
+  // What a program prints, one line per print() call.
+  lumos(code, options = {}, runOptions = {}) {
+    const engine = this.engine(options);
+    engine.execute(code, runOptions);
+    return engine.output.join("\n");
+  }
+
+  async lumosAsync(code, options = {}, runOptions = {}) {
+    const engine = this.engine(options);
+    await engine.executeAsync(code, runOptions);
+    return engine.output.join("\n");
+  }
+
+  compile(code, target, options = {}) {
+    return new LumosEngine().compileToTarget(code, target, options);
+  }
+
+  // Compiles `code` to `target`, runs the result with the target's own
+  // interpreter and returns what it printed. The test is skipped where that
+  // interpreter is not installed.
+  runCompiled(code, target) {
+    const { command, extension } = TOOLCHAINS[target];
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lumos-test-"));
+    try {
+      const file = path.join(dir, `main${extension}`);
+      fs.writeFileSync(file, this.compile(code, target));
+      const result = spawnSync(command, [file], { cwd: dir, encoding: "utf8", timeout: 20000 });
+      if (result.error && result.error.code === "ENOENT") {
+        throw Object.assign(new Error(`${command} is not installed`), { skipped: true });
+      }
+      if (result.status !== 0) {
+        throw new Error(`The ${target} output exited with ${result.status}\n${result.stderr}`);
+      }
+      return result.stdout;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  // Runs the command line in a fresh directory holding `files`, a map of
+  // relative paths to contents. `files` in the result is what the
+  // directory holds afterwards.
+  cli(args, files = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lumos-test-"));
+    try {
+      for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), content);
+      }
+      const result = spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: "utf8", timeout: 20000 });
+      return { status: result.status, stdout: result.stdout, stderr: result.stderr, files: this.readTree(dir) };
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  readTree(dir, prefix = "") {
+    const files = {};
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const name = path.posix.join(prefix, entry.name);
+      if (entry.isDirectory()) {
+        Object.assign(files, this.readTree(path.join(dir, entry.name), name));
+      } else {
+        files[name] = fs.readFileSync(path.join(dir, entry.name), "utf8");
+      }
+    }
+    return files;
+  }
+
+  async run(filter) {
+    console.log("\n=== Running Lumos Language Tests ===\n");
+
+    for (const test of this.tests) {
+      if (filter && !test.description.includes(filter)) continue;
+      try {
+        await test.testFn();
+        this.passed++;
+        console.log(`✓ ${test.description}`);
+      } catch (error) {
+        if (error.skipped) {
+          this.skipped++;
+          console.log(`- ${test.description} (skipped: ${error.message})`);
+          continue;
+        }
+        this.failed++;
+        console.log(`✗ ${test.description}`);
+        console.log(`  Error: ${error.message}`);
+      }
+    }
+
+    const total = this.passed + this.failed + this.skipped;
+    console.log(`\n=== Test Results ===`);
+    console.log(`Total: ${total}`);
+    console.log(`Passed: ${this.passed}`);
+    console.log(`Skipped: ${this.skipped}`);
+    console.log(`Failed: ${this.failed}\n`);
+
+    return this.failed === 0;
+  }
+}
+
+const runner = new TestRunner();
+const files = fs.readdirSync(__dirname).filter(name => name.endsWith(".test.js")).sort();
+for (const name of files) {
+  require(path.join(__dirname, name))(runner);
+}
+
+// `npm test -- <text>` runs only the tests whose description contains it.
+runner.run(process.argv[2]).then(success => {
+  process.exit(success ? 0 : 1);
+});
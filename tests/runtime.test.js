@@ -0,0 +1,159 @@
+// The bytecode VM, recursion limits, the sandbox and resource limits.
+const LumosEngine = require("../index.cjs");
+
+module.exports = runner => {
+  runner.test("the VM compiles programs to bytecode", () => {
+    const engine = runner.engine({ interpreter: "vm" });
+    engine.execute("let total = 0\nfor i = 1 to 10 { total += i }\nprint(total)");
+    runner.assertEqual(engine.output.join("\n"), "55");
+    runner.assertEqual(engine.evaluator.constructor.name, "VirtualMachine");
+  });
+
+  runner.language("tail calls do not grow the stack", interpreter => {
+    const output = runner.lumos(`
+def sum(n, total = 0) {
+  if (n == 0) {
+    return total
+  }
+  return sum(n - 1, total + n)
+}
+print(sum(100000))
+`, { interpreter });
+    runner.assertEqual(output, "5000050000");
+  });
+
+  runner.language("going past the maximum call depth raises a RecursionError", interpreter => {
+    const output = runner.lumos(`
+def count(n) {
+  return 1 + count(n + 1)
+}
+try {
+  count(0)
+} catch (e: RecursionError) {
+  print(e.functionName, e.chain[0], e.chain[len(e.chain) - 1])
+}
+`, { interpreter, maxCallDepth: 50 });
+    runner.assertEqual(output, "count <main> count");
+  });
+
+  runner.test("the default call depth is reached before the host stack runs out", () => {
+    const code = "def deep(n) {\n  if (n == 0) { return 0 }\n  return 1 + deep(n - 1)\n}\ntry {\n  print(deep(1300))\n} catch (e: RecursionError) {\n  print(e.message)\n}";
+    runner.assertContains(runner.lumos(code), "Maximum call depth of 1200 exceeded");
+    runner.assertEqual(runner.lumos(code.replace("1300", "1000")), "1000");
+    runner.assertEqual(runner.lumos(code.replace("1300", "1000"), { maxCallDepth: 100000 }), "1000");
+    runner.assertEqual(runner.lumos(code, { interpreter: "vm" }), "1300");
+  });
+
+  runner.language("the sandbox grants nothing unless asked", interpreter => {
+    const sandboxed = { interpreter, sandbox: true };
+    runner.assertThrows(() => runner.lumos('readFile("/etc/hostname")', sandboxed), "needs an fs grant");
+    runner.assertThrows(() => runner.lumos('env("HOME")', sandboxed), "needs an env grant");
+    runner.assertThrows(() => runner.lumos('import { readFileSync } from "fs"', sandboxed), "cannot be imported in the sandbox");
+    runner.assertThrows(() => runner.lumos("let o = {}\nprint(o.constructor)", sandboxed), "cannot be accessed in the sandbox");
+    runner.assertThrows(() => runner.lumos('let o = {}\nprint(o["__proto__"])', sandboxed), "cannot be accessed in the sandbox");
+    const output = runner.lumos('try {\n  env("HOME")\n} catch (e: PermissionError) {\n  print("denied")\n}', sandboxed);
+    runner.assertEqual(output, "denied");
+  });
+
+  runner.language("scope lookups cannot reach the host's Object or Function", interpreter => {
+    const escape = 'let O = constructor\nO.getOwnPropertyDescriptor(O.getPrototypeOf(print), "constructor").value("return process.version")()';
+    runner.assertThrows(() => runner.lumos(escape, { interpreter, sandbox: true }), "Name 'constructor' cannot be used in the sandbox");
+    runner.assertThrows(() => runner.lumos(escape, { interpreter }), "Undefined variable: constructor");
+    runner.assertThrows(() => runner.lumos("print(toString)", { interpreter }), "Undefined variable: toString");
+    runner.assertThrows(() => runner.lumos("let __proto__ = 1", { interpreter, sandbox: true }), "cannot be used in the sandbox");
+    runner.assertThrows(() => runner.lumos("print(__defineGetter__)", { interpreter, sandbox: true }), "cannot be used in the sandbox");
+  });
+
+  runner.language("the sandbox allows only what is granted", interpreter => {
+    const output = runner.lumos('print(env("LUMOS_TEST_GRANTED") ?? "unset")', { interpreter, sandbox: { allowEnv: ["LUMOS_TEST_GRANTED"] } });
+    runner.assertEqual(output, "unset");
+    runner.assertThrows(() => runner.lumos('env("HOME")', { interpreter, sandbox: { allowEnv: ["LUMOS_TEST_GRANTED"] } }), "needs an env grant");
+  });
+
+  runner.language("runs stop at their step limit, and catch cannot stop that", interpreter => {
+    const error = runner.assertThrows(() => runner.lumos("while (true) {}", { interpreter }, { maxSteps: 1000 }), "Step limit of 1000 exceeded");
+    runner.assertEqual(error instanceof LumosEngine.LimitExceeded, true);
+    runner.assertEqual(error.limit, "maxSteps");
+    runner.assertEqual(error.max, 1000);
+    runner.assertThrows(() => runner.lumos("for i = 1 to 1000000 {}", { interpreter }, { maxSteps: 100 }), "Step limit of 100 exceeded");
+    runner.assertThrows(() => runner.lumos("def f(n) { return 1 + f(n) }\nf(0)", { interpreter }, { maxSteps: 100 }), "Step limit");
+    runner.assertThrows(() => runner.lumos('try {\n  while (true) {}\n} catch (e) {\n  print("caught")\n}', { interpreter }, { maxSteps: 100 }), "Step limit");
+  });
+
+  runner.language("calls count as steps, and the clock is read at each", interpreter => {
+    const code = "let n = len(map(range(0, 3000), x => len(map(range(0, 3000), y => y))))";
+    runner.assertThrows(() => runner.lumos(code, { interpreter }, { maxSteps: 1000 }), "Step limit of 1000 exceeded");
+    runner.assertThrows(() => runner.lumos(code, { interpreter }, { timeoutMs: 100 }), "Time limit of 100 ms exceeded");
+  });
+
+  runner.language("counted loops after an await are stepped through one iteration at a time", async interpreter => {
+    const limits = { maxSteps: 1000 };
+    await runner.assertRejects(runner.engine({ interpreter }).executeAsync("await 1\nfor i = 1 to 1000000000 {}", limits), "Step limit of 1000 exceeded");
+    await runner.assertRejects(runner.engine({ interpreter }).executeAsync("await 1\nfor i = 1 to 10 step 0 {}", limits), "Step limit of 1000 exceeded");
+  });
+
+  runner.language("runs stop at their time limit", interpreter => {
+    const error = runner.assertThrows(() => runner.lumos("while (true) {}", { interpreter }, { timeoutMs: 50 }), "Time limit of 50 ms exceeded");
+    runner.assertEqual(error.limit, "timeoutMs");
+  });
+
+  runner.language("time spent awaiting counts against the time limit", async interpreter => {
+    const engine = runner.engine({ interpreter });
+    const run = engine.executeAsync('await new Promise((r) => setTimeout(r, 300))\nprint("done")', { timeoutMs: 30 });
+    const error = await runner.assertRejects(run, "Time limit of 30 ms exceeded");
+    runner.assertEqual(error.limit, "timeoutMs");
+    await new Promise(resolve => setTimeout(resolve, 350));
+    runner.assertEqual(engine.output.join("\n"), "");
+  });
+
+  runner.language("arrays and strings cannot grow past their length limits", interpreter => {
+    const limits = { maxArrayLength: 10, maxStringLength: 10 };
+    runner.assertThrows(() => runner.lumos("let a = []\nfor i = 1 to 20 { a.push(i) }", { interpreter }, limits), "Array length limit of 10 exceeded");
+    runner.assertThrows(() => runner.lumos("let a = 1..20", { interpreter }, limits), "Array length limit of 10 exceeded");
+    runner.assertThrows(() => runner.lumos("let a = [x for x in 1..20]", { interpreter }, limits), "Array length limit of 10 exceeded");
+    runner.assertThrows(() => runner.lumos('let s = ""\nwhile (true) { s = s + "ab" }', { interpreter }, limits), "String length limit of 10 exceeded");
+    runner.assertEqual(runner.lumos("print(len([1, 2, 3]))", { interpreter }, limits), "3");
+  });
+
+  runner.language("a value that outgrows the memory limit stops the run before the host fails", interpreter => {
+    const error = runner.assertThrows(() => runner.lumos('let s = "x"\nwhile (true) { s = s + s }', { interpreter }, { maxMemory: 50e6 }), "Memory limit of 50000000 bytes exceeded");
+    runner.assertEqual(error instanceof LumosEngine.LimitExceeded, true);
+  });
+
+  runner.test("engine limits apply to every run and execute() overrides them", () => {
+    const engine = runner.engine({ limits: { maxSteps: 50 } });
+    runner.assertThrows(() => engine.execute("while (true) {}"), "Step limit of 50 exceeded");
+    runner.assertEqual(engine.execute("let i = 0\nwhile (i < 100) { i = i + 1 }\ni", { maxSteps: null }), 100);
+    runner.assertThrows(() => engine.execute("1", { maxStep: 10 }), "Unknown limit 'maxStep'");
+    runner.assertThrows(() => engine.execute("1", { maxSteps: NaN }), "The maxSteps limit must be a positive number");
+  });
+
+  runner.test("sandboxed runs start with step, time and memory limits the caller can override", () => {
+    const engine = runner.engine({ sandbox: true });
+    runner.assertEqual(engine.limits.maxSteps, 10000000);
+    runner.assertEqual(engine.limits.timeoutMs, 5000);
+    runner.assertThrows(() => engine.execute("while (true) {}"), "Step limit of 10000000 exceeded");
+    runner.assertThrows(() => runner.engine({ sandbox: true, limits: { maxSteps: 100 } }).execute("while (true) {}"), "Step limit of 100 exceeded");
+    runner.assertThrows(() => engine.execute("while (true) {}", { maxSteps: null, timeoutMs: 50 }), "Time limit of 50 ms exceeded");
+    runner.assertEqual(runner.engine().limits.maxSteps, undefined);
+  });
+
+  runner.test("sandbox maxSteps and maxMemory quotas become limits, and unknown options are errors", () => {
+    const engine = runner.engine({ sandbox: { maxSteps: 100 } });
+    runner.assertThrows(() => engine.execute("while (true) {}"), "Step limit of 100 exceeded");
+    runner.assertEqual(runner.engine({ sandbox: { maxMemory: 1024 }, limits: { maxMemory: null } }).execute("1 + 1"), 2);
+    runner.assertThrows(() => runner.engine({ sandbox: { maxStep: 100 } }), "Unknown sandbox option 'maxStep'");
+  });
+
+  runner.test("limits are set on the command line", () => {
+    const files = { "loop.lumos": "while (true) {}\n" };
+    const result = runner.cli(["loop.lumos", "--max-steps=100"], files);
+    runner.assertEqual(result.status, 1);
+    runner.assertContains(result.stderr, "Step limit of 100 exceeded");
+    runner.assertContains(runner.cli(["--max-steps", "100", "loop.lumos"], files).stderr, "Step limit of 100 exceeded");
+    const invalid = runner.cli(["loop.lumos", "--max-steps=abc"], files);
+    runner.assertEqual(invalid.status, 1);
+    runner.assertContains(invalid.stderr, "--max-steps needs a positive number, not 'abc'");
+    runner.assertContains(runner.cli(["loop.lumos", "--max-depth=0"], files).stderr, "--max-depth needs a positive number");
+  });
+};
@@ -0,0 +1,61 @@
+// Type annotations and `lumos check`.
+const Lexer = require("../src/core/lexer");
+const Parser = require("../src/core/parser");
+const { TypeChecker } = require("../src/core/typechecker");
+
+module.exports = runner => {
+  const check = code => new TypeChecker().check(new Parser(new Lexer(code).tokenize()).parse()).map(error => error.message);
+
+  runner.test("well-typed programs have no type errors", () => {
+    const errors = check(`
+let x: int = 5
+let ratio: float = 2
+let names: list<string> = ["a", "b"]
+let maybe: int? = null
+def add(a: int, b: int = 2) -> int {
+  return a + b
+}
+def first<T>(items: list<T>) -> T {
+  return items[0]
+}
+let y: int = add(first([1, 2]))
+let doubled = map([1, 2], n => n * 2)
+`);
+    runner.assertEqual(errors.join("\n"), "");
+  });
+
+  runner.test("assignments, arguments and returns that do not fit are reported", () => {
+    const errors = check(`
+let x: int = "five"
+def add(a: int, b: int) -> int {
+  return "sum"
+}
+add(1, true)
+`).join("\n");
+    runner.assertContains(errors, "string");
+    runner.assertContains(errors, "add");
+    runner.assertEqual(check('let x: int = "five"').length, 1);
+  });
+
+  runner.test("list and map elements are checked against the declared element type", () => {
+    runner.assertEqual(check('let xs: list<int> = [1, "two"]').join("\n"), "List element must be int, not string");
+    runner.assertEqual(check('let m: map<string, int> = {a: 1, b: "x"}').join("\n"), "Map value must be int, not string");
+    runner.assertEqual(check("let xs: list<float> = [1, 2.5]\nlet ys: list<list<int>> = [[1], []]").join("\n"), "");
+  });
+
+  runner.test("the prelude's error classes are known to the checker", () => {
+    runner.assertEqual(check('class VE < ValueError {}\nlet e: Error = VE("bad")\nthrow ValueError("x")').join("\n"), "");
+    runner.assertEqual(check('ValueError("x", 2)').join("\n"), "ValueError expects at most 1 argument but got 2");
+  });
+
+  runner.test("lumos check reports errors with their file, line and column", () => {
+    const result = runner.cli(["check", "main.lumos"], { "main.lumos": 'let a = 1\nlet x: int = "five"\n' });
+    runner.assertEqual(result.status, 1);
+    runner.assertContains(result.stderr, "main.lumos:2:");
+    runner.assertContains(result.stderr, "Found 1 type error");
+  });
+
+  runner.test("annotations have no effect when a program runs", () => {
+    runner.assertEqual(runner.lumos('let x: int = "five"\nprint(x)'), "five");
+  });
+};